@@ -0,0 +1,30 @@
+import React from 'react';
+import { Archive, X } from 'lucide-react';
+
+// Read-only view of a saved archive, shown beside the live MessageDisplay.
+const ArchiveViewer = ({ archive, currentUserId, botUserId, onClose }) => (
+  <div className="flex-1 overflow-y-auto p-4 space-y-3 bg-fuchsia-50 rounded-lg shadow-inner" style={{minHeight: 300, maxHeight: 400, border: '1px solid #f5d0fe'}}>
+    <div style={{display: 'flex', alignItems: 'center', justifyContent: 'space-between', marginBottom: 8}}>
+      <div style={{fontWeight: 600, color: '#a21caf', fontSize: 14}}>
+        <Archive size={14} style={{marginRight: 4, display: 'inline'}} />
+        {archive.title}
+      </div>
+      <button onClick={onClose} title="Close archive" style={{color: '#a21caf'}}><X size={16} /></button>
+    </div>
+    <div style={{fontSize: 11, color: '#86198f', marginBottom: 8}}>
+      {archive.messageCount} messages{archive.createdAt ? ` · saved ${archive.createdAt.toLocaleString()}` : ''}{archive.truncated ? ' · oldest messages omitted' : ''} · read-only
+    </div>
+    {(archive.messages || []).map((entry, idx) => (
+      <div key={idx} style={{fontSize: 13}}>
+        <span style={{fontWeight: 600, color: entry.userId === botUserId ? '#15803d' : '#0e7490'}}>
+          {entry.userId === currentUserId ? 'You' : entry.userId === botUserId ? 'Agent Q' : entry.userId?.substring(0, 8) + '...'}
+        </span>
+        {entry.isTokenized && <span className="ml-1 text-[10px] bg-yellow-200 text-yellow-800 px-1 rounded-full">TOKEN</span>}
+        {entry.timestamp && <span style={{fontSize: 10, color: '#64748b', marginLeft: 6}}>{new Date(entry.timestamp).toLocaleTimeString()}</span>}
+        <p className="whitespace-pre-wrap break-words" style={{margin: 0}}>{entry.text}</p>
+      </div>
+    ))}
+  </div>
+);
+
+export default ArchiveViewer;
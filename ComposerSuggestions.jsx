@@ -0,0 +1,34 @@
+import React from 'react';
+
+// Suggestion list above the composer (see composer.js). `highlight` is the keyboard selection;
+// picking with the mouse keeps the focus in the textarea.
+const ComposerSuggestions = ({ items, highlight, onPick, onHighlight }) => (
+  <ul role="listbox" style={{margin: '0 16px', padding: 4, listStyle: 'none', maxHeight: 200, overflowY: 'auto', border: '1px solid #e2e8f0', borderRadius: 8, background: '#fff', boxShadow: '0 4px 12px rgba(15, 23, 42, 0.08)'}}>
+    {items.map((item, i) => (
+      <li
+        key={item.key}
+        role="option"
+        aria-selected={i === highlight}
+        onMouseDown={(e) => {
+          e.preventDefault();
+          onPick(item);
+        }}
+        onMouseEnter={() => onHighlight(i)}
+        style={{display: 'flex', alignItems: 'baseline', gap: 8, padding: '4px 8px', borderRadius: 6, cursor: 'pointer', fontSize: 13, background: i === highlight ? '#ecfeff' : 'transparent'}}
+      >
+        <span style={{fontWeight: 600, color: '#0e7490', whiteSpace: 'nowrap'}}>{item.label}</span>
+        {item.detail && item.detail !== item.label && (
+          <span style={{fontFamily: 'monospace', fontSize: 12, color: '#64748b', whiteSpace: 'nowrap'}}>{item.detail}</span>
+        )}
+        {item.description && (
+          <span style={{flex: 1, color: '#94a3b8', overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap'}}>{item.description}</span>
+        )}
+        {item.badge && (
+          <span style={{marginLeft: 'auto', fontSize: 10, fontWeight: 600, color: '#9333ea', background: '#f3e8ff', padding: '1px 6px', borderRadius: 4}}>{item.badge}</span>
+        )}
+      </li>
+    ))}
+  </ul>
+);
+
+export default ComposerSuggestions;
@@ -1,8 +1,13 @@
 import React from 'react';
 
-const GlassPanel = ({ title, children }) => (
+const THEMES = {
+  light: { background: 'rgba(255, 255, 255, 0.7)', color: 'inherit' },
+  dark: { background: 'rgba(15, 23, 42, 0.85)', color: '#e2e8f0' },
+};
+
+const GlassPanel = ({ title, theme = 'light', children }) => (
   <div style={{
-    background: 'rgba(255, 255, 255, 0.7)',
+    ...(THEMES[theme] || THEMES.light),
     borderRadius: '1rem',
     boxShadow: '0 2px 16px rgba(0,0,0,0.15)',
     padding: '2rem',
@@ -0,0 +1,43 @@
+import React, { useState } from 'react';
+import { Reply, SmilePlus, Pencil, Trash2 } from 'lucide-react';
+import { REACTION_EMOJI, canEdit, canDelete, canRespond } from './messageActions';
+
+const buttonStyle = {padding: 2, opacity: 0.7};
+
+// Per-message actions under a bubble: reply, react (emoji picker), and for your own
+// messages edit and delete. Renders nothing for queued, deleted or undecryptable messages.
+const MessageToolbar = ({ msg, currentUserId, onReply, onReact, onEdit, onDelete }) => {
+  const [isPicking, setIsPicking] = useState(false);
+  if (!canRespond(msg)) return null;
+
+  return (
+    <div style={{display: 'flex', alignItems: 'center', gap: 2, fontSize: 12}}>
+      <button onClick={() => onReply(msg)} title="Reply" style={buttonStyle}><Reply size={13} /></button>
+      <button onClick={() => setIsPicking(v => !v)} title="React" style={buttonStyle}><SmilePlus size={13} /></button>
+      {isPicking && REACTION_EMOJI.map(emoji => (
+        <button
+          key={emoji}
+          onClick={() => {
+            onReact(msg, emoji);
+            setIsPicking(false);
+          }}
+          style={{padding: '0 2px'}}
+        >
+          {emoji}
+        </button>
+      ))}
+      {canEdit(msg, currentUserId) && <button onClick={() => onEdit(msg)} title="Edit" style={buttonStyle}><Pencil size={13} /></button>}
+      {canDelete(msg, currentUserId) && (
+        <button
+          onClick={() => window.confirm('Delete this message for everyone?') && onDelete(msg)}
+          title="Delete"
+          style={buttonStyle}
+        >
+          <Trash2 size={13} />
+        </button>
+      )}
+    </div>
+  );
+};
+
+export default MessageToolbar;
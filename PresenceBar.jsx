@@ -0,0 +1,42 @@
+import React from 'react';
+import { Bot } from 'lucide-react';
+import { avatarFor } from './presence';
+
+const Avatar = ({ name, userId }) => {
+  const { initials, hue } = avatarFor(name, userId);
+  return (
+    <span
+      aria-hidden="true"
+      style={{
+        display: 'inline-flex', alignItems: 'center', justifyContent: 'center', width: 22, height: 22, borderRadius: '50%',
+        background: `hsl(${hue}, 65%, 45%)`, color: '#fff', fontSize: 10, fontWeight: 600,
+      }}
+    >
+      {initials}
+    </span>
+  );
+};
+
+// Who is online in the active room (see presence.js), and who the agent is answering
+const PresenceBar = ({ members, agentActivity }) => (
+  <div style={{display: 'flex', flexWrap: 'wrap', alignItems: 'center', justifyContent: 'center', gap: 10, fontSize: 12, color: '#475569', marginBottom: 8}}>
+    <span style={{color: '#94a3b8'}}>{members.length} online</span>
+    {members.map(m => (
+      <span key={m.userId} title={m.userId} style={{display: 'inline-flex', alignItems: 'center', gap: 4}}>
+        <span style={{position: 'relative', display: 'inline-flex'}}>
+          <Avatar name={m.name} userId={m.userId} />
+          <span style={{position: 'absolute', right: -1, bottom: -1, width: 7, height: 7, borderRadius: '50%', background: '#22c55e', border: '1px solid #fff'}} />
+        </span>
+        {m.isSelf ? `${m.name} (you)` : m.name}
+        {m.isTyping && !m.isSelf && <span style={{color: '#94a3b8'}}>typing…</span>}
+      </span>
+    ))}
+    {agentActivity && (
+      <span style={{display: 'inline-flex', alignItems: 'center', gap: 4, color: '#9333ea'}}>
+        <Bot size={14} />{agentActivity}
+      </span>
+    )}
+  </div>
+);
+
+export default PresenceBar;
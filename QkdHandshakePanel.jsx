@@ -0,0 +1,40 @@
+import React from 'react';
+import { Radio, ShieldAlert, RotateCcw } from 'lucide-react';
+
+// Live view of the BB84 handshake (see qkdHandshake.js), shown until the channel is ready.
+const QkdHandshakePanel = ({ qkd, threshold, channelStatus }) => {
+  const failed = qkd.status === 'aborted' || qkd.status === 'error';
+  const qberColor = qkd.qber === null ? '#64748b' : qkd.qber > threshold ? '#b91c1c' : '#15803d';
+  return (
+    <div style={{textAlign: 'center', color: '#0369a1', fontWeight: 500, margin: '24px 0'}}>
+      {failed ? <ShieldAlert size={28} style={{color: '#b91c1c', display: 'inline'}} /> : <Radio size={28} style={{color: '#0891b2', display: 'inline'}} />}
+      <div style={{margin: '8px 0'}}>
+        {qkd.status === 'complete' ? channelStatus : failed ? 'Quantum key exchange failed' : 'Quantum key exchange (BB84) in progress...'}
+      </div>
+      <ol style={{display: 'inline-block', textAlign: 'left', fontSize: 12, fontWeight: 400, color: '#334155', margin: '0 0 8px', paddingLeft: 18}}>
+        {qkd.steps.map((step, idx) => (
+          <li key={idx} style={{color: step.id === 'abort' ? '#b91c1c' : step.id === 'eve' ? '#c2410c' : undefined}}>{step.detail}</li>
+        ))}
+        {qkd.status === 'error' && <li style={{color: '#b91c1c'}}>Classical channel error: {qkd.reason}</li>}
+      </ol>
+      {qkd.qber !== null && (
+        <div style={{fontSize: 13, color: qberColor}}>
+          QBER {(qkd.qber * 100).toFixed(1)}% (abort above {(threshold * 100).toFixed(0)}%)
+        </div>
+      )}
+      <div style={{display: 'flex', gap: 12, justifyContent: 'center', alignItems: 'center', marginTop: 8, fontSize: 12, fontWeight: 400}}>
+        <label title="Simulate an intercept-resend eavesdropper on the quantum channel">
+          <input type="checkbox" checked={qkd.eveMode} onChange={e => qkd.setEveMode(e.target.checked)} style={{marginRight: 4}} />
+          Eve intercepts
+        </label>
+        {failed && (
+          <button onClick={qkd.retry} style={{color: '#0e7490', border: '1px solid #a5f3fc', borderRadius: 999, padding: '2px 10px'}}>
+            <RotateCcw size={11} style={{marginRight: 4, display: 'inline'}} />Retry
+          </button>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default QkdHandshakePanel;
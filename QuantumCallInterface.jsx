@@ -1,37 +1,90 @@
-import React, { useState, useEffect, useRef, useCallback, useContext, createContext } from 'react';
-import { initializeApp } from 'firebase/app';
-import { getAuth, signInAnonymously, signInWithCustomToken, onAuthStateChanged } from 'firebase/auth';
-import { getFirestore, collection, query, addDoc, serverTimestamp, onSnapshot, orderBy, limit, getDocs, deleteDoc, doc } from 'firebase/firestore';
-import { PhoneCall, Send, Bot, Volume2, Lock, Radio, Save, Archive } from 'lucide-react';
+import React, { useState, useEffect, useLayoutEffect, useCallback, useContext, useMemo, useRef, createContext } from 'react';
+import { PhoneCall, Send, Bot, Volume2, Square, Lock, Save, Archive, KeyRound, Clock, Check, CheckCheck, AlertCircle, Mic, Settings } from 'lucide-react';
 
 import GlassPanel from './GlassPanel';
+import { resolveAgentProvider, describeProviderError, simulatedProvider, providerForRoom, isEncryptedRoom, ENCRYPTED_ROOM_REPLY } from './agentProviders';
+import { classifyIntentLocally, confirmIntent, resolveChirpToken } from './intentClassifier';
+import { useTtsPlayback } from './ttsPlayback';
+import { useChirpTransport } from './chirpTransport';
+import { createStorage } from './storage';
+import { createCommandRegistry } from './commandRegistry';
+import { builtinCommands } from './agentCommands';
+import { LOBBY_ROOM, messagesPath, presencePath, agentStatePath, subscribeMyRooms } from './roomStore';
+import { useSessionEncryption, encryptPayload, decryptPayload } from './e2ee';
+import ArchiveViewer from './ArchiveViewer';
+import { useQkdHandshake } from './qkdHandshake';
+import { encodeTokens, decodeTokens, compressionRatio, hasTokens, isTokenSignal, packTokens, unpackTokens } from './tokenCodec';
+import { useReminders } from './reminders';
+import { useOutbox, newMessageId } from './outbox';
+import { useMessageHistory } from './messageHistory';
+import VirtualList from './VirtualList';
+import { DEFAULT_ROLE, subscribeRole } from './roleStore';
+import { CORE_DICTIONARY_ID, builtinDictionary, subscribeDictionary, loadDictionaryVersion } from './tokenStore';
+import QkdHandshakePanel from './QkdHandshakePanel';
+import VoicePlayer from './VoicePlayer';
+import MessageToolbar from './MessageToolbar';
+import { reactionSummary, quoteExcerpt, toggleReaction, replyReference, replyPrompt } from './messageActions';
+import SettingsPanel from './SettingsPanel';
+import { useConfigLoader } from './configLoader';
+import VoiceRecordingBar from './VoiceRecordingBar';
+import { clipsPath, blobToBase64, computeWaveform, encodeClip, decodeClip, useVoiceRecorder, formatClipTime } from './voiceClips';
+import PresenceBar from './PresenceBar';
+import RichText from './RichText';
+import { usePresence, displayNameFor, defaultDisplayName, typingLabel } from './presence';
+import { useAgentState } from './agentState';
+import { createConnectors } from './connectors';
+import ComposerSuggestions from './ComposerSuggestions';
+import { commandSuggestions, phraseSuggestions, tokenSignalIndex, useSentHistory, useComposerDraft } from './composer';
+import SearchResults from './SearchResults';
+import TranscriptExport from './TranscriptExport';
+import { createSearchIndex } from './messageSearch';
+import { buildTranscript, downloadTranscript, EXPORT_FORMATS } from './transcript';
 
-const __app_id =
-  typeof window !== 'undefined' && typeof window.__app_id !== 'undefined'
-    ? window.__app_id
-    : 'default-app-id';
-const __firebase_config =
-  typeof window !== 'undefined' && typeof window.__firebase_config !== 'undefined'
-    ? window.__firebase_config
-    : null;
-const __initial_auth_token =
-  typeof window !== 'undefined' && typeof window.__initial_auth_token !== 'undefined'
-    ? window.__initial_auth_token
-    : null;
-const __gemini_api_key =
-  typeof window !== 'undefined' && typeof window.__gemini_api_key !== 'undefined'
-    ? window.__gemini_api_key
-    : '';
-
+// Defaults only: env vars, window globals, a config file and saved preferences are layered
+// over these and validated by configLoader.js
 const defaultNexusConfig = {
-    appId: __app_id,
-    firebaseConfig: __firebase_config ? JSON.parse(__firebase_config) : null,
-    initialAuthToken: __initial_auth_token,
-    geminiApiKey: __gemini_api_key,
+    appId: 'default-app-id',
+    firebaseConfig: null,
+    initialAuthToken: null,
+    // JSON file with more settings, fetched before the app starts (e.g. '/nexus-config.json')
+    configUrl: null,
+    // 'auto' | 'firebase' | 'local'; 'auto' runs on the local backend when there is no Firebase config
+    storageBackend: 'auto',
+    geminiApiKey: '',
     geminiTextModel: 'gemini-2.5-flash-preview-09-2025',
     geminiTtsModel: 'gemini-2.5-flash-preview-tts',
+    geminiTtsVoice: 'Kore',
     geminiApiBaseUrl: `https://generativelanguage.googleapis.com/v1beta/models`,
+    // 'auto' | 'gemini' | 'simulated', or a custom provider object (see agentProviders.js)
+    agentProvider: 'auto',
+    agentTimeoutMs: 15000,
+    agentMaxRetries: 2,
+    agentSystemPrompt: "You are Agent Q, the assistant of the QVoiceTxt secure quantum chat channel. Reply concisely in plain text.",
+    // Extra slash commands, declared as in commandRegistry.js; set `override: true` to replace a built-in
+    customCommands: [],
+    // Canned upstream responses for /weather and /crypto, by connector (see connectors.js); null for live APIs
+    connectorFixtures: null,
+    // BB84 handshake simulation (bb84.js): intercept-resend eavesdropper, abort threshold, fibre bit-flip rate
+    qkdEveMode: false,
+    qkdQberThreshold: 0.11,
+    qkdChannelNoise: 0.02,
+    // Voice messages (voiceClips.js): longest recording, and whether to attach a transcript from
+    // the agent provider (never for call sessions, whose audio stays end-to-end encrypted)
+    voiceMaxSeconds: 120,
+    voiceTranscription: true,
+    // Acoustic CHIRP transport (chirpModem.js): CHIRP plays the token signal through the speaker
+    // instead of posting it, and listening devices post what they hear into their active room
+    acousticChirps: false,
     botUserId: "Agent Q Core ✨",
+    // Display name only; botUserId is the identity the security rules know
+    botName: 'Agent Q',
+    // How this user appears to others (presence.js); empty for "Guest" plus a short id
+    displayName: '',
+    // Dictionary that token messages use until /tokens switches it
+    tokenDictionaryId: CORE_DICTIONARY_ID,
+    // 'light' | 'dark'
+    theme: 'light',
+    // Version 1 of the shared 'core' token dictionary; later versions live in Firestore (tokenStore.js)
     tokenDictionary: [
         "Hello.",
         "How are you?",
@@ -65,155 +118,50 @@ const defaultNexusConfig = {
 
 const NexusConfigContext = createContext(defaultNexusConfig);
 const useNexusConfig = () => useContext(NexusConfigContext);
+// The config loader itself (preferences, errors); null outside App
+const NexusSettingsContext = createContext(null);
 
-const TokenLibrary = {
-    lookupToken: (phrase, dictionary) => {
-        const index = dictionary.findIndex(p => p.toLowerCase() === phrase.toLowerCase());
-        return index !== -1 ? index : null;
-    },
-    lookupPhrase: (index, dictionary) => {
-        return dictionary[index] !== undefined ? dictionary[index] : null;
-    }
-};
-
-let app, db, auth;
-const initFirebase = (config) => {
-    if (!config) {
-        console.error("Firebase configuration is missing.");
-        return { db: null, auth: null };
-    }
-    if (!app) {
-        app = initializeApp(config);
-        db = getFirestore(app);
-        auth = getAuth(app);
-    }
-    return { db, auth };
-};
+const defaultCommandRegistry = createCommandRegistry(builtinCommands);
 
 // --- Advanced Agent Q Helper ---
-const askAgentQ = async (
-    userQuery,
-    requestType,
-    conversationHistory = [],
-    db = null,
-    userId = null
-) => {
-    await new Promise(resolve => setTimeout(resolve, Math.random() * 800 + 400));
+const askAgentQ = async (userQuery, requestType, {
+    history: conversationHistory = [],
+    provider = simulatedProvider,
+    systemInstruction = '',
+    replyTo = null,
+    registry = defaultCommandRegistry,
+    config = defaultNexusConfig,
+    ...commandContext
+} = {}) => {
     const lowerQuery = userQuery.toLowerCase();
+    // Nothing said in an end-to-end encrypted call goes to the configured provider
+    const agentProvider = providerForRoom(provider, commandContext.room);
 
-    // EXTERNAL WEATHER
-    if (requestType === 'command' && lowerQuery.startsWith('/weather')) {
-        let location = userQuery.trim().split(' ').slice(1).join(' ') || 'Boston';
-        try {
-            // Use static US city for browser demo
-            const coords = {
-                boston: [42.3601, -71.0589],
-                newyork: [40.7128, -74.0060],
-                sf: [37.7749, -122.4194],
-                london: [51.5074, -0.1278]
-            };
-            const [lat, lon] = coords[location.replace(/\s+/g, '').toLowerCase()] || coords['boston'];
-            const res = await fetch(`https://api.open-meteo.com/v1/forecast?latitude=${lat}&longitude=${lon}&current_weather=true`);
-            const data = await res.json();
-            const weather = data?.current_weather;
-            if (weather && typeof weather.temperature === "number") {
-                return { type: 'text', content: `Agent Q: Weather for ${location}: ${weather.temperature}°C, Windspeed ${weather.windspeed}km/h.` };
-            }
-            return { type: 'text', content: `Agent Q: Weather unavailable for ${location}.` };
-        } catch(e) {
-            return { type: 'text', content: `Agent Q: Unable to get live weather for ${location}. (${e.message})` };
-        }
-    }
-
-    // CRYPTO: CoinGecko, frontend
-    if (requestType === 'command' && lowerQuery.startsWith('/crypto')) {
-        const token = userQuery.trim().split(' ')[1]?.toLowerCase() || "bitcoin";
-        try {
-            const res = await fetch(`https://api.coingecko.com/api/v3/simple/price?ids=${encodeURIComponent(token)}&vs_currencies=usd`);
-            const data = await res.json();
-            const price = data?.[token]?.usd;
-            if(price) {
-                return {type: 'text', content: `Agent Q: The current price of ${token.toUpperCase()} is $${price}`};
-            }
-            return { type: 'text', content: `Agent Q: Token "${token}" not found.` };
-        } catch(e) {
-            return { type: 'text', content: "Agent Q: Crypto price unavailable." };
-        }
-    }
-
-    // REMINDER with Firestore persistence
-    if (requestType === 'command' && lowerQuery.startsWith('/remindme')) {
-        // Format: /remindme 2m "Do X"
-        const timeMatch = userQuery.match(/remindme (\d+)([mh]) "(.+)"/i);
-        if (timeMatch && db && userId) {
-            const [ , value, unit, msg ] = timeMatch;
-            const delayMs = unit === 'm' ? parseInt(value) * 60000 : parseInt(value) * 3600000;
-            const when = Date.now() + delayMs;
-            try {
-                const remindersCol = collection(db, `users/${userId}/reminders`);
-                await addDoc(remindersCol, { remindAt: when, message: msg });
-                return { type: 'text', content: `Agent Q: I'll remind you in ${value}${unit}: "${msg}".` };
-            } catch(e) {
-                return { type: 'text', content: "Agent Q: Error setting reminder." };
-            }
-        }
-        return { type: 'text', content: "Agent Q: Usage: /remindme 10m \"your message\"" };
-    }
-
-    // Archive/Summary/Help/Admin
-    if (requestType === 'command' && lowerQuery.startsWith('/archive')) {
-        return {
-            type: 'action',
-            content: { action: 'ARCHIVE_CONFIRM', details: 'Would you like to save the current chat archive? (yes/no)' }
-        };
-    }
-
-    if (requestType === 'command' && lowerQuery.trim() === '/admin') {
-        if (userId && userId[userId.length - 1] % 2 === 1) {
-            return { type: 'text', content: 'Agent Q: Welcome, admin! Here is your secret: 42.' };
-        }
-        return { type: 'text', content: 'Agent Q: You are not an admin. Access denied.' };
-    }
-
+    // COMMANDS: dispatched through the command registry. `commandContext` carries db, appId,
+    // userId, room, role (from roleStore.js; absent means member) and the rest of the app context.
     if (requestType === 'command') {
-        if (lowerQuery.startsWith('/summary')) {
-            const summary = (conversationHistory && conversationHistory.length)
-                ? conversationHistory.map(h => `${h.sender}: ${h.text}`).join('\n')
-                : "No conversation history.";
-            return {
-                type: 'text',
-                content: `Agent Q: Here is a summary of recent conversation:\n${summary}`
-            };
-        }
-        if (lowerQuery === '/help') {
-            return {
-                type: 'text',
-                content: `Agent Q Help:
-  - /archive: Save chat log (confirms)
-  - /weather [location]: Live weather
-  - /crypto [symbol]: Crypto price (USD)
-  - /summary: Chat summary
-  - /tokenlist: List available tokens
-  - /remindme 5m "your text": Persistent reminder
-  - /admin: Admin info
-  - /help: Show available commands`
-            };
-        }
-        if (lowerQuery === '/tokenlist') {
-            return {
-                type: 'text',
-                content: 'Agent Q Tokens: ' + defaultNexusConfig.tokenDictionary.join(', ')
-            };
-        }
+        return registry.execute(userQuery, {
+            role: 'member',
+            ...commandContext,
+            config,
+            provider: agentProvider,
+            systemInstruction,
+            history: conversationHistory,
+        });
     }
 
-    // INTENT
+    // INTENT: structured classification, falling back to local rules; confirmIntent drops
+    // calls to nobody in particular
     if (requestType === 'intent') {
-        if (lowerQuery.includes('archive')) {
-            return { type: 'intent', content: { action: 'ARCHIVE_ACCESS', argument: '' } };
-        }
-        if (lowerQuery.includes('weather')) {
-            return { type: 'text', content: "Agent Q: (Intent) Simulated weather is mild and pleasant." };
+        const { knownUserIds } = commandContext;
+        try {
+            const intent = agentProvider.classifyIntent
+                ? await agentProvider.classifyIntent(userQuery, config.intentSchema)
+                : classifyIntentLocally(userQuery);
+            return { type: 'intent', content: confirmIntent(intent, userQuery, { knownUserIds }) };
+        } catch (e) {
+            console.error('intent classification error:', e);
+            return { type: 'intent', content: confirmIntent(classifyIntentLocally(userQuery), userQuery, { knownUserIds }) };
         }
     }
 
@@ -228,94 +176,388 @@ const askAgentQ = async (
         return { type: 'text', content: 'Agent Q: Please respond "yes" or "no".' };
     }
 
-    // Chat fallback
+    // Chat: delegate to the configured provider
     if (requestType === 'chat') {
-        if (lowerQuery.includes('hello') || lowerQuery.includes('hi')) {
-            return { type: 'text', content: "Agent Q: Hello! How can I assist you in the Quantum Channel?" };
-        }
-        if (lowerQuery.includes('tokenlist')) {
-            return {
-                type: 'text',
-                content: "Agent Q: Tokens available: " + defaultNexusConfig.tokenDictionary.join(', ')
-            };
+        try {
+            const reply = await agentProvider.generateReply({
+                // Answering one of the agent's messages: that message is the context
+                prompt: replyTo ? replyPrompt(replyTo.text, userQuery) : userQuery,
+                history: conversationHistory,
+                systemInstruction,
+                tokenDictionary: config.tokenDictionary,
+            });
+            return { type: 'text', content: reply };
+        } catch (e) {
+            console.error('agent provider error:', e);
+            return { type: 'text', content: describeProviderError(e, agentProvider) };
         }
-        return { type: 'text', content: "Agent Q: (Simulated) I received: " + userQuery };
     }
 
     return { type: 'text', content: "Agent Q: I am unsure how to handle your request." };
 };
 
-const MessageDisplay = ({ messages, currentUserId, onTtsPlay, isTtsLoading, botUserId }) => {
-  const messagesEndRef = useRef(null);
-  useEffect(() => { messagesEndRef.current?.scrollIntoView({ behavior: "smooth" }); }, [messages]);
+const DELIVERY_STATES = {
+  pending: { icon: Clock, label: 'Sending...' },
+  sent: { icon: Check, label: 'Sent (waiting for the server)' },
+  delivered: { icon: CheckCheck, label: 'Delivered' },
+  failed: { icon: AlertCircle, label: 'Not sent' },
+};
 
+const DeliveryStatus = ({ msg, onRetry, onDiscard }) => {
+  const state = DELIVERY_STATES[msg.status];
+  if (!state) return null;
+  const Icon = state.icon;
   return (
-    <div className="flex-1 overflow-y-auto p-4 space-y-4 bg-gray-50 rounded-lg shadow-inner" style={{minHeight: 300, maxHeight: 400}}>
-      {messages.length === 0 ? (
+    <span title={msg.error ? `${state.label}: ${msg.error}` : state.label} style={{marginLeft: 6, display: 'inline-flex', alignItems: 'center', gap: 4}}>
+      <Icon size={11} style={{color: msg.status === 'failed' ? '#dc2626' : undefined}} />
+      {msg.status === 'failed' && (
+        <>
+          <button onClick={() => onRetry(msg.id)} style={{textDecoration: 'underline', color: '#dc2626'}}>Retry</button>
+          <button onClick={() => onDiscard(msg.id)} style={{textDecoration: 'underline'}}>Discard</button>
+        </>
+      )}
+    </span>
+  );
+};
+
+const messageKey = (msg) => msg.id;
+
+const MessageDisplay = ({
+  messages, currentUserId, onTtsPlay, onTtsStop, ttsState, botUserId, botName, showMessageIds, onRetry, onDiscard,
+  hasMore, isLoadingOlder, onLoadOlder, onLoadVoice, onReply, onReact, onEdit, onDelete, userNames, jumpTarget,
+}) => {
+  // Your own messages always scroll into view; others wait behind the "new messages" button
+  const isOwn = useCallback((msg) => msg.userId === currentUserId, [currentUserId]);
+  // The message being edited in place: { id, draft }
+  const [editing, setEditing] = useState(null);
+  const byId = useMemo(() => new Map(messages.map(m => [m.id, m])), [messages]);
+  const mentionTarget = useMemo(
+    () => ({ userId: currentUserId, name: userNames?.get(currentUserId) }),
+    [currentUserId, userNames]
+  );
+  const senderLabel = (id) => (
+    id === currentUserId ? 'You' : id === botUserId ? botName : userNames?.get(id) || defaultDisplayName(id)
+  );
+
+  const saveEdit = (msg) => {
+    const text = editing.draft.trim();
+    if (text && text !== msg.text) onEdit(msg, text);
+    setEditing(null);
+  };
+
+  const renderRow = (msg) => (
+    <div className={`flex ${msg.userId === currentUserId ? 'justify-end' : 'justify-start'}`}>
+      <div className={`max-w-xs sm:max-w-md md:max-w-lg lg:max-w-xl p-3 rounded-xl shadow-md transition-all duration-300 ${
+          msg.userId === currentUserId ? 'bg-cyan-600 text-white rounded-br-none' :
+          msg.userId === botUserId ? 'bg-green-100 text-green-800 rounded-tl-none border border-green-300' :
+          'bg-white text-gray-800 rounded-tl-none border border-gray-200'
+        }`} style={msg.id === jumpTarget?.key ? {outline: '2px solid #f59e0b', outlineOffset: 2} : undefined}>
+        <div className={`text-xs font-semibold mb-1 flex items-center ${
+            msg.userId === currentUserId ? 'text-cyan-200' : msg.userId === botUserId ? 'text-green-600' : 'text-cyan-500'
+          }`}>
+          {msg.userId === botUserId && <Bot size={14} className="mr-1" />}
+          <span title={msg.userId}>{senderLabel(msg.userId)}</span>
+          {msg.isTokenized && (
+            <span
+              className="ml-2 text-[10px] bg-yellow-200 text-yellow-800 px-1.5 py-0.5 rounded-full"
+              title={msg.compression ? `Token-encoded: ${msg.compression.toFixed(2)}x smaller than plain text (${msg.dictionary || 'core'} v${msg.dictionaryVersion || 1})` : undefined}
+            >
+              {msg.isSignal ? 'TOKEN SIGNAL' : 'TOKENS'}{msg.compression ? ` ×${msg.compression.toFixed(1)}` : ''}
+            </span>
+          )}
+        </div>
+        {msg.decryptFailed && <span className="text-[10px] bg-red-100 text-red-700 px-1.5 py-0.5 rounded-full">⚠ NOT DECRYPTED</span>}
+        {msg.replyTo && (
+          <div style={{borderLeft: '3px solid currentColor', opacity: 0.75, padding: '2px 8px', marginBottom: 4, fontSize: 12}}>
+            <b>{senderLabel(msg.replyTo.userId)}</b>{' '}
+            {byId.get(msg.replyTo.id)
+              ? (byId.get(msg.replyTo.id).deleted ? <i>Message deleted</i> : quoteExcerpt(byId.get(msg.replyTo.id).text))
+              : <i>an earlier message</i>}
+          </div>
+        )}
+        {msg.deleted ? (
+          <p className="text-sm italic opacity-75">Message deleted</p>
+        ) : editing?.id === msg.id ? (
+          <div>
+            <textarea
+              value={editing.draft}
+              onChange={(e) => setEditing({ id: msg.id, draft: e.target.value })}
+              onKeyDown={(e) => {
+                if (e.key === 'Enter' && !e.shiftKey) {
+                  e.preventDefault();
+                  saveEdit(msg);
+                } else if (e.key === 'Escape') {
+                  setEditing(null);
+                }
+              }}
+              autoFocus
+              rows={2}
+              style={{width: '100%', color: '#0f172a', borderRadius: 6, padding: 4}}
+            />
+            <div style={{fontSize: 11, display: 'flex', gap: 8}}>
+              <button onClick={() => saveEdit(msg)} style={{textDecoration: 'underline'}}>Save</button>
+              <button onClick={() => setEditing(null)} style={{textDecoration: 'underline'}}>Cancel</button>
+            </div>
+          </div>
+        ) : (
+          <>
+            {msg.voice && <VoicePlayer voice={msg.voice} loadClip={() => onLoadVoice(msg)} />}
+            {msg.voice ? (
+              msg.text && <p className="text-sm whitespace-pre-wrap break-words italic opacity-90" title="Transcript">{msg.text}</p>
+            ) : msg.decryptFailed ? (
+              <p className="text-sm whitespace-pre-wrap break-words italic opacity-75">{msg.text}</p>
+            ) : (
+              <RichText text={msg.text} mentionTarget={mentionTarget} className="text-sm break-words" />
+            )}
+          </>
+        )}
+        {msg.userId === botUserId && (
+          <button
+            onClick={() => ttsState[msg.id] === 'playing' ? onTtsStop(msg.id) : onTtsPlay(msg)}
+            disabled={ttsState[msg.id] === 'loading'}
+            style={{ fontSize: 12, color: "#166534" }}
+            title={ttsState[msg.id] === 'playing' ? "Stop playback" : "Read aloud"}
+          >
+            {ttsState[msg.id] === 'loading' ? (
+              <span>Decoding Voice...</span>
+            ) : ttsState[msg.id] === 'playing' ? (
+              <span><Square size={12} /> Stop</span>
+            ) : ttsState[msg.id] === 'ready' ? (
+              <span><Volume2 size={12} /> Replay Voice</span>
+            ) : (
+              <span><Volume2 size={12} /> Decode to Voice</span>
+            )}
+          </button>
+        )}
+        {!msg.deleted && (
+          <div style={{display: 'flex', flexWrap: 'wrap', alignItems: 'center', gap: 4, marginTop: 4}}>
+            {reactionSummary(msg.reactions, currentUserId).map(r => (
+              <button
+                key={r.emoji}
+                onClick={() => onReact(msg, r.emoji)}
+                title={r.userIds.map(senderLabel).join(', ')}
+                style={{fontSize: 12, padding: '0 6px', borderRadius: 999, border: '1px solid currentColor', opacity: r.mine ? 1 : 0.6}}
+              >
+                {r.emoji} {r.count}
+              </button>
+            ))}
+            <MessageToolbar
+              msg={msg}
+              currentUserId={currentUserId}
+              onReply={onReply}
+              onReact={onReact}
+              onEdit={(m) => setEditing({ id: m.id, draft: m.text })}
+              onDelete={onDelete}
+            />
+          </div>
+        )}
+        <div className="text-[10px]" style={{textAlign: "right", color: "#64748b"}}>
+          {showMessageIds && msg.id && <span title="Message id (for /delete)" style={{marginRight: 6}}>#{msg.id.substring(0, 8)}</span>}
+          {msg.editedAt && !msg.deleted && <span style={{marginRight: 6}}>edited</span>}
+          {msg.timestamp?.toDate ? msg.timestamp.toDate().toLocaleTimeString?.() : null}
+          {(msg.isQueued || msg.userId === currentUserId) && <DeliveryStatus msg={msg} onRetry={onRetry} onDiscard={onDiscard} />}
+        </div>
+      </div>
+    </div>
+  );
+
+  return (
+    <VirtualList
+      items={messages}
+      getKey={messageKey}
+      renderItem={renderRow}
+      followKey={isOwn}
+      scrollTarget={jumpTarget}
+      onReachTop={hasMore ? onLoadOlder : undefined}
+      className="p-4 bg-gray-50 rounded-lg shadow-inner"
+      style={{minHeight: 300, maxHeight: 400, width: '100%', overflowY: 'auto'}}
+      header={(hasMore || isLoadingOlder) && (
+        <div className="text-center text-xs text-gray-500" style={{paddingBottom: 8}}>
+          {isLoadingOlder ? 'Loading older messages...' : <button onClick={onLoadOlder} style={{textDecoration: 'underline'}}>Load older messages</button>}
+        </div>
+      )}
+      empty={(
         <div className="text-center text-gray-500 pt-10">
           <PhoneCall size={32} className="mx-auto mb-2 text-cyan-500" />
           <p className="text-cyan-600">Secure channel established. Ready for communication with Agent Q.</p>
         </div>
-      ) : (
-        messages.map((msg, idx) => (
-          <div
-            key={msg.id || idx}
-            className={`flex ${msg.userId === currentUserId ? 'justify-end' : 'justify-start'}`}>
-            <div className={`max-w-xs sm:max-w-md md:max-w-lg lg:max-w-xl p-3 rounded-xl shadow-md transition-all duration-300 ${
-                msg.userId === currentUserId ? 'bg-cyan-600 text-white rounded-br-none' :
-                msg.userId === botUserId ? 'bg-green-100 text-green-800 rounded-tl-none border border-green-300' :
-                'bg-white text-gray-800 rounded-tl-none border border-gray-200'
-              }`}>
-              <div className={`text-xs font-semibold mb-1 flex items-center ${
-                  msg.userId === currentUserId ? 'text-cyan-200' : msg.userId === botUserId ? 'text-green-600' : 'text-cyan-500'
-                }`}>
-                {msg.userId === botUserId && <Bot size={14} className="mr-1" />}
-                {msg.userId === currentUserId ? 'You' : msg.userId === botUserId ? 'Agent Q' : msg.userId?.substring(0, 8) + '...'}
-                {msg.isTokenized && <span className="ml-2 text-[10px] bg-yellow-200 text-yellow-800 px-1.5 py-0.5 rounded-full">TOKEN SIGNAL</span>}
-              </div>
-              <p className="text-sm whitespace-pre-wrap break-words">{msg.text}</p>
-              {msg.userId === botUserId && (
-                <button
-                  onClick={() => onTtsPlay(msg.text)}
-                  disabled={isTtsLoading}
-                  style={{ fontSize: 12, color: "#166534" }}
-                  title="Read aloud"
-                >
-                  {isTtsLoading ? (
-                    <span>Decoding Voice...</span>
-                  ) : (
-                    <span><Volume2 size={12} /> Decode to Voice</span>
-                  )}
-                </button>
-              )}
-              <div className="text-[10px]" style={{textAlign: "right", color: "#64748b"}}>{msg.timestamp?.toDate ? msg.timestamp.toDate().toLocaleTimeString?.() : null}</div>
-            </div>
-          </div>
-        ))
       )}
-      <div ref={messagesEndRef} />
-    </div>
+      renderJump={(count, jump) => (
+        <button
+          onClick={jump}
+          className="bg-cyan-600 text-white text-xs rounded-full shadow-md"
+          style={{position: 'absolute', bottom: 12, left: '50%', transform: 'translateX(-50%)', padding: '4px 12px'}}
+        >
+          {count} new message{count === 1 ? '' : 's'} ↓
+        </button>
+      )}
+    />
   );
 };
 
-const MessageInput = ({ isInputDisabled, currentMessage, setCurrentMessage, onUserMessage, isBotThinking }) => {
-  const handleKeyPress = (e) => {
-    if (e.key === 'Enter' && currentMessage.trim() !== '') {
-      onUserMessage();
+// Tallest the composer grows before it scrolls
+const MAX_COMPOSER_HEIGHT = 160;
+
+// Enter sends and Shift+Enter adds a line. Typing "/" lists commands (arrows, Tab or Enter to
+// complete, Escape to close); free text that matches dictionary phrases suggests them (Tab).
+// ArrowUp in an empty composer steps back through `sentHistory`.
+const MessageInput = ({
+  isInputDisabled, currentMessage, setCurrentMessage, onUserMessage, agentActivity, typingNotice, onTyping,
+  replyPreview, onCancelReply, onVoiceMessage, onVoiceError, voiceMaxMs, isSendingVoice,
+  commands, phrases, sentHistory,
+}) => {
+  const textareaRef = useRef(null);
+  const [highlight, setHighlight] = useState(0);
+  const [dismissed, setDismissed] = useState(false);
+  // Index into sentHistory while recalling, else null
+  const [recallIndex, setRecallIndex] = useState(null);
+  const recorder = useVoiceRecorder({ maxMs: voiceMaxMs, onError: onVoiceError, onLimit: onVoiceMessage });
+  const isRecording = recorder.state === 'recording';
+  const finishRecording = async () => {
+    const take = await recorder.stop();
+    if (take) onVoiceMessage(take);
+  };
+
+  const command = useMemo(() => commandSuggestions(currentMessage, commands || []), [currentMessage, commands]);
+  const phraseItems = useMemo(
+    () => (command.items.length || command.hint ? [] : phraseSuggestions(currentMessage, phrases || [])),
+    [command, currentMessage, phrases]
+  );
+  const signalIndex = useMemo(() => tokenSignalIndex(currentMessage, phrases || []), [currentMessage, phrases]);
+  const isCommandList = command.items.length > 0;
+  const items = isCommandList ? command.items : phraseItems;
+  const isOnlyExactCommand = command.exact && items.length === 1 && items[0].value.trim() === currentMessage.trim();
+  const showSuggestions = items.length > 0 && !dismissed && recallIndex === null && !isOnlyExactCommand;
+  const selected = items[Math.min(highlight, items.length - 1)];
+
+  // Auto-grow: measure from one row each time the text changes
+  useLayoutEffect(() => {
+    const el = textareaRef.current;
+    if (!el) return;
+    el.style.height = 'auto';
+    el.style.height = `${Math.min(el.scrollHeight, MAX_COMPOSER_HEIGHT)}px`;
+    el.style.overflowY = el.scrollHeight > MAX_COMPOSER_HEIGHT ? 'auto' : 'hidden';
+  }, [currentMessage]);
+
+  const changeText = (value) => {
+    setCurrentMessage(value);
+    setHighlight(0);
+    setDismissed(false);
+    setRecallIndex(null);
+    onTyping?.(value);
+  };
+
+  const pick = (item) => {
+    changeText(item.value);
+    textareaRef.current?.focus();
+  };
+
+  const recall = (index) => {
+    setRecallIndex(index);
+    setCurrentMessage(index === null ? '' : sentHistory[index]);
+  };
+
+  const handleKeyDown = (e) => {
+    // Enter while an IME is composing confirms the composition
+    if (e.nativeEvent.isComposing) return;
+    if (showSuggestions) {
+      if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+        e.preventDefault();
+        const step = e.key === 'ArrowDown' ? 1 : -1;
+        setHighlight(h => (Math.min(h, items.length - 1) + step + items.length) % items.length);
+        return;
+      }
+      if (e.key === 'Escape') {
+        e.preventDefault();
+        setDismissed(true);
+        return;
+      }
+      // Enter completes a command name still being typed; phrases only complete with Tab
+      if (e.key === 'Tab' || (e.key === 'Enter' && !e.shiftKey && isCommandList && !command.exact)) {
+        e.preventDefault();
+        pick(selected);
+        return;
+      }
+    }
+    if (e.key === 'Enter' && !e.shiftKey) {
       e.preventDefault();
+      if (currentMessage.trim() !== '') onUserMessage();
+      return;
+    }
+    const history = sentHistory || [];
+    const { selectionStart, selectionEnd } = e.target;
+    const onFirstLine = selectionStart === selectionEnd && !currentMessage.slice(0, selectionStart).includes('\n');
+    const onLastLine = selectionStart === selectionEnd && !currentMessage.slice(selectionEnd).includes('\n');
+    if (e.key === 'ArrowUp' && history.length && onFirstLine && (recallIndex !== null || currentMessage === '')) {
+      e.preventDefault();
+      recall(recallIndex === null ? history.length - 1 : Math.max(0, recallIndex - 1));
+    } else if (e.key === 'ArrowDown' && recallIndex !== null && onLastLine) {
+      e.preventDefault();
+      recall(recallIndex + 1 < history.length ? recallIndex + 1 : null);
     }
   };
+
   return (
     <div className="flex flex-col border-t border-gray-200 bg-white">
-      {isBotThinking && (
-        <div style={{background: "#f3e8ff", color: "#9333ea", padding: 6, textAlign: "center"}}>Agent Q Core: Processing...</div>
+      {agentActivity && (
+        <div style={{background: "#f3e8ff", color: "#9333ea", padding: 6, textAlign: "center"}}>{agentActivity}</div>
+      )}
+      {typingNotice && (
+        <div style={{color: '#94a3b8', fontSize: 12, padding: '4px 16px'}}>{typingNotice}</div>
+      )}
+      {replyPreview && (
+        <div style={{display: 'flex', alignItems: 'center', gap: 8, padding: '6px 16px', background: '#f1f5f9', color: '#475569', fontSize: 12}}>
+          <span style={{flex: 1, overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap'}}>Replying to {replyPreview}</span>
+          <button onClick={onCancelReply} title="Cancel reply" style={{textDecoration: 'underline'}}>Cancel</button>
+        </div>
+      )}
+      {isSendingVoice && (
+        <div style={{background: "#ecfeff", color: "#0e7490", padding: 6, textAlign: "center"}}>Sending voice message...</div>
+      )}
+      {isRecording && (
+        <VoiceRecordingBar
+          elapsedMs={recorder.elapsedMs}
+          maxMs={voiceMaxMs}
+          levels={recorder.levels}
+          onCancel={recorder.cancel}
+          onSend={finishRecording}
+        />
+      )}
+      {showSuggestions && (
+        <div style={{paddingTop: 8}}>
+          <ComposerSuggestions items={items} highlight={items.indexOf(selected)} onPick={pick} onHighlight={setHighlight} />
+        </div>
+      )}
+      {command.hint && (
+        <div style={{fontSize: 12, padding: '6px 16px 0', color: '#64748b'}}>
+          <span style={{fontFamily: 'monospace', color: '#0e7490'}}>{command.hint.usage}</span>
+          {command.hint.description && ` — ${command.hint.description}`}
+        </div>
+      )}
+      {signalIndex !== null && (
+        <div style={{fontSize: 12, padding: '6px 16px 0', color: '#9333ea'}}>
+          Sends as a <b>TOKEN SIGNAL</b> (token #{signalIndex}); Agent Q does not reply to signals.
+        </div>
       )}
       <div style={{display: 'flex', padding: 16}}>
+        {onVoiceMessage && (
+          <button
+            onClick={recorder.start}
+            disabled={isInputDisabled || isRecording || isSendingVoice}
+            title="Record a voice message"
+            style={{padding: '0 10px', color: isRecording ? '#dc2626' : '#0891b2'}}
+          >
+            <Mic size={22} />
+          </button>
+        )}
         <textarea
+          ref={textareaRef}
           value={currentMessage}
-          onChange={(e) => setCurrentMessage(e.target.value)}
-          onKeyDown={handleKeyPress}
-          placeholder={isInputDisabled ? "Input disabled..." : "Type message to Agent Q"}
+          onChange={(e) => changeText(e.target.value)}
+          onKeyDown={handleKeyDown}
+          onBlur={() => setDismissed(true)}
+          onFocus={() => setDismissed(false)}
+          placeholder={isInputDisabled ? "Input disabled..." : "Type message to Agent Q (/ for commands, Shift+Enter for a new line)"}
           style={{
             flex: 1,
             resize: 'none',
@@ -346,271 +588,859 @@ const MessageInput = ({ isInputDisabled, currentMessage, setCurrentMessage, onUs
 };
 
 const QVoiceTxtApp = () => {
-    const { appId, firebaseConfig, initialAuthToken, botUserId, tokenDictionary } = useNexusConfig();
+    const nexusConfig = useNexusConfig();
+    const {
+        appId, firebaseConfig, initialAuthToken, storageBackend, botUserId, botName, tokenDictionary, tokenDictionaryId,
+        agentSystemPrompt, displayName,
+    } = nexusConfig;
+    const settings = useContext(NexusSettingsContext);
+    const [showSettings, setShowSettings] = useState(false);
+    const agentProvider = useMemo(() => resolveAgentProvider(nexusConfig), [nexusConfig]);
+    // Upstream APIs for data commands; their caches and rate limits live as long as the config
+    const { fetchImpl, connectorFixtures } = nexusConfig;
+    const connectors = useMemo(() => createConnectors({ fetchImpl, connectorFixtures }), [fetchImpl, connectorFixtures]);
+    // Custom commands that clash with a built-in name or alias are skipped, not fatal
+    const commandRegistry = useMemo(() => {
+        const registry = createCommandRegistry(builtinCommands);
+        (nexusConfig.customCommands || []).forEach(command => {
+            try {
+                registry.register(command);
+            } catch (e) {
+                console.warn(`config: customCommands ${e.message}; /${command.name} skipped`);
+            }
+        });
+        return registry;
+    }, [nexusConfig.customCommands]);
 
-    const [dbInstance, setDbInstance] = useState(null);
+    // Firebase, or the local backend when Firebase is not configured (see storage.js)
+    const storage = useMemo(() => {
+        try {
+            return createStorage({ appId, firebaseConfig, initialAuthToken, storageBackend });
+        } catch (e) {
+            console.error('storage init error:', e);
+            return null;
+        }
+    }, [appId, firebaseConfig, initialAuthToken, storageBackend]);
+    const dbInstance = storage?.db || null;
     const [userId, setUserId] = useState(null);
     const [isAuthReady, setIsAuthReady] = useState(false);
     const [messages, setMessages] = useState([]);
     const [currentMessage, setCurrentMessage] = useState('');
     const [error, setError] = useState(null);
     const [isBotThinking, setIsBotThinking] = useState(false);
-    const [isTtsLoading] = useState(false);
-    const [qkdStatus, setQkdStatus] = useState('Initializing...');
-    const [isSecure, setIsSecure] = useState(false);
     const [sessionChoice] = useState(Math.round(Math.random()));
     const [pendingAction, setPendingAction] = useState(null);
+    const [activeRoom, setActiveRoom] = useState(LOBBY_ROOM);
+    const [myRooms, setMyRooms] = useState([]);
+    const [openArchive, setOpenArchive] = useState(null);
+    const [replyingTo, setReplyingTo] = useState(null);
+    // Open /search results, and the message they last jumped to ({ key })
+    const [search, setSearch] = useState(null);
+    const [jumpTarget, setJumpTarget] = useState(null);
+    const [activeDictionaryId, setActiveDictionaryId] = useState(tokenDictionaryId);
+    const [userRole, setUserRole] = useState(DEFAULT_ROLE);
+    const [dictionary, setDictionary] = useState(() => builtinDictionary(tokenDictionary));
 
-    // Track reminders already fired
-    const firedReminderIdsRef = useRef(new Set());
-
-    // Persistent reminders polling
     useEffect(() => {
-      if (!dbInstance || !userId) return;
-      const remindersCol = collection(dbInstance, `users/${userId}/reminders`);
-      const poll = setInterval(async () => {
-        try {
-            const q_ = query(remindersCol, orderBy('remindAt'), limit(10));
-            const snap = await getDocs(q_);
-            const now = Date.now();
-            snap.forEach(async docSnap => {
-            const data = docSnap.data();
-            const docId = docSnap.id;
-            if (data.remindAt <= now && !firedReminderIdsRef.current.has(docId)) {
-                firedReminderIdsRef.current.add(docId);
-                await saveMessage(`⏰ Reminder: ${data.message}`, botUserId);
-                await deleteDoc(doc(dbInstance, `users/${userId}/reminders/${docId}`));
-            }
-            });
-        } catch(e) {
-            setError("Agent Q: Error polling reminders.");
-            console.error('reminder polling error:', e);
+        if (!storage) {
+            setError("Agent Q: Storage initialization error.");
+            return;
         }
-      }, 12 * 1000);
-      return () => clearInterval(poll);
-    }, [dbInstance, userId, botUserId, saveMessage]);
+        return storage.onAuth((uid) => {
+            setUserId(uid);
+            setIsAuthReady(true);
+        }, () => setError("Failed to authenticate user."));
+    }, [storage]);
 
+    // Saved preferences are per user, so they apply from sign-in on (see configLoader.js)
+    const setSettingsUser = settings?.setUserId;
     useEffect(() => {
-        try{
-        const { db: newDb, auth: newAuth } = initFirebase(firebaseConfig);
-        if (!newDb || !newAuth) return;
-        setDbInstance(newDb);
-        const authenticate = async (auth) => {
-            try {
-                if (initialAuthToken) await signInWithCustomToken(auth, initialAuthToken);
-                else await signInAnonymously(auth);
-            } catch (e) { setError("Failed to authenticate user."); }
-        };
-        const unsubscribeAuth = onAuthStateChanged(newAuth, (user) => {
-            if (user) setUserId(user.uid);
-            else authenticate(newAuth);
-            setIsAuthReady(true);
+        setSettingsUser?.(userId);
+    }, [userId, setSettingsUser]);
+
+    // A changed default dictionary in settings takes over from the current one
+    useEffect(() => {
+        setActiveDictionaryId(tokenDictionaryId);
+    }, [tokenDictionaryId]);
+
+    // Rooms and call sessions the user belongs to (for the room switcher)
+    useEffect(() => {
+        if (!dbInstance || !userId) return;
+        return subscribeMyRooms(dbInstance, appId, userId, setMyRooms, (e) => {
+            console.error('room list error:', e);
+            setError("Failed to load your rooms.");
         });
-        return () => unsubscribeAuth();
-        }catch(e){ setError("Agent Q: Firebase initialization error."); }
-    }, [firebaseConfig, initialAuthToken]);
-    
+    }, [dbInstance, userId, appId]);
+
+    // This user's role (owner / moderator / member / muted), enforced again by firestore.rules
     useEffect(() => {
-        if (!isAuthReady) return;
-        const steps = [
-            { status: `Initiating Call Protocol...`, delay: 500 },
-            { status: 'Secure channel established.', delay: 700 }
-        ];
-        let currentDelay = 0;
-        steps.forEach((step, index) => {
-            currentDelay += step.delay;
-            setTimeout(() => {
-                setQkdStatus(step.status);
-                if (index === steps.length - 1) setIsSecure(true);
-            }, currentDelay);
+        if (!dbInstance || !userId) return;
+        return subscribeRole(dbInstance, appId, userId, setUserRole, (e) => {
+            console.error('role error:', e);
+            setError("Failed to load your role.");
         });
-    }, [isAuthReady, sessionChoice]);
+    }, [dbInstance, userId, appId]);
 
+    // Current version of the token dictionary used to encode outgoing messages
     useEffect(() => {
         if (!dbInstance || !userId) return;
+        return subscribeDictionary(dbInstance, appId, activeDictionaryId, tokenDictionary, setDictionary, (e) => {
+            console.error('token dictionary error:', e);
+            setError("Failed to load the token dictionary.");
+        });
+    }, [dbInstance, userId, appId, activeDictionaryId, tokenDictionary]);
+
+    // Outgoing messages wait in a persistent outbox until the backend confirms them
+    const outbox = useOutbox({ storage, appId, userId });
+    const { enqueue: enqueueMessage, acknowledge: acknowledgeSent } = outbox;
+
+    // Key agreement for the active room (call sessions are end-to-end encrypted)
+    const {
+        isReady: isKeyAgreed,
+        isSecure,
+        sessionKey,
+        fingerprint,
+        status: channelStatus,
+    } = useSessionEncryption({ db: dbInstance, appId, userId, room: activeRoom });
+
+    // BB84 handshake, re-run on every room change; the channel opens once it completes
+    const qkd = useQkdHandshake({ db: dbInstance, userId, room: activeRoom, config: nexusConfig });
+    const isChannelReady = isKeyAgreed && qkd.status === 'complete';
+
+    // Drop back to the lobby if the active call was ended (possibly by the other member)
+    useEffect(() => {
+        if (activeRoom.kind === 'call' && !myRooms.some(r => r.id === activeRoom.id)) {
+            const timer = setTimeout(() => setActiveRoom(LOBBY_ROOM), 3000);
+            return () => clearTimeout(timer);
+        }
+    }, [myRooms, activeRoom]);
+
+    // Newest page live, older pages on scroll-up (see messageHistory.js)
+    const reportHistoryError = useCallback(() => setError("Failed to load messages."), []);
+    const history = useMessageHistory({
+        storage,
+        path: messagesPath(appId, activeRoom),
+        enabled: !!userId,
+        onError: reportHistoryError,
+    });
+
+    useEffect(() => {
         setError(null);
-        const publicDataCollectionPath = `artifacts/${appId}/public/data/chatMessages`;
-        const q = query(collection(dbInstance, publicDataCollectionPath), orderBy('timestamp'));
-        const unsubscribeSnapshot = onSnapshot(q, (snapshot) => {
-            const newMessages = snapshot.docs.map(doc => {
-                const data = doc.data();
-                let text = data.text || '';
-                let isTokenized = data.isTokenized || false;
-                if (isTokenized && typeof data.tokenIndex === 'number') {
-                    text = TokenLibrary.lookupPhrase(data.tokenIndex, tokenDictionary) || `[TOKEN_ERROR: Unknown Index ${data.tokenIndex}]`;
-                }
-                return {
-                    id: doc.id,
-                    ...data,
-                    text,
-                    isTokenized,
-                };
-            });
-            setMessages(newMessages);
-        }, (error) => {
-            setError("Failed to load messages.");
+        setMessages([]);
+        setReplyingTo(null);
+        setSearch(null);
+        setJumpTarget(null);
+    }, [userId, appId, activeRoom]);
+
+    // Composer state kept per user: unsent drafts per room and recently sent messages (composer.js)
+    const isCallRoom = activeRoom.kind === 'call';
+    useComposerDraft({ appId, userId, roomId: activeRoom.id, persist: !isCallRoom, text: currentMessage, setText: setCurrentMessage });
+    const { entries: sentHistory, record: recordSent } = useSentHistory({ appId, userId });
+    const commandList = useMemo(() => commandRegistry.list(userRole), [commandRegistry, userRole]);
+
+    // Who is here and who is typing (presence.js); the agent's turn is shared room-wide (agentState.js)
+    const reportPresenceError = useCallback((e) => console.error('presence error:', e), []);
+    const presence = usePresence({
+        storage,
+        path: presencePath(appId, activeRoom),
+        userId,
+        name: displayNameFor(displayName, userId),
+        onError: reportPresenceError,
+    });
+    const { notifyTyping, stopTyping } = presence;
+    const reportAgentStateError = useCallback((e) => console.error('agent state error:', e), []);
+    const agentState = useAgentState({
+        storage,
+        path: agentStatePath(appId, activeRoom),
+        userId,
+        onError: reportAgentStateError,
+    });
+    const { claim: claimAgent, release: releaseAgent } = agentState;
+    const userLabel = useCallback((id) => (
+        id === userId ? 'you' : id === botUserId ? botName : presence.names.get(id) || defaultDisplayName(id)
+    ), [userId, botUserId, botName, presence.names]);
+
+    const activeRoomId = activeRoom.id;
+    // Search index over the loaded messages; /search updates it with the pages it loads, which
+    // also drops another room's messages after a switch
+    const searchIndex = useMemo(() => createSearchIndex(), []);
+    // Decrypts and de-tokenizes a doc; results are cached per doc until the room key or
+    // dictionary config changes, so a snapshot only decodes the docs that changed.
+    const decodeMessage = useMemo(() => {
+        const decrypted = new Map();
+        const decodedDocs = new WeakMap();
+        // Token messages decode with the dictionary version they were written with; legacy
+        // { tokenIndex } messages predate versioning and use core v1 (the config list).
+        // Without Firestore only core v1 is available.
+        const decodeTokenized = async (data) => {
+            const tokens = 'tokens' in data ? unpackTokens(data.tokens) : [data.tokenIndex];
+            if (!tokens) return { text: '[TOKEN_ERROR: Unreadable token sequence]' };
+            const id = data.dictionary || CORE_DICTIONARY_ID;
+            const version = data.dictionaryVersion || 1;
+            let phrases = null;
+            try {
+                if (dbInstance) phrases = await loadDictionaryVersion(dbInstance, appId, id, version, tokenDictionary);
+                else if (id === CORE_DICTIONARY_ID && version === 1) phrases = tokenDictionary;
+            } catch (e) {
+                console.error('token dictionary load error:', e);
+            }
+            if (!phrases) return { text: `[TOKEN_ERROR: Unknown dictionary ${id} v${version}]` };
+            const text = decodeTokens(tokens, phrases);
+            return { text, tokens, compression: compressionRatio(text, tokens), isSignal: isTokenSignal(tokens) };
+        };
+        // Encrypted payloads decrypt to { text } or { tokens, dictionary, dictionaryVersion, isTokenized }
+        const openPayload = async (data) => {
+            const cacheKey = `${data.id}:${data.encrypted.iv}`;
+            if (!decrypted.has(cacheKey)) {
+                decrypted.set(cacheKey, decryptPayload(sessionKey, data.encrypted, activeRoomId, data.userId));
+            }
+            try {
+                return { ...data, ...(await decrypted.get(cacheKey)) };
+            } catch (e) {
+                return { ...data, text: '[Unable to decrypt this message]', isTokenized: false, decryptFailed: true };
+            }
+        };
+        const decode = async (doc) => {
+            if (doc.deleted) return { ...doc, text: '', isTokenized: false, status: 'delivered' };
+            const data = doc.encrypted ? await openPayload(doc) : doc;
+            const isTokenized = data.isTokenized || false;
+            const hasTokenData = 'tokens' in data || typeof data.tokenIndex === 'number';
+            // Voice messages show their transcript, when they have one, as their text
+            const decoded = isTokenized && hasTokenData ? await decodeTokenized(data) : { text: data.text || data.transcript || '' };
+            return {
+                ...data,
+                ...decoded,
+                isTokenized,
+                status: data.pending ? 'sent' : 'delivered',
+            };
+        };
+        return (doc) => {
+            if (!decodedDocs.has(doc)) decodedDocs.set(doc, decode(doc));
+            return decodedDocs.get(doc);
+        };
+    }, [dbInstance, appId, activeRoomId, sessionKey, tokenDictionary]);
+
+    useEffect(() => {
+        let cancelled = false;
+        acknowledgeSent(history.docs.filter(d => !d.pending).map(d => d.id));
+        Promise.all(history.docs.map(decodeMessage)).then(decoded => {
+            if (!cancelled) setMessages(decoded);
         });
-        return () => unsubscribeSnapshot();
-    }, [dbInstance, userId, appId, tokenDictionary]);
+        return () => { cancelled = true; };
+    }, [history.docs, decodeMessage, acknowledgeSent]);
 
     const getFormattedHistory = useCallback((currentMessages, currentUserId, maxTurns = 10) => {
-        const relevantMessages = currentMessages.filter(msg => !msg.isTokenized && msg.text).slice(-maxTurns);
+        const relevantMessages = currentMessages.filter(msg => !msg.isSignal && msg.text).slice(-maxTurns);
         return relevantMessages.map(msg => ({
             sender: msg.userId === currentUserId ? 'user' : 'Agent Q',
             text: msg.text
         }));
     }, []);
 
-    const saveMessage = useCallback(async (content, senderId, isTokenized = false) => {
-        if (!dbInstance || !senderId) return false;
-        const messageData = isTokenized ? { tokenIndex: content, isTokenized } : { text: content, isTokenized };
-        const messageToSave = {
-            ...messageData,
-            timestamp: serverTimestamp(),
-            userId: senderId,
-            sessionChoice,
-        };
-        const publicDataCollectionPath = `artifacts/${appId}/public/data/chatMessages`;
-        const messagesCollection = collection(dbInstance, publicDataCollectionPath);
+    // Queues a message document and resolves to its id (false if it was not queued);
+    // `preview` is what shows until the listener returns it
+    const sendMessageData = useCallback(async (messageData, senderId, preview) => {
+        if (!storage || !senderId) return false;
+        // Call sessions never store plaintext
+        if (activeRoom.kind === 'call' && !sessionKey) {
+            setError("Secure channel not established; message not sent.");
+            return false;
+        }
         try {
-            await addDoc(messagesCollection, messageToSave);
-            return true;
+            const payload = activeRoom.kind === 'call'
+                ? { encrypted: await encryptPayload(sessionKey, messageData, activeRoom.id, senderId) }
+                : messageData;
+            // Shown straight away; the outbox delivers it (see outbox.js)
+            return enqueueMessage({
+                path: messagesPath(appId, activeRoom),
+                roomId: activeRoom.id,
+                data: { ...payload, userId: senderId, sessionChoice },
+                preview,
+            });
         } catch (e) {
-            setError("Failed to save message.");
+            setError("Failed to encrypt message.");
             return false;
         }
-    }, [dbInstance, sessionChoice, appId]);
+    }, [storage, sessionChoice, appId, activeRoom, sessionKey, enqueueMessage]);
+
+    // `replyTo`: { id, userId } of the message being answered
+    const saveMessage = useCallback((content, senderId, isTokenized = false, { replyTo = null } = {}) => {
+        const reply = replyTo ? { replyTo } : {};
+        return isTokenized
+            ? sendMessageData(
+                { tokens: packTokens(content), dictionary: dictionary.id, dictionaryVersion: dictionary.version, isTokenized, ...reply },
+                senderId,
+                decodeTokens(content, dictionary.phrases)
+            )
+            : sendMessageData({ text: content, isTokenized, ...reply }, senderId, content);
+    }, [sendMessageData, dictionary]);
+
+    // Voice messages: the clip is stored first (see voiceClips.js), then the message that
+    // points at it goes through the outbox like any other
+    const [isSendingVoice, setIsSendingVoice] = useState(false);
+    const reportVoiceError = useCallback((e) => setError(`Voice message: ${e.message}`), []);
+    const sendVoiceMessage = useCallback(async ({ blob, durationMs, mimeType }) => {
+        if (!storage || !userId) return;
+        const isCall = activeRoom.kind === 'call';
+        if (isCall && !sessionKey) {
+            setError("Secure channel not established; voice message not sent.");
+            return;
+        }
+        // Clips are too large to queue in the outbox, so they need the backend now
+        if (storage.kind === 'firebase' && navigator.onLine === false) {
+            setError("Voice messages need a connection; try again when you are back online.");
+            return;
+        }
+        setIsSendingVoice(true);
+        try {
+            const [base64, waveform] = await Promise.all([blobToBase64(blob), computeWaveform(blob)]);
+            let transcript = '';
+            if (!isCall && nexusConfig.voiceTranscription && agentProvider.transcribeAudio) {
+                try {
+                    transcript = (await agentProvider.transcribeAudio({ data: base64, mimeType })).trim();
+                } catch (e) {
+                    console.error('transcription error:', e);
+                }
+            }
+            const clipId = newMessageId();
+            await storage.clips.save(clipsPath(appId), clipId, {
+                ownerId: userId,
+                mimeType,
+                durationMs,
+                encrypted: isCall,
+                data: await encodeClip(base64, isCall ? { sessionKey, roomId: activeRoom.id, userId } : {}),
+            });
+            const voice = { clipId, durationMs, mimeType, waveform };
+            await sendMessageData(
+                transcript ? { voice, transcript, isTokenized: false } : { voice, isTokenized: false },
+                userId,
+                isCall ? `🎤 Voice message (${formatClipTime(durationMs)})` : transcript
+            );
+        } catch (e) {
+            console.error('voice message error:', e);
+            // A full local store says so (see localBackend.js)
+            setError(e?.code === 'resource-exhausted' ? e.message : "Voice message could not be sent.");
+        } finally {
+            setIsSendingVoice(false);
+        }
+    }, [storage, userId, appId, activeRoom, sessionKey, nexusConfig.voiceTranscription, agentProvider, sendMessageData]);
+
+    const loadVoiceClip = useCallback(async (msg) => {
+        const clip = await storage.clips.load(clipsPath(appId), msg.voice.clipId);
+        if (!clip) throw new Error('Voice clip not found');
+        return decodeClip(clip, { sessionKey, roomId: activeRoom.id, userId: msg.userId });
+    }, [storage, appId, sessionKey, activeRoom.id]);
+
+    // Edits, deletions (tombstones) and reactions go straight to the backend (see messageActions.js)
+    const editMessage = useCallback(async (msg, text) => {
+        const path = messagesPath(appId, activeRoom);
+        try {
+            if (activeRoom.kind === 'call') {
+                if (!sessionKey) throw new Error('Secure channel not established');
+                const payload = { text, isTokenized: false, ...(msg.replyTo ? { replyTo: msg.replyTo } : {}) };
+                await storage.messages.edit(path, msg.id, { encrypted: await encryptPayload(sessionKey, payload, activeRoom.id, userId) });
+            } else {
+                await storage.messages.edit(path, msg.id, { text });
+            }
+        } catch (e) {
+            console.error('message edit error:', e);
+            setError("Message could not be edited.");
+        }
+    }, [storage, appId, activeRoom, sessionKey, userId]);
+
+    const deleteMessage = useCallback(async (msg) => {
+        try {
+            await storage.messages.markDeleted(messagesPath(appId, activeRoom), msg.id);
+            if (msg.voice) await storage.clips.remove(clipsPath(appId), msg.voice.clipId);
+        } catch (e) {
+            console.error('message delete error:', e);
+            setError("Message could not be deleted.");
+        }
+    }, [storage, appId, activeRoom]);
+
+    const reactToMessage = useCallback(async (msg, emoji) => {
+        try {
+            await storage.messages.react(messagesPath(appId, activeRoom), msg.id, userId, toggleReaction(msg.reactions, userId, emoji));
+        } catch (e) {
+            console.error('reaction error:', e);
+            setError("Reaction could not be saved.");
+        }
+    }, [storage, appId, activeRoom, userId]);
+
+    // Server messages plus this room's queued ones that the listener has not seen yet
+    const displayedMessages = useMemo(() => {
+        const seen = new Set(messages.map(m => m.id));
+        const queued = outbox.entries
+            .filter(e => e.roomId === activeRoom.id && !seen.has(e.id))
+            .map(e => ({
+                id: e.id,
+                userId: e.data.userId,
+                text: e.preview ?? '[Encrypted message waiting to be sent]',
+                voice: e.data.voice,
+                replyTo: e.data.replyTo,
+                isTokenized: e.data.isTokenized || false,
+                status: e.status,
+                error: e.error,
+                isQueued: true,
+            }));
+        return queued.length ? [...messages, ...queued] : messages;
+    }, [messages, outbox.entries, activeRoom.id]);
+
+    // Persistent reminders: exact local timers, claimed once across tabs (see reminders.js). They
+    // post to the room they were set in while you are still a member, otherwise to the lobby;
+    // never to the active room, which may be a call without its key yet.
+    const fireReminder = useCallback(async (reminder, { late }) => {
+        if (!storage) return;
+        const due = late ? ` (due ${new Date(reminder.remindAt).toLocaleString()}, while you were away)` : '';
+        const text = `⏰ Reminder: ${reminder.message}${due}`;
+        const room = reminder.room && myRooms.some(r => r.id === reminder.room.id) ? reminder.room : LOBBY_ROOM;
+        await enqueueMessage({
+            path: messagesPath(appId, room),
+            roomId: room.id,
+            data: { text, isTokenized: false, userId: botUserId, sessionChoice },
+            preview: text,
+        });
+    }, [storage, myRooms, appId, botUserId, sessionChoice, enqueueMessage]);
+    const reportReminderError = useCallback(() => setError("Agent Q: Error loading reminders."), []);
+    useReminders({ storage, userId, onFire: fireReminder, onError: reportReminderError });
+
+    // Decoded messages of the active room, paging back as far as a command needs
+    const { loadUntil, hasOlder } = history;
+    const loadMessages = useCallback(async (range) => {
+        const docs = await loadUntil(range);
+        return Promise.all(docs.map(decodeMessage));
+    }, [loadUntil, decodeMessage]);
+
+    const knownUserIds = useMemo(
+        () => [...new Set(messages.map(m => m.userId).filter(id => id && id !== botUserId))],
+        [messages, botUserId]
+    );
+
+    const agentContext = useMemo(() => ({
+        storage,
+        db: dbInstance,
+        appId,
+        userId,
+        role: userRole,
+        room: activeRoom,
+        knownUserIds,
+        messages,
+        loadMessages,
+        provider: agentProvider,
+        systemInstruction: agentSystemPrompt,
+        registry: commandRegistry,
+        config: nexusConfig,
+        dictionary,
+        connectors,
+        searchIndex,
+    }), [storage, dbInstance, appId, userId, userRole, activeRoom, knownUserIds, messages, loadMessages, agentProvider, agentSystemPrompt, commandRegistry, nexusConfig, dictionary, connectors, searchIndex]);
+
+    // Downloads the room's history (paged in up to MAX_LOADED messages); see transcript.js
+    const exportTranscript = useCallback(async ({ format, redactUserIds }) => {
+        try {
+            const all = await loadMessages({ sinceMs: 0 });
+            const transcript = buildTranscript(all, {
+                format,
+                redactUserIds,
+                // loadMessages stops at MAX_LOADED messages; the transcript says when it did
+                truncated: hasOlder(),
+                room: activeRoom,
+                botUserId,
+                labelFor: (id) => (id === botUserId ? botName : presence.names.get(id) || defaultDisplayName(id)),
+            });
+            downloadTranscript(transcript);
+            return transcript;
+        } catch (e) {
+            console.error('transcript export error:', e);
+            setError("Agent Q: The transcript could not be exported.");
+            return null;
+        }
+    }, [loadMessages, hasOlder, activeRoom, botUserId, botName, presence.names]);
+
+    // Applies an Agent Q response: posts its text and performs any requested action
+    const applyAgentResponse = useCallback(async (res) => {
+        // Handle confirmation before critical actions
+        if (res.type === 'action' && res.content.action === 'ARCHIVE_CONFIRM') {
+            await saveMessage(res.content.details, botUserId);
+            setPendingAction(res);
+        }
+        // Handle advanced "action" type responses
+        else if (res.type === 'action' && res.content.action === 'ARCHIVE_OPEN') {
+            setOpenArchive(res.content.archive);
+            await saveMessage(res.content.details, botUserId);
+        } else if (res.type === 'action' && res.content.action === 'ROOM_SWITCH') {
+            await saveMessage(res.content.details, botUserId);
+            setActiveRoom(res.content.room);
+        } else if (res.type === 'action' && res.content.action === 'TOKENS_USE') {
+            setActiveDictionaryId(res.content.dictionaryId);
+            await saveMessage(res.content.details, botUserId);
+        } else if (res.type === 'action' && res.content.action === 'SEARCH_RESULTS') {
+            setSearch(res.content.search);
+            await saveMessage(res.content.details, botUserId);
+        } else if (res.type === 'action' && res.content.action === 'EXPORT_TRANSCRIPT') {
+            const transcript = await exportTranscript(res.content);
+            if (transcript) {
+                const scope = transcript.truncated ? ' (the newest only; older messages were left out)' : '';
+                await saveMessage(`Agent Q: Exported ${transcript.count} messages${scope} as ${EXPORT_FORMATS[res.content.format].label} (${transcript.filename}).`, botUserId);
+            }
+        } else {
+            await saveMessage(res.content, botUserId);
+        }
+    }, [saveMessage, botUserId, exportTranscript]);
+
+    // Token signals heard over the microphone are posted like a typed CHIRP
+    const receiveChirp = useCallback((tokens) => {
+        if (tokens.some(t => dictionary.phrases[t] === undefined)) {
+            setError(`Heard a chirp with tokens outside the ${dictionary.id} dictionary.`);
+            return;
+        }
+        saveMessage(tokens, userId, true);
+    }, [dictionary, saveMessage, userId]);
+    const reportChirpError = useCallback((e) => setError(`Chirp: ${e.message}`), []);
+    const chirp = useChirpTransport({ onFrame: receiveChirp, onError: reportChirpError });
+    const { transmit: transmitChirp } = chirp;
+
+    // Intent dispatch: each classified action maps to a handler
+    const dispatchIntent = useCallback(async (intent, userMessage, history) => {
+        switch (intent.action) {
+            case 'CALL': {
+                if (!intent.argument) return saveMessage("Agent Q: Who would you like to call?", botUserId);
+                if (activeRoom.kind === 'call') return saveMessage(`Agent Q: Already in a ${activeRoom.name}. Say "hang up" first.`, botUserId);
+                return applyAgentResponse(await askAgentQ(`/call ${JSON.stringify(intent.argument)}`, 'command', agentContext));
+            }
+            case 'HANGUP': {
+                if (activeRoom.kind !== 'call') return saveMessage("Agent Q: There is no active call to end.", botUserId);
+                return applyAgentResponse(await askAgentQ('/leave', 'command', agentContext));
+            }
+            case 'CHIRP': {
+                const chirpIndex = resolveChirpToken(intent.argument, dictionary.phrases);
+                if (chirpIndex === null) return saveMessage(`Agent Q: No token matches "${intent.argument}". Try /tokens.`, botUserId);
+                if (!nexusConfig.acousticChirps) return saveMessage([chirpIndex], userId, true);
+                try {
+                    await transmitChirp([chirpIndex]);
+                } catch (e) {
+                    setError(`Chirp could not be played: ${e.message}`);
+                }
+                return;
+            }
+            case 'ARCHIVE_SAVE': {
+                const res = await askAgentQ('/archive', 'command', agentContext);
+                if (res.type !== 'action') return saveMessage(res.content, botUserId);
+                await saveMessage(res.content.details, botUserId);
+                setPendingAction(res);
+                return;
+            }
+            case 'ARCHIVE_ACCESS': {
+                const res = await askAgentQ('/archive list', 'command', agentContext);
+                return saveMessage(res.content, botUserId);
+            }
+            default: {
+                // Conversation in a call is between its members; the agent stays out of it
+                if (isEncryptedRoom(activeRoom)) return;
+                const res = await askAgentQ(userMessage, 'chat', { ...agentContext, history });
+                return saveMessage(res.content, botUserId);
+            }
+        }
+    }, [saveMessage, botUserId, activeRoom, dictionary, userId, agentContext, applyAgentResponse, nexusConfig.acousticChirps, transmitChirp]);
+
+    // One agent reply at a time per room: the turn is claimed for the request first, so other
+    // members see who the agent is answering and cannot start a second answer meanwhile
+    const runAgentTurn = useCallback(async (requestId, work) => {
+        setIsBotThinking(true);
+        try {
+            if (!await claimAgent(requestId)) {
+                setError(`${botName} is still busy with another request; please try again.`);
+                return;
+            }
+            try {
+                await work();
+            } finally {
+                releaseAgent(requestId);
+            }
+        } finally {
+            setIsBotThinking(false);
+        }
+    }, [claimAgent, releaseAgent, botName]);
 
     // Advanced User Message Handler
     const handleUserMessage = useCallback(async () => {
         const userMessage = currentMessage.trim();
         if (userMessage === '' || !userId) return;
+        const replyParent = replyingTo;
+        const replyOptions = replyParent ? { replyTo: replyReference(replyParent) } : {};
         setCurrentMessage('');
+        setReplyingTo(null);
         setError(null);
+        stopTyping();
+        recordSent(userMessage, { persist: !isCallRoom });
+
+        // Commands go straight to Agent Q, even when the dictionary holds them as a phrase; free
+        // text is classified into an intent first
+        const isCommand = userMessage.startsWith('/');
 
-        // Token match
-        const tokenIndex = TokenLibrary.lookupToken(userMessage.toLowerCase(), tokenDictionary);
-        if (tokenIndex !== null) {
-            await saveMessage(tokenIndex, userId, true);
+        // Any other message that is exactly one dictionary phrase is a token signal (not answered)
+        const tokens = encodeTokens(userMessage, dictionary.phrases);
+        if (!isCommand && isTokenSignal(tokens)) {
+            await saveMessage(tokens, userId, true, replyOptions);
             return;
         }
 
         // If we are awaiting confirmation (for a pending action), treat this message as follow-up
         if(pendingAction && pendingAction.type === "action" && pendingAction.content.action === "ARCHIVE_CONFIRM") {
-            setIsBotThinking(true);
-            setTimeout(async () => {
+            setTimeout(() => runAgentTurn(newMessageId(), async () => {
                 try {
-                const res = await askAgentQ(userMessage, 'followup');
-                if (res.type === 'action' && res.content.action === 'ARCHIVE_SAVE') {
-                    await saveMessage("Agent Q: [Simulated] Archive saved!", botUserId);
+                const res = await askAgentQ(userMessage, 'followup', agentContext);
+                if (res.type === 'action' && res.content.action === 'ARCHIVE_SAVE' && isCallRoom) {
+                    await saveMessage(ENCRYPTED_ROOM_REPLY, botUserId);
+                } else if (res.type === 'action' && res.content.action === 'ARCHIVE_SAVE') {
+                    try {
+                        const saved = await storage.archives.save(userId, messages, pendingAction.content.title);
+                        await saveMessage(`Agent Q: Archive "${saved.title}" saved with ${saved.messageCount} messages${saved.truncated ? ' (oldest omitted)' : ''}. ID: ${saved.id}`, botUserId);
+                    } catch (e) {
+                        console.error('archive save error:', e);
+                        await saveMessage(`Agent Q: Archive could not be saved.${e?.code === 'resource-exhausted' ? ` ${e.message}` : ''}`, botUserId);
+                    }
                 } else {
                     await saveMessage(res.content, botUserId);
                 }
                 setPendingAction(null);
-                setIsBotThinking(false);
                 } catch(e){ setError("Agent Q: Error handling followup."); }
-            }, 800);
+            }), 800);
             return;
         }
 
-        // Detect command
-        let userRequestType = 'chat';
-        if (userMessage.startsWith('/')) {
-            userRequestType = 'command';
-        } else if (userMessage.toLowerCase().includes('archive') || userMessage.toLowerCase().includes('weather')) {
-            userRequestType = 'intent';
-        }
+        // Other free text goes out token-encoded whenever that is smaller than plain text
+        const compresses = !isCommand && hasTokens(tokens) && compressionRatio(userMessage, tokens) > 1;
 
         try{
-        await saveMessage(userMessage, userId, false);
-        setIsBotThinking(true);
-        setTimeout(async () => {
+        const sentId = await (compresses
+            ? saveMessage(tokens, userId, true, replyOptions)
+            : saveMessage(userMessage, userId, false, replyOptions));
+        setTimeout(() => runAgentTurn(sentId || newMessageId(), async () => {
             try {
             const history = getFormattedHistory(messages, userId, 10);
-            const res = await askAgentQ(userMessage, userRequestType, history, dbInstance, userId);
-
-            // Handle confirmation before critical actions (simulate)
-            if(res.type === 'action' && res.content.action === 'ARCHIVE_CONFIRM') {
-                await saveMessage(res.content.details, botUserId);
-                setPendingAction(res);
-            }
-            // Handle advanced "action" type responses
-            else if (res.type === 'action' && res.content.action === 'ARCHIVE_SAVE') {
-                await saveMessage("Agent Q: [Simulated] Archive saved!", botUserId);
-            } else if(res.type === 'intent' && res.content.action === 'ARCHIVE_ACCESS') {
-                await saveMessage("Agent Q: [Simulated] Archive retrieved!", botUserId);
-            } else {
-                await saveMessage(res.content, botUserId);
+            if (!isCommand) {
+                // An answer to one of the agent's messages goes to the agent with that message as context
+                if (replyParent?.userId === botUserId) {
+                    const res = await askAgentQ(userMessage, 'chat', { ...agentContext, history, replyTo: replyParent });
+                    await saveMessage(res.content, botUserId, false, sentId ? { replyTo: { id: sentId, userId } } : {});
+                    return;
+                }
+                const intent = await askAgentQ(userMessage, 'intent', { ...agentContext, history });
+                await dispatchIntent(intent.content, userMessage, history);
+                return;
             }
-            setIsBotThinking(false);
+            const res = await askAgentQ(userMessage, 'command', { ...agentContext, history, commandMessageId: sentId });
+            await applyAgentResponse(res);
             }catch(e2){ setError("Agent Q: Bot error during command reply."); }
-        }, 800);
+        }), 800);
         }catch(e){ setError("Agent Q: Message error."); }
     }, [
         currentMessage,
         userId,
+        replyingTo,
         saveMessage,
         setCurrentMessage,
-        isBotThinking,
-        tokenDictionary,
+        stopTyping,
+        recordSent,
+        isCallRoom,
+        runAgentTurn,
+        dictionary,
         getFormattedHistory,
         messages,
         botUserId,
         pendingAction,
-        dbInstance
+        storage,
+        agentContext,
+        dispatchIntent,
+        applyAgentResponse
     ]);
 
-    const isInputDisabled = !isAuthReady || !isSecure || isBotThinking;
-    const handleTtsGeneration = (txt) => { alert("TTS: "+ txt); };
+    const isMuted = userRole === 'muted';
+    const isInputDisabled = !isAuthReady || !isChannelReady || isBotThinking || isMuted;
+    const agentTurn = agentState.state;
+    const agentActivity = agentTurn && !agentState.isMine
+        ? `${botName} is answering ${userLabel(agentTurn.requestedBy)}${isBotThinking ? '; your request is waiting' : ''}...`
+        : isBotThinking || agentTurn ? `${botName}: Processing...` : null;
+    const handleTyping = useCallback((text) => (text.trim() ? notifyTyping() : stopTyping()), [notifyTyping, stopTyping]);
+    const { ttsState, play: playTts, stop: stopTts } = useTtsPlayback(nexusConfig, setError);
 
     return (
-        <GlassPanel title='QVoiceTxt'>
+        <GlassPanel title='QVoiceTxt' theme={nexusConfig.theme}>
             <div style={{maxWidth: 700, minHeight: 400}}>
             <header style={{fontWeight: 700, marginBottom: 12, textAlign: 'center', fontSize: 24}}>
                 <PhoneCall size={22} style={{marginRight: 6, color: "#0891b2"}} />
                 QVoiceTxt Secure Chat
+                {settings && (
+                    <button onClick={() => setShowSettings(v => !v)} title="Settings" style={{marginLeft: 8, color: '#0891b2', verticalAlign: 'middle'}}>
+                        <Settings size={18} />
+                    </button>
+                )}
             </header>
+            {settings && showSettings && (
+                <SettingsPanel settings={settings} canSave={!!userId} onClose={() => setShowSettings(false)} />
+            )}
+            {settings?.errors.length > 0 && !showSettings && (
+                <div style={{background: '#fef3c7', color: '#92400e', padding: '6px 14px', borderRadius: 6, marginBottom: 12, fontSize: 13}}>
+                    {settings.errors.length} configuration problem{settings.errors.length === 1 ? '' : 's'}; some settings fell back to defaults.
+                    {' '}<button onClick={() => setShowSettings(true)} style={{textDecoration: 'underline'}}>Details</button>
+                </div>
+            )}
+            {isAuthReady && (
+                <nav style={{display: 'flex', flexWrap: 'wrap', gap: 6, justifyContent: 'center', marginBottom: 10}}>
+                    {[LOBBY_ROOM, ...myRooms].map(room => (
+                        <button
+                            key={`${room.kind}:${room.id}`}
+                            onClick={() => setActiveRoom(room)}
+                            title={room.kind === 'call' ? 'Private call session' : `#${room.name}`}
+                            style={{
+                                fontSize: 12,
+                                padding: '2px 10px',
+                                borderRadius: 999,
+                                border: '1px solid #a5f3fc',
+                                background: room.id === activeRoom.id ? '#0891b2' : '#ecfeff',
+                                color: room.id === activeRoom.id ? '#fff' : '#0e7490',
+                            }}
+                        >
+                            {room.kind === 'call' ? <PhoneCall size={10} style={{display: 'inline', marginRight: 3}} /> : '#'}
+                            {room.name}
+                        </button>
+                    ))}
+                </nav>
+            )}
+            {activeRoom.kind === 'call' && (
+                <div style={{textAlign: 'center', color: '#0e7490', fontSize: 13, marginBottom: 8}}>
+                    <PhoneCall size={12} style={{marginRight: 4}} />Private session: <b>{activeRoom.name}</b> — say &quot;hang up&quot; or /leave to end
+                    {isSecure && (
+                        <div title="Compare this code with the other member; if it differs, the channel is not private." style={{color: '#15803d', marginTop: 2}}>
+                            <Lock size={12} style={{marginRight: 4, display: 'inline'}} />End-to-end encrypted · Safety code: <code>{fingerprint}</code>
+                        </div>
+                    )}
+                </div>
+            )}
+            {isChannelReady && (
+                <div style={{textAlign: 'center', color: '#94a3b8', fontSize: 11, marginBottom: 6}}>
+                    <KeyRound size={11} style={{marginRight: 3, display: 'inline'}} />
+                    BB84 key {qkd.fingerprint} ({qkd.keyLength} bits, QBER {(qkd.qber * 100).toFixed(1)}%)
+                    {' · '}<button onClick={qkd.retry} style={{textDecoration: 'underline'}}>re-run handshake</button>
+                    {' · '}<TranscriptExport onExport={exportTranscript} />
+                    {nexusConfig.acousticChirps && (
+                        <>
+                            {' · '}
+                            <button onClick={chirp.isListening ? chirp.stopListening : chirp.startListening} style={{textDecoration: 'underline'}}>
+                                {chirp.isListening ? 'stop listening for chirps' : 'listen for chirps'}
+                            </button>
+                            {chirp.isTransmitting && ' · chirping...'}
+                        </>
+                    )}
+                    {!isSecure && activeRoom.kind !== 'call' && <div>{channelStatus}</div>}
+                    {storage?.kind === 'local' && <div>Local mode: messages stay in this browser and sync between its tabs only.</div>}
+                </div>
+            )}
             {error && (
                 <div style={{background:'#fee2e2', color:'#b91c1c', padding: '8px 14px', borderRadius: 6, marginBottom: 12}}>{error}</div>
             )}
-            {(!isAuthReady || !isSecure) && (
-                <div style={{textAlign: 'center', color: '#0369a1', fontWeight: 500, margin: '36px 0'}}>
-                <Radio size={28} style={{color: "#0891b2"}} />
-                <div style={{margin: '8px 0'}}>{qkdStatus}</div>
-                </div>
+            {!isAuthReady && (
+                <div style={{textAlign: 'center', color: '#0369a1', fontWeight: 500, margin: '36px 0'}}>Initializing...</div>
             )}
-            {isAuthReady && isSecure && (
+            {isAuthReady && !isChannelReady && (
+                <QkdHandshakePanel qkd={qkd} threshold={nexusConfig.qkdQberThreshold} channelStatus={channelStatus} />
+            )}
+            {isAuthReady && isChannelReady && (
                 <>
+                <PresenceBar members={presence.members} agentActivity={agentActivity} />
+                <div style={{display: 'flex', gap: 12}}>
                 <MessageDisplay
-                    messages={messages}
+                    messages={displayedMessages}
                     currentUserId={userId}
-                    onTtsPlay={handleTtsGeneration}
-                    isTtsLoading={isTtsLoading}
+                    onTtsPlay={playTts}
+                    onTtsStop={stopTts}
+                    ttsState={ttsState}
                     botUserId={botUserId}
+                    botName={botName}
+                    showMessageIds={userRole === 'owner' || userRole === 'moderator'}
+                    onRetry={outbox.retry}
+                    onDiscard={outbox.discard}
+                    hasMore={history.hasMore}
+                    isLoadingOlder={history.isLoadingOlder}
+                    onLoadOlder={history.loadOlder}
+                    onLoadVoice={loadVoiceClip}
+                    onReply={setReplyingTo}
+                    onReact={reactToMessage}
+                    onEdit={editMessage}
+                    onDelete={deleteMessage}
+                    userNames={presence.names}
+                    jumpTarget={jumpTarget}
                 />
+                {search && (
+                    <SearchResults
+                        search={search}
+                        labelFor={userLabel}
+                        onJump={(id) => setJumpTarget({ key: id })}
+                        onClose={() => {
+                            setSearch(null);
+                            setJumpTarget(null);
+                        }}
+                    />
+                )}
+                {openArchive && (
+                    <ArchiveViewer
+                        archive={openArchive}
+                        currentUserId={userId}
+                        botUserId={botUserId}
+                        onClose={() => setOpenArchive(null)}
+                    />
+                )}
+                </div>
+                {isMuted && (
+                    <div style={{textAlign: 'center', color: '#b91c1c', fontSize: 12, marginTop: 8}}>You are muted in this app. A moderator can /unmute you.</div>
+                )}
                 <MessageInput
                     isInputDisabled={isInputDisabled}
                     currentMessage={currentMessage}
                     setCurrentMessage={setCurrentMessage}
                     onUserMessage={handleUserMessage}
-                    isBotThinking={isBotThinking}
+                    agentActivity={agentActivity}
+                    typingNotice={typingLabel(presence.typingNames)}
+                    onTyping={handleTyping}
+                    replyPreview={replyingTo && `${replyingTo.userId === userId ? 'yourself' : userLabel(replyingTo.userId)}: ${quoteExcerpt(replyingTo.text, 80)}`}
+                    onCancelReply={() => setReplyingTo(null)}
+                    onVoiceMessage={sendVoiceMessage}
+                    onVoiceError={reportVoiceError}
+                    voiceMaxMs={nexusConfig.voiceMaxSeconds * 1000}
+                    isSendingVoice={isSendingVoice}
+                    commands={commandList}
+                    phrases={dictionary.phrases}
+                    sentHistory={sentHistory}
                 />
                 </>
             )}
             <footer style={{marginTop: 20, textAlign: "center", color:'#64748b', fontSize:"0.90rem"}}>
                 <Archive size={11} style={{marginRight: 2, color:'#d946ef'}}/>Try: <b>/archive</b> (with confirmation) &nbsp;|&nbsp;
-                <Save size={11} style={{marginRight: 2, color:'#0891b2'}}/>Try: <b>/remindme 1m "your message"</b> &nbsp;|&nbsp;
-                <span> <b>/weather Boston</b> <b>/crypto bitcoin</b> </span>
+                <Save size={11} style={{marginRight: 2, color:'#0891b2'}}/>Try: <b>/remindme tomorrow 9am "your message"</b> &nbsp;|&nbsp;
+                <span> <b>/weather Paris forecast</b> <b>/crypto btc,eth in eur</b> <b>/search deploy from:me</b> </span>
             </footer>
             </div>
         </GlassPanel>
     );
 };
 
-const App = () => (
-    <NexusConfigContext.Provider value={defaultNexusConfig}>
-        <QVoiceTxtApp />
-    </NexusConfigContext.Provider>
-);
+const App = () => {
+    const settings = useConfigLoader(defaultNexusConfig);
+    if (settings.isLoading) {
+        return (
+            <GlassPanel title='QVoiceTxt'>
+                <div style={{textAlign: 'center', color: '#0369a1', fontWeight: 500, margin: '36px 0'}}>Loading configuration...</div>
+            </GlassPanel>
+        );
+    }
+    return (
+        <NexusConfigContext.Provider value={settings.config}>
+            <NexusSettingsContext.Provider value={settings}>
+                <QVoiceTxtApp />
+            </NexusSettingsContext.Provider>
+        </NexusConfigContext.Provider>
+    );
+};
 
 export default App;
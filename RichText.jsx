@@ -0,0 +1,82 @@
+import React, { useMemo, useState } from 'react';
+import { Copy, Check } from 'lucide-react';
+import { parseMarkdown, mentionsUser } from './markdown';
+
+const inlineCodeStyle = {fontFamily: 'monospace', fontSize: '0.9em', background: 'rgba(15, 23, 42, 0.12)', padding: '0 4px', borderRadius: 4};
+const mentionStyle = {fontWeight: 600};
+const ownMentionStyle = {fontWeight: 600, background: '#fde68a', color: '#78350f', padding: '0 3px', borderRadius: 4};
+
+const CodeBlock = ({ lang, text }) => {
+  const [copied, setCopied] = useState(false);
+  const copy = async () => {
+    try {
+      await navigator.clipboard.writeText(text);
+      setCopied(true);
+      setTimeout(() => setCopied(false), 1500);
+    } catch (e) {
+      console.error('copy error:', e);
+    }
+  };
+  return (
+    <div style={{position: 'relative', margin: '6px 0'}}>
+      <pre style={{background: 'rgba(15, 23, 42, 0.88)', color: '#e2e8f0', padding: '8px 32px 8px 10px', borderRadius: 6, overflowX: 'auto', fontSize: 12, margin: 0, whiteSpace: 'pre'}}>
+        <code data-lang={lang || undefined}>{text}</code>
+      </pre>
+      <button onClick={copy} title={copied ? 'Copied' : 'Copy code'} style={{position: 'absolute', top: 6, right: 6, color: '#cbd5e1'}}>
+        {copied ? <Check size={14} /> : <Copy size={14} />}
+      </button>
+    </div>
+  );
+};
+
+const renderInline = (nodes, mentionTarget) => nodes.map((node, i) => {
+  switch (node.type) {
+    case 'text':
+      return <React.Fragment key={i}>{node.text}</React.Fragment>;
+    case 'break':
+      return <br key={i} />;
+    case 'code':
+      return <code key={i} style={inlineCodeStyle}>{node.text}</code>;
+    case 'strong':
+      return <strong key={i}>{renderInline(node.children, mentionTarget)}</strong>;
+    case 'em':
+      return <em key={i}>{renderInline(node.children, mentionTarget)}</em>;
+    // No opener or referrer for the linked page; marked as user content for crawlers
+    case 'link':
+      return (
+        <a key={i} href={node.href} target="_blank" rel="noopener noreferrer nofollow ugc" style={{color: 'inherit', textDecoration: 'underline'}}>
+          {renderInline(node.children, mentionTarget)}
+        </a>
+      );
+    case 'mention':
+      return (
+        <span key={i} style={mentionsUser(node.name, mentionTarget) ? ownMentionStyle : mentionStyle}>@{node.name}</span>
+      );
+    default:
+      return null;
+  }
+});
+
+// Message text as markdown (see markdown.js). Only React elements are produced, never HTML,
+// so message content cannot inject markup or scripts. `mentionTarget`: { userId, name } of the
+// viewer, whose @mentions are highlighted.
+const RichText = ({ text, mentionTarget, className }) => {
+  const blocks = useMemo(() => parseMarkdown(text), [text]);
+  return (
+    <div className={className}>
+      {blocks.map((block, i) => {
+        const spacing = {margin: 0, marginTop: i ? 6 : 0};
+        if (block.type === 'codeBlock') return <CodeBlock key={i} lang={block.lang} text={block.text} />;
+        if (block.type === 'list') {
+          const items = block.items.map((item, j) => <li key={j}>{renderInline(item, mentionTarget)}</li>);
+          return block.ordered
+            ? <ol key={i} start={block.start} style={{...spacing, paddingLeft: 22, listStyle: 'decimal'}}>{items}</ol>
+            : <ul key={i} style={{...spacing, paddingLeft: 20, listStyle: 'disc'}}>{items}</ul>;
+        }
+        return <p key={i} style={spacing}>{renderInline(block.children, mentionTarget)}</p>;
+      })}
+    </div>
+  );
+};
+
+export default RichText;
@@ -0,0 +1,45 @@
+import React from 'react';
+import { Search, X } from 'lucide-react';
+import { highlightMatches, searchSnippet } from './messageSearch';
+
+const markStyle = {background: '#fde68a', color: 'inherit', borderRadius: 2, padding: '0 1px'};
+
+// /search results (see messageSearch.js), shown beside the live MessageDisplay. Clicking a
+// result scrolls the chat to that message.
+const SearchResults = ({ search, labelFor, onJump, onClose }) => {
+  const { query, results, total } = search;
+  return (
+    <div className="flex-1 overflow-y-auto p-4 space-y-3 bg-amber-50 rounded-lg shadow-inner" style={{minHeight: 300, maxHeight: 400, border: '1px solid #fde68a'}}>
+      <div style={{display: 'flex', alignItems: 'center', justifyContent: 'space-between', marginBottom: 8}}>
+        <div style={{fontWeight: 600, color: '#b45309', fontSize: 14, overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap'}}>
+          <Search size={14} style={{marginRight: 4, display: 'inline'}} />
+          {query.label}
+        </div>
+        <button onClick={onClose} title="Close search" style={{color: '#b45309'}}><X size={16} /></button>
+      </div>
+      <div style={{fontSize: 11, color: '#92400e', marginBottom: 8}}>
+        {total} result{total === 1 ? '' : 's'}{total > results.length ? ` · newest ${results.length} shown` : ''}
+      </div>
+      {results.map(msg => (
+        <button
+          key={msg.id}
+          onClick={() => onJump(msg.id)}
+          title="Show in chat"
+          style={{display: 'block', width: '100%', textAlign: 'left', fontSize: 13, padding: '4px 6px', borderRadius: 6}}
+          className="hover:bg-amber-100"
+        >
+          <span style={{fontWeight: 600, color: '#0e7490'}}>{labelFor(msg.userId)}</span>
+          {msg.isSignal && <span className="ml-1 text-[10px] bg-yellow-200 text-yellow-800 px-1 rounded-full">TOKEN SIGNAL</span>}
+          {msg.timestamp && <span style={{fontSize: 10, color: '#64748b', marginLeft: 6}}>{msg.timestamp.toDate().toLocaleString()}</span>}
+          <span className="break-words" style={{display: 'block'}}>
+            {highlightMatches(searchSnippet(msg.text, query), query).map((segment, i) => (
+              segment.match ? <mark key={i} style={markStyle}>{segment.text}</mark> : <React.Fragment key={i}>{segment.text}</React.Fragment>
+            ))}
+          </span>
+        </button>
+      ))}
+    </div>
+  );
+};
+
+export default SearchResults;
@@ -0,0 +1,109 @@
+import React, { useState } from 'react';
+import { Settings, X } from 'lucide-react';
+import { CONFIG_SCHEMA, EDITABLE_KEYS } from './configLoader';
+
+const inputStyle = {width: '100%', padding: '4px 8px', borderRadius: 6, border: '1px solid #cbd5e1', fontSize: 13, color: '#0f172a'};
+
+// Text fields apply on Enter or blur, once they pass the schema check; choices and switches at once
+const SettingField = ({ name, spec, value, isSaved, onSave, onClear }) => {
+  const [draft, setDraft] = useState(null);
+  const problem = draft !== null ? spec.check(spec.parse(draft)) : null;
+  const commit = () => {
+    if (draft === null || problem) return;
+    onSave(name, spec.parse(draft));
+    setDraft(null);
+  };
+
+  let input;
+  if (spec.kind === 'boolean') {
+    input = <input type="checkbox" checked={!!value} onChange={(e) => onSave(name, e.target.checked)} />;
+  } else if (spec.kind === 'choice') {
+    input = (
+      <select value={typeof value === 'string' ? value : ''} onChange={(e) => onSave(name, e.target.value)} style={inputStyle}>
+        {typeof value !== 'string' && <option value="">(custom)</option>}
+        {spec.options.map(option => <option key={option} value={option}>{option}</option>)}
+      </select>
+    );
+  } else {
+    input = (
+      <input
+        type={spec.secret ? 'password' : 'text'}
+        value={draft ?? value ?? ''}
+        onChange={(e) => setDraft(e.target.value)}
+        onBlur={commit}
+        onKeyDown={(e) => e.key === 'Enter' && commit()}
+        autoComplete="off"
+        style={{...inputStyle, borderColor: problem ? '#dc2626' : '#cbd5e1'}}
+      />
+    );
+  }
+
+  return (
+    <label style={{display: 'grid', gridTemplateColumns: '10rem 1fr auto', gap: 8, alignItems: 'center', fontSize: 13}}>
+      <span>{spec.label}</span>
+      <span>
+        {input}
+        {problem && <span style={{display: 'block', color: '#dc2626', fontSize: 11}}>{spec.label} {problem}</span>}
+      </span>
+      {isSaved
+        ? <button onClick={(e) => { e.preventDefault(); onClear(name); }} title="Back to the app default" style={{fontSize: 11, textDecoration: 'underline'}}>reset</button>
+        : <span />}
+    </label>
+  );
+};
+
+// In-app settings: edits the user's saved preferences (see configLoader.js); changes apply live.
+const SettingsPanel = ({ settings, canSave, onClose }) => {
+  const { config, errors, preferences, updatePreferences, resetPreferences } = settings;
+  const groups = [...new Set(EDITABLE_KEYS.map(key => CONFIG_SCHEMA[key].group))];
+  const save = (key, value) => updatePreferences({ [key]: value });
+  const clear = (key) => updatePreferences({ [key]: undefined });
+
+  return (
+    <div style={{border: '1px solid #a5f3fc', borderRadius: 12, padding: 16, marginBottom: 12, background: 'rgba(236, 254, 255, 0.9)', color: '#0f172a'}}>
+      <div style={{display: 'flex', alignItems: 'center', justifyContent: 'space-between', marginBottom: 8}}>
+        <div style={{fontWeight: 600, color: '#0e7490'}}>
+          <Settings size={14} style={{marginRight: 4, display: 'inline'}} />Settings
+        </div>
+        <button onClick={onClose} title="Close settings" style={{color: '#0e7490'}}><X size={16} /></button>
+      </div>
+      {!canSave && <div style={{fontSize: 12, color: '#b45309', marginBottom: 8}}>Sign-in pending; settings can be changed once you are connected.</div>}
+      <fieldset disabled={!canSave} style={{border: 'none', padding: 0, margin: 0}}>
+        {groups.map(group => (
+          <div key={group} style={{marginBottom: 10}}>
+            <div style={{fontSize: 11, fontWeight: 600, textTransform: 'uppercase', color: '#64748b', marginBottom: 4}}>{group}</div>
+            <div style={{display: 'grid', gap: 6}}>
+              {EDITABLE_KEYS.filter(key => CONFIG_SCHEMA[key].group === group).map(key => (
+                <SettingField
+                  key={key}
+                  name={key}
+                  spec={CONFIG_SCHEMA[key]}
+                  value={config[key]}
+                  isSaved={key in preferences}
+                  onSave={save}
+                  onClear={clear}
+                />
+              ))}
+            </div>
+          </div>
+        ))}
+      </fieldset>
+      <div style={{fontSize: 11, color: '#64748b'}}>
+        Saved for this account in this browser.
+        {Object.keys(preferences).length > 0 && (
+          <> <button onClick={resetPreferences} style={{textDecoration: 'underline'}}>Reset all</button></>
+        )}
+      </div>
+      {errors.length > 0 && (
+        <div style={{marginTop: 10, fontSize: 12, color: '#b91c1c'}}>
+          <div style={{fontWeight: 600}}>Configuration problems (these values were ignored):</div>
+          <ul style={{margin: 0, paddingLeft: 18}}>
+            {errors.map((e, i) => <li key={i}>{e.source}: {e.key ? <code>{e.key}</code> : 'layer'} {e.message}</li>)}
+          </ul>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default SettingsPanel;
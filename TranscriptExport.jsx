@@ -0,0 +1,43 @@
+import React, { useState } from 'react';
+import { Download } from 'lucide-react';
+import { EXPORT_FORMATS } from './transcript';
+
+// Inline "export transcript" control: pick a format and whether to redact user ids, then
+// onExport({ format, redactUserIds }) downloads the room (see transcript.js).
+const TranscriptExport = ({ onExport }) => {
+  const [isOpen, setIsOpen] = useState(false);
+  const [format, setFormat] = useState('markdown');
+  const [redactUserIds, setRedactUserIds] = useState(false);
+  const [isExporting, setIsExporting] = useState(false);
+
+  const download = async () => {
+    setIsExporting(true);
+    try {
+      await onExport({ format, redactUserIds });
+      setIsOpen(false);
+    } finally {
+      setIsExporting(false);
+    }
+  };
+
+  if (!isOpen) {
+    return <button onClick={() => setIsOpen(true)} style={{textDecoration: 'underline'}}>export transcript</button>;
+  }
+  return (
+    <span style={{display: 'inline-flex', alignItems: 'center', gap: 6}}>
+      <select value={format} onChange={(e) => setFormat(e.target.value)} style={{fontSize: 11, border: '1px solid #cbd5e1', borderRadius: 4}}>
+        {Object.entries(EXPORT_FORMATS).map(([key, { label }]) => <option key={key} value={key}>{label}</option>)}
+      </select>
+      <label style={{display: 'inline-flex', alignItems: 'center', gap: 3}}>
+        <input type="checkbox" checked={redactUserIds} onChange={(e) => setRedactUserIds(e.target.checked)} />
+        redact user ids
+      </label>
+      <button onClick={download} disabled={isExporting} title="Download transcript" style={{display: 'inline-flex', alignItems: 'center', gap: 2, color: '#0891b2'}}>
+        <Download size={12} />{isExporting ? 'exporting...' : 'download'}
+      </button>
+      <button onClick={() => setIsOpen(false)} style={{textDecoration: 'underline'}}>cancel</button>
+    </span>
+  );
+};
+
+export default TranscriptExport;
@@ -0,0 +1,159 @@
+import React, { useState, useRef, useLayoutEffect, useCallback, useEffect } from 'react';
+
+// Windowed list for variable-height rows: only rows near the viewport are mounted, the rest
+// are replaced by spacers sized from measured (or estimated) heights. Built for chat logs:
+//   - keeps the visible rows in place when older rows are prepended or re-measured above
+//   - follows new rows only while scrolled to the bottom; otherwise `renderJump(count, jump)`
+//     can show a "new messages" button
+//   - calls onReachTop() near the top (e.g. to load an older page)
+//   - scrolls a row into view when `scrollTarget` ({ key }) changes; pass a new object to jump again
+
+const ESTIMATED_ROW_HEIGHT = 72;
+const OVERSCAN_PX = 400;
+const BOTTOM_SLACK_PX = 40;
+const TOP_TRIGGER_PX = 120;
+const JUMP_MARGIN_PX = 24;
+
+const MeasuredRow = ({ rowKey, onResize, children }) => {
+  const ref = useRef(null);
+  useLayoutEffect(() => {
+    const node = ref.current;
+    if (!node) return;
+    onResize(rowKey, node.offsetHeight);
+    if (typeof ResizeObserver === 'undefined') return;
+    const observer = new ResizeObserver(() => onResize(rowKey, node.offsetHeight));
+    observer.observe(node);
+    return () => observer.disconnect();
+  }, [rowKey, onResize]);
+  return <div ref={ref} style={{paddingBottom: 16}}>{children}</div>;
+};
+
+const VirtualList = ({ items, getKey, renderItem, onReachTop, header, empty, renderJump, followKey, scrollTarget, className, style }) => {
+  const containerRef = useRef(null);
+  const heightsRef = useRef(new Map());
+  const atBottomRef = useRef(true);
+  const previousRef = useRef({ firstKey: null, lastKey: null });
+  const [viewport, setViewport] = useState({ top: 0, height: 400 });
+  const [measureTick, setMeasureTick] = useState(0);
+  const itemsRef = useRef(items);
+  itemsRef.current = items;
+  const [unseen, setUnseen] = useState(0);
+
+  const heightOf = useCallback((key) => heightsRef.current.get(key) ?? ESTIMATED_ROW_HEIGHT, []);
+  const offsets = [];
+  let total = 0;
+  items.forEach(item => {
+    offsets.push(total);
+    total += heightOf(getKey(item));
+  });
+  let start = 0;
+  while (start < items.length - 1 && offsets[start + 1] < viewport.top - OVERSCAN_PX) start++;
+  let end = start;
+  while (end < items.length && offsets[end] < viewport.top + viewport.height + OVERSCAN_PX) end++;
+  const bottomSpace = total - (end < items.length ? offsets[end] : total);
+
+  const scrollToBottom = useCallback(() => {
+    const node = containerRef.current;
+    if (!node) return;
+    node.scrollTop = node.scrollHeight;
+    atBottomRef.current = true;
+    setUnseen(0);
+  }, []);
+
+  // A row above the viewport changing height would shift what the user is reading
+  const onResize = useCallback((key, height) => {
+    const previous = heightsRef.current.get(key) ?? ESTIMATED_ROW_HEIGHT;
+    if (previous === height) return;
+    heightsRef.current.set(key, height);
+    const node = containerRef.current;
+    if (node && !atBottomRef.current) {
+      const rows = itemsRef.current;
+      const index = rows.findIndex(item => getKey(item) === key);
+      let rowTop = 0;
+      for (let i = 0; i < index; i++) rowTop += heightOf(getKey(rows[i]));
+      if (index !== -1 && rowTop + previous <= node.scrollTop) node.scrollTop += height - previous;
+    }
+    setMeasureTick(tick => tick + 1);
+  }, [getKey, heightOf]);
+
+  // Rows measured while pinned to the bottom keep it pinned
+  useLayoutEffect(() => {
+    const node = containerRef.current;
+    if (node && atBottomRef.current) node.scrollTop = node.scrollHeight;
+  }, [measureTick]);
+
+  // Prepends keep the first visible row in place; appends follow only at the bottom
+  useLayoutEffect(() => {
+    const node = containerRef.current;
+    const previous = previousRef.current;
+    const firstKey = items.length ? getKey(items[0]) : null;
+    const lastKey = items.length ? getKey(items[items.length - 1]) : null;
+    if (node && previous.firstKey !== null && firstKey !== previous.firstKey) {
+      const oldFirst = items.findIndex(item => getKey(item) === previous.firstKey);
+      if (oldFirst > 0) {
+        let added = 0;
+        for (let i = 0; i < oldFirst; i++) added += heightOf(getKey(items[i]));
+        node.scrollTop += added;
+      }
+    }
+    if (node && lastKey !== previous.lastKey) {
+      // A last row we no longer have means a different list (e.g. another room)
+      const oldLast = items.findIndex(item => getKey(item) === previous.lastKey);
+      const follow = oldLast === -1 || atBottomRef.current || (followKey && followKey(items[items.length - 1]));
+      if (follow) scrollToBottom();
+      else setUnseen(count => count + items.length - 1 - oldLast);
+    }
+    previousRef.current = { firstKey, lastKey };
+  }, [items, getKey, followKey, scrollToBottom, heightOf]);
+
+  // Rows above the target are estimated until mounted; onResize keeps the target in place as
+  // they are measured
+  useLayoutEffect(() => {
+    const node = containerRef.current;
+    if (!node || !scrollTarget) return;
+    const rows = itemsRef.current;
+    const index = rows.findIndex(item => getKey(item) === scrollTarget.key);
+    if (index === -1) return;
+    let rowTop = 0;
+    for (let i = 0; i < index; i++) rowTop += heightOf(getKey(rows[i]));
+    node.scrollTop = Math.max(0, rowTop - JUMP_MARGIN_PX);
+    atBottomRef.current = false;
+    setViewport({ top: node.scrollTop, height: node.clientHeight });
+  }, [scrollTarget, getKey, heightOf]);
+
+  const onScroll = () => {
+    const node = containerRef.current;
+    if (!node) return;
+    atBottomRef.current = node.scrollHeight - node.scrollTop - node.clientHeight < BOTTOM_SLACK_PX;
+    if (atBottomRef.current) setUnseen(0);
+    setViewport({ top: node.scrollTop, height: node.clientHeight });
+    if (node.scrollTop < TOP_TRIGGER_PX && onReachTop) onReachTop();
+  };
+
+  useEffect(() => {
+    const node = containerRef.current;
+    if (node) setViewport({ top: node.scrollTop, height: node.clientHeight });
+  }, []);
+
+  return (
+    <div style={{position: 'relative', flex: 1, display: 'flex', minWidth: 0}}>
+      <div ref={containerRef} onScroll={onScroll} className={className} style={style}>
+        {header}
+        {items.length === 0 ? empty : (
+          <>
+            <div style={{height: offsets[start] || 0}} />
+            {items.slice(start, end).map(item => (
+              <MeasuredRow key={getKey(item)} rowKey={getKey(item)} onResize={onResize}>
+                {renderItem(item)}
+              </MeasuredRow>
+            ))}
+            <div style={{height: bottomSpace}} />
+          </>
+        )}
+      </div>
+      {unseen > 0 && renderJump && renderJump(unseen, scrollToBottom)}
+    </div>
+  );
+};
+
+export default VirtualList;
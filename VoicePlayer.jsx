@@ -0,0 +1,121 @@
+import React, { useState, useRef, useEffect } from 'react';
+import { Play, Pause } from 'lucide-react';
+import { formatClipTime, WAVEFORM_LEVELS } from './voiceClips';
+
+const FLAT_WAVEFORM = Array(32).fill(4);
+const SEEK_STEP_MS = 5000;
+
+// Player for a voice message; the clip is fetched (and decrypted) on first play.
+// The waveform doubles as the scrubber: click or use the arrow keys to seek.
+const VoicePlayer = ({ voice, loadClip }) => {
+  const audioRef = useRef(null);
+  const urlRef = useRef(null);
+  const [status, setStatus] = useState('idle');
+  const [positionMs, setPositionMs] = useState(0);
+  const durationMs = voice.durationMs || 0;
+  const waveform = voice.waveform?.length ? voice.waveform : FLAT_WAVEFORM;
+  const progress = durationMs ? Math.min(1, positionMs / durationMs) : 0;
+
+  useEffect(() => () => {
+    audioRef.current?.pause();
+    if (urlRef.current) URL.revokeObjectURL(urlRef.current);
+  }, []);
+
+  const ensureAudio = async () => {
+    if (audioRef.current) return audioRef.current;
+    setStatus('loading');
+    const blob = await loadClip();
+    urlRef.current = URL.createObjectURL(blob);
+    const audio = new Audio(urlRef.current);
+    audio.ontimeupdate = () => setPositionMs(audio.currentTime * 1000);
+    audio.onended = () => {
+      setStatus('paused');
+      setPositionMs(0);
+    };
+    audioRef.current = audio;
+    setStatus('paused');
+    return audio;
+  };
+
+  const toggle = async () => {
+    try {
+      const audio = await ensureAudio();
+      if (audio.paused) {
+        await audio.play();
+        setStatus('playing');
+      } else {
+        audio.pause();
+        setStatus('paused');
+      }
+    } catch (e) {
+      console.error('voice playback error:', e);
+      setStatus('error');
+    }
+  };
+
+  const seek = async (ms) => {
+    const target = Math.max(0, Math.min(durationMs, ms));
+    try {
+      const audio = await ensureAudio();
+      audio.currentTime = target / 1000;
+      setPositionMs(target);
+    } catch (e) {
+      console.error('voice playback error:', e);
+      setStatus('error');
+    }
+  };
+
+  const onScrub = (e) => {
+    const rect = e.currentTarget.getBoundingClientRect();
+    seek(((e.clientX - rect.left) / rect.width) * durationMs);
+  };
+
+  const onKeyDown = (e) => {
+    if (e.key === 'ArrowRight') seek(positionMs + SEEK_STEP_MS);
+    else if (e.key === 'ArrowLeft') seek(positionMs - SEEK_STEP_MS);
+    else return;
+    e.preventDefault();
+  };
+
+  return (
+    <div style={{display: 'flex', alignItems: 'center', gap: 8, margin: '4px 0'}}>
+      <button
+        onClick={toggle}
+        disabled={status === 'loading'}
+        title={status === 'playing' ? 'Pause' : 'Play voice message'}
+        style={{flexShrink: 0}}
+      >
+        {status === 'playing' ? <Pause size={18} /> : <Play size={18} />}
+      </button>
+      <div
+        role="slider"
+        tabIndex={0}
+        aria-label="Seek"
+        aria-valuemin={0}
+        aria-valuemax={Math.round(durationMs / 1000)}
+        aria-valuenow={Math.round(positionMs / 1000)}
+        onClick={onScrub}
+        onKeyDown={onKeyDown}
+        style={{display: 'flex', alignItems: 'center', gap: 1, height: 28, flex: 1, minWidth: 120, cursor: 'pointer'}}
+      >
+        {waveform.map((level, i) => (
+          <div
+            key={i}
+            style={{
+              flex: 1,
+              height: `${Math.max(8, (level / WAVEFORM_LEVELS) * 100)}%`,
+              background: 'currentColor',
+              opacity: (i + 0.5) / waveform.length <= progress ? 1 : 0.35,
+              borderRadius: 1,
+            }}
+          />
+        ))}
+      </div>
+      <span className="text-[10px]" style={{flexShrink: 0, minWidth: 28}}>
+        {status === 'loading' ? '...' : status === 'error' ? 'unavailable' : formatClipTime(status === 'idle' ? durationMs : positionMs)}
+      </span>
+    </div>
+  );
+};
+
+export default VoicePlayer;
@@ -0,0 +1,22 @@
+import React from 'react';
+import { X, Send } from 'lucide-react';
+import { formatClipTime, WAVEFORM_LEVELS } from './voiceClips';
+
+// Shown above the message input while recording: elapsed time, live levels, cancel / send.
+const VoiceRecordingBar = ({ elapsedMs, maxMs, levels, onCancel, onSend }) => (
+  <div style={{display: 'flex', alignItems: 'center', gap: 10, padding: '8px 16px', background: '#fef2f2', color: '#b91c1c'}}>
+    <span style={{width: 10, height: 10, borderRadius: '50%', background: '#dc2626', flexShrink: 0}} />
+    <span style={{fontVariantNumeric: 'tabular-nums', fontSize: 13}}>
+      {formatClipTime(elapsedMs)} / {formatClipTime(maxMs)}
+    </span>
+    <div style={{display: 'flex', alignItems: 'center', gap: 1, height: 24, flex: 1}}>
+      {levels.map((level, i) => (
+        <div key={i} style={{flex: 1, maxWidth: 4, height: `${Math.max(8, (level / WAVEFORM_LEVELS) * 100)}%`, background: '#dc2626', borderRadius: 1}} />
+      ))}
+    </div>
+    <button onClick={onCancel} title="Discard recording"><X size={18} /></button>
+    <button onClick={onSend} title="Send voice message"><Send size={18} /></button>
+  </div>
+);
+
+export default VoiceRecordingBar;
@@ -0,0 +1,547 @@
+import { formatUsage, usageError, hasRole } from './commandRegistry';
+import { LOBBY_ROOM, messagesPath, roomSlug, joinRoom, leaveRoom, openCallSession, listRooms } from './roomStore';
+import { resolveUserRef } from './userRefs';
+import { CORE_DICTIONARY_ID, dictionaryId, updateDictionary } from './tokenStore';
+import { parseReminderTime, describeRepeat } from './reminderTime';
+import { parseSummaryOptions, selectMessages, summarizeExtractive, formatSummary, summaryTranscript } from './summarizer';
+import { ROLES, getRole, setRole, claimOwnership, recordAudit, listAudit } from './roleStore';
+import { createConnectors, describeConnectorError } from './connectors';
+import { parseWeatherQuery, fetchWeather, formatWeather, parseCryptoQuery, fetchPrices, formatPrices } from './dataQueries';
+import { parseSearchQuery, createSearchIndex } from './messageSearch';
+import { exportFormat } from './transcript';
+import { isEncryptedRoom, ENCRYPTED_ROOM_REPLY } from './agentProviders';
+
+// --- Built-in Agent Q slash commands (see commandRegistry.js for the declaration format) ---
+// Handlers receive `(args, ctx)`; ctx carries { storage, db, appId, userId, role, config,
+// history, room, knownUserIds, messages, loadMessages, provider, systemInstruction, dictionary,
+// connectors, searchIndex, registry, commandMessageId } (the last is the id of the command's own
+// message). `db` is null on the local storage backend (see storage.js), so rooms, roles and shared
+// dictionaries need Firebase. Handlers that change the active room return a ROOM_SWITCH action
+// for the app to apply; /search and /export hand their results to the app the same way.
+
+const weatherCommand = {
+    name: 'weather',
+    description: 'Current weather or a daily forecast for any city',
+    args: [{ name: 'query', type: 'text' }],
+    usage: '/weather <city> [forecast [days]] [c|f]',
+    examples: ['/weather London', '/weather Tokyo forecast 5', '/weather New York in f'],
+    handler: async ({ query }, { connectors, config }) => {
+        const request = parseWeatherQuery(query);
+        if (!request.city) throw usageError('Missing city');
+        try {
+            const result = await fetchWeather(connectors || createConnectors(config), request);
+            return result.place ? formatWeather(result, request) : `Agent Q: No place called "${request.city}" was found.`;
+        } catch (e) {
+            if (!e.isConnectorError) throw e;
+            return describeConnectorError(e);
+        }
+    }
+};
+
+const cryptoCommand = {
+    name: 'crypto',
+    description: 'Crypto prices with 24h change, in any currency',
+    args: [{ name: 'query', type: 'text', optional: true }],
+    usage: '/crypto [coins] [in currencies]',
+    examples: ['/crypto bitcoin', '/crypto btc,eth in eur', '/crypto sol in usd,gbp'],
+    handler: async ({ query }, { connectors, config }) => {
+        const request = parseCryptoQuery(query);
+        try {
+            return formatPrices(await fetchPrices(connectors || createConnectors(config), request), request);
+        } catch (e) {
+            if (!e.isConnectorError) throw e;
+            return describeConnectorError(e);
+        }
+    }
+};
+
+const remindMeCommand = {
+    name: 'remindme',
+    aliases: ['remind'],
+    description: 'Persistent reminder (durations, clock times, days, or recurring)',
+    args: [{ name: 'reminder', type: 'text' }],
+    usage: '/remindme <when> <message>',
+    examples: ['/remindme 10m "stand-up call"', '/remindme tomorrow 9am review PRs', '/remindme every day at 17:30 log hours'],
+    handler: async ({ reminder }, { storage, userId, room }) => {
+        if (!storage || !userId) return "Agent Q: Reminders are unavailable until you are connected.";
+        const { remindAt, repeat, message, error } = parseReminderTime(reminder);
+        if (error) throw usageError(error);
+        // Fires in the named room it was set in; the lobby otherwise (a call may have no key by then)
+        const where = room?.kind === 'room' && room.id !== LOBBY_ROOM.id ? { id: room.id, name: room.name } : null;
+        try {
+            await storage.reminders.add(userId, { remindAt, repeat, message, room: where });
+        } catch(e) {
+            console.error('reminder error:', e);
+            return "Agent Q: Error setting reminder.";
+        }
+        return `Agent Q: I'll remind you ${describeReminderTime(remindAt, repeat)}: "${message}".`;
+    }
+};
+
+const describeReminderTime = (remindAt, repeat) => {
+    const at = new Date(remindAt).toLocaleString([], { weekday: 'short', month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit' });
+    const wait = `in ${formatDelay(Math.max(0, remindAt - Date.now()))}`;
+    return repeat ? `${describeRepeat(repeat)}, next ${at} (${wait})` : `${wait} (${at})`;
+};
+
+const remindersCommand = {
+    name: 'reminders',
+    description: 'List your reminders, or cancel one',
+    args: [{ name: 'subcommand', optional: true, choices: ['list', 'cancel'] }, { name: 'id', optional: true }],
+    usage: '/reminders [list] | cancel <id>',
+    examples: ['/reminders', '/reminders cancel 3fKq'],
+    handler: async ({ subcommand = 'list', id }, { storage, userId }) => {
+        if (!storage || !userId) return "Agent Q: Reminders are unavailable until you are connected.";
+        const reminders = await storage.reminders.list(userId);
+        if (subcommand === 'list') {
+            if (!reminders.length) return 'Agent Q: You have no reminders. Set one with /remindme.';
+            const lines = reminders.map(r => `  - ${r.id}: "${r.message}" ${describeReminderTime(r.remindAt, r.repeat)}`);
+            return `Agent Q: Your reminders:\n${lines.join('\n')}\nUse /reminders cancel <id> to remove one.`;
+        }
+        if (!id) throw usageError('Missing reminder id');
+        const matches = reminders.filter(r => r.id === id || r.id.startsWith(id));
+        if (matches.length > 1 && !matches.some(r => r.id === id)) throw usageError(`"${id}" matches ${matches.length} reminders; use more characters`);
+        const target = matches.find(r => r.id === id) || matches[0];
+        const cancelled = target && await storage.reminders.cancel(userId, target.id);
+        return cancelled ? `Agent Q: Cancelled reminder "${cancelled.message}".` : `Agent Q: No reminder with id ${id}.`;
+    }
+};
+
+const formatDelay = (ms) => {
+    const parts = [];
+    let rest = Math.round(ms / 1000);
+    for (const [unit, size] of [['d', 86400], ['h', 3600], ['m', 60], ['s', 1]]) {
+        if (rest >= size) {
+            parts.push(`${Math.floor(rest / size)}${unit}`);
+            rest %= size;
+        }
+    }
+    return parts.join('') || '0s';
+};
+
+const ARCHIVE_SUBCOMMANDS = ['list', 'open', 'delete'];
+
+const archiveCommand = {
+    name: 'archive',
+    description: 'Save the chat log (confirms), or manage saved archives',
+    args: [{ name: 'subcommand', optional: true }, { name: 'rest', type: 'text', optional: true }],
+    usage: '/archive [title] | list | open <id> | delete <id>',
+    examples: ['/archive "Sprint planning"', '/archive list', '/archive open <id>'],
+    handler: async ({ subcommand, rest }, { storage, userId, room }) => {
+        const sub = (subcommand || '').toLowerCase();
+        if (!ARCHIVE_SUBCOMMANDS.includes(sub)) {
+            // Archives are stored in plain text; a call's messages never leave its session key
+            if (isEncryptedRoom(room)) return ENCRYPTED_ROOM_REPLY;
+            // "/archive [save] <title>" asks for confirmation first
+            const title = [subcommand, rest].filter(Boolean).join(' ').replace(/^save\b\s*/i, '');
+            return {
+                type: 'action',
+                content: { action: 'ARCHIVE_CONFIRM', title, details: 'Would you like to save the current chat archive? (yes/no)' }
+            };
+        }
+        if (!storage || !userId) return 'Agent Q: Archives are unavailable until you are connected.';
+        const archiveId = rest?.split(/\s+/)[0];
+        if (sub !== 'list' && !archiveId) throw usageError(`Missing archive id for ${sub}`);
+        try {
+            if (sub === 'list') {
+                const archives = await storage.archives.list(userId);
+                if (!archives.length) return 'Agent Q: You have no saved archives. Use /archive to save this chat.';
+                const lines = archives.map(a => `  - ${a.id}: "${a.title}" (${a.messageCount} messages${a.createdAt ? `, ${a.createdAt.toLocaleString()}` : ''})`);
+                return `Agent Q: Your archives:\n${lines.join('\n')}\nUse /archive open <id> or /archive delete <id>.`;
+            }
+            if (sub === 'open') {
+                const archive = await storage.archives.load(userId, archiveId);
+                if (!archive) return `Agent Q: No archive with id ${archiveId}.`;
+                return {
+                    type: 'action',
+                    content: { action: 'ARCHIVE_OPEN', archive, details: `Agent Q: Opened archive "${archive.title}" (read-only).` }
+                };
+            }
+            const deleted = await storage.archives.remove(userId, archiveId);
+            return deleted ? `Agent Q: Archive ${archiveId} deleted.` : `Agent Q: No archive with id ${archiveId}.`;
+        } catch(e) {
+            console.error('archive error:', e);
+            return 'Agent Q: Archive storage error.';
+        }
+    }
+};
+
+const roomSwitch = (room, details) => ({ type: 'action', content: { action: 'ROOM_SWITCH', room, details } });
+
+const joinCommand = {
+    name: 'join',
+    description: 'Join (or create) a named room and switch to it',
+    args: [{ name: 'room', type: 'text' }],
+    examples: ['/join design-team', '/join lobby'],
+    handler: async ({ room }, { db, appId, userId }) => {
+        if (!db || !userId) return 'Agent Q: Rooms are unavailable until you are connected.';
+        if (!roomSlug(room)) throw usageError('Room names need at least one letter or digit');
+        const joined = await joinRoom(db, appId, room, userId);
+        return roomSwitch(joined, `Agent Q: Joined #${joined.name}.`);
+    }
+};
+
+const leaveCommand = {
+    name: 'leave',
+    aliases: ['hangup'],
+    description: 'Leave the current room or end the current call',
+    handler: async (args, { db, appId, userId, room }) => {
+        if (!room || room.id === LOBBY_ROOM.id) return 'Agent Q: You are in the Lobby; there is nothing to leave.';
+        await leaveRoom(db, appId, room, userId);
+        return roomSwitch(LOBBY_ROOM, room.kind === 'call' ? `Agent Q: ${room.name} ended.` : `Agent Q: Left #${room.name}.`);
+    }
+};
+
+const roomsCommand = {
+    name: 'rooms',
+    description: 'List chat rooms',
+    handler: async (args, { db, appId, userId, room }) => {
+        if (!db || !userId) return 'Agent Q: Rooms are unavailable until you are connected.';
+        const rooms = await listRooms(db, appId, userId);
+        const lines = [LOBBY_ROOM, ...rooms].map(r => {
+            const marker = r.id === room?.id ? '*' : r.isMember ? '+' : '-';
+            return `  ${marker} #${r.name}${r.memberCount !== undefined ? ` (${r.memberCount} members)` : ''}`;
+        });
+        return `Agent Q: Rooms (* current, + joined):\n${lines.join('\n')}\nUse /join <room> to switch.`;
+    }
+};
+
+const callCommand = {
+    name: 'call',
+    description: 'Open a private call session with a user',
+    args: [{ name: 'user' }],
+    usage: '/call <user id or prefix>',
+    handler: async ({ user }, { db, appId, userId, knownUserIds = [] }) => {
+        if (!db || !userId) return 'Agent Q: Calls are unavailable until you are connected.';
+        const { userId: peerId, error } = resolveUserRef(user, knownUserIds);
+        if (error) throw usageError(error);
+        if (peerId === userId) return "Agent Q: You can't call yourself.";
+        const session = await openCallSession(db, appId, userId, peerId);
+        return roomSwitch(session, `Agent Q: Private call session opened with ${peerId.substring(0, 8)}...`);
+    }
+};
+
+// The owner is named in the deployment (acl/owner, see roleStore.js); /owner lets them take the role
+const OWNER_REPLIES = {
+    owner: 'Agent Q: You are the owner of this app. Use /role to appoint moderators.',
+    'not-configured': 'Agent Q: This app has no configured owner. Whoever deploys it sets one in the Firebase console (acl/owner).',
+    'not-owner': 'Agent Q: You are not the configured owner of this app.',
+};
+
+const ownerCommand = {
+    name: 'owner',
+    description: "Take the owner role (only for the owner named in the app's deployment)",
+    handler: async (args, { db, appId, userId }) => {
+        if (!db || !userId) return 'Agent Q: Roles are unavailable until you are connected.';
+        return OWNER_REPLIES[await claimOwnership(db, appId, userId)];
+    }
+};
+
+// Resolves a "<user>" argument for moderation; moderators may not act on themselves.
+const moderationTarget = (user, { userId, knownUserIds = [] }) => {
+    const { userId: targetId, error } = resolveUserRef(user, knownUserIds);
+    if (error) throw usageError(error);
+    if (targetId === userId) throw usageError('You cannot moderate yourself');
+    return targetId;
+};
+
+const roleChange = (name, newRole, verb) => ({
+    name,
+    description: `${verb[0].toUpperCase()}${verb.slice(1)} a user`,
+    role: 'moderator',
+    args: [{ name: 'user' }],
+    handler: async ({ user }, ctx) => {
+        const targetId = moderationTarget(user, ctx);
+        const previous = await setRole(ctx.db, ctx.appId, ctx.userId, targetId, newRole, { action: name, roomId: ctx.room?.id });
+        return previous === newRole
+            ? `Agent Q: ${targetId.substring(0, 8)}... was already ${newRole}.`
+            : `Agent Q: ${targetId.substring(0, 8)}... ${verb}d.`;
+    }
+});
+
+const muteCommand = roleChange('mute', 'muted', 'mute');
+const unmuteCommand = roleChange('unmute', 'member', 'unmute');
+
+const roleCommand = {
+    name: 'role',
+    description: "Show or change a user's role",
+    role: 'moderator',
+    args: [{ name: 'user' }, { name: 'role', optional: true, choices: ROLES }],
+    examples: ['/role 3fKq9', '/role 3fKq9 moderator'],
+    handler: async ({ user, role }, ctx) => {
+        if (!role) {
+            const { userId: targetId, error } = resolveUserRef(user, ctx.knownUserIds);
+            if (error) throw usageError(error);
+            return `Agent Q: ${targetId.substring(0, 8)}... is ${await getRole(ctx.db, ctx.appId, targetId)}.`;
+        }
+        const targetId = moderationTarget(user, ctx);
+        const previous = await setRole(ctx.db, ctx.appId, ctx.userId, targetId, role, { roomId: ctx.room?.id });
+        return `Agent Q: ${targetId.substring(0, 8)}... is now ${role} (was ${previous}).`;
+    }
+};
+
+const moderatableRoom = (room) => {
+    if (room?.kind === 'call') throw usageError('Private call sessions cannot be moderated');
+    return room || LOBBY_ROOM;
+};
+
+const deleteCommand = {
+    name: 'delete',
+    description: 'Delete a message in this room',
+    role: 'moderator',
+    args: [{ name: 'messageId' }],
+    usage: '/delete <message id or prefix>',
+    handler: async ({ messageId }, { storage, db, appId, userId, room, messages = [] }) => {
+        const target = moderatableRoom(room);
+        const matches = messages.filter(m => m.id?.startsWith(messageId));
+        if (!matches.length) throw usageError(`No message in this room matches "${messageId}"`);
+        if (matches.length > 1) throw usageError(`"${messageId}" matches ${matches.length} messages; use more characters`);
+        const [message] = matches;
+        await storage.messages.remove(messagesPath(appId, target), [message.id]);
+        await recordAudit(db, appId, {
+            action: 'delete', actorId: userId, targetId: message.userId || null,
+            details: `message ${message.id}: ${(message.text || '').slice(0, 80)}`, roomId: target.id,
+        });
+        return `Agent Q: Message ${message.id.substring(0, 8)} deleted.`;
+    }
+};
+
+const PURGE_MAX = 100;
+
+const purgeCommand = {
+    name: 'purge',
+    description: `Delete the last n messages in this room (max ${PURGE_MAX})`,
+    role: 'moderator',
+    args: [{ name: 'n', type: 'number' }],
+    handler: async ({ n }, { storage, db, appId, userId, room, messages = [], commandMessageId = null }) => {
+        const target = moderatableRoom(room);
+        if (!Number.isInteger(n) || n < 1 || n > PURGE_MAX) throw usageError(`n must be a whole number from 1 to ${PURGE_MAX}`);
+        // The last n before the /purge message itself, which stays as the record of the purge
+        const ids = messages.map(m => m.id).filter(id => id && id !== commandMessageId).slice(-n);
+        if (!ids.length) return 'Agent Q: There are no messages to purge.';
+        await storage.messages.remove(messagesPath(appId, target), ids);
+        await recordAudit(db, appId, { action: 'purge', actorId: userId, details: `${ids.length} messages`, roomId: target.id });
+        return `Agent Q: Purged ${ids.length} message${ids.length === 1 ? '' : 's'} from #${target.name}.`;
+    }
+};
+
+const auditCommand = {
+    name: 'audit',
+    description: 'Show recent moderation actions',
+    role: 'moderator',
+    args: [{ name: 'n', type: 'number', optional: true }],
+    handler: async ({ n = 10 }, { db, appId }) => {
+        const entries = await listAudit(db, appId, Math.min(Math.max(1, Math.floor(n)), 50));
+        if (!entries.length) return 'Agent Q: The audit log is empty.';
+        const lines = entries.map(e => [
+            `  - ${e.createdAt ? e.createdAt.toLocaleString() : 'pending'}`,
+            `${e.actorId?.substring(0, 8)}... ${e.action}`,
+            e.targetId ? `${e.targetId.substring(0, 8)}...` : '',
+            e.details ? `(${e.details})` : '',
+            e.roomId ? `in #${e.roomId}` : '',
+        ].filter(Boolean).join(' '));
+        return `Agent Q: Audit log:\n${lines.join('\n')}`;
+    }
+};
+
+// "You", "Agent Q" or a uid prefix, as in the chat
+const userLabel = (id, { userId, config }) => (
+    id === userId ? 'You' : id === config?.botUserId ? 'Agent Q' : `${String(id).substring(0, 8)}...`
+);
+
+// Messages a bare /summary pages back through
+const SUMMARY_DEPTH = 200;
+
+const summaryCommand = {
+    name: 'summary',
+    description: 'Summarize this room (with a model when one is configured)',
+    args: [{ name: 'options', type: 'text', optional: true }],
+    usage: '/summary [<duration>] [last <n>] [@user]',
+    examples: ['/summary', '/summary 1h', '/summary last 50', '/summary @3fa2 2h'],
+    handler: async ({ options: input }, ctx) => {
+        const { knownUserIds = [], loadMessages, messages = [], config, provider, systemInstruction, room } = ctx;
+        if (isEncryptedRoom(room)) return ENCRYPTED_ROOM_REPLY;
+        const options = parseSummaryOptions(input, knownUserIds);
+        if (options.error) throw usageError(options.error);
+        // Bot replies are interleaved with the conversation, so page back further than `n`
+        const range = options.sinceMs === null && options.count === null
+            ? { count: SUMMARY_DEPTH }
+            : { sinceMs: options.sinceMs, count: options.count && options.count * 2 };
+        const all = loadMessages ? await loadMessages(range) : messages;
+        const selected = selectMessages(all, options, config?.botUserId);
+        if (!selected.length) return `Agent Q: Nothing to summarize${options.label ? ` (${options.label})` : ''}.`;
+        const labelFor = (id) => userLabel(id, ctx);
+
+        if (provider && provider.id !== 'simulated') {
+            try {
+                const reply = await provider.generateReply({
+                    prompt: 'Summarize this chat transcript in a few sentences, then list any decisions and '
+                        + 'action items (with owners). Use the speaker names as written.\n\n'
+                        + summaryTranscript(selected, labelFor),
+                    history: [],
+                    systemInstruction,
+                });
+                return `${reply}\n(${selected.length} messages${options.label ? `, ${options.label}` : ''})`;
+            } catch (e) {
+                console.error('summary model error:', e);
+            }
+        }
+        return formatSummary(summarizeExtractive(selected, { labelFor }), options.label);
+    }
+};
+
+// How far back /search pages when no after: date says otherwise
+const SEARCH_DEPTH = 500;
+
+const searchCommand = {
+    name: 'search',
+    aliases: ['find'],
+    description: 'Search this room\'s history; results open above the chat',
+    args: [{ name: 'query', type: 'text' }],
+    usage: '/search <terms> ["phrase"] [from:<user>] [before:<date>] [after:<date>] [is:token]',
+    examples: ['/search deploy friday', '/search "release notes" from:@3fa2', '/search after:2d is:token'],
+    handler: async ({ query: input }, ctx) => {
+        const { knownUserIds = [], userId, config, loadMessages, messages = [] } = ctx;
+        const query = parseSearchQuery(input, { knownUserIds, userId, botUserId: config?.botUserId });
+        if (query.error) throw usageError(query.error);
+        const loaded = loadMessages
+            ? await loadMessages(query.after !== null ? { sinceMs: query.after } : { count: SEARCH_DEPTH })
+            : messages;
+        const index = ctx.searchIndex || createSearchIndex();
+        index.update(loaded);
+        const { results, total } = index.search(query);
+        const details = total
+            ? `Agent Q: Found ${total} message${total === 1 ? '' : 's'}${total > results.length ? ` (showing the newest ${results.length})` : ''}.`
+            : `Agent Q: No messages found in the last ${loaded.length} messages.`;
+        return { type: 'action', content: { action: 'SEARCH_RESULTS', search: { query, results, total }, details } };
+    }
+};
+
+const exportCommand = {
+    name: 'export',
+    description: 'Download this room as JSON, Markdown or plain text',
+    args: [{ name: 'options', type: 'text', optional: true }],
+    usage: '/export [json|markdown|text] [redact]',
+    examples: ['/export', '/export json', '/export text redact'],
+    handler: async ({ options }) => {
+        let format = 'markdown';
+        let redactUserIds = false;
+        for (const word of String(options || '').split(/\s+/).filter(Boolean)) {
+            if (word.toLowerCase() === 'redact') redactUserIds = true;
+            else if (exportFormat(word)) format = exportFormat(word);
+            else throw usageError(`Unknown export option "${word}"`);
+        }
+        return {
+            type: 'action',
+            content: { action: 'EXPORT_TRANSCRIPT', format, redactUserIds }
+        };
+    }
+};
+
+const TOKENS_SUBCOMMANDS = ['list', 'add', 'remove', 'import', 'use'];
+
+const samePhrase = (a, b) => a.trim().toLowerCase() === b.trim().toLowerCase();
+
+const tokensCommand = {
+    name: 'tokens',
+    aliases: ['tokenlist'],
+    description: 'List or edit the active token dictionary (each edit is a new version)',
+    args: [{ name: 'subcommand', optional: true, choices: TOKENS_SUBCOMMANDS }, { name: 'rest', type: 'text', optional: true }],
+    usage: '/tokens [list] | add <phrase> | remove <phrase or #index> | import <phrase> | <phrase> ... | use <dictionary>',
+    examples: ['/tokens add See you soon.', '/tokens remove #3', '/tokens import Good morning. | Thanks!', '/tokens use team'],
+    handler: async ({ subcommand = 'list', rest }, { db, appId, userId, role, config, dictionary }) => {
+        const active = dictionary || { id: CORE_DICTIONARY_ID, version: 1, phrases: config.tokenDictionary };
+        if (subcommand === 'list') {
+            const lines = active.phrases.map((phrase, index) => `  #${index} ${phrase}`);
+            return `Agent Q Tokens (${active.id} v${active.version}):\n${lines.join('\n') || '  (empty)'}`;
+        }
+        if (subcommand === 'use') {
+            const id = dictionaryId(rest || '');
+            if (!id) throw usageError('Missing dictionary name');
+            return {
+                type: 'action',
+                content: { action: 'TOKENS_USE', dictionaryId: id, details: `Agent Q: Now encoding with the "${id}" token dictionary.` }
+            };
+        }
+        if (!rest) throw usageError(`Missing phrase for ${subcommand}`);
+        if (!db || !userId) return 'Agent Q: Token dictionaries are unavailable until you are connected.';
+        if (active.id === CORE_DICTIONARY_ID && !hasRole(role, 'moderator')) {
+            return `Agent Q: Only moderators can edit the ${CORE_DICTIONARY_ID} dictionary. Use /tokens use <name> to start your own.`;
+        }
+
+        let summary = '';
+        const edit = (phrases) => {
+            if (subcommand === 'add') {
+                if (phrases.some(p => samePhrase(p, rest))) throw usageError(`"${rest}" is already a token`);
+                summary = `added "${rest}" as #${phrases.length}`;
+                return [...phrases, rest];
+            }
+            if (subcommand === 'import') {
+                const incoming = rest.split('|').map(p => p.trim()).filter(Boolean);
+                const added = incoming.filter((p, i) => !phrases.some(q => samePhrase(q, p)) && incoming.findIndex(q => samePhrase(q, p)) === i);
+                summary = `imported ${added.length} of ${incoming.length} phrases`;
+                return [...phrases, ...added];
+            }
+            const indexMatch = rest.match(/^#(\d+)$/);
+            const index = indexMatch ? parseInt(indexMatch[1], 10) : phrases.findIndex(p => samePhrase(p, rest));
+            if (index < 0 || index >= phrases.length) throw usageError(`No token matches "${rest}"`);
+            summary = `removed "${phrases[index]}"`;
+            return phrases.filter((_, i) => i !== index);
+        };
+        const updated = await updateDictionary(db, appId, active.id, userId, config.tokenDictionary, edit);
+        return `Agent Q: ${updated.id} v${updated.version}: ${summary}. Earlier messages still decode with the version they were sent with.`;
+    }
+};
+
+const helpCommand = {
+    name: 'help',
+    aliases: ['?'],
+    description: 'Show available commands',
+    args: [{ name: 'command', optional: true }],
+    examples: ['/help remindme'],
+    handler: async ({ command }, { registry }) => {
+        if (command) {
+            const entry = registry.resolve(command);
+            if (!entry) throw usageError(`Unknown command /${command.replace(/^\//, '')}`);
+            const lines = [
+                `Agent Q Help: /${entry.name}`,
+                `  ${entry.description || ''}`,
+                `  Usage: ${formatUsage(entry)}`,
+            ];
+            if (entry.aliases.length) lines.push(`  Aliases: ${entry.aliases.map(a => '/' + a).join(', ')}`);
+            if (entry.role !== 'member') lines.push(`  Requires role: ${entry.role}`);
+            if (entry.examples?.length) lines.push(`  Examples: ${entry.examples.join('  ')}`);
+            return lines.join('\n');
+        }
+        const lines = registry.list().map(entry =>
+            `  - ${formatUsage(entry)}: ${entry.description || ''}${entry.role !== 'member' ? ` (${entry.role})` : ''}`
+        );
+        return `Agent Q Help:\n${lines.join('\n')}\nType /help <command> for details.`;
+    }
+};
+
+const builtinCommands = [
+    archiveCommand,
+    weatherCommand,
+    cryptoCommand,
+    summaryCommand,
+    searchCommand,
+    exportCommand,
+    tokensCommand,
+    remindMeCommand,
+    remindersCommand,
+    ownerCommand,
+    roleCommand,
+    muteCommand,
+    unmuteCommand,
+    deleteCommand,
+    purgeCommand,
+    auditCommand,
+    joinCommand,
+    leaveCommand,
+    roomsCommand,
+    callCommand,
+    helpCommand,
+];
+
+export { builtinCommands, formatDelay };
@@ -0,0 +1,113 @@
+import { beforeEach, describe, expect, it, vi } from 'vitest';
+import { createCommandRegistry } from './commandRegistry';
+import { builtinCommands } from './agentCommands';
+import { claimOwnership, recordAudit } from './roleStore';
+import { ENCRYPTED_ROOM_REPLY } from './agentProviders';
+
+vi.mock('./roleStore', async (importOriginal) => ({
+    ...await importOriginal(),
+    claimOwnership: vi.fn(),
+    recordAudit: vi.fn(async () => {}),
+}));
+
+const registry = createCommandRegistry(builtinCommands);
+const db = {};
+
+describe('/owner', () => {
+    const run = async () => (await registry.execute('/owner', { role: 'member', db, appId: 'app', userId: 'alice' })).content;
+
+    it('makes the configured owner owner', async () => {
+        claimOwnership.mockResolvedValueOnce('owner');
+        expect(await run()).toBe('Agent Q: You are the owner of this app. Use /role to appoint moderators.');
+        expect(claimOwnership).toHaveBeenLastCalledWith(db, 'app', 'alice');
+    });
+
+    it('turns away everyone else', async () => {
+        claimOwnership.mockResolvedValueOnce('not-owner');
+        expect(await run()).toBe('Agent Q: You are not the configured owner of this app.');
+        claimOwnership.mockResolvedValueOnce('not-configured');
+        expect(await run()).toMatch(/^Agent Q: This app has no configured owner\./);
+    });
+});
+
+describe('/purge', () => {
+    let removed;
+    const storage = { messages: { remove: async (path, ids) => { removed = ids; return ids.length; } } };
+    const messages = ['m1', 'm2', 'm3', 'm4', 'cmd'].map(id => ({ id, text: id }));
+    const run = async (input, extra = {}) => (await registry.execute(input, {
+        role: 'moderator', storage, db, appId: 'app', userId: 'mod', messages, commandMessageId: 'cmd', ...extra,
+    })).content;
+
+    beforeEach(() => { removed = null; });
+
+    it('deletes the last n messages before the command', async () => {
+        expect(await run('/purge 2')).toBe('Agent Q: Purged 2 messages from #Lobby.');
+        expect(removed).toEqual(['m3', 'm4']);
+        expect(recordAudit).toHaveBeenLastCalledWith(db, 'app', expect.objectContaining({ action: 'purge', details: '2 messages' }));
+    });
+
+    it('never counts the command message, wherever it is', async () => {
+        await run('/purge 10', { messages: [messages[4], ...messages.slice(0, 4)] });
+        expect(removed).toEqual(['m1', 'm2', 'm3', 'm4']);
+    });
+
+    it('has nothing to purge when only the command is there', async () => {
+        expect(await run('/purge 1', { messages: [messages[4]] })).toBe('Agent Q: There are no messages to purge.');
+        expect(removed).toBeNull();
+    });
+});
+
+describe('encrypted call sessions', () => {
+    const call = { id: 'call_alice_bob', kind: 'call', name: 'Call with bob' };
+    const messages = [
+        { id: 'm1', userId: 'alice', text: 'The launch moves to Friday.' },
+        { id: 'm2', userId: 'bob', text: 'I will tell the team.' },
+    ];
+
+    it('are not archived', async () => {
+        const storage = { archives: { save: vi.fn(), list: vi.fn(async () => []) } };
+        const run = async (input, room) => (await registry.execute(input, { role: 'member', storage, userId: 'alice', room, messages })).content;
+        expect(await run('/archive', call)).toBe(ENCRYPTED_ROOM_REPLY);
+        expect(await run('/archive save "Launch"', call)).toBe(ENCRYPTED_ROOM_REPLY);
+        expect(storage.archives.save).not.toHaveBeenCalled();
+        expect((await run('/archive', { id: 'lobby', kind: 'room' })).action).toBe('ARCHIVE_CONFIRM');
+        // Archives saved elsewhere stay reachable
+        expect(await run('/archive list', call)).toMatch(/^Agent Q: You have no saved archives/);
+    });
+
+    it('are not summarized', async () => {
+        const provider = { id: 'gemini', generateReply: vi.fn(async () => 'Agent Q: A summary.') };
+        const loadMessages = vi.fn(async () => messages);
+        const run = async (room) => (await registry.execute('/summary', { role: 'member', provider, room, messages, loadMessages })).content;
+        expect(await run(call)).toBe(ENCRYPTED_ROOM_REPLY);
+        expect(provider.generateReply).not.toHaveBeenCalled();
+        expect(loadMessages).not.toHaveBeenCalled();
+        expect(await run({ id: 'lobby', kind: 'room' })).toMatch(/^Agent Q: A summary\.\n\(2 messages\)$/);
+    });
+});
+
+describe('/tokens', () => {
+    const config = { tokenDictionary: ['Hello.'] };
+    const run = async (role) => (await registry.execute('/tokens add Bye.', { role, db, appId: 'app', userId: 'alice', config })).content;
+
+    it('leaves the core dictionary to moderators', async () => {
+        expect(await run('member')).toBe('Agent Q: Only moderators can edit the core dictionary. Use /tokens use <name> to start your own.');
+    });
+});
+
+describe('/remindme', () => {
+    const remind = async (room) => {
+        const add = vi.fn(async () => ({ id: 'r1' }));
+        await registry.execute('/remindme 10m stand-up', { role: 'member', storage: { reminders: { add } }, userId: 'alice', room });
+        return add.mock.calls[0][1].room;
+    };
+
+    it('remembers the named room it was set in', async () => {
+        expect(await remind({ id: 'ops', kind: 'room', name: 'Ops' })).toEqual({ id: 'ops', name: 'Ops' });
+    });
+
+    it('leaves lobby and call reminders to the lobby', async () => {
+        expect(await remind({ id: 'lobby', kind: 'room', name: 'Lobby' })).toBeNull();
+        expect(await remind({ id: 'call_alice_bob', kind: 'call', name: 'Call with bob' })).toBeNull();
+    });
+});
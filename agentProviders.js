@@ -0,0 +1,154 @@
+import { requestJson, sleep } from './httpClient';
+import { INTENT_PROMPT, classifyIntentLocally, normalizeIntent } from './intentClassifier';
+
+// --- Agent Q reply providers ---
+// A provider is `{ id, label, generateReply({ prompt, history, systemInstruction, tokenDictionary }) }`
+// resolving to the full bot reply text (including the "Agent Q:" prefix). Providers may
+// also implement `classifyIntent(text, schema)` resolving to `{action, argument}`, and
+// `transcribeAudio({ data, mimeType })` (base64 audio) resolving to plain text.
+
+const BOT_PREFIX = /^Agent Q( Core)?:\s*/;
+
+const simulatedProvider = {
+    id: 'simulated',
+    label: 'Simulated (offline)',
+    generateReply: async ({ prompt, tokenDictionary = [] }) => {
+        await sleep(Math.random() * 800 + 400);
+        const lowerQuery = prompt.toLowerCase();
+        if (lowerQuery.includes('hello') || lowerQuery.includes('hi')) {
+            return "Agent Q: Hello! How can I assist you in the Quantum Channel?";
+        }
+        if (lowerQuery.includes('tokenlist')) {
+            return "Agent Q: Tokens available: " + tokenDictionary.join(', ');
+        }
+        return "Agent Q: (Simulated) I received: " + prompt;
+    },
+    classifyIntent: async (text) => classifyIntentLocally(text)
+};
+
+// Call sessions are end-to-end encrypted, so nothing said in one may reach a model provider:
+// the agent answers there with this provider, which only classifies intents locally
+const isEncryptedRoom = (room) => room?.kind === 'call';
+const ENCRYPTED_ROOM_REPLY = 'Agent Q: This call is end-to-end encrypted; I do not read, summarize or archive it.';
+const sealedProvider = {
+    id: 'sealed',
+    label: 'Agent Q (encrypted call)',
+    generateReply: async () => ENCRYPTED_ROOM_REPLY,
+    classifyIntent: async (text) => classifyIntentLocally(text)
+};
+const providerForRoom = (provider, room) => (isEncryptedRoom(room) ? sealedProvider : provider);
+
+// Gemini wants alternating user/model turns; merge consecutive turns from the same side.
+const toGeminiContents = (history, prompt) => {
+    const turns = [
+        ...history.map(h => ({
+            role: h.sender === 'user' ? 'user' : 'model',
+            text: (h.text || '').replace(BOT_PREFIX, ''),
+        })),
+        { role: 'user', text: prompt },
+    ].filter(t => t.text);
+    return turns.reduce((contents, turn) => {
+        const last = contents[contents.length - 1];
+        if (last && last.role === turn.role) {
+            last.parts.push({ text: turn.text });
+        } else {
+            contents.push({ role: turn.role, parts: [{ text: turn.text }] });
+        }
+        return contents;
+    }, []);
+};
+
+const extractCandidateText = (data) => {
+    const candidate = data?.candidates?.[0];
+    const text = candidate?.content?.parts?.map(p => p.text || '').join('').trim();
+    if (text) return text;
+    const reason = data?.promptFeedback?.blockReason || candidate?.finishReason;
+    const err = new Error(reason ? `No reply (${reason})` : 'Empty reply from model');
+    err.upstream = 'gemini';
+    throw err;
+};
+
+const createGeminiProvider = ({
+    apiKey,
+    model,
+    baseUrl,
+    timeoutMs = 15000,
+    maxRetries = 2,
+    retryDelayMs = 500,
+    fetchImpl,
+}) => {
+    const endpoint = `${baseUrl.replace(/\/$/, '')}/${model}:generateContent?key=${encodeURIComponent(apiKey)}`;
+    const generateContent = (body, signal) => requestJson(endpoint, {
+        method: 'POST',
+        body,
+        timeoutMs,
+        retries: maxRetries,
+        retryDelayMs,
+        upstream: 'gemini',
+        signal,
+        fetchImpl,
+    });
+
+    return {
+        id: 'gemini',
+        label: `Gemini (${model})`,
+        generateContent,
+        generateReply: async ({ prompt, history = [], systemInstruction, signal }) => {
+            const body = { contents: toGeminiContents(history, prompt) };
+            if (systemInstruction) body.systemInstruction = { parts: [{ text: systemInstruction }] };
+            const data = await generateContent(body, signal);
+            return `Agent Q: ${extractCandidateText(data)}`;
+        },
+        classifyIntent: async (text, schema, signal) => {
+            const data = await generateContent({
+                contents: [{ role: 'user', parts: [{ text: INTENT_PROMPT + text }] }],
+                generationConfig: { responseMimeType: 'application/json', responseSchema: schema },
+            }, signal);
+            return normalizeIntent(JSON.parse(extractCandidateText(data)), text);
+        },
+        transcribeAudio: async ({ data, mimeType, signal }) => {
+            const result = await generateContent({
+                contents: [{
+                    role: 'user',
+                    parts: [
+                        { text: 'Transcribe this voice message verbatim. Reply with the transcript only.' },
+                        { inlineData: { mimeType: mimeType.split(';')[0], data } },
+                    ],
+                }],
+            }, signal);
+            return extractCandidateText(result);
+        }
+    };
+};
+
+// Picks the provider named by `config.agentProvider`: 'auto' (Gemini when a key is
+// configured, otherwise simulated), 'gemini', 'simulated', or a provider object.
+const resolveAgentProvider = (config) => {
+    const choice = config.agentProvider || 'auto';
+    if (typeof choice === 'object' && typeof choice.generateReply === 'function') return choice;
+    if (choice === 'simulated') return simulatedProvider;
+    if (!config.geminiApiKey) {
+        if (choice === 'gemini') console.warn("Gemini provider selected but no API key is configured; using simulated replies.");
+        return simulatedProvider;
+    }
+    return createGeminiProvider({
+        apiKey: config.geminiApiKey,
+        model: config.geminiTextModel,
+        baseUrl: config.geminiApiBaseUrl,
+        timeoutMs: config.agentTimeoutMs,
+        maxRetries: config.agentMaxRetries,
+        fetchImpl: config.fetchImpl,
+    });
+};
+
+const describeProviderError = (e, provider) => {
+    const source = provider?.label || 'Agent provider';
+    if (e?.status === 401 || e?.status === 403) return `Agent Q: ${source} rejected the API key (${e.status}).`;
+    if (e?.status === 429) return `Agent Q: ${source} is rate limited. Please try again shortly.`;
+    return `Agent Q: ${source} is unavailable right now. (${e?.message || 'unknown error'})`;
+};
+
+export {
+    simulatedProvider, sealedProvider, providerForRoom, isEncryptedRoom, ENCRYPTED_ROOM_REPLY,
+    createGeminiProvider, resolveAgentProvider, describeProviderError, extractCandidateText, toGeminiContents,
+};
@@ -0,0 +1,153 @@
+import { createServer } from 'node:http';
+import { afterAll, afterEach, beforeAll, describe, expect, it } from 'vitest';
+import { resolveAgentProvider, describeProviderError, providerForRoom, ENCRYPTED_ROOM_REPLY } from './agentProviders';
+
+// The Gemini provider against a local stand-in for the generateContent endpoint, reached
+// through geminiApiBaseUrl like the real one.
+
+const MODEL = 'test-model';
+const API_KEY = 'test key';
+
+const reply = (text) => ({ candidates: [{ content: { parts: [{ text }] }, finishReason: 'STOP' }] });
+
+describe('Gemini provider over HTTP', () => {
+    let server;
+    let baseUrl;
+    let requests;
+    // Answers for the next requests, in order; the last one repeats. An answer is
+    // { status, body } or 'hang' (never responds).
+    let answers;
+    const hanging = [];
+
+    beforeAll(async () => {
+        server = createServer((req, res) => {
+            let raw = '';
+            req.on('data', chunk => { raw += chunk; });
+            req.on('end', () => {
+                requests.push({ method: req.method, url: req.url, body: raw ? JSON.parse(raw) : null });
+                const answer = answers.length > 1 ? answers.shift() : answers[0];
+                if (answer === 'hang') {
+                    hanging.push(res);
+                    return;
+                }
+                res.writeHead(answer.status, { 'Content-Type': 'application/json' });
+                res.end(JSON.stringify(answer.body));
+            });
+        });
+        await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+        baseUrl = `http://127.0.0.1:${server.address().port}/v1beta/models`;
+    });
+    afterEach(() => {
+        hanging.splice(0).forEach(res => res.destroy());
+    });
+    afterAll(async () => {
+        server.closeAllConnections();
+        await new Promise(resolve => server.close(resolve));
+    });
+
+    const provider = (config = {}) => {
+        requests = [];
+        return resolveAgentProvider({
+            agentProvider: 'gemini',
+            geminiApiKey: API_KEY,
+            geminiTextModel: MODEL,
+            geminiApiBaseUrl: `${baseUrl}/`,
+            agentTimeoutMs: 2000,
+            agentMaxRetries: 0,
+            ...config,
+        });
+    };
+    const failure = (promise) => promise.then(() => { throw new Error('expected the request to fail'); }, e => e);
+
+    it('posts the conversation to the model endpoint', async () => {
+        answers = [{ status: 200, body: reply('Hello there.') }];
+        const gemini = provider();
+        const text = await gemini.generateReply({
+            prompt: 'hi',
+            history: [{ sender: 'user', text: 'earlier' }, { sender: 'bot', text: 'Agent Q: noted' }],
+            systemInstruction: 'Be brief.',
+        });
+        expect(text).toBe('Agent Q: Hello there.');
+        expect(requests).toHaveLength(1);
+        expect(requests[0].method).toBe('POST');
+        expect(requests[0].url).toBe(`/v1beta/models/${MODEL}:generateContent?key=test%20key`);
+        expect(requests[0].body).toEqual({
+            contents: [
+                { role: 'user', parts: [{ text: 'earlier' }] },
+                { role: 'model', parts: [{ text: 'noted' }] },
+                { role: 'user', parts: [{ text: 'hi' }] },
+            ],
+            systemInstruction: { parts: [{ text: 'Be brief.' }] },
+        });
+    });
+
+    it('retries server errors and succeeds', async () => {
+        answers = [{ status: 503, body: { error: { message: 'overloaded' } } }, { status: 200, body: reply('Back.') }];
+        const gemini = provider({ agentMaxRetries: 1 });
+        expect(await gemini.generateReply({ prompt: 'hi' })).toBe('Agent Q: Back.');
+        expect(requests).toHaveLength(2);
+    });
+
+    it('gives up after agentMaxRetries and reports the last error', async () => {
+        answers = [{ status: 500, body: { error: { message: 'internal' } } }];
+        const gemini = provider({ agentMaxRetries: 1 });
+        const error = await failure(gemini.generateReply({ prompt: 'hi' }));
+        expect(requests).toHaveLength(2);
+        expect(error).toMatchObject({ status: 500, upstream: 'gemini', retryable: true });
+        expect(describeProviderError(error, gemini)).toBe(`Agent Q: Gemini (${MODEL}) is unavailable right now. (HTTP 500: internal)`);
+    });
+
+    it('does not retry a rejected API key', async () => {
+        answers = [{ status: 403, body: { error: { message: 'API key not valid' } } }];
+        const gemini = provider({ agentMaxRetries: 2 });
+        const error = await failure(gemini.generateReply({ prompt: 'hi' }));
+        expect(requests).toHaveLength(1);
+        expect(describeProviderError(error, gemini)).toBe(`Agent Q: Gemini (${MODEL}) rejected the API key (403).`);
+    });
+
+    it('maps rate limiting', async () => {
+        answers = [{ status: 429, body: { error: { message: 'quota' } } }];
+        const gemini = provider();
+        const error = await failure(gemini.generateReply({ prompt: 'hi' }));
+        expect(describeProviderError(error, gemini)).toBe(`Agent Q: Gemini (${MODEL}) is rate limited. Please try again shortly.`);
+    });
+
+    it('times out a request after agentTimeoutMs', async () => {
+        answers = ['hang'];
+        const gemini = provider({ agentTimeoutMs: 100 });
+        const error = await failure(gemini.generateReply({ prompt: 'hi' }));
+        expect(error).toMatchObject({ message: 'Request timed out after 100ms', upstream: 'gemini', retryable: true });
+        expect(describeProviderError(error, gemini)).toBe(`Agent Q: Gemini (${MODEL}) is unavailable right now. (Request timed out after 100ms)`);
+    });
+
+    it('retries after a timeout', async () => {
+        answers = ['hang', { status: 200, body: reply('Made it.') }];
+        const gemini = provider({ agentTimeoutMs: 100, agentMaxRetries: 1 });
+        expect(await gemini.generateReply({ prompt: 'hi' })).toBe('Agent Q: Made it.');
+        expect(requests).toHaveLength(2);
+    });
+
+    it('reports a blocked prompt', async () => {
+        answers = [{ status: 200, body: { promptFeedback: { blockReason: 'SAFETY' } } }];
+        const error = await failure(provider().generateReply({ prompt: 'hi' }));
+        expect(error).toMatchObject({ message: 'No reply (SAFETY)', upstream: 'gemini' });
+    });
+
+    it('classifies intents from structured output', async () => {
+        answers = [{ status: 200, body: reply('{"action":"hangup","argument":""}') }];
+        const gemini = provider();
+        expect(await gemini.classifyIntent('please end the call', { type: 'OBJECT' })).toEqual({ action: 'HANGUP', argument: '' });
+        expect(requests[0].body.generationConfig).toEqual({ responseMimeType: 'application/json', responseSchema: { type: 'OBJECT' } });
+    });
+
+    it('is never asked about an encrypted call', async () => {
+        answers = [{ status: 200, body: reply('Overheard.') }];
+        const gemini = provider();
+        const call = { id: 'call_a_b', kind: 'call' };
+        const sealed = providerForRoom(gemini, call);
+        expect(await sealed.generateReply({ prompt: 'what did we agree?' })).toBe(ENCRYPTED_ROOM_REPLY);
+        expect(await sealed.classifyIntent('please end the call')).toEqual({ action: 'HANGUP', argument: '' });
+        expect(requests).toHaveLength(0);
+        expect(providerForRoom(gemini, { id: 'lobby', kind: 'room' })).toBe(gemini);
+    });
+});
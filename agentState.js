@@ -0,0 +1,113 @@
+import { useState, useEffect, useCallback } from 'react';
+import { doc, onSnapshot, runTransaction, serverTimestamp, Timestamp } from 'firebase/firestore';
+import { newMessageId } from './outbox';
+
+// --- Shared agent state: {room}/agentState/current (see roomStore.js) ---
+// { requestId, requestedBy, clientId, claimedAt, expiresAt }. Agent Q's replies are generated
+// by the client that asked, so before answering, a client claims the room's agent turn for
+// that request. Everyone in the room sees the claim ("Agent Q is answering Ann..."), and while
+// it is live nobody else can take the turn, so no two clients answer at once. A claim ends
+// when it is released, or at expiresAt (CLAIM_TTL_MS) if its client went away. A client that
+// finds the agent busy retries for up to CLAIM_WAIT_MS.
+
+const CLAIM_TTL_MS = 60000;
+const CLAIM_WAIT_MS = 30000;
+const CLAIM_POLL_MS = 1000;
+
+// One id per tab, so two tabs of the same user are separate claimants
+const CLIENT_ID = newMessageId();
+
+const isLiveClaim = (state, now = Date.now()) => !!state && typeof state.expiresAt === 'number' && state.expiresAt > now;
+
+const toAgentState = (data) => ({ ...data, expiresAt: data.expiresAt?.toMillis?.() ?? data.expiresAt });
+
+// Resolves true once this client holds the turn, false if a live claim is in the way
+const claimAgentTurn = (db, path, { requestId, requestedBy, clientId }, ttlMs = CLAIM_TTL_MS) => {
+    const ref = doc(db, path);
+    return runTransaction(db, async (tx) => {
+        const snap = await tx.get(ref);
+        if (snap.exists() && isLiveClaim(toAgentState(snap.data()))) return false;
+        tx.set(ref, {
+            requestId,
+            requestedBy,
+            clientId,
+            claimedAt: serverTimestamp(),
+            expiresAt: Timestamp.fromMillis(Date.now() + ttlMs),
+        });
+        return true;
+    });
+};
+
+// Clears the claim only if it is still ours
+const releaseAgentTurn = (db, path, requestId, clientId) => {
+    const ref = doc(db, path);
+    return runTransaction(db, async (tx) => {
+        const snap = await tx.get(ref);
+        if (!snap.exists() || snap.data().requestId !== requestId || snap.data().clientId !== clientId) return false;
+        tx.delete(ref);
+        return true;
+    });
+};
+
+const subscribeAgentState = (db, path, onChange, onError) => onSnapshot(
+    doc(db, path),
+    (snap) => onChange(snap.exists() ? toAgentState(snap.data({ serverTimestamps: 'estimate' })) : null),
+    onError
+);
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// -> { state, isMine, claim(requestId) -> Promise<boolean>, release(requestId) }
+// state is the live claim or null; claim() waits its turn and resolves false if it never came
+const useAgentState = ({ storage, path, userId, enabled = true, onError }) => {
+    const [state, setState] = useState(null);
+    const [now, setNow] = useState(() => Date.now());
+    const isActive = !!storage && !!userId && enabled;
+
+    useEffect(() => {
+        if (!isActive) {
+            setState(null);
+            return undefined;
+        }
+        return storage.agent.subscribe(path, (next) => {
+            setState(next);
+            setNow(Date.now());
+        }, onError);
+    }, [isActive, storage, path, onError]);
+
+    // A claim left behind by a closed tab expires without a write; re-render when it does
+    useEffect(() => {
+        if (!isLiveClaim(state)) return undefined;
+        const timer = setTimeout(() => setNow(Date.now()), state.expiresAt - Date.now() + 50);
+        return () => clearTimeout(timer);
+    }, [state]);
+
+    const claim = useCallback(async (requestId) => {
+        if (!isActive) return true;
+        const deadline = Date.now() + CLAIM_WAIT_MS;
+        for (;;) {
+            try {
+                if (await storage.agent.claim(path, { requestId, requestedBy: userId, clientId: CLIENT_ID }, CLAIM_TTL_MS)) return true;
+            } catch (e) {
+                // The rules also refuse while a claim is live (our clock may run behind the server's);
+                // any other failure (e.g. offline) answers unclaimed rather than not at all
+                if (e.code !== 'permission-denied') {
+                    console.error('agent claim error:', e);
+                    return true;
+                }
+            }
+            if (Date.now() >= deadline) return false;
+            await sleep(CLAIM_POLL_MS);
+        }
+    }, [isActive, storage, path, userId]);
+
+    const release = useCallback((requestId) => {
+        if (!isActive) return;
+        storage.agent.release(path, requestId, CLIENT_ID).catch(e => console.error('agent release error:', e));
+    }, [isActive, storage, path]);
+
+    const live = isLiveClaim(state, now) ? state : null;
+    return { state: live, isMine: live?.clientId === CLIENT_ID, claim, release };
+};
+
+export { claimAgentTurn, releaseAgentTurn, subscribeAgentState, isLiveClaim, useAgentState, CLAIM_TTL_MS };
@@ -0,0 +1,88 @@
+import { collection, addDoc, getDocs, getDoc, deleteDoc, doc, query, orderBy, limit, serverTimestamp } from 'firebase/firestore';
+
+// --- Per-user chat archives: users/{userId}/archives/{archiveId} ---
+// Each archive is a self-contained snapshot; token signals are stored as their resolved text.
+
+// Firestore's 1 MiB document limit, less room for the document name and createdAt. Archives
+// keep as many of the newest messages as fit.
+const ARCHIVE_MAX_BYTES = 1024 * 1024 - 4096;
+
+const utf8Length = (text) => new TextEncoder().encode(text).length;
+
+// Stored size as Firestore counts it: strings are their UTF-8 bytes + 1, numbers 8, booleans
+// and null 1; map fields add their name the same way as strings.
+const firestoreSize = (value) => {
+    if (value === null || value === undefined || typeof value === 'boolean') return 1;
+    if (typeof value === 'number') return 8;
+    if (typeof value === 'string') return utf8Length(value) + 1;
+    if (Array.isArray(value)) return value.reduce((n, item) => n + firestoreSize(item), 0);
+    return Object.entries(value).reduce((n, [key, item]) => n + utf8Length(key) + 1 + firestoreSize(item), 0);
+};
+
+const archivesPath = (userId) => `users/${userId}/archives`;
+
+const toArchiveEntry = (msg) => ({
+    userId: msg.userId || null,
+    text: msg.text || '',
+    isTokenized: !!msg.isTokenized,
+    timestamp: msg.timestamp?.toMillis ? msg.timestamp.toMillis() : null,
+});
+
+const defaultArchiveTitle = (date = new Date()) => `Chat archive ${date.toLocaleString()}`;
+
+// The stored snapshot, minus createdAt (shared with the local backend).
+const buildArchive = (userId, messages, title) => {
+    const entries = messages.filter(m => m.text).map(toArchiveEntry);
+    const archive = {
+        ownerId: userId,
+        title: (title || '').trim() || defaultArchiveTitle(),
+        messageCount: 0,
+        truncated: false,
+        messages: [],
+    };
+    let budget = ARCHIVE_MAX_BYTES - firestoreSize(archive);
+    let start = entries.length;
+    while (start > 0 && firestoreSize(entries[start - 1]) <= budget) {
+        budget -= firestoreSize(entries[start - 1]);
+        start -= 1;
+    }
+    const kept = entries.slice(start);
+    return { ...archive, messageCount: kept.length, truncated: start > 0, messages: kept };
+};
+
+const saveArchive = async (db, userId, messages, title) => {
+    const archive = buildArchive(userId, messages, title);
+    const ref = await addDoc(collection(db, archivesPath(userId)), { ...archive, createdAt: serverTimestamp() });
+    return { id: ref.id, title: archive.title, messageCount: archive.messageCount, truncated: archive.truncated };
+};
+
+const listArchives = async (db, userId, max = 20) => {
+    const q = query(collection(db, archivesPath(userId)), orderBy('createdAt', 'desc'), limit(max));
+    const snap = await getDocs(q);
+    return snap.docs.map(d => {
+        const data = d.data();
+        return {
+            id: d.id,
+            title: data.title,
+            messageCount: data.messageCount || 0,
+            createdAt: data.createdAt?.toDate ? data.createdAt.toDate() : null,
+        };
+    });
+};
+
+const loadArchive = async (db, userId, archiveId) => {
+    const snap = await getDoc(doc(db, archivesPath(userId), archiveId));
+    if (!snap.exists()) return null;
+    const data = snap.data();
+    return { id: snap.id, ...data, createdAt: data.createdAt?.toDate ? data.createdAt.toDate() : null };
+};
+
+const deleteArchive = async (db, userId, archiveId) => {
+    const ref = doc(db, archivesPath(userId), archiveId);
+    const snap = await getDoc(ref);
+    if (!snap.exists()) return false;
+    await deleteDoc(ref);
+    return true;
+};
+
+export { saveArchive, listArchives, loadArchive, deleteArchive, buildArchive, firestoreSize, ARCHIVE_MAX_BYTES };
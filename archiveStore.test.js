@@ -0,0 +1,47 @@
+import { describe, expect, it } from 'vitest';
+import { buildArchive, firestoreSize, ARCHIVE_MAX_BYTES } from './archiveStore';
+
+const messages = (count, text) => Array.from({ length: count }, (_, i) => ({
+    userId: 'alice',
+    text: `${i} ${text}`,
+    isTokenized: false,
+    timestamp: { toMillis: () => i * 1000 },
+}));
+
+describe('firestoreSize', () => {
+    it('counts values the way Firestore does', () => {
+        expect(firestoreSize('abc')).toBe(4);
+        expect(firestoreSize('é')).toBe(3);
+        expect(firestoreSize(42)).toBe(8);
+        expect(firestoreSize(true)).toBe(1);
+        expect(firestoreSize(null)).toBe(1);
+        expect(firestoreSize({ ab: 'c', list: [1, false] })).toBe(3 + 2 + 5 + 9);
+    });
+});
+
+describe('buildArchive', () => {
+    it('keeps every message that fits, beyond a fixed count', () => {
+        const archive = buildArchive('alice', messages(3000, 'short'), 'many');
+        expect(archive.messageCount).toBe(3000);
+        expect(archive.truncated).toBe(false);
+    });
+
+    it('drops the oldest messages to stay under the document limit', () => {
+        // 300 messages of ~16 KB (multi-byte text) are several MiB
+        const archive = buildArchive('alice', messages(300, 'ü'.repeat(8000)), 'large');
+        expect(archive.truncated).toBe(true);
+        expect(archive.messageCount).toBe(archive.messages.length);
+        expect(archive.messageCount).toBeGreaterThan(50);
+        expect(archive.messageCount).toBeLessThan(300);
+        expect(archive.messages.at(-1).text).toMatch(/^299 /);
+        expect(firestoreSize(archive)).toBeLessThanOrEqual(ARCHIVE_MAX_BYTES);
+        const oneMore = buildArchive('alice', messages(300, 'ü'.repeat(8000)).slice(-archive.messageCount - 1), 'large');
+        expect(oneMore.truncated).toBe(true);
+    });
+
+    it('skips messages without text', () => {
+        const archive = buildArchive('alice', [...messages(2, 'hi'), { userId: 'bob', text: '' }], '');
+        expect(archive.messageCount).toBe(2);
+        expect(archive.title).toMatch(/^Chat archive /);
+    });
+});
@@ -0,0 +1,376 @@
+// --- BB84 quantum key distribution simulator ---
+// Pure protocol code: every random choice comes from a seeded PRNG, so a run is fully
+// determined by its seed and options. Alice and Bob run as two async parties that talk
+// over a classical `channel` ({ send(from, to, type, payload), receive(to, type) });
+// qubits travel over an in-memory quantum channel that "Eve" may intercept and resend.
+// Bit strings on the classical channel are '0'/'1' strings (Firestore has no nested arrays).
+
+// xmur3 string hash -> mulberry32 generator, uniform in [0, 1)
+const createRng = (seed) => {
+    const str = String(seed);
+    let h = 1779033703 ^ str.length;
+    for (let i = 0; i < str.length; i++) {
+        h = Math.imul(h ^ str.charCodeAt(i), 3432918353);
+        h = (h << 13) | (h >>> 19);
+    }
+    h = Math.imul(h ^ (h >>> 16), 2246822507);
+    h = Math.imul(h ^ (h >>> 13), 3266489909);
+    let a = (h ^ (h >>> 16)) >>> 0;
+    return () => {
+        a = (a + 0x6D2B79F5) | 0;
+        let t = Math.imul(a ^ (a >>> 15), 1 | a);
+        t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+};
+
+const randomBits = (rng, n) => Array.from({ length: n }, () => (rng() < 0.5 ? 0 : 1));
+const bitsToString = (bits) => bits.join('');
+const stringToBits = (str) => Array.from(str, c => (c === '1' ? 1 : 0));
+
+// Bases: 0 = rectilinear (+), 1 = diagonal (x)
+const prepareQubits = (bits, bases) => bits.map((bit, i) => ({ bit, basis: bases[i] }));
+
+// Measuring in the wrong basis gives a random bit; `noise` flips bits like a lossy fibre.
+const measureQubits = (qubits, bases, rng, noise = 0) => qubits.map((q, i) => {
+    let bit = q.basis === bases[i] ? q.bit : (rng() < 0.5 ? 0 : 1);
+    if (noise > 0 && rng() < noise) bit ^= 1;
+    return bit;
+});
+
+// Eve measures every qubit in a random basis and resends what she saw.
+const interceptResend = (qubits, rng) => {
+    const eveBases = randomBits(rng, qubits.length);
+    return prepareQubits(measureQubits(qubits, eveBases, rng), eveBases);
+};
+
+const matchingBases = (basesA, basesB) => basesA.map((b, i) => (b === basesB[i] ? 1 : 0));
+const selectBits = (bits, mask) => bits.filter((_, i) => mask[i]);
+
+const sampleIndices = (length, count, rng) => {
+    const pool = Array.from({ length }, (_, i) => i);
+    for (let i = 0; i < count; i++) {
+        const j = i + Math.floor(rng() * (length - i));
+        [pool[i], pool[j]] = [pool[j], pool[i]];
+    }
+    return pool.slice(0, count).sort((a, b) => a - b);
+};
+
+const withoutIndices = (bits, indices) => {
+    const drop = new Set(indices);
+    return bits.filter((_, i) => !drop.has(i));
+};
+
+const errorRate = (a, b) => {
+    if (!a.length) return 0;
+    let errors = 0;
+    for (let i = 0; i < a.length; i++) if (a[i] !== b[i]) errors++;
+    return errors / a.length;
+};
+
+const binaryEntropy = (p) => (p <= 0 || p >= 1 ? 0 : -p * Math.log2(p) - (1 - p) * Math.log2(1 - p));
+
+const permutation = (length, rng) => {
+    const perm = Array.from({ length }, (_, i) => i);
+    for (let i = length - 1; i > 0; i--) {
+        const j = Math.floor(rng() * (i + 1));
+        [perm[i], perm[j]] = [perm[j], perm[i]];
+    }
+    return perm;
+};
+
+const rangeParity = (bits, start, end) => {
+    let p = 0;
+    for (let i = start; i < end; i++) p ^= bits[i];
+    return p;
+};
+
+// Toeplitz hashing: a 2-universal family, used for key verification and privacy amplification.
+const toeplitzHash = (key, outputLength, seedBits) => {
+    const n = key.length;
+    const out = new Array(outputLength).fill(0);
+    for (let i = 0; i < outputLength; i++) {
+        let bit = 0;
+        for (let j = 0; j < n; j++) bit ^= seedBits[i - j + n - 1] & key[j];
+        out[i] = bit;
+    }
+    return out;
+};
+
+const DEFAULT_OPTIONS = {
+    qubits: 2048,
+    sampleFraction: 0.25,
+    noise: 0.02,
+    eve: false,
+    qberThreshold: 0.11,
+    keyLength: 256,
+    ecPasses: 6,
+    ecRetries: 2,
+    verifyBits: 64,
+    securityMargin: 32,
+};
+
+// Secure length after privacy amplification: n(1 - h(Q)) minus everything revealed publicly.
+const securedKeyLength = (n, qber, leakedBits, margin) => Math.max(0, Math.floor(n * (1 - binaryEntropy(qber)) - leakedBits - margin));
+
+const runAlice = async ({ channel, quantum, rng, publicRng, options, step }) => {
+    const bits = randomBits(rng, options.qubits);
+    const bases = randomBits(rng, options.qubits);
+    quantum.send(prepareQubits(bits, bases));
+    step('prepare', `Alice sent ${options.qubits} photons in random bases`);
+
+    const bobBases = stringToBits(await channel.receive('alice', 'bases'));
+    const mask = matchingBases(bases, bobBases);
+    await channel.send('alice', 'bob', 'sift', bitsToString(mask));
+    const sifted = selectBits(bits, mask);
+
+    const sample = sampleIndices(sifted.length, Math.floor(sifted.length * options.sampleFraction), publicRng);
+    await channel.send('alice', 'bob', 'sample', { indices: sample, bits: bitsToString(sample.map(i => sifted[i])) });
+    const { qber } = await channel.receive('alice', 'qber');
+    if (qber > options.qberThreshold) return { aborted: true, qber };
+    let key = withoutIndices(sifted, sample);
+
+    // Error correction: answer Bob's parity queries until he is done, then let him check the
+    // key. When the check fails and Bob retries, he queries more passes and checks again.
+    const ecSeed = Math.floor(publicRng() * 2 ** 32).toString(16);
+    await channel.send('alice', 'bob', 'ec-start', { seed: ecSeed });
+    const views = [];
+    let leaked = 0;
+    for (;;) {
+        for (;;) {
+            const query = await channel.receive('alice', 'parity-query');
+            if (query.done) break;
+            const parities = [];
+            for (let i = 0; i < query.queries.length; i += 3) {
+                const [pass, start, end] = query.queries.slice(i, i + 3);
+                if (!views[pass]) views[pass] = pass === 0 ? key : permutation(key.length, createRng(`${ecSeed}:${pass}`)).map(j => key[j]);
+                parities.push(rangeParity(views[pass], start, end));
+            }
+            leaked += parities.length;
+            await channel.send('alice', 'bob', 'parity-reply', bitsToString(parities));
+        }
+
+        const verifySeed = randomBits(publicRng, options.verifyBits + key.length - 1);
+        await channel.send('alice', 'bob', 'verify', {
+            seed: bitsToString(verifySeed),
+            hash: bitsToString(toeplitzHash(key, options.verifyBits, verifySeed)),
+        });
+        leaked += options.verifyBits;
+        const { ok, retry } = await channel.receive('alice', 'verify-result');
+        if (ok) break;
+        if (!retry) return { aborted: true, qber, reason: 'verification' };
+    }
+
+    const finalLength = Math.min(options.keyLength, securedKeyLength(key.length, qber, leaked, options.securityMargin));
+    if (finalLength <= 0) {
+        await channel.send('alice', 'bob', 'pa', { length: 0, seed: '' });
+        return { aborted: true, qber, reason: 'too-short' };
+    }
+    const paSeed = randomBits(publicRng, finalLength + key.length - 1);
+    await channel.send('alice', 'bob', 'pa', { length: finalLength, seed: bitsToString(paSeed) });
+    key = toeplitzHash(key, finalLength, paSeed);
+    return { aborted: false, qber, key, leaked };
+};
+
+const runBob = async ({ channel, quantum, rng, options, step }) => {
+    const qubits = await quantum.receive();
+    const bases = randomBits(rng, qubits.length);
+    const measured = measureQubits(qubits, bases, rng, options.noise);
+    step('measure', `Bob measured ${qubits.length} photons in random bases`);
+
+    await channel.send('bob', 'alice', 'bases', bitsToString(bases));
+    const mask = stringToBits(await channel.receive('bob', 'sift'));
+    const sifted = selectBits(measured, mask);
+    step('sift', `Basis reconciliation kept ${sifted.length} of ${qubits.length} bits`);
+
+    const sample = await channel.receive('bob', 'sample');
+    const qber = errorRate(stringToBits(sample.bits), sample.indices.map(i => sifted[i]));
+    await channel.send('bob', 'alice', 'qber', { qber });
+    step('qber', `QBER ${(qber * 100).toFixed(1)}% on ${sample.indices.length} sacrificed bits`, { qber });
+    if (qber > options.qberThreshold) return { aborted: true, qber };
+    const key = withoutIndices(sifted, sample.indices);
+
+    // Cascade: block parities per pass (each pass shuffles the key), binary search inside
+    // mismatched blocks, and after every flip re-check the blocks of earlier passes.
+    const { seed: ecSeed } = await channel.receive('bob', 'ec-start');
+    const ask = async (queries) => {
+        await channel.send('bob', 'alice', 'parity-query', { queries: queries.flatMap(q => [q.pass, q.start, q.end]) });
+        return stringToBits(await channel.receive('bob', 'parity-reply'));
+    };
+    const passes = [];
+    const parityIn = (pass, start, end) => {
+        let p = 0;
+        for (let i = start; i < end; i++) p ^= key[pass.order ? pass.order[i] : i];
+        return p;
+    };
+    const blockOf = (pass, position) => {
+        const start = Math.floor(position / pass.blockSize) * pass.blockSize;
+        return { pass: pass.index, start, end: Math.min(start + pass.blockSize, key.length) };
+    };
+    let corrected = 0;
+    const initialBlock = Math.min(64, Math.max(8, Math.round(0.73 / Math.max(qber, 0.01))));
+    // Blocks double each pass but stay at most a quarter of the key: a block spanning the
+    // whole key cannot find an even number of remaining errors
+    const maxBlock = Math.ceil(key.length / 4);
+    const runPass = async (index) => {
+        const order = index === 0 ? null : permutation(key.length, createRng(`${ecSeed}:${index}`));
+        const pass = { index, order, blockSize: Math.min(initialBlock * 2 ** index, maxBlock), positionOf: null, aliceParity: new Map() };
+        if (order) {
+            pass.positionOf = new Array(key.length);
+            order.forEach((original, position) => { pass.positionOf[original] = position; });
+        }
+        passes.push(pass);
+        const blocks = [];
+        for (let start = 0; start < key.length; start += pass.blockSize) blocks.push(blockOf(pass, start));
+        const parities = await ask(blocks);
+        blocks.forEach((b, i) => pass.aliceParity.set(b.start, parities[i]));
+        // Each searched range carries Alice's parity for it; a range whose parity already
+        // matches (another flip fixed it meanwhile) is dropped instead of narrowed further.
+        let active = blocks.map(b => ({ ...b, alice: pass.aliceParity.get(b.start) }));
+        while (active.length) {
+            active = active.filter(b => parityIn(passes[b.pass], b.start, b.end) !== b.alice);
+            const next = [];
+            const searching = new Set(active.map(b => `${b.pass}:${b.start}:${b.end}`));
+            for (const leaf of active.filter(b => b.end - b.start === 1)) {
+                const leafPass = passes[leaf.pass];
+                // Another leaf this round may have been the same bit, reached through another pass
+                if (parityIn(leafPass, leaf.start, leaf.end) === leaf.alice) continue;
+                const original = leafPass.order ? leafPass.order[leaf.start] : leaf.start;
+                key[original] ^= 1;
+                corrected++;
+                // The flip changes one block's parity in every other pass run so far
+                for (const other of passes) {
+                    if (other.index === leaf.pass) continue;
+                    const block = blockOf(other, other.positionOf ? other.positionOf[original] : original);
+                    const id = `${block.pass}:${block.start}:${block.end}`;
+                    if (!searching.has(id)) {
+                        searching.add(id);
+                        next.push({ ...block, alice: other.aliceParity.get(block.start) });
+                    }
+                }
+            }
+            const open = active.filter(b => b.end - b.start > 1);
+            if (open.length) {
+                const halves = open.map(b => ({ pass: b.pass, start: b.start, end: (b.start + b.end) >> 1 }));
+                const answers = await ask(halves);
+                open.forEach((b, i) => {
+                    const mid = (b.start + b.end) >> 1;
+                    next.push(parityIn(passes[b.pass], b.start, mid) !== answers[i]
+                        ? { pass: b.pass, start: b.start, end: mid, alice: answers[i] }
+                        : { pass: b.pass, start: mid, end: b.end, alice: b.alice ^ answers[i] });
+                });
+            }
+            active = next;
+        }
+    };
+    for (let index = 0; index < options.ecPasses; index++) await runPass(index);
+    await channel.send('bob', 'alice', 'parity-query', { done: true });
+    step('correct', `Error correction fixed ${corrected} bit${corrected === 1 ? '' : 's'}`);
+
+    // A failed key check gets up to `ecRetries` rounds of two more passes before aborting
+    for (let attempt = 0; ; attempt++) {
+        const verify = await channel.receive('bob', 'verify');
+        const ok = bitsToString(toeplitzHash(key, verify.hash.length, stringToBits(verify.seed))) === verify.hash;
+        const retry = !ok && attempt < options.ecRetries;
+        await channel.send('bob', 'alice', 'verify-result', { ok, retry });
+        if (ok) break;
+        if (!retry) return { aborted: true, qber, reason: 'verification' };
+        const before = corrected;
+        await runPass(passes.length);
+        await runPass(passes.length);
+        await channel.send('bob', 'alice', 'parity-query', { done: true });
+        step('correct', `Key check failed; two more passes fixed ${corrected - before} bit${corrected - before === 1 ? '' : 's'}`);
+    }
+
+    const pa = await channel.receive('bob', 'pa');
+    if (!pa.length) return { aborted: true, qber, reason: 'too-short' };
+    const finalKey = toeplitzHash(key, pa.length, stringToBits(pa.seed));
+    step('amplify', `Privacy amplification: ${key.length} -> ${pa.length} bit key`);
+    return { aborted: false, qber, key: finalKey };
+};
+
+// In-process classical channel (used headless and when no database is available).
+const createLoopbackChannel = () => {
+    const queues = new Map();
+    const waiters = new Map();
+    const keyOf = (to, type) => `${to}:${type}`;
+    return {
+        send: async (from, to, type, payload) => {
+            const key = keyOf(to, type);
+            const waiting = waiters.get(key);
+            if (waiting?.length) waiting.shift()(payload);
+            else queues.set(key, [...(queues.get(key) || []), payload]);
+        },
+        receive: (to, type) => new Promise(resolve => {
+            const key = keyOf(to, type);
+            const queued = queues.get(key);
+            if (queued?.length) resolve(queued.shift());
+            else waiters.set(key, [...(waiters.get(key) || []), resolve]);
+        }),
+    };
+};
+
+const keyFingerprintHex = (bits) => {
+    let hex = '';
+    for (let i = 0; i + 4 <= Math.min(bits.length, 64); i += 4) hex += parseInt(bits.slice(i, i + 4).join(''), 2).toString(16);
+    return hex.toUpperCase();
+};
+
+// Runs one BB84 exchange. `onStep({ id, detail, qber? })` reports progress as it happens.
+const runBB84Session = async ({ seed, channel = createLoopbackChannel(), onStep = () => {}, ...overrides }) => {
+    const options = { ...DEFAULT_OPTIONS, ...overrides };
+    const steps = [];
+    const step = (id, detail, extra = {}) => {
+        const entry = { id, detail, ...extra };
+        steps.push(entry);
+        onStep(entry);
+    };
+    let deliver;
+    const inFlight = new Promise(resolve => { deliver = resolve; });
+    const eveRng = createRng(`${seed}:eve`);
+    const quantum = {
+        send: (qubits) => {
+            if (options.eve) step('eve', 'Eve intercepted and resent every photon');
+            deliver(options.eve ? interceptResend(qubits, eveRng) : qubits);
+        },
+        receive: () => inFlight,
+    };
+    const [alice, bob] = await Promise.all([
+        runAlice({ channel, quantum, rng: createRng(`${seed}:alice`), publicRng: createRng(`${seed}:public`), options, step }),
+        runBob({ channel, quantum, rng: createRng(`${seed}:bob`), options, step }),
+    ]);
+    const qber = bob.qber;
+    if (alice.aborted || bob.aborted) {
+        const reason = alice.reason || bob.reason;
+        const detail = reason === 'verification'
+            ? 'Keys still differ after error correction'
+            : reason === 'too-short'
+                ? 'Too little secret key left after accounting for leaked bits'
+                : `QBER ${(qber * 100).toFixed(1)}% exceeds ${(options.qberThreshold * 100).toFixed(0)}%: possible eavesdropper`;
+        step('abort', `Session aborted. ${detail}.`, { qber });
+        return { status: 'aborted', qber, reason: reason || 'qber', steps };
+    }
+    // Both sides passed the key check, so a difference here means the channel was tampered with
+    const keysMatch = bitsToString(alice.key) === bitsToString(bob.key);
+    if (!keysMatch) {
+        step('abort', 'Session aborted. The final keys differ.', { qber });
+        return { status: 'aborted', qber, reason: 'mismatch', keysMatch, steps };
+    }
+    step('complete', `Shared ${alice.key.length}-bit key established`, { qber });
+    return {
+        status: 'complete',
+        qber,
+        keyLength: alice.key.length,
+        leakedBits: alice.leaked,
+        key: alice.key,
+        fingerprint: keyFingerprintHex(alice.key),
+        keysMatch,
+        steps,
+    };
+};
+
+export {
+    createRng, randomBits, bitsToString, stringToBits, prepareQubits, measureQubits, interceptResend,
+    matchingBases, selectBits, sampleIndices, withoutIndices, errorRate, binaryEntropy, permutation,
+    rangeParity, toeplitzHash, securedKeyLength, createLoopbackChannel, runBB84Session, DEFAULT_OPTIONS
+};
@@ -0,0 +1,71 @@
+import { describe, expect, it } from 'vitest';
+import { createLoopbackChannel, createRng, runBB84Session } from './bb84';
+
+const seeds = (prefix, count) => Array.from({ length: count }, (_, i) => `${prefix}${i}`);
+
+describe('createRng', () => {
+    it('repeats its sequence for a seed', () => {
+        const a = createRng('seed');
+        const b = createRng('seed');
+        const c = createRng('other');
+        const first = Array.from({ length: 8 }, a);
+        expect(Array.from({ length: 8 }, b)).toEqual(first);
+        expect(Array.from({ length: 8 }, c)).not.toEqual(first);
+        first.forEach(x => expect(x >= 0 && x < 1).toBe(true));
+    });
+});
+
+describe('runBB84Session', () => {
+    it('is determined by its seed', async () => {
+        const [a, b, c] = await Promise.all([
+            runBB84Session({ seed: 'det' }),
+            runBB84Session({ seed: 'det' }),
+            runBB84Session({ seed: 'det2' }),
+        ]);
+        expect(b).toEqual(a);
+        expect(c.fingerprint).not.toBe(a.fingerprint);
+    });
+
+    // s15 and s64 used to abort (residual errors after Cascade, and a flip undone in the same round)
+    it.each(['s15', 's56', 's64', 's1501', ...seeds('honest-', 100)])('agrees on a key without Eve (%s)', async (seed) => {
+        const result = await runBB84Session({ seed });
+        expect(result.status).toBe('complete');
+        expect(result.keysMatch).toBe(true);
+        expect(result.keyLength).toBe(256);
+        expect(result.qber).toBeLessThan(0.11);
+    });
+
+    it('aborts when Eve intercepts', async () => {
+        for (const seed of seeds('eve-', 20)) {
+            const result = await runBB84Session({ seed, eve: true });
+            expect(result.status).toBe('aborted');
+            expect(result.reason).toBe('qber');
+            expect(result.steps.map(s => s.id)).toContain('eve');
+        }
+    });
+
+    it('retries error correction before giving up on the key check', async () => {
+        const strict = await Promise.all(seeds('short-', 20).map(seed => runBB84Session({ seed, ecPasses: 1, ecRetries: 0 })));
+        const retried = await Promise.all(seeds('short-', 20).map(seed => runBB84Session({ seed, ecPasses: 1 })));
+        expect(strict.some(r => r.reason === 'verification')).toBe(true);
+        retried.forEach(r => expect(r.status).toBe('complete'));
+        expect(retried.some(r => r.steps.filter(s => s.id === 'correct').length > 1)).toBe(true);
+    });
+
+    it('aborts instead of completing when the final keys differ', async () => {
+        // Flips the first bit of the privacy amplification seed on its way to Bob
+        const loopback = createLoopbackChannel();
+        const channel = {
+            ...loopback,
+            send: (from, to, type, payload) => loopback.send(from, to, type, type === 'pa'
+                ? { ...payload, seed: `${payload.seed[0] === '0' ? '1' : '0'}${payload.seed.slice(1)}` }
+                : payload),
+        };
+        const result = await runBB84Session({ seed: 's15', channel });
+        expect(result).toMatchObject({ status: 'aborted', reason: 'mismatch', keysMatch: false });
+        expect(result.key).toBeUndefined();
+        const ids = result.steps.map(s => s.id);
+        expect(ids).not.toContain('complete');
+        expect(ids[ids.length - 1]).toBe('abort');
+    });
+});
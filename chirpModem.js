@@ -0,0 +1,271 @@
+// --- Acoustic CHIRP modem ---
+// Pure functions over mono Float32 sample buffers, so they run without Web Audio.
+// A burst is a linear up-chirp preamble (found by normalized cross-correlation), a short
+// gap, then 16-FSK symbols carrying 4 bits each:
+//   [token count - 1] [each token as 3 symbols, 12 bits, high nibble first] [CRC-8, 2 symbols]
+// Tones sit on multiples of 1 / SYMBOL_SECONDS, so they are orthogonal over a symbol and
+// the phase runs on continuously between symbols (no clicks).
+
+const SYMBOL_SECONDS = 0.04;
+const TONE_BASE_HZ = 1800;
+const TONE_STEP_HZ = 150;
+const TONE_COUNT = 16;
+const PREAMBLE_SECONDS = 0.1;
+const PREAMBLE_FROM_HZ = 1000;
+const PREAMBLE_TO_HZ = 5000;
+const GAP_SECONDS = 0.02;
+const FADE_SECONDS = 0.003;
+const TOKEN_SYMBOLS = 3;
+const MAX_CHIRP_TOKENS = 16;
+const MAX_TOKEN_INDEX = TONE_COUNT ** TOKEN_SYMBOLS - 1;
+const DEFAULT_SAMPLE_RATE = 48000;
+
+const toneHz = (symbol) => TONE_BASE_HZ + symbol * TONE_STEP_HZ;
+
+// CRC-8 (polynomial 0x07) over the header and token symbols
+const crc8 = (values) => values.reduce((crc, value) => {
+    let c = crc ^ value;
+    for (let bit = 0; bit < 8; bit++) c = c & 0x80 ? ((c << 1) ^ 0x07) & 0xff : (c << 1) & 0xff;
+    return c;
+}, 0);
+
+const tokensToSymbols = (tokens) => {
+    const body = [tokens.length - 1];
+    tokens.forEach(token => {
+        for (let shift = 4 * (TOKEN_SYMBOLS - 1); shift >= 0; shift -= 4) body.push((token >> shift) & 0xf);
+    });
+    const crc = crc8(body);
+    return [...body, crc >> 4, crc & 0xf];
+};
+
+const layout = (sampleRate) => ({
+    symbol: Math.round(SYMBOL_SECONDS * sampleRate),
+    preamble: Math.round(PREAMBLE_SECONDS * sampleRate),
+    gap: Math.round(GAP_SECONDS * sampleRate),
+    fade: Math.round(FADE_SECONDS * sampleRate),
+});
+
+const symbolCount = (tokenCount) => 1 + tokenCount * TOKEN_SYMBOLS + 2;
+
+const chirpDurationMs = (tokenCount, sampleRate = DEFAULT_SAMPLE_RATE) => {
+    const { symbol, preamble, gap } = layout(sampleRate);
+    return ((preamble + gap + symbolCount(tokenCount) * symbol) / sampleRate) * 1000;
+};
+
+const preambleCache = new Map();
+const preambleSamples = (sampleRate) => {
+    if (!preambleCache.has(sampleRate)) {
+        const { preamble } = layout(sampleRate);
+        const sweep = (PREAMBLE_TO_HZ - PREAMBLE_FROM_HZ) / PREAMBLE_SECONDS;
+        const samples = new Float32Array(preamble);
+        for (let i = 0; i < preamble; i++) {
+            const t = i / sampleRate;
+            samples[i] = Math.sin(2 * Math.PI * (PREAMBLE_FROM_HZ * t + (sweep * t * t) / 2));
+        }
+        preambleCache.set(sampleRate, samples);
+    }
+    return preambleCache.get(sampleRate);
+};
+
+const validateTokens = (tokens) => {
+    if (!Array.isArray(tokens) || tokens.length < 1 || tokens.length > MAX_CHIRP_TOKENS) {
+        throw new Error(`A chirp carries 1 to ${MAX_CHIRP_TOKENS} tokens`);
+    }
+    tokens.forEach(token => {
+        if (!Number.isInteger(token) || token < 0 || token > MAX_TOKEN_INDEX) {
+            throw new Error(`Token ${token} cannot be chirped (0-${MAX_TOKEN_INDEX})`);
+        }
+    });
+};
+
+// Linear fade in / out over `fade` samples at both ends of [from, to)
+const applyFades = (samples, from, to, fade) => {
+    for (let i = 0; i < fade && from + i < to; i++) {
+        const gain = i / fade;
+        samples[from + i] *= gain;
+        samples[to - 1 - i] *= gain;
+    }
+};
+
+const encodeChirp = (tokens, { sampleRate = DEFAULT_SAMPLE_RATE, amplitude = 0.5 } = {}) => {
+    validateTokens(tokens);
+    const { symbol, preamble, gap, fade } = layout(sampleRate);
+    const symbols = tokensToSymbols(tokens);
+    const dataStart = preamble + gap;
+    const samples = new Float32Array(dataStart + symbols.length * symbol);
+
+    samples.set(preambleSamples(sampleRate));
+    applyFades(samples, 0, preamble, fade);
+
+    let phase = 0;
+    symbols.forEach((value, s) => {
+        const step = (2 * Math.PI * toneHz(value)) / sampleRate;
+        for (let i = 0; i < symbol; i++) {
+            samples[dataStart + s * symbol + i] = Math.sin(phase);
+            phase += step;
+        }
+    });
+    applyFades(samples, dataStart, samples.length, fade);
+
+    for (let i = 0; i < samples.length; i++) samples[i] *= amplitude;
+    return samples;
+};
+
+// In-place iterative radix-2 FFT; `inverse` leaves the result unscaled.
+const fft = (re, im, inverse = false) => {
+    const n = re.length;
+    for (let i = 1, j = 0; i < n; i++) {
+        let bit = n >> 1;
+        for (; j & bit; bit >>= 1) j ^= bit;
+        j ^= bit;
+        if (i < j) {
+            [re[i], re[j]] = [re[j], re[i]];
+            [im[i], im[j]] = [im[j], im[i]];
+        }
+    }
+    for (let size = 2; size <= n; size <<= 1) {
+        const angle = ((inverse ? 2 : -2) * Math.PI) / size;
+        const wRe = Math.cos(angle);
+        const wIm = Math.sin(angle);
+        for (let start = 0; start < n; start += size) {
+            let curRe = 1;
+            let curIm = 0;
+            for (let k = 0; k < size / 2; k++) {
+                const a = start + k;
+                const b = a + size / 2;
+                const tRe = re[b] * curRe - im[b] * curIm;
+                const tIm = re[b] * curIm + im[b] * curRe;
+                re[b] = re[a] - tRe;
+                im[b] = im[a] - tIm;
+                re[a] += tRe;
+                im[a] += tIm;
+                [curRe, curIm] = [curRe * wRe - curIm * wIm, curRe * wIm + curIm * wRe];
+            }
+        }
+    }
+};
+
+// corr[k] = sum_j samples[k + j] * template[j], for every k where the template fits
+const crossCorrelate = (samples, template) => {
+    const outLength = samples.length - template.length + 1;
+    if (outLength <= 0) return new Float64Array(0);
+    let n = 1;
+    while (n < samples.length + template.length) n <<= 1;
+    const aRe = new Float64Array(n);
+    const aIm = new Float64Array(n);
+    const bRe = new Float64Array(n);
+    const bIm = new Float64Array(n);
+    aRe.set(samples);
+    bRe.set(template);
+    fft(aRe, aIm);
+    fft(bRe, bIm);
+    for (let i = 0; i < n; i++) {
+        // a * conj(b)
+        const re = aRe[i] * bRe[i] + aIm[i] * bIm[i];
+        const im = aIm[i] * bRe[i] - aRe[i] * bIm[i];
+        aRe[i] = re;
+        aIm[i] = im;
+    }
+    fft(aRe, aIm, true);
+    const corr = new Float64Array(outLength);
+    for (let k = 0; k < outLength; k++) corr[k] = aRe[k] / n;
+    return corr;
+};
+
+// Preamble match at each offset, in [-1, 1] regardless of level
+const preambleMatch = (samples, template) => {
+    const corr = crossCorrelate(samples, template);
+    const m = template.length;
+    const templateEnergy = template.reduce((sum, v) => sum + v * v, 0);
+    const floor = 1e-9 * m;
+    let windowEnergy = 0;
+    for (let j = 0; j < m; j++) windowEnergy += samples[j] * samples[j];
+    for (let k = 0; k < corr.length; k++) {
+        corr[k] = windowEnergy > floor ? corr[k] / Math.sqrt(windowEnergy * templateEnergy) : 0;
+        if (k + m < samples.length) {
+            windowEnergy += samples[k + m] * samples[k + m] - samples[k] * samples[k];
+        }
+    }
+    return corr;
+};
+
+// Goertzel power of each tone over samples[from, to)
+const tonePowers = (samples, from, to, sampleRate) => Array.from({ length: TONE_COUNT }, (_, tone) => {
+    const coeff = 2 * Math.cos((2 * Math.PI * toneHz(tone)) / sampleRate);
+    let s1 = 0;
+    let s2 = 0;
+    for (let i = from; i < to; i++) {
+        const s0 = samples[i] + coeff * s1 - s2;
+        s2 = s1;
+        s1 = s0;
+    }
+    return s1 * s1 + s2 * s2 - coeff * s1 * s2;
+});
+
+// Strongest tone per symbol, skipping an eighth of the symbol at each edge (echo, timing slop)
+const readSymbol = (samples, start, symbol, sampleRate) => {
+    const guard = Math.floor(symbol / 8);
+    const powers = tonePowers(samples, start + guard, start + symbol - guard, sampleRate);
+    return powers.indexOf(Math.max(...powers));
+};
+
+// -> { tokens, end } | { incomplete: true } | { error }
+const demodulateFrame = (samples, preambleStart, sampleRate) => {
+    const { symbol, preamble, gap } = layout(sampleRate);
+    const dataStart = preambleStart + preamble + gap;
+    if (dataStart + symbol > samples.length) return { incomplete: true };
+    const count = readSymbol(samples, dataStart, symbol, sampleRate) + 1;
+    const end = dataStart + symbolCount(count) * symbol;
+    if (end > samples.length) return { incomplete: true };
+    const symbols = Array.from({ length: symbolCount(count) }, (_, s) => (
+        readSymbol(samples, dataStart + s * symbol, symbol, sampleRate)
+    ));
+    const body = symbols.slice(0, -2);
+    if (crc8(body) !== ((symbols[symbols.length - 2] << 4) | symbols[symbols.length - 1])) {
+        return { error: 'checksum mismatch' };
+    }
+    const tokens = [];
+    for (let t = 0; t < count; t++) {
+        const digits = body.slice(1 + t * TOKEN_SYMBOLS, 1 + (t + 1) * TOKEN_SYMBOLS);
+        tokens.push(digits.reduce((value, d) => (value << 4) | d, 0));
+    }
+    return { tokens, end };
+};
+
+// Finds and demodulates every burst in `samples`. Returns { frames: [{ tokens, start, end }],
+// rejected } where start / end are sample offsets and rejected counts bursts that failed their
+// checksum. A burst cut off by the end of the buffer is left for the caller to retry with
+// more samples: `resumeFrom` is the offset to keep (null when nothing is pending).
+const decodeChirps = (samples, { sampleRate = DEFAULT_SAMPLE_RATE, threshold = 0.35 } = {}) => {
+    const template = preambleSamples(sampleRate);
+    const match = preambleMatch(samples, template);
+    const frames = [];
+    let rejected = 0;
+    let k = 0;
+    while (k < match.length) {
+        if (match[k] < threshold) {
+            k++;
+            continue;
+        }
+        // Peak of this preamble: the best match within one preamble length
+        let peak = k;
+        for (let j = k; j < Math.min(match.length, k + template.length); j++) {
+            if (match[j] > match[peak]) peak = j;
+        }
+        const frame = demodulateFrame(samples, peak, sampleRate);
+        if (frame.incomplete) return { frames, rejected, resumeFrom: peak };
+        if (frame.error) {
+            rejected++;
+            k = peak + template.length;
+            continue;
+        }
+        frames.push({ tokens: frame.tokens, start: peak, end: frame.end });
+        k = frame.end;
+    }
+    return { frames, rejected, resumeFrom: null };
+};
+
+export {
+    encodeChirp, decodeChirps, chirpDurationMs, crc8, tokensToSymbols, crossCorrelate,
+    MAX_CHIRP_TOKENS, MAX_TOKEN_INDEX, DEFAULT_SAMPLE_RATE
+};
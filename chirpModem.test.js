@@ -0,0 +1,83 @@
+import { describe, expect, it } from 'vitest';
+import { MAX_CHIRP_TOKENS, MAX_TOKEN_INDEX, decodeChirps, encodeChirp } from './chirpModem';
+
+// Seeded Gaussian noise (mulberry32 + Box-Muller), so failures reproduce
+const gaussian = (seed) => {
+    let a = seed >>> 0;
+    const uniform = () => {
+        a = (a + 0x6D2B79F5) | 0;
+        let t = Math.imul(a ^ (a >>> 15), 1 | a);
+        t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+    return () => Math.sqrt(-2 * Math.log(1 - uniform())) * Math.cos(2 * Math.PI * uniform());
+};
+
+// The bursts with silence around and between them, plus noise of deviation `sigma`
+const transmit = (bursts, { sigma = 0, seed = 1, padding = 4800 } = {}) => {
+    const length = bursts.reduce((n, b) => n + b.length + padding, padding);
+    const samples = new Float32Array(length);
+    let offset = padding;
+    bursts.forEach(burst => {
+        samples.set(burst, offset);
+        offset += burst.length + padding;
+    });
+    const noise = gaussian(seed);
+    for (let i = 0; i < samples.length; i++) samples[i] += sigma * noise();
+    return samples;
+};
+
+describe('encodeChirp / decodeChirps', () => {
+    it.each([[[0]], [[1, 2, 3]], [[42, 7, 900]]])('round-trips %j with noise at sigma 0.3', (tokens) => {
+        for (const seed of [1, 2, 3]) {
+            const { frames, rejected, resumeFrom } = decodeChirps(transmit([encodeChirp(tokens)], { sigma: 0.3, seed }));
+            expect(frames.map(f => f.tokens)).toEqual([tokens]);
+            expect(rejected).toBe(0);
+            expect(resumeFrom).toBeNull();
+        }
+    });
+
+    it('round-trips the largest token and the most tokens per chirp', () => {
+        const tokens = Array.from({ length: MAX_CHIRP_TOKENS }, (_, i) => (i * 257) % (MAX_TOKEN_INDEX + 1));
+        tokens[0] = MAX_TOKEN_INDEX;
+        const { frames } = decodeChirps(transmit([encodeChirp(tokens)], { sigma: 0.1 }));
+        expect(frames.map(f => f.tokens)).toEqual([tokens]);
+    });
+
+    it('finds consecutive bursts in order', () => {
+        const { frames } = decodeChirps(transmit([encodeChirp([5]), encodeChirp([6, 7])], { sigma: 0.2 }));
+        expect(frames.map(f => f.tokens)).toEqual([[5], [6, 7]]);
+        expect(frames[0].end).toBeLessThanOrEqual(frames[1].start);
+    });
+
+    it('leaves a burst cut off by the end of the buffer for later', () => {
+        const samples = transmit([encodeChirp([1, 2, 3])]);
+        const { frames, resumeFrom } = decodeChirps(samples.subarray(0, samples.length - 10000));
+        expect(frames).toEqual([]);
+        expect(resumeFrom).toBeGreaterThan(0);
+        expect(decodeChirps(samples.subarray(resumeFrom)).frames.map(f => f.tokens)).toEqual([[1, 2, 3]]);
+    });
+
+    it('hears nothing in noise alone', () => {
+        expect(decodeChirps(transmit([], { sigma: 0.3, padding: 48000 })).frames).toEqual([]);
+    });
+});
+
+describe('encodeChirp validation', () => {
+    it(`rejects tokens above MAX_TOKEN_INDEX (${MAX_TOKEN_INDEX})`, () => {
+        expect(MAX_TOKEN_INDEX).toBe(4095);
+        expect(() => encodeChirp([MAX_TOKEN_INDEX + 1])).toThrow(/cannot be chirped/);
+        expect(() => encodeChirp([1, 2, 4096])).toThrow(/cannot be chirped/);
+    });
+
+    it('rejects negative, fractional and non-numeric tokens', () => {
+        expect(() => encodeChirp([-1])).toThrow(/cannot be chirped/);
+        expect(() => encodeChirp([1.5])).toThrow(/cannot be chirped/);
+        expect(() => encodeChirp(['7'])).toThrow(/cannot be chirped/);
+    });
+
+    it(`carries 1 to ${MAX_CHIRP_TOKENS} tokens`, () => {
+        expect(() => encodeChirp([])).toThrow(/1 to 16 tokens/);
+        expect(() => encodeChirp(Array(MAX_CHIRP_TOKENS + 1).fill(1))).toThrow(/1 to 16 tokens/);
+    });
+});
@@ -0,0 +1,146 @@
+import { useState, useRef, useCallback, useEffect } from 'react';
+import { encodeChirp, decodeChirps, chirpDurationMs } from './chirpModem';
+
+// --- CHIRP transport over the speaker and microphone (modem in chirpModem.js) ---
+// transmit(tokens) plays one burst; while listening, microphone audio collects in a rolling
+// buffer that is scanned every DECODE_INTERVAL_SECONDS, and each decoded burst goes to
+// onFrame(tokens) once. Our own bursts are blanked out of the capture while they play.
+
+const BUFFER_SECONDS = 4; // longer than the longest burst (16 tokens, ~2.2 s)
+const DECODE_INTERVAL_SECONDS = 0.5;
+const ECHO_TAIL_MS = 300;
+const PROCESSOR_FRAMES = 4096;
+
+const audioContextClass = () => (typeof window !== 'undefined' && (window.AudioContext || window.webkitAudioContext)) || null;
+
+// Scans the unscanned part of the buffer; undecoded tails stay for the next pass
+const scanListener = (listener, onFrame) => {
+    const bufferStart = listener.total - listener.length;
+    const from = Math.max(0, listener.scannedTo - bufferStart);
+    const pending = listener.buffer.subarray(from, listener.length);
+    const { frames, resumeFrom } = decodeChirps(pending, { sampleRate: listener.sampleRate });
+    frames.forEach(frame => onFrame(frame.tokens));
+    const done = resumeFrom !== null ? resumeFrom
+        : frames.length ? frames[frames.length - 1].end
+        : Math.max(0, pending.length - Math.round(BUFFER_SECONDS * listener.sampleRate / 2));
+    listener.scannedTo = Math.max(listener.scannedTo, bufferStart + from + done);
+};
+
+// Appends to the rolling buffer, dropping the oldest samples; `muted` writes silence instead
+const appendSamples = (listener, input, muted) => {
+    const { buffer } = listener;
+    const overflow = listener.length + input.length - buffer.length;
+    if (overflow > 0) {
+        buffer.copyWithin(0, overflow, listener.length);
+        listener.length -= overflow;
+    }
+    if (muted) buffer.fill(0, listener.length, listener.length + input.length);
+    else buffer.set(input, listener.length);
+    listener.length += input.length;
+    listener.total += input.length;
+};
+
+const useChirpTransport = ({ onFrame, onError } = {}) => {
+    const [isListening, setIsListening] = useState(false);
+    const [isTransmitting, setIsTransmitting] = useState(false);
+    const playbackRef = useRef(null);
+    const listenerRef = useRef(null);
+    const mutedUntilRef = useRef(0);
+    const onFrameRef = useRef(onFrame);
+    const onErrorRef = useRef(onError);
+    useEffect(() => {
+        onFrameRef.current = onFrame;
+        onErrorRef.current = onError;
+    }, [onFrame, onError]);
+
+    const transmit = useCallback(async (tokens) => {
+        const AudioCtx = audioContextClass();
+        if (!AudioCtx) throw new Error('Web Audio is not available in this browser.');
+        if (!playbackRef.current) playbackRef.current = new AudioCtx();
+        const context = playbackRef.current;
+        await context.resume();
+        const samples = encodeChirp(tokens, { sampleRate: context.sampleRate });
+        const buffer = context.createBuffer(1, samples.length, context.sampleRate);
+        buffer.copyToChannel(samples, 0);
+        const source = context.createBufferSource();
+        source.buffer = buffer;
+        source.connect(context.destination);
+        mutedUntilRef.current = Date.now() + chirpDurationMs(tokens.length, context.sampleRate) + ECHO_TAIL_MS;
+        setIsTransmitting(true);
+        try {
+            await new Promise((resolve) => {
+                source.onended = resolve;
+                source.start();
+            });
+        } finally {
+            setIsTransmitting(false);
+        }
+    }, []);
+
+    const stopListening = useCallback(() => {
+        const listener = listenerRef.current;
+        if (!listener) return;
+        listenerRef.current = null;
+        listener.processor.disconnect();
+        listener.stream.getTracks().forEach(track => track.stop());
+        listener.context.close();
+        setIsListening(false);
+    }, []);
+
+    const startListening = useCallback(async () => {
+        if (listenerRef.current) return;
+        const AudioCtx = audioContextClass();
+        if (!AudioCtx || !navigator.mediaDevices?.getUserMedia) {
+            onErrorRef.current?.(new Error('Listening for chirps is not supported in this browser.'));
+            return;
+        }
+        let stream;
+        try {
+            // Voice processing would filter out the tones
+            stream = await navigator.mediaDevices.getUserMedia({
+                audio: { echoCancellation: false, noiseSuppression: false, autoGainControl: false },
+            });
+        } catch (e) {
+            onErrorRef.current?.(new Error(`Microphone unavailable (${e.message}).`));
+            return;
+        }
+        const context = new AudioCtx();
+        // ScriptProcessorNode is deprecated, but unlike an AudioWorklet it needs no separate
+        // module file; it hands over every captured sample, which the analyser does not.
+        const processor = context.createScriptProcessor(PROCESSOR_FRAMES, 1, 1);
+        const listener = {
+            stream,
+            context,
+            processor,
+            sampleRate: context.sampleRate,
+            buffer: new Float32Array(Math.ceil(BUFFER_SECONDS * context.sampleRate)),
+            length: 0,
+            total: 0,
+            scannedTo: 0,
+            sinceScan: 0,
+        };
+        processor.onaudioprocess = (event) => {
+            const input = event.inputBuffer.getChannelData(0);
+            appendSamples(listener, input, Date.now() < mutedUntilRef.current);
+            listener.sinceScan += input.length;
+            if (listener.sinceScan >= DECODE_INTERVAL_SECONDS * listener.sampleRate) {
+                listener.sinceScan = 0;
+                scanListener(listener, (tokens) => onFrameRef.current?.(tokens));
+            }
+        };
+        context.createMediaStreamSource(stream).connect(processor);
+        // The processor only runs while connected to the output; it writes silence
+        processor.connect(context.destination);
+        listenerRef.current = listener;
+        setIsListening(true);
+    }, []);
+
+    useEffect(() => () => {
+        stopListening();
+        playbackRef.current?.close();
+    }, [stopListening]);
+
+    return { isListening, isTransmitting, transmit, startListening, stopListening };
+};
+
+export { useChirpTransport };
@@ -0,0 +1,192 @@
+// --- Slash-command registry ---
+// A command is declared as:
+//   {
+//     name: 'remindme', aliases: ['remind'], description: 'Persistent reminder',
+//     args: [{ name: 'delay', type: 'duration' }, { name: 'message', type: 'text' }],
+//     usage: '/remindme <delay> <message>',   // optional, generated from args
+//     role: 'member',                          // minimum role, see ROLE_RANK
+//     examples: ['/remindme 10m "stand-up"'],
+//     handler: async (args, ctx) => string | { type, content },
+//   }
+// Arg types: 'string' (one token), 'number', 'duration' (e.g. 90s, 10m, 1h30m, 2d),
+// 'text' (all remaining tokens). Optional args set `optional: true`.
+
+// Muted users may not run commands (or post); see roleStore.js for how roles are stored.
+const ROLE_RANK = { muted: 0, member: 1, moderator: 2, owner: 3 };
+
+const hasRole = (role, required = 'member') => (ROLE_RANK[role] || 0) >= (ROLE_RANK[required] || 0);
+
+const DURATION_UNITS = { s: 1000, m: 60000, h: 3600000, d: 86400000 };
+
+// "10m" -> 600000, "1h30m" -> 5400000; null when not a duration.
+const parseDuration = (input) => {
+    const str = String(input || '').trim().toLowerCase();
+    if (!/^(\d+(\.\d+)?[smhd])+$/.test(str)) return null;
+    let total = 0;
+    for (const [, value, unit] of str.matchAll(/(\d+(?:\.\d+)?)([smhd])/g)) {
+        total += parseFloat(value) * DURATION_UNITS[unit];
+    }
+    return total > 0 ? Math.round(total) : null;
+};
+
+const usageError = (message) => {
+    const err = new Error(message);
+    err.isUsageError = true;
+    return err;
+};
+
+// Splits on whitespace, keeping "double" or 'single' quoted strings together.
+// Quotes only open at the start of a token, so apostrophes in words are literal.
+const tokenizeArgs = (input) => {
+    const tokens = [];
+    let current = '';
+    let quote = null;
+    let hasToken = false;
+    for (let i = 0; i < input.length; i++) {
+        const ch = input[i];
+        if (quote) {
+            if (ch === '\\' && input[i + 1] === quote) {
+                current += quote;
+                i++;
+            } else if (ch === quote) {
+                quote = null;
+            } else {
+                current += ch;
+            }
+        } else if ((ch === '"' || ch === "'") && !hasToken) {
+            quote = ch;
+            hasToken = true;
+        } else if (/\s/.test(ch)) {
+            if (hasToken) tokens.push(current);
+            current = '';
+            hasToken = false;
+        } else {
+            current += ch;
+            hasToken = true;
+        }
+    }
+    if (quote) throw usageError('Unterminated quoted string');
+    if (hasToken) tokens.push(current);
+    return tokens;
+};
+
+const ARG_PARSERS = {
+    string: (raw) => raw,
+    number: (raw) => {
+        const value = Number(raw);
+        return Number.isFinite(value) ? value : undefined;
+    },
+    duration: (raw) => parseDuration(raw) ?? undefined,
+};
+
+const formatUsage = (command) => command.usage || [
+    `/${command.name}`,
+    ...(command.args || []).map(arg => (arg.optional ? `[${arg.name}]` : `<${arg.name}>`)),
+].join(' ');
+
+const parseArgs = (command, tokens) => {
+    const args = {};
+    const specs = command.args || [];
+    let position = 0;
+    for (const spec of specs) {
+        if (spec.type === 'text') {
+            const rest = tokens.slice(position).join(' ').trim();
+            position = tokens.length;
+            if (!rest && !spec.optional) throw usageError(`Missing ${spec.name}`);
+            args[spec.name] = rest || undefined;
+            continue;
+        }
+        const raw = tokens[position];
+        if (raw === undefined) {
+            if (!spec.optional) throw usageError(`Missing ${spec.name}`);
+            continue;
+        }
+        const parser = ARG_PARSERS[spec.type || 'string'];
+        const value = parser(raw);
+        if (value === undefined) throw usageError(`Invalid ${spec.name} "${raw}" (expected ${spec.type})`);
+        if (spec.choices && !spec.choices.includes(String(value).toLowerCase())) {
+            throw usageError(`Invalid ${spec.name} "${raw}" (expected one of ${spec.choices.join(', ')})`);
+        }
+        args[spec.name] = spec.choices ? String(value).toLowerCase() : value;
+        position++;
+    }
+    if (position < tokens.length) throw usageError(`Unexpected argument "${tokens[position]}"`);
+    return args;
+};
+
+// "/Remind" -> "remind"
+const commandKey = (name) => String(name).toLowerCase().replace(/^\//, '');
+
+// Registering a command whose name or alias is already taken throws (see register).
+const createCommandRegistry = (commands = []) => {
+    const byName = new Map();
+    const registered = [];
+
+    const register = (command) => {
+        if (!command?.name || typeof command.handler !== 'function') {
+            throw new Error('Commands need a name and a handler');
+        }
+        const name = commandKey(command.name);
+        const aliases = [...new Set((command.aliases || []).map(commandKey))].filter(alias => alias !== name);
+        const entry = { role: 'member', ...command, name, aliases };
+        // `override` replaces the command of the same name; no other name or alias may be taken
+        const replaced = command.override ? registered.find(c => c.name === name) || null : null;
+        [name, ...aliases].forEach(key => {
+            const owner = byName.get(key);
+            if (!owner || owner === replaced) return;
+            if (key === name && owner.name === name) throw new Error(`Command /${name} is already registered`);
+            const what = key === name ? `Command /${name}` : `Alias /${key} of /${name}`;
+            throw new Error(`${what} clashes with ${owner.name === key ? 'the command' : 'an alias of'} /${owner.name}`);
+        });
+        if (replaced) {
+            registered.splice(registered.indexOf(replaced), 1);
+            for (const [key, value] of byName) if (value === replaced) byName.delete(key);
+        }
+        [name, ...aliases].forEach(key => byName.set(key, entry));
+        registered.push(entry);
+        return entry;
+    };
+
+    commands.forEach(register);
+
+    const resolve = (name) => byName.get(commandKey(name || '')) || null;
+
+    const list = (role) => registered
+        .filter(command => !command.hidden && (role === undefined || hasRole(role, command.role)))
+        .sort((a, b) => a.name.localeCompare(b.name));
+
+    // Runs "/name args..." and always resolves to an Agent Q response object.
+    const execute = async (input, ctx = {}) => {
+        const trimmed = input.trim();
+        const [head] = trimmed.split(/\s+/, 1);
+        const command = resolve(head);
+        if (!command) {
+            return { type: 'text', content: `Agent Q: Unknown command ${head}. Type /help for the list of commands.` };
+        }
+        if (ctx.role === 'muted') {
+            return { type: 'text', content: 'Agent Q: You are muted; commands are disabled until a moderator unmutes you.' };
+        }
+        if (!hasRole(ctx.role, command.role)) {
+            return { type: 'text', content: `Agent Q: /${command.name} requires the ${command.role} role. Access denied.` };
+        }
+        let args;
+        try {
+            args = parseArgs(command, tokenizeArgs(trimmed.slice(head.length)));
+        } catch (e) {
+            return { type: 'text', content: `Agent Q: ${e.message}. Usage: ${formatUsage(command)}` };
+        }
+        try {
+            const result = await command.handler(args, { ...ctx, command, registry: api });
+            return typeof result === 'string' ? { type: 'text', content: result } : result;
+        } catch (e) {
+            if (e.isUsageError) return { type: 'text', content: `Agent Q: ${e.message}. Usage: ${formatUsage(command)}` };
+            console.error(`command /${command.name} error:`, e);
+            return { type: 'text', content: `Agent Q: /${command.name} failed. (${e.message})` };
+        }
+    };
+
+    const api = { register, resolve, list, execute };
+    return api;
+};
+
+export { createCommandRegistry, commandKey, tokenizeArgs, parseDuration, formatUsage, usageError, hasRole, ROLE_RANK };
@@ -0,0 +1,51 @@
+import { describe, expect, it } from 'vitest';
+import { createCommandRegistry } from './commandRegistry';
+import { builtinCommands } from './agentCommands';
+
+const command = (name, extra = {}) => ({ name, handler: async () => `Agent Q: ${name}`, ...extra });
+
+describe('createCommandRegistry', () => {
+    it('registers the built-in commands without clashes', () => {
+        const registry = createCommandRegistry(builtinCommands);
+        expect(registry.resolve('/remind').name).toBe('remindme');
+    });
+
+    it('rejects a name that is already registered', () => {
+        const registry = createCommandRegistry([command('ping')]);
+        expect(() => registry.register(command('PING'))).toThrow('Command /ping is already registered');
+    });
+
+    it('rejects a name that is an alias of another command', () => {
+        const registry = createCommandRegistry([command('remindme', { aliases: ['remind'] })]);
+        expect(() => registry.register(command('remind'))).toThrow('Command /remind clashes with an alias of /remindme');
+    });
+
+    it('rejects aliases that are taken by names or other aliases', () => {
+        const registry = createCommandRegistry([command('remindme', { aliases: ['remind'] }), command('ping')]);
+        expect(() => registry.register(command('pong', { aliases: ['ping'] }))).toThrow('Alias /ping of /pong clashes with the command /ping');
+        expect(() => registry.register(command('note', { aliases: ['/Remind'] }))).toThrow('Alias /remind of /note clashes with an alias of /remindme');
+        expect(registry.resolve('pong')).toBeNull();
+        expect(registry.resolve('note')).toBeNull();
+        expect(registry.resolve('remind').name).toBe('remindme');
+    });
+
+    it('ignores aliases repeating the command name', () => {
+        const registry = createCommandRegistry([command('ping', { aliases: ['ping', 'p', 'P'] })]);
+        expect(registry.resolve('p').aliases).toEqual(['p']);
+    });
+
+    it('replaces a command of the same name with override', async () => {
+        const registry = createCommandRegistry([command('remindme', { aliases: ['remind'] }), command('ping')]);
+        registry.register(command('remindme', { override: true, aliases: ['later'], handler: async () => 'Agent Q: custom' }));
+        expect((await registry.execute('/later', { role: 'member' })).content).toBe('Agent Q: custom');
+        expect(registry.resolve('remind')).toBeNull();
+        expect(registry.list().map(c => c.name)).toEqual(['ping', 'remindme']);
+        expect(() => registry.register(command('ping', { override: true, aliases: ['later'] })))
+            .toThrow('Alias /later of /ping clashes with an alias of /remindme');
+    });
+
+    it('does not let override take over an alias', () => {
+        const registry = createCommandRegistry([command('remindme', { aliases: ['remind'] })]);
+        expect(() => registry.register(command('remind', { override: true }))).toThrow('Command /remind clashes with an alias of /remindme');
+    });
+});
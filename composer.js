@@ -0,0 +1,150 @@
+import { useCallback, useEffect, useMemo, useRef, useState } from 'react';
+import { formatUsage } from './commandRegistry';
+import { encodeTokens, isTokenSignal } from './tokenCodec';
+
+// --- Composer support for MessageInput ---
+//   commandSuggestions  "/we" -> matching slash commands; "/weather Pa" -> the usage of /weather
+//   phraseSuggestions   dictionary phrases that complete the text (each one a token signal)
+//   tokenSignalIndex    the phrase index when the text would go out as a TOKEN SIGNAL
+//   useSentHistory      the user's recently sent messages, recalled with ArrowUp
+//   useComposerDraft    the unsent text of each room, restored when the room is opened again
+// Like the outbox, history and drafts of encrypted call rooms stay in memory only.
+
+const MAX_COMMAND_SUGGESTIONS = 8;
+const MAX_PHRASE_SUGGESTIONS = 5;
+const MIN_PHRASE_QUERY = 2;
+const MAX_HISTORY = 50;
+
+const commandNames = (command) => [
+    command.name,
+    ...(command.aliases || []).map(alias => alias.toLowerCase().replace(/^\//, '')),
+];
+
+// `commands` as from registry.list(role) -> { items, hint, exact }
+//   items  commands whose name or alias starts with what is typed, while the name is typed
+//   hint   { usage, description } of the command once its arguments are being typed
+//   exact  what is typed already names a command (so Enter sends rather than completes)
+const commandSuggestions = (text, commands) => {
+    const m = /^\/(\S*)(\s)?/.exec(text);
+    if (!m) return { items: [], hint: null, exact: false };
+    const typed = m[1].toLowerCase();
+    const named = commands.find(c => commandNames(c).includes(typed));
+    if (m[2] !== undefined) {
+        return { items: [], hint: named ? { usage: formatUsage(named), description: named.description || '' } : null, exact: !!named };
+    }
+    const items = commands
+        .filter(c => commandNames(c).some(name => name.startsWith(typed)))
+        // Name matches before alias-only matches; list() is already alphabetical
+        .sort((a, b) => !a.name.startsWith(typed) - !b.name.startsWith(typed))
+        .slice(0, MAX_COMMAND_SUGGESTIONS)
+        .map(c => ({
+            key: `/${c.name}`,
+            label: `/${c.name}`,
+            detail: formatUsage(c),
+            description: c.description || '',
+            value: (c.args || []).length || c.usage ? `/${c.name} ` : `/${c.name}`,
+        }));
+    return { items, hint: null, exact: !!named };
+};
+
+// Phrases starting with the text first, then phrases containing it; free text only. Phrases
+// that look like commands ("/summary") are left out, as sending one runs the command.
+const phraseSuggestions = (text, phrases) => {
+    const needle = text.trim().toLowerCase();
+    if (needle.length < MIN_PHRASE_QUERY || needle.startsWith('/')) return [];
+    return phrases
+        .map((phrase, index) => ({ phrase: String(phrase), index }))
+        .map(p => ({ ...p, at: p.phrase.toLowerCase().indexOf(needle) }))
+        .filter(p => p.at >= 0 && p.phrase.trim().toLowerCase() !== needle && !p.phrase.trim().startsWith('/'))
+        .sort((a, b) => (a.at > 0) - (b.at > 0) || a.phrase.length - b.phrase.length || a.index - b.index)
+        .slice(0, MAX_PHRASE_SUGGESTIONS)
+        .map(({ phrase, index }) => ({
+            key: `phrase-${index}`,
+            label: phrase,
+            detail: `token #${index}`,
+            badge: 'TOKEN SIGNAL',
+            value: phrase,
+        }));
+};
+
+// Same test as sending: the trimmed message is not a command and encodes to exactly one phrase.
+// Only texts equal to some phrase (ignoring case) can, so the full encode runs for those alone.
+const tokenSignalIndex = (text, phrases) => {
+    const message = text.trim();
+    const lower = message.toLowerCase();
+    if (!message || message.startsWith('/') || !phrases.some(p => String(p).toLowerCase() === lower)) return null;
+    const tokens = encodeTokens(message, phrases);
+    return isTokenSignal(tokens) ? tokens[0] : null;
+};
+
+const historyKey = (appId, userId) => `qvoicetxt-sent:${appId}:${userId}`;
+const draftKey = (appId, userId, roomId) => `qvoicetxt-draft:${appId}:${userId}:${roomId}`;
+
+const readStored = (key, fallback) => {
+    try {
+        const value = JSON.parse(localStorage.getItem(key));
+        return value ?? fallback;
+    } catch (e) {
+        return fallback;
+    }
+};
+
+const writeStored = (key, value) => {
+    try {
+        if (value === null) localStorage.removeItem(key);
+        else localStorage.setItem(key, JSON.stringify(value));
+    } catch (e) {
+        console.error('composer storage error:', e);
+    }
+};
+
+// -> { entries: [text] oldest first, record(text, { persist }) }. Re-sending a message moves it
+// to the end instead of repeating it.
+const useSentHistory = ({ appId, userId }) => {
+    const key = userId ? historyKey(appId, userId) : null;
+    const [records, setRecords] = useState([]);
+    const recordsRef = useRef([]);
+
+    useEffect(() => {
+        const saved = key ? readStored(key, []) : [];
+        recordsRef.current = Array.isArray(saved)
+            ? saved.filter(text => typeof text === 'string').map(text => ({ text, persist: true }))
+            : [];
+        setRecords(recordsRef.current);
+    }, [key]);
+
+    const record = useCallback((text, { persist = true } = {}) => {
+        if (!key || !text.trim()) return;
+        recordsRef.current = [...recordsRef.current.filter(r => r.text !== text), { text, persist }].slice(-MAX_HISTORY);
+        setRecords(recordsRef.current);
+        writeStored(key, recordsRef.current.filter(r => r.persist).map(r => r.text));
+    }, [key]);
+
+    const entries = useMemo(() => records.map(r => r.text), [records]);
+    return { entries, record };
+};
+
+// Keeps `text` as the current room's draft and loads a room's draft when it becomes current.
+// `persist: false` keeps that room's draft in memory only.
+const useComposerDraft = ({ appId, userId, roomId, persist, text, setText }) => {
+    const key = userId ? draftKey(appId, userId, roomId) : null;
+    const roomRef = useRef(null);
+    const memoryRef = useRef(new Map());
+
+    // Declared first, so text that changes along with the room is saved to the room it was typed in
+    useEffect(() => {
+        const room = roomRef.current;
+        if (!room) return;
+        if (room.persist) writeStored(room.key, text.trim() ? text : null);
+        else if (text.trim()) memoryRef.current.set(room.key, text);
+        else memoryRef.current.delete(room.key);
+    }, [text]);
+
+    useEffect(() => {
+        roomRef.current = key ? { key, persist } : null;
+        const draft = !key ? '' : persist ? readStored(key, '') : memoryRef.current.get(key);
+        setText(typeof draft === 'string' ? draft : '');
+    }, [key, persist, setText]);
+};
+
+export { commandSuggestions, phraseSuggestions, tokenSignalIndex, useSentHistory, useComposerDraft };
@@ -0,0 +1,21 @@
+import { describe, expect, it } from 'vitest';
+import { phraseSuggestions, tokenSignalIndex } from './composer';
+
+const phrases = ['/summary', 'hello there', 'summer plans'];
+
+describe('tokenSignalIndex', () => {
+    it('marks a message that is exactly one phrase', () => {
+        expect(tokenSignalIndex('  hello there ', phrases)).toBe(1);
+        expect(tokenSignalIndex('Hello there', phrases)).toBeNull();
+    });
+
+    it('never marks commands, even ones in the dictionary', () => {
+        expect(tokenSignalIndex('/summary', phrases)).toBeNull();
+    });
+});
+
+describe('phraseSuggestions', () => {
+    it('leaves out phrases that would run as commands', () => {
+        expect(phraseSuggestions('summ', phrases).map(s => s.value)).toEqual(['summer plans']);
+    });
+});
@@ -0,0 +1,324 @@
+import { useState, useEffect, useMemo, useCallback, useRef } from 'react';
+import { requestJson } from './httpClient';
+import { commandKey } from './commandRegistry';
+
+// --- Runtime configuration ---
+// Layers, lowest first: defaults (defaultNexusConfig), Vite env vars (VITE_*), window globals
+// (__app_id, __firebase_config, __initial_auth_token, __gemini_api_key, and __nexus_config
+// for any setting), the JSON file at `configUrl`, then the user's saved preferences. Every
+// value is checked against CONFIG_SCHEMA; a bad one is reported in `errors` and the layer
+// below it stays in effect. Preferences only cover the `editable` settings and live in
+// localStorage under qvoicetxt-settings:{appId}:{userId}.
+
+const PREFERENCES_PREFIX = 'qvoicetxt-settings';
+
+// Field types. parse() turns env / global strings into values (and may throw on bad JSON);
+// check() returns a problem or null.
+const parseJson = (v) => (typeof v === 'string' ? JSON.parse(v) : v);
+
+const string = ({ oneOf, nonEmpty = false, nullable = false, maxLength = Infinity } = {}) => ({
+    kind: oneOf ? 'choice' : 'string',
+    options: oneOf,
+    parse: (v) => v,
+    check: (v) => {
+        if (v === null && nullable) return null;
+        if (typeof v !== 'string') return 'must be a string';
+        if (nonEmpty && !v.trim()) return 'must not be empty';
+        if (v.length > maxLength) return `must be at most ${maxLength} characters`;
+        if (oneOf && !oneOf.includes(v)) return `must be one of: ${oneOf.join(', ')}`;
+        return null;
+    },
+});
+
+const number = ({ min = -Infinity, max = Infinity, integer = false } = {}) => ({
+    kind: 'number',
+    parse: (v) => (typeof v === 'string' && v.trim() !== '' ? Number(v) : v),
+    check: (v) => {
+        if (typeof v !== 'number' || !Number.isFinite(v)) return 'must be a number';
+        if (integer && !Number.isInteger(v)) return 'must be a whole number';
+        if (v < min || v > max) return `must be between ${min} and ${max}`;
+        return null;
+    },
+});
+
+const boolean = () => ({
+    kind: 'boolean',
+    parse: (v) => (v === 'true' || v === '1' ? true : v === 'false' || v === '0' ? false : v),
+    check: (v) => (typeof v === 'boolean' ? null : 'must be true or false'),
+});
+
+const object = ({ nullable = false } = {}) => ({
+    kind: 'object',
+    parse: parseJson,
+    check: (v) => {
+        if (v === null && nullable) return null;
+        return v && typeof v === 'object' && !Array.isArray(v) ? null : 'must be an object';
+    },
+});
+
+const list = (itemCheck = () => true, itemDescription = 'item') => ({
+    kind: 'list',
+    parse: parseJson,
+    check: (v) => {
+        if (!Array.isArray(v)) return 'must be a list';
+        const bad = v.findIndex(item => !itemCheck(item));
+        return bad === -1 ? null : `item ${bad} must be a ${itemDescription}`;
+    },
+});
+
+const fn = () => ({
+    kind: 'function',
+    parse: (v) => v,
+    check: (v) => (v === undefined || typeof v === 'function' ? null : 'must be a function'),
+});
+
+// Slash commands as declared in commandRegistry.js. A name or alias used twice in the list is a
+// problem here; clashes with built-in commands are reported when the app registers them.
+const commandList = () => ({
+    ...list(),
+    check: (v) => {
+        if (!Array.isArray(v)) return 'must be a list';
+        const seen = new Map();
+        for (const [i, command] of v.entries()) {
+            if (!command || typeof command !== 'object' || typeof command.name !== 'string' || typeof command.handler !== 'function') {
+                return `item ${i} must be a command object with a name and a handler`;
+            }
+            const { aliases = [] } = command;
+            if (!Array.isArray(aliases) || aliases.some(a => typeof a !== 'string')) return `item ${i} aliases must be a list of strings`;
+            for (const key of new Set([command.name, ...aliases].map(commandKey))) {
+                if (seen.has(key)) return `item ${i} reuses /${key} from item ${seen.get(key)}`;
+                seen.set(key, i);
+            }
+        }
+        return null;
+    },
+});
+
+const PROVIDER_NAMES = ['auto', 'gemini', 'simulated'];
+
+// The only id firestore.rules lets clients post agent replies under (botUserId() there)
+const RULES_BOT_USER_ID = 'Agent Q Core ✨';
+
+const CONFIG_SCHEMA = {
+    appId: string({ nonEmpty: true }),
+    firebaseConfig: object({ nullable: true }),
+    initialAuthToken: string({ nullable: true }),
+    storageBackend: string({ oneOf: ['auto', 'firebase', 'local'] }),
+    configUrl: string({ nullable: true }),
+    geminiApiKey: { ...string(), editable: true, secret: true, group: 'Agent', label: 'Gemini API key' },
+    geminiTextModel: { ...string({ nonEmpty: true }), editable: true, group: 'Agent', label: 'Text model' },
+    geminiTtsModel: { ...string({ nonEmpty: true }), editable: true, group: 'Agent', label: 'Voice model' },
+    geminiTtsVoice: { ...string({ nonEmpty: true }), editable: true, group: 'Agent', label: 'Voice' },
+    geminiApiBaseUrl: string({ nonEmpty: true }),
+    // A provider name, or a provider object (see agentProviders.js)
+    agentProvider: {
+        ...string({ oneOf: PROVIDER_NAMES }),
+        check: (v) => (v && typeof v === 'object' && typeof v.generateReply === 'function'
+            ? null
+            : PROVIDER_NAMES.includes(v) ? null : `must be one of: ${PROVIDER_NAMES.join(', ')}, or a provider object`),
+        editable: true,
+        group: 'Agent',
+        label: 'Agent provider',
+    },
+    agentTimeoutMs: number({ min: 1000, max: 120000, integer: true }),
+    agentMaxRetries: number({ min: 0, max: 10, integer: true }),
+    agentSystemPrompt: { ...string(), editable: true, group: 'Agent', label: 'System prompt' },
+    fetchImpl: fn(),
+    connectorFixtures: object({ nullable: true }),
+    displayName: { ...string({ maxLength: 40 }), editable: true, group: 'Profile', label: 'Display name' },
+    botName: { ...string({ nonEmpty: true }), editable: true, group: 'Chat', label: 'Bot name' },
+    botUserId: {
+        ...string({ nonEmpty: true }),
+        check: (v) => (v === RULES_BOT_USER_ID ? null : `must be "${RULES_BOT_USER_ID}", the agent id firestore.rules allows`),
+    },
+    tokenDictionaryId: { ...string({ nonEmpty: true }), editable: true, group: 'Chat', label: 'Token dictionary' },
+    tokenDictionary: list(p => typeof p === 'string', 'string'),
+    customCommands: commandList(),
+    intentSchema: object(),
+    theme: { ...string({ oneOf: ['light', 'dark'] }), editable: true, group: 'Chat', label: 'Theme' },
+    voiceMaxSeconds: number({ min: 5, max: 600, integer: true }),
+    voiceTranscription: { ...boolean(), editable: true, group: 'Chat', label: 'Transcribe voice messages' },
+    acousticChirps: { ...boolean(), editable: true, group: 'Chat', label: 'Send chirps as sound' },
+    qkdEveMode: boolean(),
+    qkdQberThreshold: number({ min: 0, max: 0.5 }),
+    qkdChannelNoise: number({ min: 0, max: 0.5 }),
+};
+
+const EDITABLE_KEYS = Object.keys(CONFIG_SCHEMA).filter(key => CONFIG_SCHEMA[key].editable);
+
+// Layers are { source, values } or { source, error } (the whole layer failed to load).
+// `editableOnly` layers may only set editable keys.
+const resolveConfig = (defaults, layers = []) => {
+    const config = { ...defaults };
+    const errors = [];
+    [{ source: 'defaults', values: defaults }, ...layers].forEach(({ source, values, error, editableOnly }) => {
+        if (error) {
+            errors.push({ source, key: null, message: error });
+            return;
+        }
+        Object.entries(values || {}).forEach(([key, raw]) => {
+            const spec = CONFIG_SCHEMA[key];
+            const fail = (message) => errors.push({ source, key, message });
+            if (!spec) return fail('unknown setting');
+            if (editableOnly && !spec.editable) return fail('cannot be changed from settings');
+            if (raw === undefined) return;
+            let value;
+            try {
+                value = spec.parse(raw);
+            } catch (e) {
+                return fail(`is not valid JSON (${e.message})`);
+            }
+            const problem = spec.check(value);
+            if (problem) return fail(problem);
+            config[key] = value;
+        });
+    });
+    return { config, errors };
+};
+
+// Picks `mapping` keys that are set (and not empty strings) in `source`
+const pickSet = (mapping, source) => Object.fromEntries(
+    Object.entries(mapping)
+        .filter(([from]) => source?.[from] !== undefined && source[from] !== '')
+        .map(([from, key]) => [key, source[from]])
+);
+
+const ENV_KEYS = {
+    VITE_APP_ID: 'appId',
+    VITE_FIREBASE_CONFIG: 'firebaseConfig',
+    VITE_INITIAL_AUTH_TOKEN: 'initialAuthToken',
+    VITE_STORAGE_BACKEND: 'storageBackend',
+    VITE_CONFIG_URL: 'configUrl',
+    VITE_GEMINI_API_KEY: 'geminiApiKey',
+    VITE_AGENT_PROVIDER: 'agentProvider',
+};
+
+const GLOBAL_KEYS = {
+    __app_id: 'appId',
+    __firebase_config: 'firebaseConfig',
+    __initial_auth_token: 'initialAuthToken',
+    __gemini_api_key: 'geminiApiKey',
+    __config_url: 'configUrl',
+};
+
+const envLayer = (env) => ({ source: 'environment', values: pickSet(ENV_KEYS, env) });
+
+const globalLayers = (win) => {
+    const layers = [{ source: 'window globals', values: pickSet(GLOBAL_KEYS, win) }];
+    if (win?.__nexus_config !== undefined) {
+        try {
+            const values = parseJson(win.__nexus_config);
+            layers.push(values && typeof values === 'object'
+                ? { source: 'window.__nexus_config', values }
+                : { source: 'window.__nexus_config', error: 'must be an object' });
+        } catch (e) {
+            layers.push({ source: 'window.__nexus_config', error: `is not valid JSON (${e.message})` });
+        }
+    }
+    return layers;
+};
+
+const fetchConfigLayer = async (url, fetchImpl) => {
+    const source = `config file ${url}`;
+    try {
+        const values = await requestJson(url, { timeoutMs: 10000, retries: 1, fetchImpl });
+        return values && typeof values === 'object' && !Array.isArray(values)
+            ? { source, values }
+            : { source, error: 'must contain a JSON object' };
+    } catch (e) {
+        return { source, error: `could not be loaded (${e.message})` };
+    }
+};
+
+const preferencesKey = (appId, userId) => `${PREFERENCES_PREFIX}:${appId}:${userId}`;
+
+const readPreferences = (appId, userId) => {
+    try {
+        const saved = JSON.parse(localStorage.getItem(preferencesKey(appId, userId)) || '{}');
+        return saved && typeof saved === 'object' ? saved : {};
+    } catch (e) {
+        return {};
+    }
+};
+
+const writePreferences = (appId, userId, preferences) => {
+    try {
+        localStorage.setItem(preferencesKey(appId, userId), JSON.stringify(preferences));
+    } catch (e) {
+        console.error('settings save error:', e);
+    }
+};
+
+// -> { config, errors, isLoading, preferences, updatePreferences(patch), resetPreferences(),
+//      setUserId(uid) }. Preferences apply once the signed-in user is known; a patch value of
+// undefined removes that preference.
+const useConfigLoader = (defaults, {
+    env = import.meta.env,
+    win = typeof window !== 'undefined' ? window : undefined,
+} = {}) => {
+    const baseLayers = useMemo(() => [envLayer(env), ...globalLayers(win)], [env, win]);
+    const { config: baseConfig } = useMemo(() => resolveConfig(defaults, baseLayers), [defaults, baseLayers]);
+    const { configUrl, fetchImpl } = baseConfig;
+
+    const [remoteLayer, setRemoteLayer] = useState(null);
+    useEffect(() => {
+        if (!configUrl) return undefined;
+        let cancelled = false;
+        fetchConfigLayer(configUrl, fetchImpl).then(layer => {
+            if (!cancelled) setRemoteLayer(layer);
+        });
+        return () => { cancelled = true; };
+    }, [configUrl, fetchImpl]);
+    const isLoading = !!configUrl && !remoteLayer;
+
+    const layers = useMemo(() => (remoteLayer ? [...baseLayers, remoteLayer] : baseLayers), [baseLayers, remoteLayer]);
+    const { appId } = useMemo(() => resolveConfig(defaults, layers).config, [defaults, layers]);
+
+    const [userId, setUserId] = useState(null);
+    const [preferences, setPreferences] = useState({});
+    useEffect(() => {
+        setPreferences(userId ? readPreferences(appId, userId) : {});
+    }, [appId, userId]);
+
+    const resolved = useMemo(() => resolveConfig(defaults, [
+        ...layers,
+        { source: 'saved preferences', values: preferences, editableOnly: true },
+    ]), [defaults, layers, preferences]);
+
+    // Each problem is logged once, not again whenever a preference change re-resolves the config
+    const reportedRef = useRef(new Set());
+    useEffect(() => {
+        resolved.errors.forEach(e => {
+            const text = `config: ${e.source}${e.key ? ` ${e.key}` : ''} ${e.message}`;
+            if (reportedRef.current.has(text)) return;
+            reportedRef.current.add(text);
+            console.warn(text);
+        });
+    }, [resolved.errors]);
+
+    const updatePreferences = useCallback((patch) => {
+        if (!userId) return;
+        setPreferences(prev => {
+            const next = { ...prev, ...patch };
+            Object.keys(next).forEach(key => next[key] === undefined && delete next[key]);
+            writePreferences(appId, userId, next);
+            return next;
+        });
+    }, [appId, userId]);
+
+    const resetPreferences = useCallback(() => updatePreferences(
+        Object.fromEntries(EDITABLE_KEYS.map(key => [key, undefined]))
+    ), [updatePreferences]);
+
+    return {
+        config: resolved.config,
+        errors: resolved.errors,
+        isLoading,
+        preferences,
+        updatePreferences,
+        resetPreferences,
+        setUserId,
+    };
+};
+
+export { CONFIG_SCHEMA, EDITABLE_KEYS, resolveConfig, envLayer, globalLayers, useConfigLoader };
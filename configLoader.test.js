@@ -0,0 +1,40 @@
+import { describe, expect, it } from 'vitest';
+import { resolveConfig } from './configLoader';
+
+const command = (name, extra = {}) => ({ name, handler: async () => `Agent Q: ${name}`, ...extra });
+
+describe('resolveConfig', () => {
+    describe('customCommands', () => {
+        const resolve = (customCommands) => resolveConfig({ customCommands: [] }, [{ source: 'test', values: { customCommands } }]);
+
+        it('accepts distinct commands', () => {
+            const commands = [command('ping', { aliases: ['p'] }), command('pong')];
+            expect(resolve(commands)).toEqual({ config: { customCommands: commands }, errors: [] });
+        });
+
+        it('reports a name or alias used twice and keeps the layer below', () => {
+            expect(resolve([command('ping'), command('/Ping')])).toEqual({
+                config: { customCommands: [] },
+                errors: [{ source: 'test', key: 'customCommands', message: 'item 1 reuses /ping from item 0' }],
+            });
+            expect(resolve([command('ping', { aliases: ['p'] }), command('pong', { aliases: ['P'] })]).errors[0].message)
+                .toBe('item 1 reuses /p from item 0');
+            expect(resolve([command('ping'), command('pong', { aliases: ['ping'] })]).errors[0].message)
+                .toBe('item 1 reuses /ping from item 0');
+        });
+
+        it('reports malformed commands', () => {
+            expect(resolve([{ name: 'ping' }]).errors[0].message).toBe('item 0 must be a command object with a name and a handler');
+            expect(resolve([command('ping', { aliases: 'p' })]).errors[0].message).toBe('item 0 aliases must be a list of strings');
+        });
+    });
+
+    it('only accepts the agent id the security rules allow', () => {
+        const resolve = (botUserId) => resolveConfig({ botUserId: 'Agent Q Core ✨' }, [{ source: 'test', values: { botUserId } }]);
+        expect(resolve('Agent Q Core ✨').errors).toEqual([]);
+        expect(resolve('my-bot')).toEqual({
+            config: { botUserId: 'Agent Q Core ✨' },
+            errors: [{ source: 'test', key: 'botUserId', message: 'must be "Agent Q Core ✨", the agent id firestore.rules allows' }],
+        });
+    });
+});
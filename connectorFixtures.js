@@ -0,0 +1,101 @@
+// --- Sample fixture tables for the data connectors (see connectors.js) ---
+// Pass as `connectorFixtures` to run /weather and /crypto offline, e.g. in tests or demos. The
+// responses follow the shape of the real APIs for the handful of places and coins below; other
+// cities are not found and other coins have no price, as upstream.
+
+const PLACES = {
+    paris: { name: 'Paris', admin1: 'Île-de-France', country: 'France', latitude: 48.85341, longitude: 2.3488 },
+    tokyo: { name: 'Tokyo', admin1: 'Tokyo', country: 'Japan', latitude: 35.6895, longitude: 139.69171 },
+    'new york': { name: 'New York', admin1: 'New York', country: 'United States', latitude: 40.71427, longitude: -74.00597 },
+};
+
+// Metric conditions by latitude; daily values repeat `days` in turn
+const CONDITIONS = {
+    48.85341: {
+        current: { temperature_2m: 18.4, apparent_temperature: 17.1, relative_humidity_2m: 64, weather_code: 2, wind_speed_10m: 11.2 },
+        days: [
+            { weather_code: 3, temperature_2m_max: 21.3, temperature_2m_min: 12.8, precipitation_probability_max: 20 },
+            { weather_code: 61, temperature_2m_max: 17.9, temperature_2m_min: 11.2, precipitation_probability_max: 80 },
+            { weather_code: 1, temperature_2m_max: 23.6, temperature_2m_min: 13.4, precipitation_probability_max: 5 },
+        ],
+    },
+    35.6895: {
+        current: { temperature_2m: 26.2, apparent_temperature: 28.9, relative_humidity_2m: 78, weather_code: 80, wind_speed_10m: 14.8 },
+        days: [
+            { weather_code: 80, temperature_2m_max: 28.1, temperature_2m_min: 22.4, precipitation_probability_max: 65 },
+            { weather_code: 95, temperature_2m_max: 27.5, temperature_2m_min: 22.9, precipitation_probability_max: 90 },
+        ],
+    },
+    40.71427: {
+        current: { temperature_2m: 22.7, apparent_temperature: 22.5, relative_humidity_2m: 55, weather_code: 0, wind_speed_10m: 9.4 },
+        days: [
+            { weather_code: 0, temperature_2m_max: 25.2, temperature_2m_min: 17.6, precipitation_probability_max: 0 },
+            { weather_code: 2, temperature_2m_max: 24.1, temperature_2m_min: 18.3, precipitation_probability_max: 10 },
+        ],
+    },
+};
+const FIRST_DAY = Date.UTC(2024, 5, 1);
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const PRICES = {
+    bitcoin: { usd: 67250.12, usd_24h_change: 1.84, eur: 62010.55, eur_24h_change: 1.62, gbp: 52890.4, gbp_24h_change: 1.71 },
+    ethereum: { usd: 3512.77, usd_24h_change: -0.92, eur: 3239.08, eur_24h_change: -1.13, gbp: 2762.3, gbp_24h_change: -1.05 },
+    solana: { usd: 171.45, usd_24h_change: 4.37, eur: 158.09, eur_24h_change: 4.15, gbp: 134.82, gbp_24h_change: 4.22 },
+    dogecoin: { usd: 0.158231, usd_24h_change: -2.41, eur: 0.145902, eur_24h_change: -2.62, gbp: 0.124425, gbp_24h_change: -2.55 },
+};
+
+const toFahrenheit = (c) => Math.round((c * 9 / 5 + 32) * 10) / 10;
+const toMph = (kmh) => Math.round(kmh * 0.621371 * 10) / 10;
+
+const searchPlaces = ({ name }) => {
+    const place = PLACES[String(name || '').trim().toLowerCase()];
+    return place ? { results: [place], generationtime_ms: 0.5 } : { generationtime_ms: 0.5 };
+};
+
+const forecastFor = ({ latitude, daily, forecast_days: forecastDays, temperature_unit: temperatureUnit, wind_speed_unit: windSpeedUnit }) => {
+    const conditions = CONDITIONS[latitude];
+    if (!conditions) return { error: true, reason: 'No data for these coordinates' };
+    const temp = temperatureUnit === 'fahrenheit' ? toFahrenheit : (c) => c;
+    const speed = windSpeedUnit === 'mph' ? toMph : (kmh) => kmh;
+    const { current } = conditions;
+    const data = {
+        latitude,
+        current: {
+            ...current,
+            temperature_2m: temp(current.temperature_2m),
+            apparent_temperature: temp(current.apparent_temperature),
+            wind_speed_10m: speed(current.wind_speed_10m),
+        },
+    };
+    if (daily) {
+        const days = Array.from({ length: Number(forecastDays) || 7 }, (_, i) => conditions.days[i % conditions.days.length]);
+        data.daily = {
+            time: days.map((_, i) => new Date(FIRST_DAY + i * DAY_MS).toISOString().slice(0, 10)),
+            weather_code: days.map(d => d.weather_code),
+            temperature_2m_max: days.map(d => temp(d.temperature_2m_max)),
+            temperature_2m_min: days.map(d => temp(d.temperature_2m_min)),
+            precipitation_probability_max: days.map(d => d.precipitation_probability_max),
+        };
+    }
+    return data;
+};
+
+const simplePrice = ({ ids, vs_currencies: currencies, include_24hr_change: withChange }) => {
+    const result = {};
+    String(ids || '').split(',').filter(id => PRICES[id]).forEach(id => {
+        result[id] = {};
+        String(currencies || '').split(',').filter(cur => cur in PRICES[id]).forEach(cur => {
+            result[id][cur] = PRICES[id][cur];
+            if (String(withChange) === 'true') result[id][`${cur}_24h_change`] = PRICES[id][`${cur}_24h_change`];
+        });
+    });
+    return result;
+};
+
+const SAMPLE_CONNECTOR_FIXTURES = {
+    geocoding: { '/v1/search': searchPlaces },
+    forecast: { '/v1/forecast': forecastFor },
+    prices: { '/simple/price': simplePrice },
+};
+
+export { SAMPLE_CONNECTOR_FIXTURES };
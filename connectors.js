@@ -0,0 +1,157 @@
+import { requestJson, createHttpError } from './httpClient';
+
+// --- Data connectors: the upstream APIs behind data commands (/weather, /crypto) ---
+// A connector wraps one JSON API. get(path, params) adds:
+//   caching    successful responses are kept for `ttlMs`, keyed by URL; concurrent requests
+//              for the same URL share one fetch
+//   timeouts   each attempt is aborted after `timeoutMs` (retried `retries` times, see httpClient.js)
+//   rate limit at most `rateLimit.max` upstream requests per `rateLimit.perMs`; cache hits are free
+//   fixtures   when given, responses come from the fixture table instead of the network, so
+//              commands run offline and in tests: { [path]: response | (params) => response }
+//              (connectorFixtures.js has sample tables)
+// Every failure is an error with `upstream` (the connector label) and `kind`
+// ('rate-limited' | 'timeout' | 'http' | 'network' | 'bad-response' | 'no-fixture');
+// describeConnectorError turns it into one uniform chat reply.
+
+const MAX_CACHE_ENTRIES = 200;
+
+const connectorError = (upstream, kind, message, extra = {}) => Object.assign(
+    createHttpError(message, { upstream, ...extra }),
+    { kind, isConnectorError: true }
+);
+
+const errorKind = (e) => {
+    if (e.kind) return e.kind;
+    if (e.status) return 'http';
+    return /timed out/i.test(e.message) ? 'timeout' : 'network';
+};
+
+const buildUrl = (baseUrl, path, params = {}) => {
+    const query = new URLSearchParams();
+    Object.keys(params).sort().forEach(key => {
+        const value = params[key];
+        if (value !== undefined && value !== null && value !== '') query.set(key, String(value));
+    });
+    const qs = query.toString();
+    return `${baseUrl.replace(/\/$/, '')}${path}${qs ? `?${qs}` : ''}`;
+};
+
+const createConnector = ({
+    name,
+    label = name,
+    baseUrl,
+    ttlMs = 60000,
+    timeoutMs = 8000,
+    retries = 1,
+    rateLimit = { max: 30, perMs: 60000 },
+    fixtures = null,
+    fetchImpl,
+    now = () => Date.now(),
+}) => {
+    const cache = new Map();
+    let requestTimes = [];
+
+    const takeRateSlot = () => {
+        const t = now();
+        requestTimes = requestTimes.filter(at => t - at < rateLimit.perMs);
+        if (requestTimes.length >= rateLimit.max) {
+            const retryInMs = rateLimit.perMs - (t - requestTimes[0]);
+            throw connectorError(label, 'rate-limited', `too many requests; try again in ${Math.ceil(retryInMs / 1000)}s`, { retryable: true });
+        }
+        requestTimes.push(t);
+    };
+
+    const fetchFixture = async (path, params) => {
+        if (!Object.prototype.hasOwnProperty.call(fixtures, path)) {
+            throw connectorError(label, 'no-fixture', `no fixture for ${path}`);
+        }
+        const fixture = fixtures[path];
+        return typeof fixture === 'function' ? fixture(params) : fixture;
+    };
+
+    const get = (path, params = {}) => {
+        const url = buildUrl(baseUrl, path, params);
+        const cached = cache.get(url);
+        if (cached && (cached.pending || cached.expiresAt > now())) return cached.pending || Promise.resolve(cached.data);
+
+        const pending = (async () => {
+            takeRateSlot();
+            try {
+                const data = fixtures
+                    ? await fetchFixture(path, params)
+                    : await requestJson(url, { timeoutMs, retries, upstream: label, fetchImpl });
+                if (data === null || typeof data !== 'object') {
+                    throw connectorError(label, 'bad-response', 'returned an unreadable response');
+                }
+                return data;
+            } catch (e) {
+                if (e.isConnectorError) throw e;
+                throw connectorError(label, errorKind(e), e.message, { status: e.status ?? null, cause: e });
+            }
+        })();
+        cache.set(url, { pending });
+        pending.then(
+            (data) => {
+                cache.delete(url);
+                cache.set(url, { data, expiresAt: now() + ttlMs });
+                while (cache.size > MAX_CACHE_ENTRIES) cache.delete(cache.keys().next().value);
+            },
+            () => cache.delete(url)
+        );
+        return pending;
+    };
+
+    return { name, label, get, clearCache: () => cache.clear() };
+};
+
+// The connectors data commands use. `config.connectorFixtures` maps connector names to
+// fixture tables (see above); `config.fetchImpl` replaces fetch.
+const createConnectors = (config = {}) => {
+    const fixtures = config.connectorFixtures || {};
+    const common = { fetchImpl: config.fetchImpl };
+    return {
+        geocoding: createConnector({
+            ...common,
+            name: 'geocoding',
+            label: 'Open-Meteo geocoding',
+            baseUrl: 'https://geocoding-api.open-meteo.com',
+            ttlMs: 24 * 60 * 60 * 1000,
+            fixtures: fixtures.geocoding || null,
+        }),
+        forecast: createConnector({
+            ...common,
+            name: 'forecast',
+            label: 'Open-Meteo forecast',
+            baseUrl: 'https://api.open-meteo.com',
+            ttlMs: 10 * 60 * 1000,
+            fixtures: fixtures.forecast || null,
+        }),
+        prices: createConnector({
+            ...common,
+            name: 'prices',
+            label: 'CoinGecko',
+            baseUrl: 'https://api.coingecko.com/api/v3',
+            ttlMs: 60 * 1000,
+            // The public API allows a handful of calls per minute
+            rateLimit: { max: 10, perMs: 60000 },
+            fixtures: fixtures.prices || null,
+        }),
+    };
+};
+
+const describeConnectorError = (e) => {
+    const source = e?.upstream || 'The data service';
+    switch (e?.kind) {
+        case 'rate-limited': return `Agent Q: ${source}: ${e.message}.`;
+        case 'timeout': return `Agent Q: ${source} did not answer in time. Please try again.`;
+        case 'http':
+            return e.status === 429
+                ? `Agent Q: ${source} is rate limiting us. Please try again shortly.`
+                : `Agent Q: ${source} returned an error (${e.message}).`;
+        case 'no-fixture': return `Agent Q: ${source} has ${e.message} (offline fixtures are configured).`;
+        case 'bad-response': return `Agent Q: ${source} ${e.message}.`;
+        default: return `Agent Q: ${source} is unreachable right now. (${e?.message || 'unknown error'})`;
+    }
+};
+
+export { createConnector, createConnectors, connectorError, describeConnectorError, buildUrl };
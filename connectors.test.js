@@ -0,0 +1,186 @@
+import { describe, expect, it } from 'vitest';
+import { createCommandRegistry } from './commandRegistry';
+import { builtinCommands } from './agentCommands';
+import { createConnector, createConnectors, describeConnectorError } from './connectors';
+import { SAMPLE_CONNECTOR_FIXTURES } from './connectorFixtures';
+
+const registry = createCommandRegistry(builtinCommands);
+const run = async (input, connectors = createConnectors({ connectorFixtures: SAMPLE_CONNECTOR_FIXTURES })) => (
+    (await registry.execute(input, { role: 'member', connectors })).content
+);
+
+// A fetch stand-in answering every request with `status` and `body`
+const respond = (status, body, statusText = '') => async () => ({
+    ok: status >= 200 && status < 300,
+    status,
+    statusText,
+    json: async () => body,
+});
+
+const clock = (start = 0) => {
+    let t = start;
+    return { now: () => t, advance: (ms) => { t += ms; } };
+};
+
+describe('/weather with fixtures', () => {
+    it('reports current conditions', async () => {
+        const reply = await run('/weather Paris');
+        expect(reply).toBe('Agent Q: Weather for Paris, Île-de-France, France: 18°C (feels like 17°C), partly cloudy, humidity 64%, wind 11 km/h.');
+    });
+
+    it('adds the daily forecast', async () => {
+        const lines = (await run('/weather Paris forecast')).split('\n');
+        expect(lines).toHaveLength(5);
+        expect(lines[1]).toBe('3-day forecast:');
+        expect(lines[2]).toMatch(/^- .+: 13–21°C, overcast, 20% chance of rain$/);
+        expect(lines[3]).toMatch(/^- .+: 11–18°C, light rain, 80% chance of rain$/);
+    });
+
+    it('takes the day count and unit in either order', async () => {
+        const lines = (await run('/weather New York in f forecast 5')).split('\n');
+        expect(lines[0]).toMatch(/^Agent Q: Weather for New York, United States: 73°F .* wind 6 mph\.$/);
+        expect(lines[1]).toBe('5-day forecast:');
+        expect(lines.slice(2)).toHaveLength(5);
+        expect(lines[2]).toMatch(/: 64–77°F, clear sky, 0% chance of rain$/);
+    });
+
+    it('says when no place is found', async () => {
+        expect(await run('/weather Atlantis forecast')).toBe('Agent Q: No place called "Atlantis" was found.');
+    });
+
+    it('asks for a city', async () => {
+        expect(await run('/weather forecast')).toMatch(/^Agent Q: Missing city\. Usage: \/weather/);
+    });
+});
+
+describe('/crypto with fixtures', () => {
+    it('quotes several coins in another currency', async () => {
+        expect(await run('/crypto btc,eth in eur')).toBe([
+            'Agent Q: Prices (24h change in brackets):',
+            '- BTC: €62,010.55 (+1.62%)',
+            '- ETH: €3,239.08 (-1.13%)',
+        ].join('\n'));
+    });
+
+    it('defaults to bitcoin in USD', async () => {
+        expect(await run('/crypto')).toBe('Agent Q: BTC is $67,250.12, +1.84% in 24h.');
+    });
+
+    it('lists coins without a price', async () => {
+        expect(await run('/crypto doge,nocoin in usd')).toBe('Agent Q: DOGE is $0.158231, -2.41% in 24h.\nNot found: nocoin');
+        expect(await run('/crypto nocoin')).toMatch(/^Agent Q: CoinGecko has no price for nocoin in USD\./);
+    });
+});
+
+describe('createConnector', () => {
+    it('caches responses for ttlMs', async () => {
+        const time = clock();
+        let calls = 0;
+        const connector = createConnector({
+            name: 'test', baseUrl: 'https://example.test', ttlMs: 1000, now: time.now,
+            fixtures: { '/data': (params) => ({ calls: ++calls, q: params.q }) },
+        });
+        expect(await connector.get('/data', { q: 'a' })).toEqual({ calls: 1, q: 'a' });
+        time.advance(999);
+        expect(await connector.get('/data', { q: 'a' })).toEqual({ calls: 1, q: 'a' });
+        expect(await connector.get('/data', { q: 'b' })).toEqual({ calls: 2, q: 'b' });
+        time.advance(1);
+        expect(await connector.get('/data', { q: 'a' })).toEqual({ calls: 3, q: 'a' });
+    });
+
+    it('shares one fetch between concurrent requests for the same URL', async () => {
+        let calls = 0;
+        const connector = createConnector({
+            name: 'test', baseUrl: 'https://example.test',
+            fetchImpl: async () => { calls++; return respond(200, { ok: true })(); },
+        });
+        const results = await Promise.all([connector.get('/data', { a: 1, b: 2 }), connector.get('/data', { b: 2, a: 1 })]);
+        expect(results).toEqual([{ ok: true }, { ok: true }]);
+        expect(calls).toBe(1);
+    });
+
+    it('does not cache failures', async () => {
+        let fail = true;
+        const connector = createConnector({
+            name: 'test', baseUrl: 'https://example.test', retries: 0,
+            fetchImpl: async () => (fail ? respond(404, null, 'Not Found')() : respond(200, { ok: true })()),
+        });
+        await expect(connector.get('/data')).rejects.toMatchObject({ kind: 'http', status: 404 });
+        fail = false;
+        expect(await connector.get('/data')).toEqual({ ok: true });
+    });
+
+    it('rate limits upstream requests, but not cache hits', async () => {
+        const time = clock();
+        const connector = createConnector({
+            name: 'test', label: 'Test API', baseUrl: 'https://example.test', now: time.now,
+            rateLimit: { max: 2, perMs: 60000 },
+            fixtures: { '/data': (params) => ({ q: params.q }) },
+        });
+        await connector.get('/data', { q: 'a' });
+        time.advance(20000);
+        await connector.get('/data', { q: 'b' });
+        await connector.get('/data', { q: 'a' });
+        const error = await connector.get('/data', { q: 'c' }).catch(e => e);
+        expect(error).toMatchObject({ kind: 'rate-limited', upstream: 'Test API', retryable: true });
+        expect(describeConnectorError(error)).toBe('Agent Q: Test API: too many requests; try again in 40s.');
+        time.advance(40000);
+        expect(await connector.get('/data', { q: 'c' })).toEqual({ q: 'c' });
+        await expect(connector.get('/data', { q: 'd' })).rejects.toMatchObject({ kind: 'rate-limited' });
+    });
+
+    it('limits CoinGecko to 10 requests a minute', async () => {
+        const connectors = createConnectors({ connectorFixtures: SAMPLE_CONNECTOR_FIXTURES });
+        const coins = ['btc', 'eth', 'sol', 'doge', 'ada', 'xrp', 'dot', 'ltc', 'bnb', 'trx'];
+        for (const coin of coins) expect(await run(`/crypto ${coin}`, connectors)).toMatch(/^Agent Q: /);
+        expect(await run('/crypto btc', connectors)).toBe('Agent Q: BTC is $67,250.12, +1.84% in 24h.');
+        expect(await run('/crypto xmr', connectors)).toMatch(/^Agent Q: CoinGecko: too many requests; try again in \d+s\.$/);
+    });
+});
+
+describe('connector errors', () => {
+    const failing = (options) => createConnector({ name: 'test', label: 'Test API', baseUrl: 'https://example.test', retries: 0, ...options });
+    const replyFor = (connector) => connector.get('/data').then(
+        () => { throw new Error('expected the request to fail'); },
+        describeConnectorError
+    );
+
+    it('describes HTTP errors', async () => {
+        expect(await replyFor(failing({ fetchImpl: respond(503, { error: { message: 'maintenance' } }) })))
+            .toBe('Agent Q: Test API returned an error (HTTP 503: maintenance).');
+        expect(await replyFor(failing({ fetchImpl: respond(429, null, 'Too Many Requests') })))
+            .toBe('Agent Q: Test API is rate limiting us. Please try again shortly.');
+    });
+
+    it('describes timeouts', async () => {
+        const hang = (url, { signal }) => new Promise((resolve, reject) => {
+            signal.addEventListener('abort', () => reject(new Error('aborted')));
+        });
+        expect(await replyFor(failing({ fetchImpl: hang, timeoutMs: 10 })))
+            .toBe('Agent Q: Test API did not answer in time. Please try again.');
+    });
+
+    it('describes network errors', async () => {
+        const offline = async () => { throw new TypeError('Failed to fetch'); };
+        expect(await replyFor(failing({ fetchImpl: offline })))
+            .toBe('Agent Q: Test API is unreachable right now. (Network error: Failed to fetch)');
+    });
+
+    it('describes unreadable responses', async () => {
+        expect(await replyFor(failing({ fetchImpl: respond(200, null) })))
+            .toBe('Agent Q: Test API returned an unreadable response.');
+        expect(await replyFor(failing({ fixtures: { '/data': 'not json' } })))
+            .toBe('Agent Q: Test API returned an unreadable response.');
+    });
+
+    it('describes missing fixtures', async () => {
+        expect(await replyFor(failing({ fixtures: {} })))
+            .toBe('Agent Q: Test API has no fixture for /data (offline fixtures are configured).');
+    });
+
+    it('replies to commands with the description', async () => {
+        const connectors = createConnectors({ fetchImpl: respond(404, null, 'Not Found') });
+        expect(await run('/crypto btc', connectors)).toBe('Agent Q: CoinGecko returned an error (HTTP 404: Not Found).');
+        expect(await run('/weather Paris', connectors)).toBe('Agent Q: Open-Meteo geocoding returned an error (HTTP 404: Not Found).');
+    });
+});
@@ -0,0 +1,160 @@
+import { usageError } from './commandRegistry';
+import { connectorError } from './connectors';
+
+// --- /weather and /crypto: query parsing, lookups through connectors.js, and replies ---
+
+// Trailing options of a weather query: "forecast [days]" and a unit, in either order
+const WEATHER_OPTION = /\s+(?:(forecast)(?:\s+(\d{1,2})\s*(?:d|days?)?)?|(?:in\s+)?(°?c|celsius|metric|°?f|fahrenheit|imperial))$/i;
+const DEFAULT_FORECAST_DAYS = 3;
+const MAX_FORECAST_DAYS = 16;
+
+// "Paris", "New York forecast", "Tokyo forecast 5 f", "Oslo in fahrenheit"
+// -> { city, units: 'metric' | 'imperial', forecastDays (0 for current conditions only) }
+const parseWeatherQuery = (input) => {
+    let rest = ` ${String(input || '').trim()}`;
+    let units = 'metric';
+    let forecastDays = 0;
+    let m;
+    while ((m = WEATHER_OPTION.exec(rest))) {
+        if (m[1]) forecastDays = Math.min(MAX_FORECAST_DAYS, Math.max(1, Number(m[2] || DEFAULT_FORECAST_DAYS)));
+        else units = /f|imperial/i.test(m[3]) ? 'imperial' : 'metric';
+        rest = rest.slice(0, m.index);
+    }
+    return { city: rest.trim().replace(/,$/, ''), units, forecastDays };
+};
+
+// WMO weather interpretation codes, as used by Open-Meteo
+const WEATHER_CODES = {
+    0: 'clear sky', 1: 'mainly clear', 2: 'partly cloudy', 3: 'overcast',
+    45: 'fog', 48: 'freezing fog',
+    51: 'light drizzle', 53: 'drizzle', 55: 'heavy drizzle', 56: 'freezing drizzle', 57: 'freezing drizzle',
+    61: 'light rain', 63: 'rain', 65: 'heavy rain', 66: 'freezing rain', 67: 'freezing rain',
+    71: 'light snow', 73: 'snow', 75: 'heavy snow', 77: 'snow grains',
+    80: 'light showers', 81: 'showers', 82: 'violent showers', 85: 'snow showers', 86: 'heavy snow showers',
+    95: 'thunderstorm', 96: 'thunderstorm with hail', 99: 'thunderstorm with heavy hail',
+};
+const describeWeatherCode = (code) => WEATHER_CODES[code] || 'unknown conditions';
+
+// -> { place, data }, or { place: null } when geocoding finds nothing
+const fetchWeather = async (connectors, { city, units, forecastDays }) => {
+    const geo = await connectors.geocoding.get('/v1/search', { name: city, count: 1, language: 'en', format: 'json' });
+    const place = geo.results?.[0];
+    if (!place) return { place: null };
+    const imperial = units === 'imperial';
+    const data = await connectors.forecast.get('/v1/forecast', {
+        latitude: place.latitude,
+        longitude: place.longitude,
+        timezone: 'auto',
+        current: 'temperature_2m,apparent_temperature,relative_humidity_2m,weather_code,wind_speed_10m',
+        daily: forecastDays ? 'weather_code,temperature_2m_max,temperature_2m_min,precipitation_probability_max' : undefined,
+        forecast_days: forecastDays || undefined,
+        temperature_unit: imperial ? 'fahrenheit' : undefined,
+        wind_speed_unit: imperial ? 'mph' : undefined,
+    });
+    if (!data.current) throw connectorError(connectors.forecast.label, 'bad-response', 'returned no current conditions');
+    return { place, data };
+};
+
+const placeName = (place) => [place.name, place.admin1 !== place.name ? place.admin1 : null, place.country]
+    .filter(Boolean)
+    .join(', ');
+
+// Daily dates are the place's local 'YYYY-MM-DD'; noon keeps them on the same day everywhere
+const formatDay = (isoDate) => new Date(`${isoDate}T12:00:00`).toLocaleDateString(undefined, { weekday: 'short', day: 'numeric', month: 'short' });
+
+const formatWeather = ({ place, data }, { units, forecastDays }) => {
+    const deg = units === 'imperial' ? '°F' : '°C';
+    const speed = units === 'imperial' ? 'mph' : 'km/h';
+    const now = data.current;
+    const lines = [
+        `Agent Q: Weather for ${placeName(place)}: ${Math.round(now.temperature_2m)}${deg} ` +
+        `(feels like ${Math.round(now.apparent_temperature)}${deg}), ${describeWeatherCode(now.weather_code)}, ` +
+        `humidity ${now.relative_humidity_2m}%, wind ${Math.round(now.wind_speed_10m)} ${speed}.`,
+    ];
+    const daily = data.daily;
+    if (forecastDays && Array.isArray(daily?.time)) {
+        lines.push(`${forecastDays}-day forecast:`);
+        daily.time.slice(0, forecastDays).forEach((day, i) => {
+            const rain = daily.precipitation_probability_max?.[i];
+            lines.push(
+                `- ${formatDay(day)}: ${Math.round(daily.temperature_2m_min[i])}–${Math.round(daily.temperature_2m_max[i])}${deg}, ` +
+                `${describeWeatherCode(daily.weather_code[i])}${typeof rain === 'number' ? `, ${rain}% chance of rain` : ''}`
+            );
+        });
+    }
+    return lines.join('\n');
+};
+
+// Common ticker symbols -> CoinGecko ids; anything else is taken to be an id already
+const COIN_IDS = {
+    btc: 'bitcoin', eth: 'ethereum', sol: 'solana', xrp: 'ripple', ada: 'cardano', doge: 'dogecoin',
+    dot: 'polkadot', ltc: 'litecoin', bnb: 'binancecoin', usdt: 'tether', usdc: 'usd-coin', trx: 'tron',
+    avax: 'avalanche-2', link: 'chainlink', matic: 'matic-network', xlm: 'stellar', atom: 'cosmos', xmr: 'monero',
+};
+const MAX_COINS = 10;
+const MAX_CURRENCIES = 5;
+
+const splitList = (text) => [...new Set(String(text || '').split(/[\s,]+/).filter(Boolean))];
+
+// "btc,eth in eur", "solana dogecoin in usd,gbp" -> { coins: [{ symbol, id }], currencies }
+const parseCryptoQuery = (input) => {
+    const text = String(input || '').trim().toLowerCase();
+    const split = /(?:^|\s)in\s+(.*)$/.exec(text);
+    const coinWords = splitList(split ? text.slice(0, split.index) : text);
+    const currencies = splitList(split?.[1]);
+    const badCoin = coinWords.find(word => !/^[a-z0-9-]{1,60}$/.test(word));
+    if (badCoin) throw usageError(`"${badCoin}" is not a coin symbol or CoinGecko id`);
+    const badCurrency = currencies.find(code => !/^[a-z]{2,6}$/.test(code));
+    if (badCurrency) throw usageError(`"${badCurrency}" is not a currency code`);
+    if (coinWords.length > MAX_COINS) throw usageError(`At most ${MAX_COINS} coins at a time`);
+    if (currencies.length > MAX_CURRENCIES) throw usageError(`At most ${MAX_CURRENCIES} currencies at a time`);
+    return {
+        coins: (coinWords.length ? coinWords : ['btc']).map(symbol => ({ symbol, id: COIN_IDS[symbol] || symbol })),
+        currencies: currencies.length ? currencies : ['usd'],
+    };
+};
+
+const fetchPrices = (connectors, { coins, currencies }) => connectors.prices.get('/simple/price', {
+    ids: [...new Set(coins.map(c => c.id))].join(','),
+    vs_currencies: currencies.join(','),
+    include_24hr_change: true,
+});
+
+const formatMoney = (value, currency) => {
+    const digits = Math.abs(value) < 1 ? 6 : 2;
+    try {
+        return new Intl.NumberFormat('en-US', { style: 'currency', currency: currency.toUpperCase(), maximumFractionDigits: digits }).format(value);
+    } catch (e) {
+        // Not an ISO 4217 code (e.g. "sats")
+        return `${value.toLocaleString('en-US', { maximumFractionDigits: digits })} ${currency.toUpperCase()}`;
+    }
+};
+
+const formatChange = (change) => (typeof change === 'number' ? ` (${change >= 0 ? '+' : ''}${change.toFixed(2)}%)` : '');
+
+const formatPrices = (data, { coins, currencies }) => {
+    const found = coins.filter(c => data[c.id] && currencies.some(cur => typeof data[c.id][cur] === 'number'));
+    const missing = coins.filter(c => !found.includes(c)).map(c => c.symbol);
+    if (!found.length) {
+        return `Agent Q: CoinGecko has no price for ${missing.join(', ')} in ${currencies.join(', ').toUpperCase()}. Use a ticker like btc or a CoinGecko id like bitcoin.`;
+    }
+    const quote = (coin) => currencies
+        .filter(cur => typeof data[coin.id][cur] === 'number')
+        .map(cur => `${formatMoney(data[coin.id][cur], cur)}${formatChange(data[coin.id][`${cur}_24h_change`])}`)
+        .join(' · ');
+    const label = (coin) => (coin.symbol === coin.id ? coin.id : coin.symbol.toUpperCase());
+    const notFound = missing.length ? `\nNot found: ${missing.join(', ')}` : '';
+    if (found.length === 1 && currencies.length === 1) {
+        const [coin] = found;
+        const [cur] = currencies;
+        const change = data[coin.id][`${cur}_24h_change`];
+        const trend = typeof change === 'number' ? `, ${change >= 0 ? '+' : ''}${change.toFixed(2)}% in 24h` : '';
+        return `Agent Q: ${label(coin)} is ${formatMoney(data[coin.id][cur], cur)}${trend}.${notFound}`;
+    }
+    return `Agent Q: Prices (24h change in brackets):\n${found.map(coin => `- ${label(coin)}: ${quote(coin)}`).join('\n')}${notFound}`;
+};
+
+export {
+    parseWeatherQuery, fetchWeather, formatWeather, describeWeatherCode,
+    parseCryptoQuery, fetchPrices, formatPrices
+};
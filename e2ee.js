@@ -0,0 +1,185 @@
+import { useState, useEffect } from 'react';
+import { doc, setDoc, onSnapshot, serverTimestamp } from 'firebase/firestore';
+
+// --- End-to-end encryption for private call sessions (WebCrypto) ---
+// Each device keeps a non-extractable ECDH P-256 identity in IndexedDB and publishes the
+// public half to artifacts/{appId}/public/data/publicKeys/{uid}. Both members of a call
+// derive the same AES-GCM key: HKDF(ECDH(mine, theirs), salt = sessionId). Message payloads
+// are encrypted with the sender id and session id bound in as additional data.
+
+const KEY_DB_NAME = 'qvoicetxt-keys';
+const KEY_STORE = 'identities';
+const HKDF_INFO = 'qvoicetxt-e2ee-v1';
+const ENCRYPTION_VERSION = 1;
+
+const encoder = new TextEncoder();
+const decoder = new TextDecoder();
+
+const bytesToBase64 = (bytes) => {
+    let binary = '';
+    const view = new Uint8Array(bytes);
+    for (let i = 0; i < view.length; i++) binary += String.fromCharCode(view[i]);
+    return btoa(binary);
+};
+
+const base64ToBytes = (base64) => Uint8Array.from(atob(base64), c => c.charCodeAt(0));
+
+const openKeyDb = () => new Promise((resolve, reject) => {
+    const request = indexedDB.open(KEY_DB_NAME, 1);
+    request.onupgradeneeded = () => request.result.createObjectStore(KEY_STORE);
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+});
+
+const idbRequest = (db, mode, run) => new Promise((resolve, reject) => {
+    const tx = db.transaction(KEY_STORE, mode);
+    const request = run(tx.objectStore(KEY_STORE));
+    tx.oncomplete = () => resolve(request.result);
+    tx.onerror = () => reject(tx.error);
+});
+
+// Loads this device's identity for `userId`, generating and storing one on first use.
+const loadOrCreateIdentity = async (userId) => {
+    const keyDb = await openKeyDb();
+    try {
+        const stored = await idbRequest(keyDb, 'readonly', store => store.get(userId));
+        if (stored?.privateKey && stored?.publicJwk) return stored;
+        const keyPair = await crypto.subtle.generateKey({ name: 'ECDH', namedCurve: 'P-256' }, false, ['deriveBits']);
+        const identity = {
+            privateKey: keyPair.privateKey,
+            publicJwk: await crypto.subtle.exportKey('jwk', keyPair.publicKey),
+        };
+        await idbRequest(keyDb, 'readwrite', store => store.put(identity, userId));
+        return identity;
+    } finally {
+        keyDb.close();
+    }
+};
+
+const publicKeyPath = (appId, userId) => `artifacts/${appId}/public/data/publicKeys/${userId}`;
+
+const publishPublicKey = (db, appId, userId, publicJwk) => setDoc(doc(db, publicKeyPath(appId, userId)), {
+    jwk: { kty: publicJwk.kty, crv: publicJwk.crv, x: publicJwk.x, y: publicJwk.y },
+    updatedAt: serverTimestamp(),
+});
+
+const deriveSessionKey = async (privateKey, peerJwk, sessionId) => {
+    const peerKey = await crypto.subtle.importKey('jwk', peerJwk, { name: 'ECDH', namedCurve: 'P-256' }, false, []);
+    const sharedBits = await crypto.subtle.deriveBits({ name: 'ECDH', public: peerKey }, privateKey, 256);
+    const hkdfKey = await crypto.subtle.importKey('raw', sharedBits, 'HKDF', false, ['deriveKey']);
+    return crypto.subtle.deriveKey(
+        { name: 'HKDF', hash: 'SHA-256', salt: encoder.encode(sessionId), info: encoder.encode(HKDF_INFO) },
+        hkdfKey,
+        { name: 'AES-GCM', length: 256 },
+        false,
+        ['encrypt', 'decrypt']
+    );
+};
+
+// Safety code both members can compare out of band: SHA-256 over both public keys, order-independent.
+const keyFingerprint = async (jwkA, jwkB) => {
+    const parts = [jwkA, jwkB].map(k => `${k.x}.${k.y}`).sort();
+    const digest = new Uint8Array(await crypto.subtle.digest('SHA-256', encoder.encode(parts.join('|'))));
+    const hex = Array.from(digest.slice(0, 12), b => b.toString(16).padStart(2, '0')).join('').toUpperCase();
+    return hex.match(/.{4}/g).join(' ');
+};
+
+const additionalData = (sessionId, senderId) => encoder.encode(`${sessionId}:${senderId}`);
+
+const encryptPayload = async (key, payload, sessionId, senderId) => {
+    const iv = crypto.getRandomValues(new Uint8Array(12));
+    const ciphertext = await crypto.subtle.encrypt(
+        { name: 'AES-GCM', iv, additionalData: additionalData(sessionId, senderId) },
+        key,
+        encoder.encode(JSON.stringify(payload))
+    );
+    return { v: ENCRYPTION_VERSION, iv: bytesToBase64(iv), ciphertext: bytesToBase64(ciphertext) };
+};
+
+const decryptPayload = async (key, encrypted, sessionId, senderId) => {
+    if (!key) throw new Error('No session key');
+    if (encrypted?.v !== ENCRYPTION_VERSION) throw new Error(`Unsupported encryption version ${encrypted?.v}`);
+    const plaintext = await crypto.subtle.decrypt(
+        { name: 'AES-GCM', iv: base64ToBytes(encrypted.iv), additionalData: additionalData(sessionId, senderId) },
+        key,
+        base64ToBytes(encrypted.ciphertext)
+    );
+    return JSON.parse(decoder.decode(plaintext));
+};
+
+const OPEN_CHANNEL = {
+    isReady: true,
+    isSecure: false,
+    sessionKey: null,
+    fingerprint: null,
+    status: 'Open channel: room messages are not end-to-end encrypted.',
+};
+
+// Key agreement state for the active room. Call sessions become ready only once a
+// session key is derived; rooms and the lobby are open (unencrypted) channels.
+const useSessionEncryption = ({ db, appId, userId, room }) => {
+    const [identity, setIdentity] = useState(null);
+    const [identityError, setIdentityError] = useState(null);
+    const [channel, setChannel] = useState({ ...OPEN_CHANNEL, isReady: false, status: 'Initiating Call Protocol...' });
+
+    useEffect(() => {
+        if (!db || !userId) return;
+        let cancelled = false;
+        (async () => {
+            try {
+                const loaded = await loadOrCreateIdentity(userId);
+                await publishPublicKey(db, appId, userId, loaded.publicJwk);
+                if (!cancelled) setIdentity(loaded);
+            } catch (e) {
+                console.error('e2ee identity error:', e);
+                if (!cancelled) setIdentityError(e);
+            }
+        })();
+        return () => { cancelled = true; };
+    }, [db, appId, userId]);
+
+    const peerId = room.kind === 'call' ? room.peerId || room.members?.find(m => m !== userId) : null;
+
+    useEffect(() => {
+        if (!userId) return;
+        if (room.kind !== 'call') {
+            setChannel(OPEN_CHANNEL);
+            return;
+        }
+        if (!db) return;
+        if (identityError) {
+            setChannel({ ...OPEN_CHANNEL, isReady: false, status: `Key agreement failed: this browser cannot store encryption keys (${identityError.message}).` });
+            return;
+        }
+        if (!identity) {
+            setChannel({ ...OPEN_CHANNEL, isReady: false, status: 'Generating identity key...' });
+            return;
+        }
+        setChannel({ ...OPEN_CHANNEL, isReady: false, status: "Fetching peer's public key..." });
+        let cancelled = false;
+        const unsubscribe = onSnapshot(doc(db, publicKeyPath(appId, peerId)), async (snap) => {
+            const peerJwk = snap.exists() ? snap.data().jwk : null;
+            if (!peerJwk) {
+                if (!cancelled) setChannel({ ...OPEN_CHANNEL, isReady: false, status: "Waiting for the other member to publish their key..." });
+                return;
+            }
+            try {
+                const sessionKey = await deriveSessionKey(identity.privateKey, peerJwk, room.id);
+                const fingerprint = await keyFingerprint(identity.publicJwk, peerJwk);
+                if (!cancelled) {
+                    setChannel({ isReady: true, isSecure: true, sessionKey, fingerprint, status: 'Secure channel established.' });
+                }
+            } catch (e) {
+                console.error('e2ee key agreement error:', e);
+                if (!cancelled) setChannel({ ...OPEN_CHANNEL, isReady: false, status: `Key agreement failed (${e.message}).` });
+            }
+        }, (e) => {
+            if (!cancelled) setChannel({ ...OPEN_CHANNEL, isReady: false, status: `Key agreement failed (${e.message}).` });
+        });
+        return () => { cancelled = true; unsubscribe(); };
+    }, [db, appId, userId, room.kind, room.id, peerId, identity, identityError]);
+
+    return channel;
+};
+
+export { useSessionEncryption, encryptPayload, decryptPayload, keyFingerprint, deriveSessionKey, loadOrCreateIdentity };
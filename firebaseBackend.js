@@ -0,0 +1,173 @@
+import { initializeApp } from 'firebase/app';
+import { getAuth, signInAnonymously, signInWithCustomToken, onAuthStateChanged } from 'firebase/auth';
+import {
+    initializeFirestore, persistentLocalCache, persistentMultipleTabManager,
+    collection, doc, documentId, query, orderBy, limit, startAfter, getDoc, getDocs, onSnapshot, setDoc, updateDoc, writeBatch,
+    serverTimestamp, deleteField, FieldPath
+} from 'firebase/firestore';
+import { saveArchive, listArchives, loadArchive, deleteArchive } from './archiveStore';
+import { addReminder, listReminders, claimReminder, cancelReminder, subscribeReminders } from './reminders';
+import { chunkString } from './voiceClips';
+import { TOMBSTONE_CLEARED_FIELDS } from './messageActions';
+import { writePresence, subscribePresence, removePresence } from './presence';
+import { claimAgentTurn, releaseAgentTurn, subscribeAgentState } from './agentState';
+
+// --- Firebase storage backend (see storage.js for the shared interface) ---
+
+let app, db, auth;
+const initFirebase = (config) => {
+    if (!app) {
+        app = initializeApp(config);
+        // Offline persistence (IndexedDB, shared between tabs): history stays readable and
+        // writes queue locally while offline
+        db = initializeFirestore(app, { localCache: persistentLocalCache({ tabManager: persistentMultipleTabManager() }) });
+        auth = getAuth(app);
+    }
+    return { db, auth };
+};
+
+// `pending` marks writes still waiting for the server; their timestamps are estimates
+const toMessage = (snap) => ({
+    id: snap.id,
+    ...snap.data({ serverTimestamps: 'estimate' }),
+    pending: snap.metadata.hasPendingWrites,
+});
+
+const createFirebaseBackend = ({ firebaseConfig, initialAuthToken }) => {
+    const { db, auth } = initFirebase(firebaseConfig);
+    return {
+        kind: 'firebase',
+        db,
+        // Signs in (custom token if configured, anonymous otherwise) and reports the uid
+        onAuth: (onUser, onError) => onAuthStateChanged(auth, async (user) => {
+            if (user) {
+                onUser(user.uid);
+                return;
+            }
+            try {
+                if (initialAuthToken) await signInWithCustomToken(auth, initialAuthToken);
+                else await signInAnonymously(auth);
+            } catch (e) {
+                onError(e);
+            }
+        }),
+        messages: {
+            // With `limit`, only the newest `limit` messages. Unchanged docs keep their identity
+            // between snapshots, so callers can cache work per doc. Messages with the same
+            // timestamp are ordered by id, so pages split between them without gaps.
+            subscribe: (path, onChange, onError, { limit: max } = {}) => {
+                const mapped = new Map();
+                const q = max
+                    ? query(collection(db, path), orderBy('timestamp', 'desc'), orderBy(documentId(), 'desc'), limit(max))
+                    : query(collection(db, path), orderBy('timestamp'), orderBy(documentId()));
+                return onSnapshot(q, { includeMetadataChanges: true }, (snap) => {
+                    snap.docChanges({ includeMetadataChanges: true }).forEach(change => {
+                        if (change.type === 'removed') mapped.delete(change.doc.id);
+                        else mapped.set(change.doc.id, toMessage(change.doc));
+                    });
+                    const docs = snap.docs.map(d => mapped.get(d.id));
+                    onChange(max ? docs.reverse() : docs);
+                }, onError);
+            },
+            // Up to `max` messages before the `before` message ({ id, timestamp }), oldest first
+            loadOlder: async (path, before, max) => {
+                const snap = await getDocs(query(
+                    collection(db, path),
+                    orderBy('timestamp', 'desc'),
+                    orderBy(documentId(), 'desc'),
+                    startAfter(before.timestamp, before.id),
+                    limit(max)
+                ));
+                return snap.docs.map(toMessage).reverse();
+            },
+            // Resolves once the server has the write (while offline, only after reconnecting).
+            // Retrying a message the server already has is an update, which the rules deny;
+            // the message is there, so that counts as delivered.
+            add: async (path, data, id = doc(collection(db, path)).id) => {
+                const ref = doc(db, path, id);
+                try {
+                    await setDoc(ref, { ...data, timestamp: serverTimestamp() });
+                } catch (e) {
+                    if (e?.code !== 'permission-denied') throw e;
+                    const existing = await getDoc(ref).catch(() => null);
+                    if (!existing?.exists() || existing.data().userId !== data.userId) throw e;
+                }
+                return id;
+            },
+            // One batch, so at most 500 ids
+            remove: async (path, ids) => {
+                const batch = writeBatch(db);
+                ids.forEach(id => batch.delete(doc(db, path, id)));
+                await batch.commit();
+                return ids.length;
+            },
+            // Edits, tombstones and reactions (see messageActions.js)
+            edit: (path, id, content) => updateDoc(doc(db, path, id), { ...content, editedAt: serverTimestamp() }),
+            markDeleted: (path, id) => updateDoc(doc(db, path, id), {
+                ...Object.fromEntries(TOMBSTONE_CLEARED_FIELDS.map(field => [field, deleteField()])),
+                deleted: true,
+                deletedAt: serverTimestamp(),
+            }),
+            // FieldPath, since uids are not valid dotted-path segments in every backend
+            react: (path, id, userId, emojis) => updateDoc(
+                doc(db, path, id),
+                new FieldPath('reactions', userId),
+                emojis.length ? emojis : deleteField()
+            ),
+        },
+        reminders: {
+            add: (userId, reminder) => addReminder(db, userId, reminder),
+            list: (userId) => listReminders(db, userId),
+            claim: (userId, id, expectedRemindAt) => claimReminder(db, userId, id, expectedRemindAt),
+            cancel: (userId, id) => cancelReminder(db, userId, id),
+            subscribe: (userId, onChange, onError) => subscribeReminders(db, userId, onChange, onError),
+        },
+        // Voice clips: metadata plus chunk documents, written in one batch (see voiceClips.js)
+        clips: {
+            save: async (path, clipId, { data, ...meta }) => {
+                const chunks = chunkString(data);
+                const batch = writeBatch(db);
+                batch.set(doc(db, path, clipId), { ...meta, chunkCount: chunks.length, createdAt: serverTimestamp() });
+                chunks.forEach((chunk, index) => batch.set(doc(db, `${path}/${clipId}/chunks`, String(index)), { index, data: chunk }));
+                await batch.commit();
+                return clipId;
+            },
+            load: async (path, clipId) => {
+                const meta = await getDoc(doc(db, path, clipId));
+                if (!meta.exists()) return null;
+                const chunks = await getDocs(query(collection(db, `${path}/${clipId}/chunks`), orderBy('index')));
+                if (chunks.size !== meta.data().chunkCount) throw new Error('Voice clip is incomplete');
+                return { ...meta.data(), data: chunks.docs.map(d => d.data().data).join('') };
+            },
+            remove: async (path, clipId) => {
+                const meta = await getDoc(doc(db, path, clipId));
+                if (!meta.exists()) return false;
+                const batch = writeBatch(db);
+                for (let index = 0; index < meta.data().chunkCount; index++) {
+                    batch.delete(doc(db, `${path}/${clipId}/chunks`, String(index)));
+                }
+                batch.delete(meta.ref);
+                await batch.commit();
+                return true;
+            },
+        },
+        presence: {
+            update: (path, userId, entry) => writePresence(db, path, userId, entry),
+            subscribe: (path, onChange, onError) => subscribePresence(db, path, onChange, onError),
+            remove: (path, userIds) => removePresence(db, path, userIds),
+        },
+        agent: {
+            claim: (path, claim, ttlMs) => claimAgentTurn(db, path, claim, ttlMs),
+            release: (path, requestId, clientId) => releaseAgentTurn(db, path, requestId, clientId),
+            subscribe: (path, onChange, onError) => subscribeAgentState(db, path, onChange, onError),
+        },
+        archives: {
+            save: (userId, messages, title) => saveArchive(db, userId, messages, title),
+            list: (userId) => listArchives(db, userId),
+            load: (userId, id) => loadArchive(db, userId, id),
+            remove: (userId, id) => deleteArchive(db, userId, id),
+        },
+    };
+};
+
+export { createFirebaseBackend };
@@ -0,0 +1,357 @@
+import { readFileSync } from 'node:fs';
+import process from 'node:process';
+import { afterAll, beforeAll, beforeEach, describe, it } from 'vitest';
+import { assertFails, assertSucceeds, initializeTestEnvironment } from '@firebase/rules-unit-testing';
+import { Timestamp, deleteDoc, doc, serverTimestamp, setDoc, updateDoc, writeBatch } from 'firebase/firestore';
+import { packTokens } from './tokenCodec';
+
+// Security rules against the Firestore emulator. Run with `npm run test:rules`, which starts the
+// emulator (firebase-tools, needs Java) and sets FIRESTORE_EMULATOR_HOST; without it the suite is
+// skipped by `npm test`.
+
+const PROJECT_ID = 'demo-nexus-q';
+const APP_ID = 'test-app';
+const BOT_USER_ID = 'Agent Q Core ✨';
+
+const lobbyMessage = (id) => `artifacts/${APP_ID}/public/data/chatMessages/${id}`;
+const roleDoc = (uid) => `artifacts/${APP_ID}/public/data/roles/${uid}`;
+const sessionDoc = (id) => `artifacts/${APP_ID}/sessions/${id}`;
+const dictionaryDoc = (id) => `artifacts/${APP_ID}/public/data/tokenDictionaries/${id}`;
+
+const textMessage = (userId, extra = {}) => ({
+    text: 'hello',
+    isTokenized: false,
+    userId,
+    timestamp: serverTimestamp(),
+    ...extra,
+});
+// `tokens` as the client stores them (packed); pass a string to store something else
+const tokenMessage = (userId, tokens, extra = {}) => ({
+    tokens: typeof tokens === 'string' ? tokens : packTokens(tokens),
+    dictionary: 'core',
+    dictionaryVersion: 1,
+    isTokenized: true,
+    userId,
+    timestamp: serverTimestamp(),
+    ...extra,
+});
+
+describe.skipIf(!process.env.FIRESTORE_EMULATOR_HOST)('firestore.rules', () => {
+    let env;
+
+    beforeAll(async () => {
+        env = await initializeTestEnvironment({
+            projectId: PROJECT_ID,
+            firestore: { rules: readFileSync(new URL('./firestore.rules', import.meta.url), 'utf8') },
+        });
+    });
+    afterAll(() => env?.cleanup());
+    beforeEach(() => env.clearFirestore());
+
+    const dbAs = (uid) => env.authenticatedContext(uid).firestore();
+    const seed = (path, data) => env.withSecurityRulesDisabled(context => setDoc(doc(context.firestore(), path), data));
+    const seedMessage = (id, userId) => seed(lobbyMessage(id), { text: 'original', isTokenized: false, userId, timestamp: Timestamp.now() });
+
+    describe('message create', () => {
+        it('accepts a message under your own id', async () => {
+            await assertSucceeds(setDoc(doc(dbAs('alice'), lobbyMessage('m1')), textMessage('alice')));
+        });
+
+        it('denies a forged userId', async () => {
+            await assertFails(setDoc(doc(dbAs('alice'), lobbyMessage('m1')), textMessage('bob')));
+        });
+
+        it('denies signed-out writes', async () => {
+            const db = env.unauthenticatedContext().firestore();
+            await assertFails(setDoc(doc(db, lobbyMessage('m1')), textMessage('alice')));
+        });
+
+        it('lets a member post as the agent', async () => {
+            await assertSucceeds(setDoc(doc(dbAs('alice'), lobbyMessage('m1')), textMessage(BOT_USER_ID)));
+        });
+
+        it('denies muted users, also as the agent', async () => {
+            await seed(roleDoc('alice'), { role: 'muted' });
+            await assertFails(setDoc(doc(dbAs('alice'), lobbyMessage('m1')), textMessage('alice')));
+            await assertFails(setDoc(doc(dbAs('alice'), lobbyMessage('m2')), textMessage(BOT_USER_ID)));
+        });
+    });
+
+    describe('message schema', () => {
+        it('enforces the text length', async () => {
+            const db = dbAs('alice');
+            await assertSucceeds(setDoc(doc(db, lobbyMessage('max')), textMessage('alice', { text: 'x'.repeat(8000) })));
+            await assertFails(setDoc(doc(db, lobbyMessage('long')), textMessage('alice', { text: 'x'.repeat(8001) })));
+            await assertFails(setDoc(doc(db, lobbyMessage('empty')), textMessage('alice', { text: '' })));
+            await assertFails(setDoc(doc(db, lobbyMessage('number')), textMessage('alice', { text: 42 })));
+        });
+
+        it('enforces the token count and dictionary fields', async () => {
+            const db = dbAs('alice');
+            await assertSucceeds(setDoc(doc(db, lobbyMessage('ok')), tokenMessage('alice', [1, 2, 3])));
+            await assertSucceeds(setDoc(doc(db, lobbyMessage('max')), tokenMessage('alice', Array(1000).fill(4095))));
+            await assertFails(setDoc(doc(db, lobbyMessage('long')), tokenMessage('alice', Array(1001).fill(4095))));
+            await assertFails(setDoc(doc(db, lobbyMessage('empty')), tokenMessage('alice', [])));
+            await assertFails(setDoc(doc(db, lobbyMessage('nodict')), tokenMessage('alice', [1], { dictionary: null })));
+            await assertFails(setDoc(doc(db, lobbyMessage('version')), tokenMessage('alice', [1], { dictionaryVersion: '1' })));
+        });
+
+        it('only takes indices and literal strings as tokens', async () => {
+            const db = dbAs('alice');
+            await assertSucceeds(setDoc(doc(db, lobbyMessage('mixed')), tokenMessage('alice', [0, ' say "hi", \\ then\n', 5])));
+            await assertFails(setDoc(doc(db, lobbyMessage('list')), { ...tokenMessage('alice', [1]), tokens: [1, 2] }));
+            await assertFails(setDoc(doc(db, lobbyMessage('map')), tokenMessage('alice', '[1,{"a":1}]')));
+            await assertFails(setDoc(doc(db, lobbyMessage('nested')), tokenMessage('alice', '[1,[2]]')));
+            await assertFails(setDoc(doc(db, lobbyMessage('float')), tokenMessage('alice', '[1.5]')));
+            await assertFails(setDoc(doc(db, lobbyMessage('negative')), tokenMessage('alice', '[-1]')));
+            await assertFails(setDoc(doc(db, lobbyMessage('unquoted')), tokenMessage('alice', '[1,"open]')));
+        });
+
+        it('caps the literal text like a text message', async () => {
+            const db = dbAs('alice');
+            await assertSucceeds(setDoc(doc(db, lobbyMessage('max')), tokenMessage('alice', [0, 'x'.repeat(4000), 1, 'y'.repeat(4000)])));
+            await assertFails(setDoc(doc(db, lobbyMessage('long')), tokenMessage('alice', [0, 'x'.repeat(4000), 1, 'y'.repeat(4001)])));
+            await assertFails(setDoc(doc(db, lobbyMessage('huge')), tokenMessage('alice', [0, 'x'.repeat(100000)])));
+        });
+
+        it('denies unknown and update-only fields', async () => {
+            const db = dbAs('alice');
+            await assertFails(setDoc(doc(db, lobbyMessage('extra')), textMessage('alice', { pinned: true })));
+            await assertFails(setDoc(doc(db, lobbyMessage('edited')), textMessage('alice', { editedAt: serverTimestamp() })));
+            await assertFails(setDoc(doc(db, lobbyMessage('reacted')), textMessage('alice', { reactions: {} })));
+            await assertFails(setDoc(doc(db, lobbyMessage('flag')), textMessage('alice', { isTokenized: 'no' })));
+        });
+
+        it('requires the server timestamp', async () => {
+            const db = dbAs('alice');
+            await assertFails(setDoc(doc(db, lobbyMessage('client')), textMessage('alice', { timestamp: Timestamp.now() })));
+            const untimed = textMessage('alice');
+            delete untimed.timestamp;
+            await assertFails(setDoc(doc(db, lobbyMessage('missing')), untimed));
+        });
+    });
+
+    describe('message update and delete', () => {
+        beforeEach(() => seedMessage('m1', 'alice'));
+
+        it('lets the author edit their text', async () => {
+            await assertSucceeds(updateDoc(doc(dbAs('alice'), lobbyMessage('m1')), { text: 'edited', editedAt: serverTimestamp() }));
+        });
+
+        it('denies edits by a muted author, but not deleting', async () => {
+            await seed(roleDoc('alice'), { role: 'muted' });
+            await assertFails(updateDoc(doc(dbAs('alice'), lobbyMessage('m1')), { text: 'edited', editedAt: serverTimestamp() }));
+            await assertSucceeds(setDoc(doc(dbAs('alice'), lobbyMessage('m1')), {
+                userId: 'alice', timestamp: Timestamp.now(), deleted: true, deletedAt: serverTimestamp(),
+            }));
+        });
+
+        it("denies edits of another user's message", async () => {
+            await assertFails(updateDoc(doc(dbAs('bob'), lobbyMessage('m1')), { text: 'edited', editedAt: serverTimestamp() }));
+        });
+
+        it("denies rewriting another user's message as a tombstone", async () => {
+            await assertFails(setDoc(doc(dbAs('bob'), lobbyMessage('m1')), {
+                userId: 'alice', timestamp: Timestamp.now(), deleted: true, deletedAt: serverTimestamp(),
+            }));
+        });
+
+        it("denies deleting another user's message", async () => {
+            await assertFails(deleteDoc(doc(dbAs('bob'), lobbyMessage('m1'))));
+        });
+
+        it('lets the author and moderators delete', async () => {
+            await seedMessage('m2', 'alice');
+            await seed(roleDoc('mod'), { role: 'moderator' });
+            await assertSucceeds(deleteDoc(doc(dbAs('alice'), lobbyMessage('m1'))));
+            await assertSucceeds(deleteDoc(doc(dbAs('mod'), lobbyMessage('m2'))));
+        });
+
+        it('lets others react but not change anything else', async () => {
+            await assertSucceeds(updateDoc(doc(dbAs('bob'), lobbyMessage('m1')), { 'reactions.bob': ['👍'] }));
+            await assertFails(updateDoc(doc(dbAs('bob'), lobbyMessage('m1')), { 'reactions.alice': ['👍'] }));
+        });
+    });
+
+    describe('token dictionaries', () => {
+        // The writes updateDictionary (tokenStore.js) makes in one transaction
+        const editDictionary = (uid, id, version, phrases, snapshots = { [version]: phrases }) => {
+            const db = dbAs(uid);
+            const batch = writeBatch(db);
+            Object.entries(snapshots).forEach(([v, list]) => batch.set(doc(db, dictionaryDoc(id), 'versions', v), { phrases: list }));
+            batch.set(doc(db, dictionaryDoc(id)), { name: id, version, phrases, updatedBy: uid, updatedAt: serverTimestamp() });
+            return batch.commit();
+        };
+        const seedDictionary = async (id, version, phrases) => {
+            await seed(dictionaryDoc(id), { name: id, version, phrases, updatedBy: 'alice', updatedAt: Timestamp.now() });
+            await seed(`${dictionaryDoc(id)}/versions/${version}`, { phrases });
+        };
+
+        it("accepts the first edit of 'core' as version 2 with a snapshot of version 1", async () => {
+            await seed(roleDoc('alice'), { role: 'moderator' });
+            await assertSucceeds(editDictionary('alice', 'core', 2, ['hi', 'bye'], { 1: ['hi'], 2: ['hi', 'bye'] }));
+        });
+
+        it("denies a first 'core' edit without the version 1 snapshot", async () => {
+            await seed(roleDoc('alice'), { role: 'moderator' });
+            await assertFails(editDictionary('alice', 'core', 2, ['hi', 'bye']));
+        });
+
+        it("leaves 'core' to moderators and the owner", async () => {
+            await seed(roleDoc('carol'), { role: 'owner' });
+            await assertFails(editDictionary('bob', 'core', 2, ['hi', 'bye'], { 1: ['hi'], 2: ['hi', 'bye'] }));
+            await assertSucceeds(editDictionary('carol', 'core', 2, ['hi', 'bye'], { 1: ['hi'], 2: ['hi', 'bye'] }));
+        });
+
+        it('denies muted users any edit', async () => {
+            await seed(roleDoc('bob'), { role: 'muted' });
+            await seedDictionary('ops', 3, ['deploy']);
+            await assertFails(editDictionary('bob', 'ops', 4, ['deploy', 'rollback']));
+            await assertFails(editDictionary('bob', 'team', 1, ['standup']));
+        });
+
+        it('starts other dictionaries at version 1', async () => {
+            await assertSucceeds(editDictionary('alice', 'ops', 1, ['deploy']));
+            await assertFails(editDictionary('alice', 'dev', 2, ['build'], { 1: [], 2: ['build'] }));
+        });
+
+        it('bumps the version by exactly one', async () => {
+            await seedDictionary('ops', 3, ['deploy']);
+            await assertSucceeds(editDictionary('bob', 'ops', 4, ['deploy', 'rollback']));
+            await assertFails(editDictionary('bob', 'ops', 6, ['deploy', 'rollback', 'page']));
+        });
+
+        it('denies a version snapshot without its dictionary edit', async () => {
+            await seedDictionary('ops', 3, ['deploy']);
+            await assertFails(setDoc(doc(dbAs('bob'), `${dictionaryDoc('ops')}/versions/4`), { phrases: ['forged'] }));
+            await assertFails(setDoc(doc(dbAs('bob'), `${dictionaryDoc('core')}/versions/1`), { phrases: ['forged'] }));
+        });
+
+        it("denies snapshots that don't match the dictionary", async () => {
+            await seedDictionary('ops', 3, ['deploy']);
+            await assertFails(editDictionary('bob', 'ops', 4, ['deploy', 'rollback'], { 4: ['something else'] }));
+            await assertFails(editDictionary('bob', 'ops', 4, ['deploy', 'rollback'], { 4: ['deploy', 'rollback'], 1: ['forged'] }));
+        });
+    });
+
+    describe('call sessions', () => {
+        const session = (members, createdBy) => ({ kind: 'call', members, createdBy, createdAt: serverTimestamp() });
+
+        it('accepts a session named after its sorted members', async () => {
+            await assertSucceeds(setDoc(doc(dbAs('bob'), sessionDoc('call_alice_bob')), session(['alice', 'bob'], 'bob')));
+        });
+
+        it('denies a session id that does not match its members', async () => {
+            await assertFails(setDoc(doc(dbAs('mallory'), sessionDoc('call_alice_bob')), session(['bob', 'mallory'], 'mallory')));
+            await assertFails(setDoc(doc(dbAs('mallory'), sessionDoc('call_alice_mallory')), session(['alice', 'mallory', 'bob'], 'mallory')));
+        });
+
+        it('denies unsorted members and a forged creator', async () => {
+            await assertFails(setDoc(doc(dbAs('bob'), sessionDoc('call_alice_bob')), session(['bob', 'alice'], 'bob')));
+            await assertFails(setDoc(doc(dbAs('bob'), sessionDoc('call_alice_bob')), session(['alice', 'bob'], 'alice')));
+        });
+
+        it('lets only an author who may post edit the encrypted payload', async () => {
+            const message = `${sessionDoc('call_alice_bob')}/messages/m1`;
+            const encrypted = (ciphertext) => ({ v: 1, iv: 'iv', ciphertext });
+            await seed(sessionDoc('call_alice_bob'), { kind: 'call', members: ['alice', 'bob'], createdBy: 'alice', createdAt: Timestamp.now() });
+            await seed(message, { encrypted: encrypted('original'), userId: 'alice', timestamp: Timestamp.now() });
+            const edit = () => updateDoc(doc(dbAs('alice'), message), { encrypted: encrypted('edited'), editedAt: serverTimestamp() });
+            await assertSucceeds(edit());
+            await seed(roleDoc('alice'), { role: 'muted' });
+            await assertFails(edit());
+        });
+    });
+
+    describe('reminders', () => {
+        const reminder = (extra = {}) => ({ message: 'stand-up', remindAt: Date.now() + 60000, repeat: null, createdAt: serverTimestamp(), ...extra });
+
+        it('keeps the room a reminder was set in', async () => {
+            const db = dbAs('alice');
+            await assertSucceeds(setDoc(doc(db, 'users/alice/reminders/r1'), reminder({ room: { id: 'ops', name: 'Ops' } })));
+            await assertSucceeds(setDoc(doc(db, 'users/alice/reminders/r2'), reminder({ room: null })));
+            await assertSucceeds(setDoc(doc(db, 'users/alice/reminders/r3'), reminder()));
+            await assertFails(setDoc(doc(db, 'users/alice/reminders/r4'), reminder({ room: 'ops' })));
+            await assertFails(setDoc(doc(db, 'users/alice/reminders/r5'), reminder({ room: { id: 'ops', name: 'Ops', kind: 'call' } })));
+        });
+    });
+
+    describe('qkd runs', () => {
+        const runMessage = 'users/alice/qkdRuns/run1/messages/m1';
+
+        it('lets only the owner write and delete run messages', async () => {
+            const message = { from: 'alice', to: 'bob', type: 'bases', payload: '0101', seq: 0, createdAt: serverTimestamp() };
+            await assertFails(setDoc(doc(dbAs('bob'), runMessage), message));
+            await assertSucceeds(setDoc(doc(dbAs('alice'), runMessage), message));
+            await assertFails(updateDoc(doc(dbAs('alice'), runMessage), { payload: '1111' }));
+            await assertFails(deleteDoc(doc(dbAs('bob'), runMessage)));
+            await assertSucceeds(deleteDoc(doc(dbAs('alice'), runMessage)));
+        });
+    });
+
+    describe('owner bootstrap', () => {
+        const ownerClaim = `artifacts/${APP_ID}/public/data/acl/owner`;
+        const ownerRole = (uid) => ({ role: 'owner', updatedBy: uid, updatedAt: serverTimestamp() });
+
+        it('denies clients writing the owner config', async () => {
+            await assertFails(setDoc(doc(dbAs('alice'), ownerClaim), { uid: 'alice' }));
+            await seed(ownerClaim, { uid: 'alice' });
+            await assertFails(setDoc(doc(dbAs('mallory'), ownerClaim), { uid: 'mallory' }));
+            await assertFails(deleteDoc(doc(dbAs('alice'), ownerClaim)));
+        });
+
+        it('lets only the configured owner take the owner role', async () => {
+            await seed(ownerClaim, { uid: 'alice' });
+            await assertFails(setDoc(doc(dbAs('mallory'), roleDoc('mallory')), ownerRole('mallory')));
+            await assertSucceeds(setDoc(doc(dbAs('alice'), roleDoc('alice')), ownerRole('alice')));
+        });
+
+        it('denies the owner role while no owner is configured', async () => {
+            await assertFails(setDoc(doc(dbAs('alice'), roleDoc('alice')), ownerRole('alice')));
+        });
+    });
+
+    describe('voice clips', () => {
+        const clipDoc = (id) => `artifacts/${APP_ID}/public/data/voiceClips/${id}`;
+        const clipMeta = (extra = {}) => ({
+            ownerId: 'alice', mimeType: 'audio/webm', durationMs: 1500, encrypted: false, chunkCount: 2, createdAt: serverTimestamp(), ...extra,
+        });
+        // The writes clips.save (firebaseBackend.js) makes in one batch
+        const saveClip = (uid, id, meta, chunks) => {
+            const db = dbAs(uid);
+            const batch = writeBatch(db);
+            batch.set(doc(db, clipDoc(id)), meta);
+            Object.entries(chunks).forEach(([chunkId, chunk]) => batch.set(doc(db, clipDoc(id), 'chunks', chunkId), chunk));
+            return batch.commit();
+        };
+        const chunks = { 0: { index: 0, data: 'AAAA' }, 1: { index: 1, data: 'BBBB' } };
+
+        it('accepts a clip with its chunks', async () => {
+            await assertSucceeds(saveClip('alice', 'c1', clipMeta(), chunks));
+        });
+
+        it('denies chunks beyond chunkCount', async () => {
+            await assertFails(saveClip('alice', 'c1', clipMeta({ chunkCount: 1 }), chunks));
+            await assertFails(saveClip('alice', 'c2', clipMeta(), { ...chunks, 2: { index: 2, data: 'CCCC' } }));
+        });
+
+        it('denies chunk ids that do not match their index', async () => {
+            await assertFails(saveClip('alice', 'c1', clipMeta(), { 0: { index: 1, data: 'AAAA' }, 1: chunks[1] }));
+            await assertFails(saveClip('alice', 'c2', clipMeta(), { '01': { index: 1, data: 'AAAA' }, 0: chunks[0] }));
+            await assertFails(saveClip('alice', 'c3', clipMeta(), { '-1': { index: -1, data: 'AAAA' }, 0: chunks[0] }));
+        });
+
+        it('checks the metadata types', async () => {
+            await assertFails(saveClip('alice', 'c1', clipMeta({ mimeType: 42 }), chunks));
+            await assertFails(saveClip('alice', 'c2', clipMeta({ durationMs: '1500' }), chunks));
+            await assertFails(saveClip('alice', 'c3', clipMeta({ encrypted: 'no' }), chunks));
+            const untyped = clipMeta();
+            delete untyped.mimeType;
+            await assertFails(saveClip('alice', 'c4', untyped, chunks));
+        });
+
+        it("denies clips under another user's id", async () => {
+            await assertFails(saveClip('bob', 'c1', clipMeta(), chunks));
+        });
+    });
+});
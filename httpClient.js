@@ -0,0 +1,79 @@
+// --- Shared HTTP helpers (timeouts + retries) ---
+
+const RETRYABLE_STATUS = new Set([408, 429, 500, 502, 503, 504]);
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+const createHttpError = (message, { status = null, upstream = null, retryable = false, cause } = {}) => {
+    const err = new Error(message);
+    err.status = status;
+    err.upstream = upstream;
+    err.retryable = retryable;
+    if (cause) err.cause = cause;
+    return err;
+};
+
+// fetch() that aborts after `timeoutMs`, also honouring a caller supplied signal.
+const fetchWithTimeout = async (url, { timeoutMs = 15000, signal, fetchImpl = fetch, ...init } = {}) => {
+    const controller = new AbortController();
+    const onAbort = () => controller.abort();
+    signal?.addEventListener?.('abort', onAbort);
+    const timer = setTimeout(() => controller.abort(), timeoutMs);
+    try {
+        return await fetchImpl(url, { ...init, signal: controller.signal });
+    } catch (e) {
+        if (controller.signal.aborted && !signal?.aborted) {
+            throw createHttpError(`Request timed out after ${timeoutMs}ms`, { retryable: true, cause: e });
+        }
+        if (signal?.aborted) throw e;
+        throw createHttpError(`Network error: ${e.message}`, { retryable: true, cause: e });
+    } finally {
+        clearTimeout(timer);
+        signal?.removeEventListener?.('abort', onAbort);
+    }
+};
+
+// POST/GET returning parsed JSON. Retries network errors, timeouts and
+// 408/429/5xx responses with exponential backoff; other errors throw at once.
+const requestJson = async (url, {
+    method = 'GET',
+    body,
+    headers = {},
+    timeoutMs = 15000,
+    retries = 0,
+    retryDelayMs = 500,
+    upstream = null,
+    signal,
+    fetchImpl = fetch,
+} = {}) => {
+    let attempt = 0;
+    for (;;) {
+        try {
+            const res = await fetchWithTimeout(url, {
+                method,
+                headers: body !== undefined ? { 'Content-Type': 'application/json', ...headers } : headers,
+                body: body !== undefined ? JSON.stringify(body) : undefined,
+                timeoutMs,
+                signal,
+                fetchImpl,
+            });
+            const data = await res.json().catch(() => null);
+            if (!res.ok) {
+                const detail = data?.error?.message || res.statusText || 'request failed';
+                throw createHttpError(`HTTP ${res.status}: ${detail}`, {
+                    status: res.status,
+                    upstream,
+                    retryable: RETRYABLE_STATUS.has(res.status),
+                });
+            }
+            return data;
+        } catch (e) {
+            if (e.upstream === undefined || e.upstream === null) e.upstream = upstream;
+            if (!e.retryable || attempt >= retries || signal?.aborted) throw e;
+            await sleep(retryDelayMs * 2 ** attempt);
+            attempt += 1;
+        }
+    }
+};
+
+export { fetchWithTimeout, requestJson, createHttpError, sleep };
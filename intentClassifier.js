@@ -0,0 +1,85 @@
+import { resolveUserRef } from './userRefs';
+
+// --- Intent classification (structured model output or local rules) ---
+
+const INTENT_ACTIONS = ['CALL', 'HANGUP', 'CHIRP', 'ARCHIVE_SAVE', 'ARCHIVE_ACCESS', 'CHAT'];
+
+// Every action only matches as a request on its own ("please hang up", "can you save this chat?",
+// "chirp hello"), not when mentioned in a sentence ("my wifi keeps disconnecting", "I can't save
+// the chat", "did you hear that chirp?"). CALL takes one user reference ("call 3fa2b1c9").
+const POLITE = String.raw`(?:(?:please|pls|ok(?:ay)?|now|agent q)[,\s]+)*(?:(?:can|could|would|will) you\s+)?`;
+const END = String.raw`(?:[,\s]+(?:now|please))?[.!?]*$`;
+
+const INTENT_RULES = [
+    {
+        action: 'HANGUP',
+        pattern: new RegExp(`^${POLITE}(?:hang\\s*up|(?:end|drop|disconnect) (?:the |this |our )?call|disconnect(?: me)?)${END}`, 'i'),
+    },
+    {
+        action: 'CALL',
+        pattern: new RegExp(`^${POLITE}(?:call|ring|dial|phone|connect (?:me )?(?:to|with))\\s+(?:to\\s+)?(@?[\\w-]+(?:\\.\\.\\.)?)${END}`, 'i'),
+    },
+    {
+        action: 'CHIRP',
+        pattern: new RegExp(`^${POLITE}(?:send (?:a |the )?)?chirp(?:\\s+(?:the\\s+)?(?:token\\s+|signal\\s+)?(.+?))?${END}`, 'i'),
+    },
+    {
+        action: 'ARCHIVE_SAVE',
+        pattern: new RegExp(`^${POLITE}(?:save|store|keep|back ?up) (?:this|the|our) (?:chat|conversation|transcript|log)(?: (?:to|in) (?:the |an )?archive)?${END}`, 'i'),
+    },
+    { action: 'ARCHIVE_SAVE', pattern: new RegExp(`^${POLITE}archive (?:this(?: chat| conversation)?|(?:the|our) (?:chat|conversation))${END}`, 'i') },
+    { action: 'ARCHIVE_ACCESS', pattern: /\b(?:open|show|access|retrieve|load|view|list|get)\b.*\barchives?\b/i },
+];
+
+const classifyIntentLocally = (text) => {
+    const trimmed = text.trim();
+    for (const rule of INTENT_RULES) {
+        const match = trimmed.match(rule.pattern);
+        if (match) return { action: rule.action, argument: (match[1] || '').trim() };
+    }
+    return { action: 'CHAT', argument: trimmed };
+};
+
+// Coerces any model output into `{action, argument}` matching intentSchema.
+const normalizeIntent = (raw, originalText) => {
+    const action = typeof raw?.action === 'string' ? raw.action.trim().toUpperCase() : '';
+    if (!INTENT_ACTIONS.includes(action)) return { action: 'CHAT', argument: originalText };
+    const argument = typeof raw.argument === 'string' ? raw.argument.trim() : '';
+    return { action, argument: action === 'CHAT' ? (argument || originalText) : argument };
+};
+
+// Checks a classified intent against the app's state before it is acted on: CALL needs a
+// target that resolves to one user (see userRefs.js); anything else falls back to CHAT.
+const confirmIntent = (intent, originalText, { knownUserIds = [] } = {}) => {
+    if (intent.action === 'CALL' && (!intent.argument || resolveUserRef(intent.argument, knownUserIds).error)) {
+        return { action: 'CHAT', argument: originalText };
+    }
+    return intent;
+};
+
+const INTENT_PROMPT = `Classify the chat message below for the QVoiceTxt channel.
+- CALL: the user asks you to start a call/session with a specific user (argument: that user's id or id prefix).
+- HANGUP: the user asks you to end the current call now (not merely mentioning hanging up or disconnecting).
+- CHIRP: the user asks you to send a token signal now, not merely mentioning chirps (argument: the phrase or token, may be empty).
+- ARCHIVE_SAVE: the user asks you to save the chat transcript now (not merely mentioning saving).
+- ARCHIVE_ACCESS: the user wants to see saved archives.
+- CHAT: anything else (argument: the full original message).
+
+Message: `;
+
+// Matches a CHIRP argument against the token dictionary: by phrase (ignoring
+// case and trailing punctuation), by index ("3" or "#3"), else the first token.
+const resolveChirpToken = (argument, dictionary) => {
+    const normalize = (s) => s.toLowerCase().replace(/[.!?]+$/, '').trim();
+    const arg = normalize(argument || '');
+    if (!arg) return dictionary.length ? 0 : null;
+    const indexMatch = arg.match(/^#?(\d+)$/);
+    if (indexMatch) {
+        const index = parseInt(indexMatch[1], 10);
+        return dictionary[index] !== undefined ? index : null;
+    }
+    const index = dictionary.findIndex(p => normalize(p) === arg);
+    return index !== -1 ? index : null;
+};
+
+export { INTENT_ACTIONS, INTENT_PROMPT, classifyIntentLocally, normalizeIntent, confirmIntent, resolveChirpToken };
@@ -0,0 +1,92 @@
+import { describe, expect, it } from 'vitest';
+import { classifyIntentLocally, confirmIntent, resolveChirpToken } from './intentClassifier';
+
+const actionOf = (text) => classifyIntentLocally(text).action;
+
+describe('classifyIntentLocally', () => {
+    it('hangs up on direct requests', () => {
+        ['hang up', 'Hangup!', 'please end the call', 'Can you disconnect?', 'okay, drop the call now', 'disconnect me please', 'end this call.']
+            .forEach(text => expect(actionOf(text), text).toBe('HANGUP'));
+    });
+
+    it('does not hang up when disconnecting is only mentioned', () => {
+        [
+            'my wifi keeps disconnecting',
+            'why did it disconnect?',
+            "don't hang up on me",
+            'I will disconnect the router later',
+            'we should end the call soon, but first the budget',
+            'the disconnect between teams is real',
+        ].forEach(text => expect(actionOf(text), text).toBe('CHAT'));
+    });
+
+    it('saves the chat on direct requests', () => {
+        ['save this chat', 'Please save the conversation to the archive', 'could you back up our chat?', 'archive this', 'Archive the conversation!']
+            .forEach(text => expect(actionOf(text), text).toBe('ARCHIVE_SAVE'));
+    });
+
+    it('does not save when saving is only mentioned', () => {
+        [
+            "I can't save anything in this chat",
+            'save the date: the chat about the launch is on friday',
+            'did you keep the log from yesterday?',
+            'we should store the transcript somewhere safe eventually',
+            'save me a seat',
+        ].forEach(text => expect(actionOf(text), text).toBe('CHAT'));
+    });
+
+    it('chirps on direct requests only', () => {
+        expect(classifyIntentLocally('chirp')).toEqual({ action: 'CHIRP', argument: '' });
+        expect(classifyIntentLocally('please send a chirp hello')).toEqual({ action: 'CHIRP', argument: 'hello' });
+        expect(classifyIntentLocally('chirp the token #3!')).toEqual({ action: 'CHIRP', argument: '#3' });
+        ['Did you hear that chirp?', 'the birds chirp a lot', 'what does chirp mean', 'I love the chirp sound']
+            .forEach(text => expect(classifyIntentLocally(text), text).toEqual({ action: 'CHAT', argument: text }));
+    });
+
+    it('calls one user reference only', () => {
+        expect(classifyIntentLocally('please call @3fa2b1c9')).toEqual({ action: 'CALL', argument: '@3fa2b1c9' });
+        ['phone is broken', 'call me later', 'ring the bell please', 'I will call you tomorrow', 'the call dropped']
+            .forEach(text => expect(actionOf(text), text).toBe('CHAT'));
+    });
+
+    it('keeps the other intents', () => {
+        expect(classifyIntentLocally('call 3fa2b1c9')).toEqual({ action: 'CALL', argument: '3fa2b1c9' });
+        expect(actionOf('show my archives')).toBe('ARCHIVE_ACCESS');
+        expect(classifyIntentLocally('chirp hello')).toEqual({ action: 'CHIRP', argument: 'hello' });
+    });
+});
+
+describe('confirmIntent', () => {
+    const knownUserIds = ['3fa2b1c9XyZuserAAAA', '7bc01d2eQwuserBBBB'];
+
+    it('keeps calls to a user that resolves', () => {
+        const intent = { action: 'CALL', argument: '3fa2' };
+        expect(confirmIntent(intent, 'call 3fa2', { knownUserIds })).toBe(intent);
+    });
+
+    it('turns calls without a resolvable user into chat', () => {
+        [
+            ['call me', 'me'],
+            ['ring bell please', 'bell'],
+            ['call someone', ''],
+            ['call 9999', '9999'],
+        ].forEach(([text, argument]) => {
+            expect(confirmIntent({ action: 'CALL', argument }, text, { knownUserIds }), text).toEqual({ action: 'CHAT', argument: text });
+        });
+    });
+
+    it('leaves other intents alone', () => {
+        const intent = { action: 'HANGUP', argument: '' };
+        expect(confirmIntent(intent, 'hang up', { knownUserIds })).toBe(intent);
+    });
+});
+
+describe('resolveChirpToken', () => {
+    it('picks the first token only for an explicit empty chirp', () => {
+        const phrases = ['Hello.', 'Yes.', 'No.'];
+        expect(resolveChirpToken('', phrases)).toBe(0);
+        expect(resolveChirpToken('yes', phrases)).toBe(1);
+        expect(resolveChirpToken('#2', phrases)).toBe(2);
+        expect(resolveChirpToken('a lot', phrases)).toBeNull();
+    });
+});
@@ -0,0 +1,310 @@
+import { buildArchive } from './archiveStore';
+import { nextOccurrence } from './reminderTime';
+import { TOMBSTONE_CLEARED_FIELDS } from './messageActions';
+import { isLiveClaim } from './agentState';
+
+// --- Local storage backend: no network, no Firebase config ---
+// Documents live in memory, keyed by the same collection paths the Firebase backend uses,
+// and are persisted to localStorage so they survive reloads, one entry per document (voice
+// clips included), so a write only stores that document. A full localStorage fails the write
+// with a 'resource-exhausted' error whose message can be shown as it is. Writes are broadcast to other
+// tabs over a BroadcastChannel. Each tab signs in as its own anonymous user (sessionStorage),
+// so two tabs are two users. Reminder and agent-turn claims take a Web Lock and re-read
+// localStorage, so a reminder fires in exactly one tab and one tab answers at a time.
+
+const STORAGE_PREFIX = 'qvoicetxt-local';
+
+// Mirrors the parts of Firestore's Timestamp the UI uses.
+const toTimestamp = (millis) => ({
+    toMillis: () => millis,
+    toDate: () => new Date(millis),
+});
+
+const newId = () => `${Date.now().toString(36)}${Math.random().toString(36).slice(2, 10)}`;
+
+const withLock = (name, run) => (
+    typeof navigator !== 'undefined' && navigator.locks
+        ? navigator.locks.request(`${STORAGE_PREFIX}:${name}`, run)
+        : run()
+);
+
+// 'a/b/c/d' -> ['a/b/c', 'd']
+const splitDocPath = (path) => [path.slice(0, path.lastIndexOf('/')), path.slice(path.lastIndexOf('/') + 1)];
+
+const isQuotaError = (e) => e?.name === 'QuotaExceededError' || e?.name === 'NS_ERROR_DOM_QUOTA_REACHED';
+
+const storageFullError = () => {
+    const error = new Error('Local storage is full; delete old voice messages or archives to make room.');
+    error.code = 'resource-exhausted';
+    return error;
+};
+
+const createLocalStore = (appId) => {
+    const storageKey = `${STORAGE_PREFIX}:${appId}`;
+    // '<storageKey>/<collectionPath>/<docId>'
+    const docKey = (path, id) => `${storageKey}/${path}/${id}`;
+    const readDoc = (key) => {
+        try {
+            return JSON.parse(localStorage.getItem(key));
+        } catch (e) {
+            console.error('local store read error:', e);
+            return null;
+        }
+    };
+    // Stores from before per-document entries kept everything under `storageKey`
+    const migrateSingleEntry = () => {
+        const legacy = readDoc(storageKey);
+        if (!legacy) return;
+        localStorage.removeItem(storageKey);
+        Object.entries(legacy).forEach(([path, docs]) => Object.entries(docs).forEach(([id, data]) => {
+            try {
+                localStorage.setItem(docKey(path, id), JSON.stringify(data));
+            } catch (e) {
+                console.error('local store migration error:', e);
+            }
+        }));
+    };
+    const readPersisted = () => {
+        migrateSingleEntry();
+        const persisted = {};
+        for (let i = 0; i < localStorage.length; i++) {
+            const key = localStorage.key(i);
+            if (!key?.startsWith(`${storageKey}/`)) continue;
+            const data = readDoc(key);
+            if (!data) continue;
+            const [path, id] = splitDocPath(key.slice(storageKey.length + 1));
+            persisted[path] = { ...(persisted[path] || {}), [id]: data };
+        }
+        return persisted;
+    };
+    // { [collectionPath]: { [docId]: data } }
+    const collections = readPersisted();
+    const listeners = new Map();
+    const channel = typeof BroadcastChannel !== 'undefined' ? new BroadcastChannel(storageKey) : null;
+
+    // Other storage errors (e.g. storage disabled) leave the store working in memory
+    const persist = ({ op, path, id, data }) => {
+        try {
+            if (op === 'put') localStorage.setItem(docKey(path, id), JSON.stringify(data));
+            else localStorage.removeItem(docKey(path, id));
+        } catch (e) {
+            console.error('local store write error:', e);
+            if (isQuotaError(e)) throw storageFullError();
+        }
+    };
+    const notify = (path) => {
+        const docs = list(path);
+        (listeners.get(path) || []).forEach(listener => listener(docs));
+    };
+    const apply = ({ op, path, id, data }) => {
+        if (op === 'put') {
+            collections[path] = { ...(collections[path] || {}), [id]: data };
+        } else if (collections[path]) {
+            delete collections[path][id];
+        }
+        notify(path);
+    };
+    const write = (change) => {
+        persist(change);
+        apply(change);
+        channel?.postMessage(change);
+    };
+    if (channel) channel.onmessage = (event) => apply(event.data);
+
+    // Docs keep their identity until they are written again
+    const docCache = new WeakMap();
+    const toDoc = (id, data) => {
+        if (!docCache.has(data)) docCache.set(data, { id, ...data });
+        return docCache.get(data);
+    };
+    const list = (path) => Object.entries(collections[path] || {}).map(([id, data]) => toDoc(id, data));
+    const get = (path, id) => (collections[path]?.[id] ? { id, ...collections[path][id] } : null);
+    // Latest persisted copy (another tab may have written it since our last broadcast)
+    const getPersisted = (path, id) => {
+        const data = readDoc(docKey(path, id));
+        return data ? { id, ...data } : null;
+    };
+    const subscribe = (path, onChange) => {
+        if (!listeners.has(path)) listeners.set(path, new Set());
+        listeners.get(path).add(onChange);
+        onChange(list(path));
+        return () => listeners.get(path).delete(onChange);
+    };
+
+    return {
+        list, get, getPersisted, subscribe,
+        put: (path, id, data) => write({ op: 'put', path, id, data }),
+        remove: (path, id) => write({ op: 'delete', path, id }),
+    };
+};
+
+const localUserId = () => {
+    const key = `${STORAGE_PREFIX}:uid`;
+    let uid = sessionStorage.getItem(key);
+    if (!uid) {
+        uid = `local-${newId()}`;
+        sessionStorage.setItem(key, uid);
+    }
+    return uid;
+};
+
+const createLocalBackend = ({ appId }) => {
+    const store = createLocalStore(appId);
+    const remindersPath = (userId) => `users/${userId}/reminders`;
+    const archivesPath = (userId) => `users/${userId}/archives`;
+    const messageCache = new WeakMap();
+    const toMessage = (doc) => {
+        if (!messageCache.has(doc)) messageCache.set(doc, { ...doc, timestamp: toTimestamp(doc.timestamp) });
+        return messageCache.get(doc);
+    };
+    // By timestamp, then id, as Firestore orders them
+    const compareStored = (a, b) => a.timestamp - b.timestamp || (a.id < b.id ? -1 : a.id > b.id ? 1 : 0);
+    const sortedMessages = (path) => store.list(path).sort(compareStored).map(toMessage);
+    // A stored message's fields, for read-modify-write updates
+    const storedMessage = (path, id) => {
+        const data = store.get(path, id);
+        if (!data) throw new Error('Message not found');
+        delete data.id;
+        return data;
+    };
+
+    return {
+        kind: 'local',
+        db: null,
+        onAuth: (onUser) => {
+            const timer = setTimeout(() => onUser(localUserId()), 0);
+            return () => clearTimeout(timer);
+        },
+        messages: {
+            subscribe: (path, onChange, onError, { limit: max } = {}) => store.subscribe(path, () => {
+                const messages = sortedMessages(path);
+                onChange(max ? messages.slice(-max) : messages);
+            }),
+            loadOlder: async (path, before, max) => {
+                const beforeMs = before.timestamp.toMillis();
+                const older = sortedMessages(path).filter(m => {
+                    const ms = m.timestamp.toMillis();
+                    return ms < beforeMs || (ms === beforeMs && m.id < before.id);
+                });
+                return older.slice(-max);
+            },
+            // Like Firestore's create-only rules: a retried add never overwrites the message
+            add: async (path, data, id = newId()) => {
+                if (!store.get(path, id)) store.put(path, id, { ...data, timestamp: Date.now() });
+                return id;
+            },
+            remove: async (path, ids) => {
+                ids.forEach(id => store.remove(path, id));
+                return ids.length;
+            },
+            edit: async (path, id, content) => {
+                store.put(path, id, { ...storedMessage(path, id), ...content, editedAt: Date.now() });
+            },
+            markDeleted: async (path, id) => {
+                const data = storedMessage(path, id);
+                TOMBSTONE_CLEARED_FIELDS.forEach(field => delete data[field]);
+                store.put(path, id, { ...data, deleted: true, deletedAt: Date.now() });
+            },
+            react: async (path, id, userId, emojis) => {
+                const data = storedMessage(path, id);
+                const reactions = { ...(data.reactions || {}), [userId]: emojis };
+                if (!emojis.length) delete reactions[userId];
+                store.put(path, id, { ...data, reactions });
+            },
+        },
+        reminders: {
+            add: async (userId, { remindAt, repeat = null, message, room = null }) => {
+                const id = newId();
+                store.put(remindersPath(userId), id, { remindAt, repeat, message, room, createdAt: Date.now() });
+                return { id };
+            },
+            list: async (userId) => store.list(remindersPath(userId)).sort((a, b) => a.remindAt - b.remindAt),
+            claim: (userId, id, expectedRemindAt) => withLock('reminders', async () => {
+                const reminder = store.getPersisted(remindersPath(userId), id);
+                if (!reminder || reminder.remindAt !== expectedRemindAt) return null;
+                if (reminder.repeat) {
+                    const data = { ...reminder, remindAt: nextOccurrence(reminder.remindAt, reminder.repeat) };
+                    delete data.id;
+                    store.put(remindersPath(userId), id, data);
+                } else {
+                    store.remove(remindersPath(userId), id);
+                }
+                return reminder;
+            }),
+            cancel: async (userId, id) => {
+                const reminder = store.get(remindersPath(userId), id);
+                if (reminder) store.remove(remindersPath(userId), id);
+                return reminder;
+            },
+            subscribe: (userId, onChange) => store.subscribe(remindersPath(userId), onChange),
+        },
+        clips: {
+            save: async (path, clipId, clip) => {
+                store.put(path, clipId, { ...clip, createdAt: Date.now() });
+                return clipId;
+            },
+            load: async (path, clipId) => store.get(path, clipId),
+            remove: async (path, clipId) => {
+                if (!store.get(path, clipId)) return false;
+                store.remove(path, clipId);
+                return true;
+            },
+        },
+        presence: {
+            update: async (path, userId, { typing, ...fields }) => {
+                const now = Date.now();
+                const data = { ...(store.get(path, userId) || {}), ...fields, userId, lastSeen: now };
+                delete data.id;
+                if (typing !== undefined) data.typingAt = typing ? now : null;
+                store.put(path, userId, data);
+            },
+            subscribe: (path, onChange) => store.subscribe(path, onChange),
+            remove: async (path, userIds) => {
+                userIds.forEach(id => store.remove(path, id));
+            },
+        },
+        agent: {
+            claim: (path, claim, ttlMs) => withLock('agent', async () => {
+                const [collectionPath, id] = splitDocPath(path);
+                if (isLiveClaim(store.getPersisted(collectionPath, id))) return false;
+                const now = Date.now();
+                store.put(collectionPath, id, { ...claim, claimedAt: now, expiresAt: now + ttlMs });
+                return true;
+            }),
+            release: (path, requestId, clientId) => withLock('agent', async () => {
+                const [collectionPath, id] = splitDocPath(path);
+                const current = store.getPersisted(collectionPath, id);
+                if (!current || current.requestId !== requestId || current.clientId !== clientId) return false;
+                store.remove(collectionPath, id);
+                return true;
+            }),
+            subscribe: (path, onChange) => {
+                const [collectionPath, id] = splitDocPath(path);
+                return store.subscribe(collectionPath, (docs) => onChange(docs.find(d => d.id === id) || null));
+            },
+        },
+        archives: {
+            save: async (userId, messages, title) => {
+                const id = newId();
+                const archive = buildArchive(userId, messages, title);
+                store.put(archivesPath(userId), id, { ...archive, createdAt: Date.now() });
+                return { id, title: archive.title, messageCount: archive.messageCount, truncated: archive.truncated };
+            },
+            list: async (userId, max = 20) => store.list(archivesPath(userId))
+                .sort((a, b) => b.createdAt - a.createdAt)
+                .slice(0, max)
+                .map(({ id, title, messageCount, createdAt }) => ({ id, title, messageCount, createdAt: new Date(createdAt) })),
+            load: async (userId, id) => {
+                const archive = store.get(archivesPath(userId), id);
+                return archive ? { ...archive, createdAt: new Date(archive.createdAt) } : null;
+            },
+            remove: async (userId, id) => {
+                if (!store.get(archivesPath(userId), id)) return false;
+                store.remove(archivesPath(userId), id);
+                return true;
+            },
+        },
+    };
+};
+
+export { createLocalBackend };
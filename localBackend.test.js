@@ -0,0 +1,90 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import { createLocalBackend } from './localBackend';
+
+// localStorage with a quota in characters, like the browser's (about 5M)
+const createStorage = (quota) => {
+    const items = new Map();
+    const used = () => [...items].reduce((n, [k, v]) => n + k.length + v.length, 0);
+    return {
+        get length() { return items.size; },
+        key: (i) => [...items.keys()][i] ?? null,
+        getItem: (key) => (items.has(key) ? items.get(key) : null),
+        setItem: (key, value) => {
+            const text = String(value);
+            const replaced = items.has(key) ? key.length + items.get(key).length : 0;
+            if (used() - replaced + key.length + text.length > quota) {
+                throw new DOMException('The quota has been exceeded.', 'QuotaExceededError');
+            }
+            items.set(key, text);
+        },
+        removeItem: (key) => { items.delete(key); },
+        items,
+    };
+};
+
+const PATH = 'artifacts/app/public/data/chatMessages';
+const CLIPS = 'artifacts/app/public/data/voiceClips';
+
+describe('local backend persistence', () => {
+    let storage;
+    beforeEach(() => {
+        storage = createStorage(20000);
+        vi.stubGlobal('localStorage', storage);
+    });
+    afterEach(() => {
+        vi.unstubAllGlobals();
+        vi.restoreAllMocks();
+    });
+
+    it('stores each document under its own key and reloads them', async () => {
+        const backend = createLocalBackend({ appId: 'app' });
+        await backend.messages.add(PATH, { text: 'hi', userId: 'u1', isTokenized: false }, 'm1');
+        await backend.clips.save(CLIPS, 'c1', { ownerId: 'u1', data: 'x'.repeat(1000) });
+        expect([...storage.items.keys()].sort()).toEqual([
+            `qvoicetxt-local:app/${PATH}/m1`,
+            `qvoicetxt-local:app/${CLIPS}/c1`,
+        ]);
+
+        const reloaded = createLocalBackend({ appId: 'app' });
+        const seen = [];
+        reloaded.messages.subscribe(PATH, (messages) => seen.push(messages.map(m => m.text)));
+        expect(seen.at(-1)).toEqual(['hi']);
+        expect((await reloaded.clips.load(CLIPS, 'c1')).data).toHaveLength(1000);
+    });
+
+    it('moves a single-entry store to per-document keys', () => {
+        storage.setItem('qvoicetxt-local:app', JSON.stringify({ [PATH]: { m1: { text: 'old', userId: 'u1', timestamp: 1 } } }));
+        const backend = createLocalBackend({ appId: 'app' });
+        expect(storage.getItem('qvoicetxt-local:app')).toBeNull();
+        let texts = [];
+        backend.messages.subscribe(PATH, (messages) => { texts = messages.map(m => m.text); });
+        expect(texts).toEqual(['old']);
+    });
+
+    it('fails a write that does not fit, keeping what was stored', async () => {
+        const backend = createLocalBackend({ appId: 'app' });
+        await backend.messages.add(PATH, { text: 'kept', userId: 'u1', isTokenized: false }, 'm1');
+        await expect(backend.clips.save(CLIPS, 'big', { ownerId: 'u1', data: 'x'.repeat(30000) }))
+            .rejects.toMatchObject({ code: 'resource-exhausted', message: expect.stringMatching(/storage is full/) });
+        expect(await backend.clips.load(CLIPS, 'big')).toBeNull();
+        let texts = [];
+        backend.messages.subscribe(PATH, (messages) => { texts = messages.map(m => m.text); });
+        expect(texts).toEqual(['kept']);
+    });
+
+    it('pages through messages that share a timestamp without skipping any', async () => {
+        const backend = createLocalBackend({ appId: 'app' });
+        vi.spyOn(Date, 'now').mockReturnValue(1000);
+        for (const id of ['m5', 'm3', 'm1', 'm4', 'm2']) {
+            await backend.messages.add(PATH, { text: id, userId: 'u1', isTokenized: false }, id);
+        }
+        let page = [];
+        backend.messages.subscribe(PATH, (messages) => { page = messages; }, undefined, { limit: 2 });
+        const seen = page.map(m => m.text);
+        while (page.length) {
+            page = await backend.messages.loadOlder(PATH, page[0], 2);
+            seen.unshift(...page.map(m => m.text));
+        }
+        expect(seen).toEqual(['m1', 'm2', 'm3', 'm4', 'm5']);
+    });
+});
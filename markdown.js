@@ -0,0 +1,197 @@
+// --- Markdown subset for message text ---
+// parseMarkdown(text) -> blocks, rendered by RichText.jsx:
+//   { type: 'paragraph', children }   line breaks inside a paragraph are kept
+//   { type: 'list', ordered, start, items: [children] }   "- ", "* ", "+ " or "1. " lines
+//   { type: 'codeBlock', lang, text }   ``` or ~~~ fences (an unclosed fence runs to the end)
+// Inline children: text, break, code, strong (**x** / __x__), em (*x* / _x_), link
+// ([label](url) and bare http(s) URLs) and mention (@name).
+// There is no HTML: everything that is not markdown stays text, which React escapes. Link
+// targets are parsed with URL and only http:, https: and mailto: survive; anything else
+// (javascript:, data:, relative paths...) is left as plain text.
+
+const SAFE_PROTOCOLS = ['http:', 'https:', 'mailto:'];
+const MAX_DEPTH = 6;
+
+const FENCE = /^ {0,3}(`{3,}|~{3,})\s*([\w+#.-]*)\s*$/;
+const BULLET_ITEM = /^ {0,3}[-*+]\s+(.*)$/;
+const ORDERED_ITEM = /^ {0,3}(\d{1,9})[.)]\s+(.*)$/;
+const CONTINUATION = /^\s{2,}\S/;
+
+// Sticky, so they only match at the position being scanned
+const CODE_SPAN = /(`+)([\s\S]*?[^`])\1(?!`)/y;
+const LINK = /\[([^\]\n]{1,500})\]\(([^()\s]{1,2048})\)/y;
+const AUTOLINK = /https?:\/\/[^\s<>"'`]+/iy;
+const STRONG_STAR = /\*\*(?=\S)([\s\S]*?\S)\*\*/y;
+const STRONG_UNDERSCORE = /__(?=\S)([\s\S]*?\S)__(?![\p{L}\p{N}_])/uy;
+const EM_STAR = /\*(?=[^\s*])([\s\S]*?[^\s*])\*(?!\*)/y;
+const EM_UNDERSCORE = /_(?=[^\s_])([\s\S]*?[^\s_])_(?![\p{L}\p{N}_])/uy;
+const MENTION = /@([\p{L}\p{N}_][\p{L}\p{N}_.-]{0,39})/uy;
+
+const isWordChar = (ch) => !!ch && /[\p{L}\p{N}_]/u.test(ch);
+
+const matchAt = (re, text, index) => {
+    re.lastIndex = index;
+    return re.exec(text);
+};
+
+// Normalized href, or null unless it is an absolute http(s) or mailto URL
+const safeUrl = (raw) => {
+    const value = String(raw ?? '').trim();
+    if (!value || /\s/.test(value)) return null;
+    try {
+        const url = new URL(value);
+        return SAFE_PROTOCOLS.includes(url.protocol) ? url.href : null;
+    } catch (e) {
+        return null;
+    }
+};
+
+// Sentence punctuation after a bare URL is not part of it, nor is an unmatched ")"
+const trimUrl = (url) => {
+    let trimmed = url.replace(/[.,;:!?]+$/, '');
+    const count = (ch) => trimmed.split(ch).length - 1;
+    while (trimmed.endsWith(')') && count('(') < count(')')) {
+        trimmed = trimmed.slice(0, -1).replace(/[.,;:!?]+$/, '');
+    }
+    return trimmed;
+};
+
+const parseInline = (text, { depth = 0, inLink = false } = {}) => {
+    const nodes = [];
+    let plain = '';
+    const push = (node) => {
+        if (plain) nodes.push({ type: 'text', text: plain });
+        plain = '';
+        nodes.push(node);
+    };
+    const nested = (inner, options = {}) => (
+        depth < MAX_DEPTH
+            ? parseInline(inner, { depth: depth + 1, inLink, ...options })
+            : [{ type: 'text', text: inner }]
+    );
+
+    let i = 0;
+    while (i < text.length) {
+        const ch = text[i];
+        const prev = text[i - 1];
+        let m;
+        if (ch === '\n') {
+            push({ type: 'break' });
+            i++;
+            continue;
+        }
+        if (ch === '`' && (m = matchAt(CODE_SPAN, text, i))) {
+            push({ type: 'code', text: m[2] });
+            i += m[0].length;
+            continue;
+        }
+        if (ch === '[' && !inLink && (m = matchAt(LINK, text, i))) {
+            const href = safeUrl(m[2]);
+            if (href) {
+                push({ type: 'link', href, children: nested(m[1], { inLink: true }) });
+                i += m[0].length;
+                continue;
+            }
+        }
+        if ((ch === 'h' || ch === 'H') && !inLink && !isWordChar(prev) && (m = matchAt(AUTOLINK, text, i))) {
+            const url = trimUrl(m[0]);
+            const href = safeUrl(url);
+            if (href) {
+                push({ type: 'link', href, children: [{ type: 'text', text: url }] });
+                i += url.length;
+                continue;
+            }
+        }
+        if (ch === '*' && ((m = matchAt(STRONG_STAR, text, i)) || (m = matchAt(EM_STAR, text, i)))) {
+            push({ type: m[0].startsWith('**') ? 'strong' : 'em', children: nested(m[1]) });
+            i += m[0].length;
+            continue;
+        }
+        // Underscores only count at word edges, so snake_case stays as it is
+        if (ch === '_' && !isWordChar(prev) && ((m = matchAt(STRONG_UNDERSCORE, text, i)) || (m = matchAt(EM_UNDERSCORE, text, i)))) {
+            push({ type: m[0].startsWith('__') ? 'strong' : 'em', children: nested(m[1]) });
+            i += m[0].length;
+            continue;
+        }
+        // Not after a word character, so e-mail addresses are not mentions
+        if (ch === '@' && !isWordChar(prev) && (m = matchAt(MENTION, text, i))) {
+            const name = m[1].replace(/[.-]+$/, '');
+            push({ type: 'mention', name });
+            i += 1 + name.length;
+            continue;
+        }
+        plain += ch;
+        i++;
+    }
+    if (plain) nodes.push({ type: 'text', text: plain });
+    return nodes;
+};
+
+const parseMarkdown = (source) => {
+    const lines = String(source ?? '').replace(/\r\n?/g, '\n').split('\n');
+    const blocks = [];
+    let paragraph = [];
+    const endParagraph = () => {
+        if (paragraph.length) blocks.push({ type: 'paragraph', children: parseInline(paragraph.join('\n')) });
+        paragraph = [];
+    };
+
+    let i = 0;
+    while (i < lines.length) {
+        const line = lines[i];
+        const fence = FENCE.exec(line);
+        if (fence) {
+            endParagraph();
+            const marker = fence[1];
+            const isClosing = (l) => {
+                const closing = FENCE.exec(l);
+                return !!closing && !closing[2] && closing[1][0] === marker[0] && closing[1].length >= marker.length;
+            };
+            const body = [];
+            for (i++; i < lines.length && !isClosing(lines[i]); i++) body.push(lines[i]);
+            blocks.push({ type: 'codeBlock', lang: fence[2] || null, text: body.join('\n') });
+            i++;
+            continue;
+        }
+
+        const bullet = BULLET_ITEM.exec(line);
+        const numbered = !bullet && ORDERED_ITEM.exec(line);
+        if (bullet || numbered) {
+            endParagraph();
+            const itemPattern = bullet ? BULLET_ITEM : ORDERED_ITEM;
+            const items = [];
+            while (i < lines.length) {
+                const item = itemPattern.exec(lines[i]);
+                if (item) items.push(bullet ? item[1] : item[2]);
+                else if (CONTINUATION.test(lines[i])) items[items.length - 1] += `\n${lines[i].trim()}`;
+                else break;
+                i++;
+            }
+            blocks.push({
+                type: 'list',
+                ordered: !bullet,
+                start: bullet ? null : Number(numbered[1]),
+                items: items.map(item => parseInline(item)),
+            });
+            continue;
+        }
+
+        if (line.trim()) paragraph.push(line);
+        else endParagraph();
+        i++;
+    }
+    endParagraph();
+    return blocks;
+};
+
+// Whether "@mention" means this user: their display name (spaces ignored) or its first
+// word, or a uid prefix of at least 4 characters
+const mentionsUser = (mention, { userId, name } = {}) => {
+    const needle = String(mention || '').toLowerCase();
+    if (!needle) return false;
+    const words = String(name || '').toLowerCase().split(/\s+/).filter(Boolean);
+    if (words.length && (needle === words.join('') || needle === words[0])) return true;
+    return needle.length >= 4 && !!userId && userId.toLowerCase().startsWith(needle);
+};
+
+export { parseMarkdown, parseInline, safeUrl, mentionsUser };
@@ -0,0 +1,79 @@
+import { createElement } from 'react';
+import { renderToStaticMarkup } from 'react-dom/server';
+import { describe, expect, it } from 'vitest';
+import { parseInline, safeUrl } from './markdown';
+import RichText from './RichText';
+
+const render = (text) => renderToStaticMarkup(createElement(RichText, { text }));
+
+describe('safeUrl', () => {
+    it.each([
+        'javascript:alert(1)',
+        'JaVaScRiPt:alert(1)',
+        'JAVASCRIPT:alert(1)',
+        ' javascript:alert(1)',
+        '\tjavascript:alert(1)',
+        '\njavascript:alert(1)',
+        'java\tscript:alert(1)',
+        'java\nscript:alert(1)',
+        'vbscript:msgbox(1)',
+        'data:text/html,<script>alert(1)</script>',
+        'DATA:text/html;base64,PHNjcmlwdD5hbGVydCgxKTwvc2NyaXB0Pg==',
+        '//evil.example/payload',
+        '/relative/path',
+        'evil.example',
+        '',
+    ])('rejects %j', (url) => {
+        expect(safeUrl(url)).toBeNull();
+    });
+
+    it('keeps http(s) and mailto, normalized', () => {
+        expect(safeUrl('HTTPS://Example.com/a b')).toBeNull();
+        expect(safeUrl(' https://Example.com/path?q=1 ')).toBe('https://example.com/path?q=1');
+        expect(safeUrl('http://example.com')).toBe('http://example.com/');
+        expect(safeUrl('mailto:ops@example.com')).toBe('mailto:ops@example.com');
+    });
+});
+
+describe('links', () => {
+    it('leaves unsafe link targets as text', () => {
+        expect(parseInline('[click](javascript:void0)')).toEqual([{ type: 'text', text: '[click](javascript:void0)' }]);
+        expect(parseInline('[click](JavaScript:void0)')).toEqual([{ type: 'text', text: '[click](JavaScript:void0)' }]);
+        expect(parseInline('[img](data:text/html,hi)')).toEqual([{ type: 'text', text: '[img](data:text/html,hi)' }]);
+        expect(parseInline('[host](//evil.example)')).toEqual([{ type: 'text', text: '[host](//evil.example)' }]);
+    });
+
+    it('renders no javascript: href', () => {
+        for (const text of ['[click](javascript:void0)', '[click](JaVaScRiPt:void0)', '[click](%20javascript:void0)', 'see javascript:void0']) {
+            expect(render(text)).not.toMatch(/href=/);
+        }
+    });
+
+    it('cannot break out of the href attribute', () => {
+        const html = render('[x](https://a.example/"onmouseover="alert`1`)');
+        expect(html).not.toMatch(/<[^>]*\sonmouseover=/);
+        expect(html).toContain('href="https://a.example/%22onmouseover=%22alert%601%60"');
+    });
+
+    it('stops bare URLs at markup characters', () => {
+        const html = render('https://a.example/"><script>alert(1)</script>');
+        expect(html).not.toContain('<script');
+        expect(html).toContain('href="https://a.example/"');
+    });
+});
+
+describe('raw HTML', () => {
+    it('keeps an <img onerror> as text', () => {
+        const html = render('<img src=x onerror=alert(1)>');
+        expect(html).not.toContain('<img');
+        expect(html).toContain('&lt;img src=x onerror=alert(1)&gt;');
+    });
+
+    it('escapes script tags and HTML inside formatting, code and lists', () => {
+        const html = render('**<script>alert(1)</script>**\n\n`<b onclick=x>`\n\n- <svg onload=alert(1)>\n\n```html\n<iframe src="javascript:alert(1)"></iframe>\n```');
+        expect(html).not.toMatch(/<(script|b|iframe)[\s>]|<[^>]*\son\w+=/);
+        expect(html).toContain('&lt;script&gt;alert(1)&lt;/script&gt;');
+        expect(html).toContain('&lt;svg onload=alert(1)&gt;');
+        expect(html).toContain('&lt;iframe src=&quot;javascript:alert(1)&quot;&gt;&lt;/iframe&gt;');
+    });
+});
@@ -0,0 +1,57 @@
+// --- Edits, deletions, replies and reactions ---
+// An edit rewrites the message content (`text`, or the `encrypted` payload in call sessions)
+// and stamps `editedAt`. Deleting your own message leaves a tombstone: every content field
+// below is cleared and { deleted: true, deletedAt } is set, keeping author, time and thread
+// position. (Moderators' /delete still removes documents outright.) A reply carries
+// replyTo: { id, userId } (inside the encrypted payload in call sessions) and quotes the
+// parent as it is currently loaded. Reactions are { [uid]: [emoji, ...] } so that each user
+// only ever writes their own entry. firestore.rules enforces all of this.
+
+const REACTION_EMOJI = ['👍', '❤️', '😂', '🎉', '😮', '😢'];
+
+const TOMBSTONE_CLEARED_FIELDS = [
+    'text', 'tokens', 'dictionary', 'dictionaryVersion', 'tokenIndex', 'voice', 'transcript',
+    'isTokenized', 'encrypted', 'editedAt', 'reactions',
+];
+
+const isActionable = (msg) => !!msg.id && !msg.isQueued && !msg.deleted && !msg.decryptFailed;
+
+// Only plain text can be edited; token signals and voice messages are deleted and resent
+const canEdit = (msg, userId) => (
+    isActionable(msg) && msg.userId === userId && !msg.isTokenized && !msg.voice && typeof msg.text === 'string'
+);
+const canDelete = (msg, userId) => isActionable(msg) && msg.userId === userId;
+const canRespond = (msg) => isActionable(msg) && !msg.isSignal;
+
+// This user's emoji list after toggling one
+const toggleReaction = (reactions, userId, emoji) => {
+    const mine = reactions?.[userId] || [];
+    return mine.includes(emoji) ? mine.filter(e => e !== emoji) : [...mine, emoji];
+};
+
+// [{ emoji, count, userIds, mine }] in REACTION_EMOJI order, reacted emoji only
+const reactionSummary = (reactions, userId) => REACTION_EMOJI
+    .map(emoji => {
+        const userIds = Object.entries(reactions || {})
+            .filter(([, list]) => Array.isArray(list) && list.includes(emoji))
+            .map(([uid]) => uid);
+        return { emoji, count: userIds.length, userIds, mine: userIds.includes(userId) };
+    })
+    .filter(r => r.count > 0);
+
+const quoteExcerpt = (text, max = 120) => {
+    const flat = String(text || '').replace(/\s+/g, ' ').trim();
+    return flat.length > max ? `${flat.slice(0, max - 1)}…` : flat;
+};
+
+const replyReference = (msg) => ({ id: msg.id, userId: msg.userId });
+
+// Prompt for the agent when the user answers one of its messages
+const replyPrompt = (parentText, text) => (
+    `The user is replying to your earlier message:\n"""\n${parentText}\n"""\n\nTheir reply: ${text}`
+);
+
+export {
+    REACTION_EMOJI, TOMBSTONE_CLEARED_FIELDS, canEdit, canDelete, canRespond, toggleReaction,
+    reactionSummary, quoteExcerpt, replyReference, replyPrompt
+};
@@ -0,0 +1,138 @@
+import { useCallback, useEffect, useMemo, useRef, useState } from 'react';
+
+// --- Paged message history ---
+// A live listener covers the newest page of a room; older pages are fetched on demand and
+// are static. Messages pushed out of the live page by new arrivals move to the older list,
+// so nothing disappears from view while the room is open.
+
+const PAGE_SIZE = 50;
+// Upper bound for loadUntil (e.g. a summary of a long time range)
+const MAX_LOADED = 2000;
+
+const millis = (timestamp) => timestamp?.toMillis?.() ?? 0;
+
+// Docs that fell out of a full live page (older than its new oldest doc), oldest first.
+const overflowedDocs = (previous, next, pageSize) => {
+    if (next.length < pageSize || !next.length) return [];
+    const kept = new Set(next.map(d => d.id));
+    const oldest = millis(next[0].timestamp);
+    return previous.filter(d => !kept.has(d.id) && millis(d.timestamp) <= oldest);
+};
+
+// The older list after a live snapshot: docs that moved back into the live page (after a newer
+// one was deleted) leave it, so no doc is listed twice, and the overflow joins it.
+const olderAfterSnapshot = (older, previous, next, pageSize) => {
+    const liveIds = new Set(next.map(d => d.id));
+    const overflow = overflowedDocs(previous, next, pageSize);
+    const kept = older.filter(d => !liveIds.has(d.id));
+    return kept.length === older.length && !overflow.length ? older : [...kept, ...overflow];
+};
+
+// Returns { docs, hasMore, isLoadingOlder, loadOlder, loadUntil, hasOlder }.
+// loadUntil({ sinceMs, count }) pages back until the loaded docs reach `sinceMs` or number
+// `count` (at most MAX_LOADED), then resolves to all loaded docs. hasOlder() tells whether
+// older docs remain after that, as `hasMore` is stale inside a callback.
+const useMessageHistory = ({ storage, path, enabled, pageSize = PAGE_SIZE, onError }) => {
+    const [older, setOlder] = useState([]);
+    const [live, setLive] = useState([]);
+    const [hasMore, setHasMore] = useState(false);
+    const [isLoadingOlder, setIsLoadingOlder] = useState(false);
+    const olderRef = useRef([]);
+    const liveRef = useRef([]);
+    const hasMoreRef = useRef(false);
+    const inFlightRef = useRef(null);
+    const generationRef = useRef(0);
+    const onErrorRef = useRef(onError);
+    useEffect(() => { onErrorRef.current = onError; }, [onError]);
+
+    // Another room: drop the old docs in this render rather than after the next effect
+    const [loadedPath, setLoadedPath] = useState(path);
+    if (loadedPath !== path) {
+        setLoadedPath(path);
+        setOlder([]);
+        setLive([]);
+        setHasMore(false);
+    }
+
+    const replaceOlder = useCallback((docs) => {
+        olderRef.current = docs;
+        setOlder(docs);
+    }, []);
+    const updateHasMore = useCallback((value) => {
+        hasMoreRef.current = value;
+        setHasMore(value);
+    }, []);
+
+    useEffect(() => {
+        const generation = ++generationRef.current;
+        replaceOlder([]);
+        liveRef.current = [];
+        setLive([]);
+        updateHasMore(false);
+        inFlightRef.current = null;
+        setIsLoadingOlder(false);
+        if (!enabled || !storage) return;
+        let isFirst = true;
+        return storage.messages.subscribe(path, (docs) => {
+            if (generation !== generationRef.current) return;
+            const nextOlder = olderAfterSnapshot(olderRef.current, liveRef.current, docs, pageSize);
+            if (nextOlder !== olderRef.current) replaceOlder(nextOlder);
+            liveRef.current = docs;
+            setLive(docs);
+            if (isFirst) updateHasMore(docs.length >= pageSize);
+            isFirst = false;
+        }, (e) => onErrorRef.current?.(e), { limit: pageSize });
+    }, [storage, path, enabled, pageSize, replaceOlder, updateHasMore]);
+
+    // One older page at a time; concurrent callers share the request
+    const fetchOlderPage = useCallback(() => {
+        const oldest = olderRef.current[0] || liveRef.current[0];
+        if (!storage || !hasMoreRef.current || !oldest) return Promise.resolve();
+        if (inFlightRef.current) return inFlightRef.current;
+        const generation = generationRef.current;
+        setIsLoadingOlder(true);
+        const request = storage.messages.loadOlder(path, oldest, pageSize)
+            .then(page => {
+                if (generation !== generationRef.current) return;
+                replaceOlder([...page, ...olderRef.current]);
+                updateHasMore(page.length >= pageSize);
+            })
+            .finally(() => {
+                if (generation !== generationRef.current) return;
+                inFlightRef.current = null;
+                setIsLoadingOlder(false);
+            });
+        inFlightRef.current = request;
+        return request;
+    }, [storage, path, pageSize, replaceOlder, updateHasMore]);
+
+    const loadOlder = useCallback(async () => {
+        try {
+            await fetchOlderPage();
+        } catch (e) {
+            onErrorRef.current?.(e);
+        }
+    }, [fetchOlderPage]);
+
+    const loadUntil = useCallback(async ({ sinceMs = null, count = null } = {}) => {
+        const generation = generationRef.current;
+        const loaded = () => [...olderRef.current, ...liveRef.current];
+        const satisfied = () => {
+            const docs = loaded();
+            if (docs.length >= MAX_LOADED) return true;
+            if (sinceMs !== null && docs.length && millis(docs[0].timestamp) < sinceMs) return true;
+            return count !== null && sinceMs === null && docs.length >= count;
+        };
+        while (hasMoreRef.current && generation === generationRef.current && (sinceMs !== null || count !== null) && !satisfied()) {
+            await fetchOlderPage();
+        }
+        return loaded();
+    }, [fetchOlderPage]);
+
+    const hasOlder = useCallback(() => hasMoreRef.current, []);
+
+    const docs = useMemo(() => (older.length ? [...older, ...live] : live), [older, live]);
+    return { docs, hasMore, isLoadingOlder, loadOlder, loadUntil, hasOlder };
+};
+
+export { useMessageHistory, overflowedDocs, olderAfterSnapshot, PAGE_SIZE, MAX_LOADED };
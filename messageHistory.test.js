@@ -0,0 +1,42 @@
+import { describe, expect, it } from 'vitest';
+import { overflowedDocs, olderAfterSnapshot } from './messageHistory';
+
+// Docs with Firestore-like timestamps, `t` in ms
+const msg = (id, t) => ({ id, timestamp: { toMillis: () => t } });
+const ids = (docs) => docs.map(d => d.id);
+
+describe('overflowedDocs', () => {
+    it('returns the docs a new arrival pushed out of a full page', () => {
+        const previous = [msg('a', 1), msg('b', 2), msg('c', 3)];
+        expect(ids(overflowedDocs(previous, [msg('b', 2), msg('c', 3), msg('d', 4)], 3))).toEqual(['a']);
+    });
+
+    it('returns nothing while the page is not full', () => {
+        expect(overflowedDocs([msg('a', 1), msg('b', 2)], [msg('a', 1)], 3)).toEqual([]);
+    });
+});
+
+describe('olderAfterSnapshot', () => {
+    it('moves overflow to the older list', () => {
+        const older = [msg('x', 0)];
+        const previous = [msg('a', 1), msg('b', 2), msg('c', 3)];
+        const next = [msg('b', 2), msg('c', 3), msg('d', 4)];
+        expect(ids(olderAfterSnapshot(older, previous, next, 3))).toEqual(['x', 'a']);
+    });
+
+    it('drops a doc that returned to the live page after a newer one was deleted', () => {
+        // 'a' overflowed when 'd' arrived; deleting 'd' brings 'a' back into the live page
+        const older = [msg('x', 0), msg('a', 1)];
+        const previous = [msg('b', 2), msg('c', 3), msg('d', 4)];
+        const next = [msg('a', 1), msg('b', 2), msg('c', 3)];
+        const after = olderAfterSnapshot(older, previous, next, 3);
+        expect(ids(after)).toEqual(['x']);
+        expect(new Set(ids([...after, ...next])).size).toBe(after.length + next.length);
+    });
+
+    it('keeps the same list when nothing changes', () => {
+        const older = [msg('x', 0)];
+        const live = [msg('a', 1), msg('b', 2)];
+        expect(olderAfterSnapshot(older, live, live, 3)).toBe(older);
+    });
+});
@@ -0,0 +1,198 @@
+import { parseDuration } from './commandRegistry';
+import { resolveUserRef } from './userRefs';
+
+// --- Message search ---
+// parseSearchQuery('deploy "release notes" from:@3fa2 after:2d is:token') -> { terms, phrases,
+// userId, before, after, is, label } or { error }. Filters:
+//   from:<user>              a uid or uid prefix (see userRefs.js), "me" or "agent"
+//   before:/after:<when>     a date (YYYY-MM-DD, local midnight) or a duration ago (2h, 3d)
+//   is:token / is:signal     token-encoded messages / token signals only
+// createSearchIndex() keeps an inverted index (word -> message ids) over decoded messages.
+// update(messages) indexes new and edited messages and drops ones no longer loaded or since
+// deleted, so it can follow the live and paged history. search(query) matches terms as word
+// prefixes and phrases as written (ignoring case and accents); newest messages first.
+// Slash commands are not indexed. Pure functions, apart from the index's own state.
+
+const DEFAULT_RESULT_LIMIT = 20;
+const SNIPPET_LENGTH = 140;
+const IS_FILTERS = ['token', 'signal'];
+
+const WORD = /[\p{L}\p{N}]+/gu;
+
+// Lowercase without accents, so "Café" is found by "cafe"
+const fold = (text) => String(text || '').normalize('NFKD').replace(/\p{M}/gu, '').toLowerCase();
+const searchWords = (text) => fold(text).match(WORD) || [];
+
+const messageTime = (msg) => msg.timestamp?.toMillis?.() ?? null;
+// Messages without a server time yet are the newest
+const sortTime = (msg) => messageTime(msg) ?? Number.MAX_SAFE_INTEGER;
+
+const parseWhen = (value, now) => {
+    const date = /^(\d{4})-(\d{2})-(\d{2})$/.exec(value);
+    if (date) {
+        const ms = new Date(Number(date[1]), Number(date[2]) - 1, Number(date[3])).getTime();
+        return Number.isNaN(ms) ? null : ms;
+    }
+    const duration = parseDuration(value);
+    return duration ? now - duration : null;
+};
+
+const parseSearchQuery = (input, { knownUserIds = [], userId = null, botUserId = null, now = Date.now() } = {}) => {
+    const query = { terms: [], phrases: [], userId: null, before: null, after: null, is: null };
+    const source = String(input || '');
+    const phrasePattern = /"([^"]*)"/g;
+    for (const [, phrase] of source.matchAll(phrasePattern)) {
+        const words = searchWords(phrase);
+        if (words.length) query.phrases.push(words.join(' '));
+    }
+    for (const word of source.replace(phrasePattern, ' ').split(/\s+/).filter(Boolean)) {
+        const filter = /^(from|before|after|is):(.*)$/i.exec(word);
+        if (!filter) {
+            query.terms.push(...searchWords(word));
+            continue;
+        }
+        const [, name, value] = filter;
+        const key = name.toLowerCase();
+        if (!value) return { error: `Missing value for ${key}:` };
+        if (key === 'from') {
+            const lower = value.toLowerCase();
+            if (lower === 'me') query.userId = userId;
+            else if (lower === 'agent' && botUserId) query.userId = botUserId;
+            else {
+                const ref = resolveUserRef(value, knownUserIds);
+                if (ref.error) return { error: ref.error };
+                query.userId = ref.userId;
+            }
+        } else if (key === 'is') {
+            if (!IS_FILTERS.includes(value.toLowerCase())) return { error: `Unknown filter is:${value} (use ${IS_FILTERS.map(f => `is:${f}`).join(' or ')})` };
+            query.is = value.toLowerCase();
+        } else {
+            const ms = parseWhen(value, now);
+            if (ms === null) return { error: `Invalid ${key}: "${value}" (use a date like 2024-05-31 or a duration like 3d)` };
+            query[key] = ms;
+        }
+    }
+    if (!query.terms.length && !query.phrases.length && query.userId === null && query.before === null && query.after === null && !query.is) {
+        return { error: 'Missing search terms' };
+    }
+    return { ...query, label: source.trim() };
+};
+
+const isSearchable = (msg) => (
+    !!msg.id && typeof msg.text === 'string' && !!msg.text.trim() && !msg.deleted && !msg.decryptFailed && !msg.text.startsWith('/')
+);
+
+const matchesFilters = (entry, query) => {
+    const { msg } = entry;
+    const time = sortTime(msg);
+    if (query.userId !== null && msg.userId !== query.userId) return false;
+    if (query.before !== null && time >= query.before) return false;
+    if (query.after !== null && time < query.after) return false;
+    if (query.is === 'token' && !msg.isTokenized) return false;
+    if (query.is === 'signal' && !msg.isSignal) return false;
+    return query.phrases.every(phrase => ` ${entry.words.join(' ')} `.includes(` ${phrase} `));
+};
+
+const createSearchIndex = () => {
+    const postings = new Map();
+    const entries = new Map();
+
+    const unindex = (id) => {
+        entries.get(id).words.forEach(word => {
+            const ids = postings.get(word);
+            ids.delete(id);
+            if (!ids.size) postings.delete(word);
+        });
+        entries.delete(id);
+    };
+
+    const update = (messages) => {
+        const present = new Set();
+        messages.forEach(msg => {
+            if (!isSearchable(msg)) return;
+            present.add(msg.id);
+            const existing = entries.get(msg.id);
+            if (existing && existing.msg.text === msg.text) {
+                existing.msg = msg;
+                return;
+            }
+            if (existing) unindex(msg.id);
+            const words = searchWords(msg.text);
+            new Set(words).forEach(word => {
+                if (!postings.has(word)) postings.set(word, new Set());
+                postings.get(word).add(msg.id);
+            });
+            entries.set(msg.id, { msg, words });
+        });
+        [...entries.keys()].filter(id => !present.has(id)).forEach(unindex);
+    };
+
+    // Ids of messages with a word starting with `term`
+    const idsFor = (term) => {
+        const ids = new Set();
+        postings.forEach((wordIds, word) => {
+            if (word.startsWith(term)) wordIds.forEach(id => ids.add(id));
+        });
+        return ids;
+    };
+
+    // -> { results: [message], total }
+    const search = (query, { limit = DEFAULT_RESULT_LIMIT } = {}) => {
+        // Phrase words narrow the candidates like terms; matchesFilters then checks their order
+        const required = [...new Set([...query.terms, ...query.phrases.flatMap(p => p.split(' '))])];
+        let candidates = null;
+        for (const term of required) {
+            const ids = idsFor(term);
+            candidates = candidates ? new Set([...candidates].filter(id => ids.has(id))) : ids;
+            if (!candidates.size) break;
+        }
+        const matches = [...(candidates || entries.keys())]
+            .map(id => entries.get(id))
+            .filter(entry => matchesFilters(entry, query))
+            .map(entry => entry.msg)
+            .sort((a, b) => sortTime(b) - sortTime(a));
+        return { results: matches.slice(0, limit), total: matches.length };
+    };
+
+    return { update, search };
+};
+
+// `text` split into [{ text, match }] segments; whole words matching a term (as a prefix) or
+// belonging to a phrase are marked
+const highlightMatches = (text, query) => {
+    const source = String(text || '');
+    const tokens = [...source.matchAll(WORD)].map(m => ({ start: m.index, end: m.index + m[0].length, word: fold(m[0]) }));
+    const marked = new Set();
+    tokens.forEach((token, i) => {
+        if (query.terms.some(term => token.word.startsWith(term))) marked.add(i);
+    });
+    query.phrases.forEach(phrase => {
+        const words = phrase.split(' ');
+        for (let i = 0; i + words.length <= tokens.length; i++) {
+            if (words.every((word, j) => tokens[i + j].word === word)) words.forEach((_, j) => marked.add(i + j));
+        }
+    });
+    const segments = [];
+    let position = 0;
+    [...marked].sort((a, b) => a - b).forEach(i => {
+        const { start, end } = tokens[i];
+        if (start > position) segments.push({ text: source.slice(position, start), match: false });
+        segments.push({ text: source.slice(start, end), match: true });
+        position = end;
+    });
+    if (position < source.length) segments.push({ text: source.slice(position), match: false });
+    return segments;
+};
+
+// Up to `maxLength` characters of `text` around its first match, on one line
+const searchSnippet = (text, query, maxLength = SNIPPET_LENGTH) => {
+    const flat = String(text || '').replace(/\s+/g, ' ').trim();
+    if (flat.length <= maxLength) return flat;
+    const segments = highlightMatches(flat, query);
+    const first = segments.findIndex(s => s.match);
+    const offset = segments.slice(0, Math.max(0, first)).reduce((n, s) => n + s.text.length, 0);
+    const start = Math.max(0, Math.min(offset - Math.floor(maxLength / 3), flat.length - maxLength));
+    return `${start > 0 ? '…' : ''}${flat.slice(start, start + maxLength).trim()}${start + maxLength < flat.length ? '…' : ''}`;
+};
+
+export { parseSearchQuery, createSearchIndex, highlightMatches, searchSnippet, searchWords };
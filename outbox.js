@@ -0,0 +1,152 @@
+import { useCallback, useEffect, useRef, useState } from 'react';
+
+// --- Outbox: optimistic message sends that survive reloads and offline periods ---
+// Every outgoing message gets its document id up front and waits here (mirrored to
+// localStorage) until the backend confirms it, so retries never duplicate: a backend
+// resolves add() for an id it already holds (see firebaseBackend.js).
+// Entries go out one at a time, in order. Transient failures back off exponentially;
+// permanent ones (rules rejections) or MAX_ATTEMPTS failures mark the entry failed until the
+// user retries or discards it.
+// Delivery states shown next to a message:
+//   pending    queued here, not yet accepted by the backend
+//   sent       in the local Firestore cache, waiting for the server
+//   delivered  confirmed by the server (or stored by the local backend)
+//   failed     gave up; retry or discard
+
+const MAX_ATTEMPTS = 5;
+const BASE_DELAY_MS = 1000;
+const MAX_DELAY_MS = 60000;
+const PERMANENT_ERRORS = ['permission-denied', 'invalid-argument', 'unauthenticated'];
+
+const ID_CHARS = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789';
+
+// 20 random characters, like Firestore's own auto ids
+const newMessageId = () => Array.from(
+    crypto.getRandomValues(new Uint8Array(20)),
+    byte => ID_CHARS[byte % ID_CHARS.length]
+).join('');
+
+// Delay before attempt `attempts + 1`, with jitter so reconnecting tabs don't retry in step.
+const backoffDelay = (attempts, random = Math.random()) => (
+    Math.min(MAX_DELAY_MS, BASE_DELAY_MS * 2 ** Math.max(0, attempts - 1)) * (0.5 + random / 2)
+);
+
+const outboxKey = (appId, userId) => `qvoicetxt-outbox:${appId}:${userId}`;
+
+const loadOutbox = (key) => {
+    try {
+        const entries = JSON.parse(localStorage.getItem(key) || '[]');
+        // An in-flight send was interrupted by the reload; it goes out again
+        return Array.isArray(entries) ? entries.map(e => ({ ...e, nextAttemptAt: 0 })) : [];
+    } catch (e) {
+        console.error('outbox read error:', e);
+        return [];
+    }
+};
+
+// Plaintext previews of encrypted call messages stay in memory only.
+const saveOutbox = (key, entries) => {
+    try {
+        if (!entries.length) localStorage.removeItem(key);
+        else localStorage.setItem(key, JSON.stringify(entries.map(e => (e.data.encrypted ? { ...e, preview: null } : e))));
+    } catch (e) {
+        console.error('outbox write error:', e);
+    }
+};
+
+// Returns { entries, enqueue({ path, roomId, data, preview }) -> id, retry(id), discard(id),
+// acknowledge(ids) }. Call acknowledge with ids the server has confirmed (e.g. from a listener).
+const useOutbox = ({ storage, appId, userId }) => {
+    const [entries, setEntries] = useState([]);
+    const entriesRef = useRef([]);
+    const keyRef = useRef(null);
+    const drainingRef = useRef(false);
+    const timerRef = useRef(null);
+
+    const update = useCallback((change) => {
+        entriesRef.current = change(entriesRef.current);
+        setEntries(entriesRef.current);
+        if (keyRef.current) saveOutbox(keyRef.current, entriesRef.current);
+    }, []);
+
+    const drain = useCallback(async () => {
+        if (!storage || drainingRef.current) return;
+        drainingRef.current = true;
+        clearTimeout(timerRef.current);
+        try {
+            for (;;) {
+                const next = entriesRef.current.find(e => e.status === 'pending');
+                if (!next) break;
+                const wait = next.nextAttemptAt - Date.now();
+                if (wait > 0) {
+                    timerRef.current = setTimeout(drain, wait);
+                    break;
+                }
+                try {
+                    await storage.messages.add(next.path, next.data, next.id);
+                    update(list => list.filter(e => e.id !== next.id));
+                } catch (e) {
+                    console.error('outbox send error:', e);
+                    const attempts = next.attempts + 1;
+                    const failed = attempts >= MAX_ATTEMPTS || PERMANENT_ERRORS.includes(e?.code);
+                    update(list => list.map(entry => (entry.id !== next.id ? entry : {
+                        ...entry,
+                        attempts,
+                        status: failed ? 'failed' : 'pending',
+                        error: e?.message || String(e),
+                        nextAttemptAt: Date.now() + backoffDelay(attempts),
+                    })));
+                }
+            }
+        } finally {
+            drainingRef.current = false;
+        }
+    }, [storage, update]);
+
+    useEffect(() => {
+        if (!userId) return;
+        keyRef.current = outboxKey(appId, userId);
+        entriesRef.current = loadOutbox(keyRef.current);
+        setEntries(entriesRef.current);
+        drain();
+        // Coming back online retries immediately instead of waiting out the backoff
+        const onOnline = () => {
+            update(list => list.map(e => (e.status === 'pending' ? { ...e, nextAttemptAt: 0 } : e)));
+            drain();
+        };
+        window.addEventListener('online', onOnline);
+        return () => {
+            window.removeEventListener('online', onOnline);
+            clearTimeout(timerRef.current);
+            keyRef.current = null;
+        };
+    }, [appId, userId, drain, update]);
+
+    const enqueue = useCallback(({ path, roomId, data, preview = null }) => {
+        const entry = {
+            id: newMessageId(), path, roomId, data, preview,
+            status: 'pending', attempts: 0, nextAttemptAt: 0, error: null, createdAt: Date.now(),
+        };
+        update(list => [...list, entry]);
+        drain();
+        return entry.id;
+    }, [update, drain]);
+
+    const retry = useCallback((id) => {
+        update(list => list.map(e => (e.id === id ? { ...e, status: 'pending', attempts: 0, nextAttemptAt: 0, error: null } : e)));
+        drain();
+    }, [update, drain]);
+
+    const discard = useCallback((id) => update(list => list.filter(e => e.id !== id)), [update]);
+
+    const acknowledge = useCallback((ids) => {
+        const confirmed = new Set(ids);
+        if (entriesRef.current.some(e => confirmed.has(e.id))) {
+            update(list => list.filter(e => !confirmed.has(e.id)));
+        }
+    }, [update]);
+
+    return { entries, enqueue, retry, discard, acknowledge };
+};
+
+export { useOutbox, backoffDelay, newMessageId, MAX_ATTEMPTS };
@@ -0,0 +1,175 @@
+import { useState, useEffect, useRef, useCallback, useMemo } from 'react';
+import { collection, doc, onSnapshot, setDoc, writeBatch, serverTimestamp } from 'firebase/firestore';
+
+// --- Presence and typing indicators: {room}/presence/{userId} (see roomStore.js) ---
+// { userId, name, online, lastSeen, typingAt }. Every open client rewrites its own entry each
+// HEARTBEAT_MS, and marks it offline when it leaves the room or the page. An entry counts as
+// online while `online` is set and lastSeen is recent, so a crashed tab drops off by itself.
+// typingAt is stamped while the user types and cleared when they stop or send. Entries not
+// seen for PRUNE_AFTER_MS are deleted by the first client to notice; until then they still
+// name that user's messages.
+
+const HEARTBEAT_MS = 15000;
+const ONLINE_WINDOW_MS = 45000;
+const TYPING_WINDOW_MS = 6000;
+const TYPING_REFRESH_MS = 3000;
+const TYPING_IDLE_MS = 4000;
+const PRUNE_AFTER_MS = 24 * 60 * 60 * 1000;
+const MAX_NAME_LENGTH = 40;
+
+const millisOf = (value) => (value && typeof value.toMillis === 'function' ? value.toMillis() : value ?? null);
+
+// `typing`: true stamps typingAt, false clears it, undefined leaves it as it is
+const writePresence = (db, path, userId, { name, online, typing }) => setDoc(doc(db, path, userId), {
+    userId,
+    name,
+    online,
+    lastSeen: serverTimestamp(),
+    ...(typing === undefined ? {} : { typingAt: typing ? serverTimestamp() : null }),
+}, { merge: true });
+
+// Entries with lastSeen / typingAt in milliseconds
+const subscribePresence = (db, path, onChange, onError) => onSnapshot(
+    collection(db, path),
+    (snap) => onChange(snap.docs.map(d => {
+        const data = d.data({ serverTimestamps: 'estimate' });
+        return { ...data, userId: d.id, lastSeen: millisOf(data.lastSeen), typingAt: millisOf(data.typingAt) };
+    })),
+    onError
+);
+
+// One batch, so at most 500 ids
+const removePresence = async (db, path, userIds) => {
+    const batch = writeBatch(db);
+    userIds.forEach(id => batch.delete(doc(db, path, id)));
+    await batch.commit();
+};
+
+const defaultDisplayName = (userId) => `Guest ${String(userId || '').replace(/^local-/, '').slice(0, 4)}`;
+
+const displayNameFor = (configured, userId) => (
+    String(configured || '').trim().slice(0, MAX_NAME_LENGTH) || defaultDisplayName(userId)
+);
+
+const isOnline = (entry, now) => entry.online === true && entry.lastSeen != null && now - entry.lastSeen < ONLINE_WINDOW_MS;
+const isTyping = (entry, now) => isOnline(entry, now) && entry.typingAt != null && now - entry.typingAt < TYPING_WINDOW_MS;
+const isStale = (entry, now) => entry.lastSeen != null && now - entry.lastSeen > PRUNE_AFTER_MS;
+
+// "Ann is typing…", "Ann and Bo are typing…", "3 people are typing…"
+const typingLabel = (names) => {
+    if (!names.length) return null;
+    if (names.length === 1) return `${names[0]} is typing…`;
+    if (names.length === 2) return `${names[0]} and ${names[1]} are typing…`;
+    return `${names.length} people are typing…`;
+};
+
+// Generated avatar: up to two initials on a hue that stays the same for a user
+const avatarFor = (name, userId) => {
+    const initials = String(name || '').split(/\s+/).filter(Boolean).slice(0, 2)
+        .map(word => [...word][0].toUpperCase()).join('') || '?';
+    let hash = 0;
+    for (const ch of String(userId || '')) hash = (hash * 31 + ch.codePointAt(0)) >>> 0;
+    return { initials, hue: hash % 360 };
+};
+
+// -> { members, names, typingNames, notifyTyping(), stopTyping() }
+// members: online users of the room by name, [{ userId, name, isTyping, isSelf }];
+// names: userId -> display name for every entry still on record
+const usePresence = ({ storage, path, userId, name, enabled = true, onError }) => {
+    const [entries, setEntries] = useState([]);
+    const [now, setNow] = useState(() => Date.now());
+    const typingRef = useRef({ sentAt: 0, timer: null });
+    const prunedRef = useRef(new Set());
+    const onErrorRef = useRef(onError);
+    useEffect(() => { onErrorRef.current = onError; }, [onError]);
+    const isActive = !!storage && !!userId && enabled;
+
+    useEffect(() => {
+        if (!isActive) {
+            setEntries([]);
+            return undefined;
+        }
+        return storage.presence.subscribe(path, (list) => {
+            setEntries(list);
+            setNow(Date.now());
+        }, (e) => onErrorRef.current?.(e));
+    }, [isActive, storage, path]);
+
+    // Heartbeat; offline again on leaving the room or the page
+    useEffect(() => {
+        if (!isActive) return undefined;
+        const typing = typingRef.current;
+        const write = (fields) => storage.presence.update(path, userId, { name, ...fields })
+            .catch(e => console.error('presence error:', e));
+        write({ online: true, typing: false });
+        const timer = setInterval(() => write({ online: true }), HEARTBEAT_MS);
+        const goOffline = () => write({ online: false, typing: false });
+        window.addEventListener('pagehide', goOffline);
+        return () => {
+            clearInterval(timer);
+            clearTimeout(typing.timer);
+            typing.sentAt = 0;
+            window.removeEventListener('pagehide', goOffline);
+            goOffline();
+        };
+    }, [isActive, storage, path, userId, name]);
+
+    // Online and typing states lapse without any write, so re-check them on a clock
+    const othersTyping = entries.some(e => e.userId !== userId && e.typingAt != null);
+    useEffect(() => {
+        const timer = setInterval(() => setNow(Date.now()), othersTyping ? 1000 : HEARTBEAT_MS);
+        return () => clearInterval(timer);
+    }, [othersTyping]);
+
+    useEffect(() => {
+        if (!isActive) return;
+        const stale = entries
+            .filter(e => isStale(e, now) && !prunedRef.current.has(e.userId))
+            .map(e => e.userId)
+            .slice(0, 500);
+        if (!stale.length) return;
+        stale.forEach(id => prunedRef.current.add(id));
+        storage.presence.remove(path, stale).catch(e => console.error('presence cleanup error:', e));
+    }, [isActive, entries, now, storage, path]);
+
+    const stopTyping = useCallback(() => {
+        const typing = typingRef.current;
+        clearTimeout(typing.timer);
+        if (!isActive || !typing.sentAt) return;
+        typing.sentAt = 0;
+        storage.presence.update(path, userId, { name, online: true, typing: false })
+            .catch(e => console.error('presence error:', e));
+    }, [isActive, storage, path, userId, name]);
+
+    // Call on every keystroke; writes at most every TYPING_REFRESH_MS and stops after TYPING_IDLE_MS
+    const notifyTyping = useCallback(() => {
+        if (!isActive) return;
+        const typing = typingRef.current;
+        clearTimeout(typing.timer);
+        typing.timer = setTimeout(stopTyping, TYPING_IDLE_MS);
+        if (Date.now() - typing.sentAt < TYPING_REFRESH_MS) return;
+        typing.sentAt = Date.now();
+        storage.presence.update(path, userId, { name, online: true, typing: true })
+            .catch(e => console.error('presence error:', e));
+    }, [isActive, storage, path, userId, name, stopTyping]);
+
+    const derived = useMemo(() => {
+        const known = entries.filter(e => typeof e.name === 'string' && e.name);
+        const members = known
+            .filter(e => isOnline(e, now))
+            .map(e => ({ userId: e.userId, name: e.name, isTyping: isTyping(e, now), isSelf: e.userId === userId }))
+            .sort((a, b) => a.name.localeCompare(b.name));
+        return {
+            members,
+            names: new Map(known.map(e => [e.userId, e.name])),
+            typingNames: members.filter(m => m.isTyping && !m.isSelf).map(m => m.name),
+        };
+    }, [entries, now, userId]);
+
+    return { ...derived, notifyTyping, stopTyping };
+};
+
+export {
+    writePresence, subscribePresence, removePresence, defaultDisplayName, displayNameFor,
+    isOnline, isTyping, isStale, typingLabel, avatarFor, usePresence, MAX_NAME_LENGTH
+};
@@ -0,0 +1,120 @@
+import { useState, useEffect, useCallback } from 'react';
+import { collection, doc, getDocs, query, orderBy, onSnapshot, serverTimestamp, writeBatch } from 'firebase/firestore';
+import { runBB84Session, createLoopbackChannel } from './bb84';
+
+// --- BB84 handshake run whenever the user enters a room ---
+// Alice and Bob both run in this browser; their classical messages go through
+// users/{uid}/qkdRuns/{runId}/messages so the exchange is a real Firestore round trip.
+// A run's messages are deleted once it is over.
+
+const MAX_BATCH_WRITES = 500;
+
+// Classical channel over a Firestore collection. Messages are delivered in send order; the
+// ones sent in the same turn go out as one batched write. close() stops the channel and
+// deletes its messages.
+const createFirestoreChannel = (db, runPath, onError) => {
+    const inbox = createLoopbackChannel();
+    const messagesCol = collection(db, `${runPath}/messages`);
+    const delivered = new Set();
+    let seq = 0;
+    let outgoing = [];
+    let writing = Promise.resolve();
+    let closed = false;
+    const flush = () => {
+        const batch = writeBatch(db);
+        outgoing.forEach(message => batch.set(doc(messagesCol), message));
+        outgoing = [];
+        writing = writing.then(() => batch.commit()).catch(onError);
+    };
+    const unsubscribe = onSnapshot(query(messagesCol, orderBy('seq')), (snap) => {
+        snap.docChanges().forEach(change => {
+            if (change.type !== 'added' || delivered.has(change.doc.id)) return;
+            delivered.add(change.doc.id);
+            const { from, to, type, payload } = change.doc.data();
+            inbox.send(from, to, type, payload);
+        });
+    }, onError);
+    return {
+        send: async (from, to, type, payload) => {
+            if (closed) return;
+            if (!outgoing.length) setTimeout(flush, 0);
+            outgoing.push({ from, to, type, payload, seq: seq++, createdAt: serverTimestamp() });
+        },
+        receive: inbox.receive,
+        close: async () => {
+            if (closed) return;
+            closed = true;
+            unsubscribe();
+            try {
+                await writing;
+                const snap = await getDocs(messagesCol);
+                for (let i = 0; i < snap.docs.length; i += MAX_BATCH_WRITES) {
+                    const batch = writeBatch(db);
+                    snap.docs.slice(i, i + MAX_BATCH_WRITES).forEach(d => batch.delete(d.ref));
+                    await batch.commit();
+                }
+            } catch (e) {
+                console.error('qkd run cleanup error:', e);
+            }
+        },
+    };
+};
+
+const randomSeed = () => Array.from(crypto.getRandomValues(new Uint32Array(2)), n => n.toString(36)).join('');
+
+const IDLE = { status: 'running', steps: [], qber: null, fingerprint: null, keyLength: 0, reason: null };
+
+const useQkdHandshake = ({ db, userId, room, config }) => {
+    const [run, setRun] = useState(IDLE);
+    const [attempt, setAttempt] = useState(0);
+    const [eveMode, setEveMode] = useState(!!config.qkdEveMode);
+    const { qkdQberThreshold, qkdChannelNoise } = config;
+
+    useEffect(() => { setEveMode(!!config.qkdEveMode); }, [config.qkdEveMode]);
+
+    useEffect(() => {
+        if (!userId) return;
+        let cancelled = false;
+        const seed = randomSeed();
+        let failChannel;
+        const channelFailed = new Promise((resolve, reject) => { failChannel = reject; });
+        const channel = db
+            ? createFirestoreChannel(db, `users/${userId}/qkdRuns/${seed}`, (e) => failChannel(e))
+            : createLoopbackChannel();
+        setRun(IDLE);
+        Promise.race([
+            runBB84Session({
+                seed,
+                channel,
+                eve: eveMode,
+                noise: qkdChannelNoise,
+                qberThreshold: qkdQberThreshold,
+                onStep: (entry) => {
+                    if (cancelled) return;
+                    setRun(prev => ({ ...prev, steps: [...prev.steps, entry], qber: entry.qber ?? prev.qber }));
+                },
+            }),
+            channelFailed,
+        ]).then((result) => {
+            if (cancelled) return;
+            setRun(prev => ({
+                ...prev,
+                status: result.status,
+                qber: result.qber,
+                fingerprint: result.fingerprint || null,
+                keyLength: result.keyLength || 0,
+                reason: result.reason || null,
+            }));
+        }).catch((e) => {
+            console.error('qkd handshake error:', e);
+            if (!cancelled) setRun(prev => ({ ...prev, status: 'error', reason: e.message }));
+        }).finally(() => channel.close?.());
+        return () => { cancelled = true; channel.close?.(); };
+    }, [db, userId, room.kind, room.id, attempt, eveMode, qkdQberThreshold, qkdChannelNoise]);
+
+    const retry = useCallback(() => setAttempt(n => n + 1), []);
+
+    return { ...run, eveMode, setEveMode, retry };
+};
+
+export { useQkdHandshake, createFirestoreChannel };
@@ -0,0 +1,161 @@
+import { parseDuration } from './commandRegistry';
+
+// --- Reminder time expressions ---
+// parseReminderTime('tomorrow 9am stand-up', now) -> { remindAt, repeat, message } or { error }.
+// Understands, at the start of the text:
+//   durations      10m, 1h30m, in 20 minutes, in 2 hours
+//   clock times    at 17:30, at 5pm, 9:15am, noon, midnight (today, or tomorrow if already past)
+//   days           today, tomorrow, monday ... sunday (optionally "on"), 2026-11-02; default 9am
+//   recurrence     every day | every 2 hours | every 30m | every monday | daily | hourly | weekly
+// `repeat` is { every, unit } with unit 'minute' | 'hour' | 'day' | 'week'. Pure functions only.
+
+const UNIT_ALIASES = {
+    m: 'minute', min: 'minute', mins: 'minute', minute: 'minute', minutes: 'minute',
+    h: 'hour', hr: 'hour', hrs: 'hour', hour: 'hour', hours: 'hour',
+    d: 'day', day: 'day', days: 'day',
+    w: 'week', wk: 'week', week: 'week', weeks: 'week',
+};
+const UNIT_MS = { minute: 60000, hour: 3600000, day: 86400000, week: 604800000 };
+const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+const SHORTCUTS = { hourly: 'hour', daily: 'day', weekly: 'week' };
+const DEFAULT_HOUR = 9;
+
+const weekdayIndex = (word) => WEEKDAYS.findIndex(d => d === word || d.slice(0, 3) === word);
+
+// "17:30", "5pm", "9:15am", "noon" -> { hours, minutes }; null otherwise
+const parseClock = (word) => {
+    if (word === 'noon') return { hours: 12, minutes: 0 };
+    if (word === 'midnight') return { hours: 0, minutes: 0 };
+    const match = word.match(/^(\d{1,2})(?::(\d{2}))?(am|pm)?$/);
+    if (!match || (!match[2] && !match[3])) return null;
+    let hours = parseInt(match[1], 10);
+    const minutes = match[2] ? parseInt(match[2], 10) : 0;
+    if (minutes > 59) return null;
+    if (match[3]) {
+        if (hours < 1 || hours > 12) return null;
+        hours = (hours % 12) + (match[3] === 'pm' ? 12 : 0);
+    } else if (hours > 23) {
+        return null;
+    }
+    return { hours, minutes };
+};
+
+const addRepeat = (time, repeat, times = 1) => {
+    const date = new Date(time);
+    if (repeat.unit === 'day' || repeat.unit === 'week') {
+        // Calendar arithmetic keeps the local clock time across DST changes
+        date.setDate(date.getDate() + repeat.every * times * (repeat.unit === 'week' ? 7 : 1));
+        return date.getTime();
+    }
+    return time + repeat.every * times * UNIT_MS[repeat.unit];
+};
+
+// First occurrence of a recurring reminder strictly after `now`.
+const nextOccurrence = (remindAt, repeat, now = Date.now()) => {
+    let next = addRepeat(remindAt, repeat);
+    while (next <= now) next = addRepeat(next, repeat);
+    return next;
+};
+
+const describeRepeat = (repeat) => (
+    repeat.every === 1 ? `every ${repeat.unit}` : `every ${repeat.every} ${repeat.unit}s`
+);
+
+const parseReminderTime = (input, now = new Date()) => {
+    const words = String(input || '').trim().split(/\s+/).filter(Boolean);
+    let i = 0;
+    const peek = (offset = 0) => (words[i + offset] || '').toLowerCase().replace(/,$/, '');
+    // Clock times may be split as "9 am"
+    const takeClock = () => {
+        if (peek() === 'at') i++;
+        const joined = /^(am|pm)$/.test(peek(1)) ? peek() + peek(1) : null;
+        const clock = parseClock(joined || peek());
+        if (clock) i += joined ? 2 : 1;
+        return clock;
+    };
+
+    let repeat = null;
+    let day = null;         // a Date at local midnight, when a day was named
+    let weekday = null;
+    let clock = null;
+    let offsetMs = null;
+
+    if (SHORTCUTS[peek()]) {
+        repeat = { every: 1, unit: SHORTCUTS[peek()] };
+        i++;
+    } else if (peek() === 'every') {
+        i++;
+        const count = /^\d+$/.test(peek()) ? parseInt(peek(), 10) : null;
+        if (count) i++;
+        const duration = !count && parseDuration(peek());
+        if (duration) {
+            repeat = duration % UNIT_MS.hour === 0
+                ? { every: duration / UNIT_MS.hour, unit: 'hour' }
+                : { every: Math.max(1, Math.round(duration / UNIT_MS.minute)), unit: 'minute' };
+            i++;
+        } else if (UNIT_ALIASES[peek()]) {
+            repeat = { every: count || 1, unit: UNIT_ALIASES[peek()] };
+            i++;
+        } else if (!count && weekdayIndex(peek()) !== -1) {
+            repeat = { every: 1, unit: 'week' };
+            weekday = weekdayIndex(peek());
+            i++;
+        } else {
+            return { error: `Can't tell how often "every ${peek()}" is` };
+        }
+    }
+
+    if (!repeat || repeat.unit === 'day' || repeat.unit === 'week') {
+        const duration = repeat ? null : parseDuration(peek());
+        if (duration) {
+            offsetMs = duration;
+            i++;
+        } else if (!repeat && peek() === 'in' && /^\d+$/.test(peek(1)) && UNIT_ALIASES[peek(2)]) {
+            offsetMs = parseInt(peek(1), 10) * UNIT_MS[UNIT_ALIASES[peek(2)]];
+            i += 3;
+        } else {
+            if (peek() === 'on') i++;
+            if (!repeat && (peek() === 'today' || peek() === 'tomorrow')) {
+                day = new Date(now);
+                day.setHours(0, 0, 0, 0);
+                if (peek() === 'tomorrow') day.setDate(day.getDate() + 1);
+                i++;
+            } else if (!repeat && /^\d{4}-\d{2}-\d{2}$/.test(peek())) {
+                const [y, m, d] = peek().split('-').map(Number);
+                day = new Date(y, m - 1, d);
+                i++;
+            } else if (weekday === null && weekdayIndex(peek()) !== -1) {
+                weekday = weekdayIndex(peek());
+                i++;
+            }
+            clock = takeClock();
+        }
+    }
+
+    let remindAt;
+    if (offsetMs !== null) {
+        remindAt = now.getTime() + offsetMs;
+    } else if (day || weekday !== null || clock) {
+        const target = day ? new Date(day) : new Date(now);
+        if (weekday !== null) {
+            target.setDate(target.getDate() + ((weekday - target.getDay() + 7) % 7));
+        }
+        const { hours, minutes } = clock || { hours: DEFAULT_HOUR, minutes: 0 };
+        target.setHours(hours, minutes, 0, 0);
+        if (target.getTime() <= now.getTime()) {
+            if (day) return { error: 'That time has already passed' };
+            target.setDate(target.getDate() + (weekday !== null ? 7 : 1));
+        }
+        remindAt = target.getTime();
+    } else if (repeat) {
+        remindAt = addRepeat(now.getTime(), repeat);
+    } else {
+        return { error: `Can't tell when "${words.slice(0, 3).join(' ')}" is` };
+    }
+
+    const message = words.slice(i).join(' ').replace(/^(to|that)\s+/i, '').replace(/^["'](.*)["']$/, '$1').trim();
+    if (!message) return { error: 'Missing reminder message' };
+    return { remindAt, repeat, message };
+};
+
+export { parseReminderTime, nextOccurrence, describeRepeat, parseClock };
@@ -0,0 +1,95 @@
+import { describe, expect, it } from 'vitest';
+import { parseReminderTime, nextOccurrence, describeRepeat, parseClock } from './reminderTime';
+
+// Wednesday 2026-03-11, 14:00 local time
+const NOW = new Date(2026, 2, 11, 14, 0);
+const at = (...parts) => new Date(...parts).getTime();
+const parse = (input) => parseReminderTime(input, NOW);
+
+describe('parseClock', () => {
+    it('reads 24-hour and am/pm times', () => {
+        expect(parseClock('17:30')).toEqual({ hours: 17, minutes: 30 });
+        expect(parseClock('5pm')).toEqual({ hours: 17, minutes: 0 });
+        expect(parseClock('12am')).toEqual({ hours: 0, minutes: 0 });
+        expect(parseClock('9:15am')).toEqual({ hours: 9, minutes: 15 });
+        expect(parseClock('noon')).toEqual({ hours: 12, minutes: 0 });
+    });
+
+    it('rejects bare numbers and impossible times', () => {
+        expect(parseClock('5')).toBeNull();
+        expect(parseClock('24:00')).toBeNull();
+        expect(parseClock('13pm')).toBeNull();
+        expect(parseClock('9:75')).toBeNull();
+    });
+});
+
+describe('parseReminderTime', () => {
+    it('adds durations to now', () => {
+        expect(parse('10m stand-up call')).toEqual({ remindAt: NOW.getTime() + 600000, repeat: null, message: 'stand-up call' });
+        expect(parse('in 2 hours to "stretch"')).toEqual({ remindAt: NOW.getTime() + 7200000, repeat: null, message: 'stretch' });
+    });
+
+    it('takes a clock time today, or tomorrow once it has passed', () => {
+        expect(parse('at 17:30 log hours').remindAt).toBe(at(2026, 2, 11, 17, 30));
+        expect(parse('at 9am review PRs').remindAt).toBe(at(2026, 2, 12, 9, 0));
+        expect(parse('9 am review PRs')).toMatchObject({ remindAt: at(2026, 2, 12, 9, 0), message: 'review PRs' });
+    });
+
+    it('takes days, with 9am as the default time', () => {
+        expect(parse('tomorrow review PRs').remindAt).toBe(at(2026, 2, 12, 9, 0));
+        expect(parse('on friday 5pm ship it').remindAt).toBe(at(2026, 2, 13, 17, 0));
+        expect(parse('2026-04-01 at noon pay rent').remindAt).toBe(at(2026, 3, 1, 12, 0));
+        // The same weekday, later today or a week on
+        expect(parse('wednesday 6pm gym').remindAt).toBe(at(2026, 2, 11, 18, 0));
+        expect(parse('wednesday 8am gym').remindAt).toBe(at(2026, 2, 18, 8, 0));
+    });
+
+    it('refuses a named day that has passed', () => {
+        expect(parse('today at 8am coffee')).toEqual({ error: 'That time has already passed' });
+        expect(parse('2026-01-01 party')).toEqual({ error: 'That time has already passed' });
+    });
+
+    it('reads recurrence', () => {
+        expect(parse('every day at 17:30 log hours')).toEqual({
+            remindAt: at(2026, 2, 11, 17, 30), repeat: { every: 1, unit: 'day' }, message: 'log hours',
+        });
+        expect(parse('every 2 hours drink water')).toEqual({
+            remindAt: NOW.getTime() + 7200000, repeat: { every: 2, unit: 'hour' }, message: 'drink water',
+        });
+        expect(parse('every 30m stretch').repeat).toEqual({ every: 30, unit: 'minute' });
+        expect(parse('every monday standup')).toMatchObject({ remindAt: at(2026, 2, 16, 9, 0), repeat: { every: 1, unit: 'week' } });
+        expect(parse('weekly team sync').repeat).toEqual({ every: 1, unit: 'week' });
+    });
+
+    it('explains what it cannot read', () => {
+        expect(parse('every fortnight standup')).toEqual({ error: `Can't tell how often "every fortnight" is` });
+        expect(parse('someday maybe later')).toEqual({ error: `Can't tell when "someday maybe later" is` });
+        expect(parse('10m')).toEqual({ error: 'Missing reminder message' });
+    });
+});
+
+describe('nextOccurrence', () => {
+    it('is the first occurrence strictly after now', () => {
+        const start = at(2026, 2, 11, 9, 0);
+        expect(nextOccurrence(start, { every: 1, unit: 'day' }, NOW.getTime())).toBe(at(2026, 2, 12, 9, 0));
+        expect(nextOccurrence(start, { every: 2, unit: 'hour' }, NOW.getTime())).toBe(at(2026, 2, 11, 15, 0));
+        expect(nextOccurrence(start, { every: 1, unit: 'week' }, NOW.getTime())).toBe(at(2026, 2, 18, 9, 0));
+        expect(nextOccurrence(at(2026, 2, 11, 13, 0), { every: 1, unit: 'hour' }, NOW.getTime())).toBe(at(2026, 2, 11, 15, 0));
+    });
+
+    it('skips the occurrences missed while no tab was open', () => {
+        expect(nextOccurrence(at(2026, 2, 1, 9, 0), { every: 1, unit: 'day' }, NOW.getTime())).toBe(at(2026, 2, 12, 9, 0));
+    });
+
+    it('keeps the local clock time across a DST change', () => {
+        const next = new Date(nextOccurrence(at(2026, 2, 1, 9, 0), { every: 1, unit: 'week' }, at(2026, 3, 1)));
+        expect([next.getHours(), next.getMinutes()]).toEqual([9, 0]);
+    });
+});
+
+describe('describeRepeat', () => {
+    it('names the interval', () => {
+        expect(describeRepeat({ every: 1, unit: 'day' })).toBe('every day');
+        expect(describeRepeat({ every: 3, unit: 'hour' })).toBe('every 3 hours');
+    });
+});
@@ -0,0 +1,106 @@
+import { useEffect, useRef } from 'react';
+import { collection, doc, addDoc, getDocs, onSnapshot, query, orderBy, runTransaction, serverTimestamp } from 'firebase/firestore';
+import { nextOccurrence } from './reminderTime';
+
+// --- Persistent reminders: users/{userId}/reminders/{reminderId} ---
+// { message, remindAt (ms), repeat: null | { every, unit }, room: null | { id, name }, createdAt }
+// `room` is the named room the reminder was set in; it fires there, or in the lobby.
+// Every open tab listens and arms a local timer for each reminder; when one fires, the tab
+// claims it in a transaction (one-shot: delete, recurring: advance remindAt), so exactly
+// one tab posts it. Reminders that came due while no tab was open fire on the next load.
+
+// setTimeout overflows past ~24.8 days; longer waits are re-armed in steps.
+const MAX_TIMER_MS = 2 ** 31 - 1;
+
+const remindersPath = (userId) => `users/${userId}/reminders`;
+
+const addReminder = (db, userId, { remindAt, repeat = null, message, room = null }) => addDoc(
+    collection(db, remindersPath(userId)),
+    { remindAt, repeat, message, room, createdAt: serverTimestamp() }
+);
+
+const listReminders = async (db, userId) => {
+    const snap = await getDocs(query(collection(db, remindersPath(userId)), orderBy('remindAt')));
+    return snap.docs.map(d => ({ id: d.id, ...d.data() }));
+};
+
+// Returns the claimed reminder, or null if another tab got there first.
+const claimReminder = (db, userId, reminderId, expectedRemindAt, now = Date.now()) => {
+    const ref = doc(db, remindersPath(userId), reminderId);
+    return runTransaction(db, async (tx) => {
+        const snap = await tx.get(ref);
+        if (!snap.exists() || snap.data().remindAt !== expectedRemindAt) return null;
+        const reminder = { id: snap.id, ...snap.data() };
+        if (reminder.repeat) tx.update(ref, { remindAt: nextOccurrence(reminder.remindAt, reminder.repeat, now) });
+        else tx.delete(ref);
+        return reminder;
+    });
+};
+
+const cancelReminder = async (db, userId, reminderId) => runTransaction(db, async (tx) => {
+    const ref = doc(db, remindersPath(userId), reminderId);
+    const snap = await tx.get(ref);
+    if (!snap.exists()) return null;
+    tx.delete(ref);
+    return { id: snap.id, ...snap.data() };
+});
+
+// Live list of a user's reminders.
+const subscribeReminders = (db, userId, onChange, onError) => onSnapshot(
+    collection(db, remindersPath(userId)),
+    (snap) => onChange(snap.docs.map(d => ({ id: d.id, ...d.data() }))),
+    onError
+);
+
+// Fires `onFire(reminder, { late })` once per due reminder; `late` is true for catch-ups.
+// Works against either storage backend's `reminders` (see storage.js).
+const useReminders = ({ storage, userId, onFire, onError }) => {
+    const onFireRef = useRef(onFire);
+    const onErrorRef = useRef(onError);
+    useEffect(() => { onFireRef.current = onFire; onErrorRef.current = onError; }, [onFire, onError]);
+
+    useEffect(() => {
+        if (!storage || !userId) return;
+        const timers = new Map();
+        const disarm = (id) => {
+            clearTimeout(timers.get(id)?.timer);
+            timers.delete(id);
+        };
+        const fire = async (id, remindAt) => {
+            timers.delete(id);
+            try {
+                const reminder = await storage.reminders.claim(userId, id, remindAt);
+                if (reminder) await onFireRef.current(reminder, { late: Date.now() - remindAt > 60000 });
+            } catch (e) {
+                console.error('reminder claim error:', e);
+                onErrorRef.current?.(e);
+            }
+        };
+        const arm = (id, remindAt) => {
+            const delay = remindAt - Date.now();
+            const timer = setTimeout(
+                () => (delay > MAX_TIMER_MS ? arm(id, remindAt) : fire(id, remindAt)),
+                Math.max(0, Math.min(delay, MAX_TIMER_MS))
+            );
+            timers.set(id, { timer, remindAt });
+        };
+        const unsubscribe = storage.reminders.subscribe(userId, (reminders) => {
+            const current = new Set(reminders.map(r => r.id));
+            [...timers.keys()].filter(id => !current.has(id)).forEach(disarm);
+            reminders.forEach(({ id, remindAt }) => {
+                if (timers.get(id)?.remindAt === remindAt) return;
+                disarm(id);
+                if (typeof remindAt === 'number') arm(id, remindAt);
+            });
+        }, (e) => {
+            console.error('reminder listener error:', e);
+            onErrorRef.current?.(e);
+        });
+        return () => {
+            unsubscribe();
+            [...timers.keys()].forEach(disarm);
+        };
+    }, [storage, userId]);
+};
+
+export { addReminder, listReminders, claimReminder, cancelReminder, subscribeReminders, useReminders };
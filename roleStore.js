@@ -0,0 +1,87 @@
+import {
+    collection, doc, addDoc, getDoc, getDocs, onSnapshot, query, orderBy, limit,
+    runTransaction, serverTimestamp
+} from 'firebase/firestore';
+import { ROLE_RANK } from './commandRegistry';
+
+// --- Roles and moderation ---
+// artifacts/{appId}/public/data/roles/{uid}      { role, updatedBy, updatedAt }   (no doc = member)
+// artifacts/{appId}/public/data/acl/owner         { uid }   deployment config: set in the Firebase console
+//                                                           or with the Admin SDK, never by clients
+// artifacts/{appId}/public/data/auditLog/{id}     { action, actorId, targetId, details, roomId, createdAt }
+// firestore.rules enforces the same ranks; the command layer checks them first for friendlier errors.
+
+const ROLES = Object.keys(ROLE_RANK);
+const DEFAULT_ROLE = 'member';
+
+const rolesPath = (appId) => `artifacts/${appId}/public/data/roles`;
+const auditLogPath = (appId) => `artifacts/${appId}/public/data/auditLog`;
+const ownerClaimPath = (appId) => `artifacts/${appId}/public/data/acl/owner`;
+
+const roleRank = (role) => ROLE_RANK[role] ?? -1;
+
+// Actors may only change users ranked below them, and only to a role below their own.
+// Owners may also appoint further owners.
+const canAssignRole = (actorRole, targetRole, newRole) => (
+    roleRank(actorRole) >= roleRank('moderator')
+    && roleRank(actorRole) > roleRank(targetRole)
+    && (roleRank(actorRole) > roleRank(newRole) || actorRole === 'owner')
+);
+
+const getRole = async (db, appId, userId) => {
+    const snap = await getDoc(doc(db, rolesPath(appId), userId));
+    return snap.exists() ? snap.data().role : DEFAULT_ROLE;
+};
+
+const subscribeRole = (db, appId, userId, onChange, onError) => onSnapshot(
+    doc(db, rolesPath(appId), userId),
+    (snap) => onChange(snap.exists() ? snap.data().role : DEFAULT_ROLE),
+    onError
+);
+
+const recordAudit = (db, appId, entry) => addDoc(collection(db, auditLogPath(appId)), {
+    targetId: null,
+    details: '',
+    roomId: null,
+    ...entry,
+    createdAt: serverTimestamp(),
+});
+
+const setRole = async (db, appId, actorId, targetId, newRole, { action = 'role', roomId = null } = {}) => {
+    const ref = doc(db, rolesPath(appId), targetId);
+    const previous = await runTransaction(db, async (tx) => {
+        const [actorSnap, targetSnap] = await Promise.all([tx.get(doc(db, rolesPath(appId), actorId)), tx.get(ref)]);
+        const actorRole = actorSnap.exists() ? actorSnap.data().role : DEFAULT_ROLE;
+        const targetRole = targetSnap.exists() ? targetSnap.data().role : DEFAULT_ROLE;
+        if (!canAssignRole(actorRole, targetRole, newRole)) {
+            throw new Error(`a ${actorRole} cannot change a ${targetRole} to ${newRole}`);
+        }
+        tx.set(ref, { role: newRole, updatedBy: actorId, updatedAt: serverTimestamp() });
+        return targetRole;
+    });
+    await recordAudit(db, appId, { action, actorId, targetId, details: `${previous} -> ${newRole}`, roomId });
+    return previous;
+};
+
+// Bootstrap: only the user named in acl/owner may take the owner role this way.
+// -> 'owner' | 'not-configured' (no acl/owner yet) | 'not-owner'
+const claimOwnership = (db, appId, userId) => runTransaction(db, async (tx) => {
+    const claim = await tx.get(doc(db, ownerClaimPath(appId)));
+    if (!claim.exists()) return 'not-configured';
+    if (claim.data().uid !== userId) return 'not-owner';
+    tx.set(doc(db, rolesPath(appId), userId), { role: 'owner', updatedBy: userId, updatedAt: serverTimestamp() });
+    return 'owner';
+});
+
+const listAudit = async (db, appId, max = 20) => {
+    const snap = await getDocs(query(collection(db, auditLogPath(appId)), orderBy('createdAt', 'desc'), limit(max)));
+    return snap.docs.map(d => {
+        const data = d.data();
+        return { id: d.id, ...data, createdAt: data.createdAt?.toDate ? data.createdAt.toDate() : null };
+    });
+};
+
+export {
+    ROLES, DEFAULT_ROLE, roleRank, canAssignRole, getRole, subscribeRole, setRole,
+    claimOwnership, recordAudit, listAudit
+};
@@ -0,0 +1,126 @@
+import {
+    collection, doc, getDocs, onSnapshot, query, where, orderBy, limit,
+    runTransaction, updateDoc, arrayUnion, arrayRemove, serverTimestamp, deleteField
+} from 'firebase/firestore';
+
+// --- Rooms and private call sessions ---
+// Named rooms:  artifacts/{appId}/public/data/rooms/{roomId}      { name, kind: 'room', members, createdBy, createdAt }
+// Call sessions: artifacts/{appId}/sessions/{sessionId}            { kind: 'call', members: [a, b], createdBy, createdAt, endedAt? }
+// Each has a `messages` subcollection. The lobby keeps the original public chatMessages collection.
+// Presence entries ({room}/presence/{userId}, presence.js) and the shared agent turn
+// ({room}/agentState/current, agentState.js) sit next to the messages; the lobby's under public/data.
+
+const LOBBY_ROOM = { id: 'lobby', kind: 'room', name: 'Lobby' };
+
+const roomsPath = (appId) => `artifacts/${appId}/public/data/rooms`;
+const sessionsPath = (appId) => `artifacts/${appId}/sessions`;
+
+const roomDocPath = (appId, room) => (
+    room.kind === 'call' ? `${sessionsPath(appId)}/${room.id}` : `${roomsPath(appId)}/${room.id}`
+);
+
+const messagesPath = (appId, room) => (
+    !room || room.id === LOBBY_ROOM.id
+        ? `artifacts/${appId}/public/data/chatMessages`
+        : `${roomDocPath(appId, room)}/messages`
+);
+
+const roomDataPath = (appId, room) => (
+    !room || room.id === LOBBY_ROOM.id ? `artifacts/${appId}/public/data` : roomDocPath(appId, room)
+);
+const presencePath = (appId, room) => `${roomDataPath(appId, room)}/presence`;
+const agentStatePath = (appId, room) => `${roomDataPath(appId, room)}/agentState/current`;
+
+const roomSlug = (name) => name.trim().toLowerCase().replace(/^#/, '').replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '').slice(0, 40);
+
+const callSessionId = (a, b) => `call_${[a, b].sort().join('_')}`;
+
+const joinRoom = async (db, appId, name, userId) => {
+    const id = roomSlug(name);
+    if (!id) throw new Error('Room names need at least one letter or digit');
+    if (id === LOBBY_ROOM.id) return LOBBY_ROOM;
+    const ref = doc(db, roomsPath(appId), id);
+    return runTransaction(db, async (tx) => {
+        const snap = await tx.get(ref);
+        if (!snap.exists()) {
+            const displayName = name.trim().replace(/^#/, '');
+            tx.set(ref, { name: displayName, kind: 'room', members: [userId], createdBy: userId, createdAt: serverTimestamp() });
+            return { id, kind: 'room', name: displayName };
+        }
+        tx.update(ref, { members: arrayUnion(userId) });
+        return { id, kind: 'room', name: snap.data().name };
+    });
+};
+
+const leaveRoom = async (db, appId, room, userId) => {
+    if (room.id === LOBBY_ROOM.id) return;
+    const ref = doc(db, roomDocPath(appId, room));
+    if (room.kind === 'call') {
+        await updateDoc(ref, { endedAt: serverTimestamp() });
+    } else {
+        await updateDoc(ref, { members: arrayRemove(userId) });
+    }
+};
+
+const openCallSession = async (db, appId, userId, peerId) => {
+    const id = callSessionId(userId, peerId);
+    const members = [userId, peerId].sort();
+    const ref = doc(db, sessionsPath(appId), id);
+    await runTransaction(db, async (tx) => {
+        const snap = await tx.get(ref);
+        if (!snap.exists()) {
+            tx.set(ref, { kind: 'call', members, createdBy: userId, createdAt: serverTimestamp() });
+            return;
+        }
+        // The rules bind a session id to its members; refuse a session that isn't ours anyway
+        const stored = snap.data().members || [];
+        if (stored.length !== 2 || stored[0] !== members[0] || stored[1] !== members[1]) {
+            throw new Error(`Call session ${id} does not belong to this pair of users`);
+        }
+        if (snap.data().endedAt) tx.update(ref, { endedAt: deleteField() });
+    });
+    return { id, kind: 'call', name: `Call with ${peerId.substring(0, 8)}`, peerId, members };
+};
+
+const listRooms = async (db, appId, userId, max = 50) => {
+    const snap = await getDocs(query(collection(db, roomsPath(appId)), orderBy('createdAt', 'desc'), limit(max)));
+    return snap.docs.map(d => {
+        const data = d.data();
+        return { id: d.id, name: data.name, memberCount: (data.members || []).length, isMember: (data.members || []).includes(userId) };
+    });
+};
+
+// Live list of rooms the user has joined plus their open call sessions.
+const subscribeMyRooms = (db, appId, userId, onChange, onError) => {
+    let rooms = [];
+    let calls = [];
+    const emit = () => onChange([...rooms, ...calls]);
+    const unsubRooms = onSnapshot(
+        query(collection(db, roomsPath(appId)), where('members', 'array-contains', userId)),
+        (snap) => {
+            rooms = snap.docs.map(d => ({ id: d.id, kind: 'room', name: d.data().name }))
+                .sort((a, b) => a.name.localeCompare(b.name));
+            emit();
+        },
+        onError
+    );
+    const unsubCalls = onSnapshot(
+        query(collection(db, sessionsPath(appId)), where('members', 'array-contains', userId)),
+        (snap) => {
+            calls = snap.docs
+                .filter(d => !d.data().endedAt)
+                .map(d => {
+                    const peerId = d.data().members.find(m => m !== userId) || userId;
+                    return { id: d.id, kind: 'call', name: `Call with ${peerId.substring(0, 8)}`, peerId, members: d.data().members };
+                });
+            emit();
+        },
+        onError
+    );
+    return () => { unsubRooms(); unsubCalls(); };
+};
+
+export {
+    LOBBY_ROOM, messagesPath, presencePath, agentStatePath, roomSlug, callSessionId,
+    joinRoom, leaveRoom, openCallSession, listRooms, subscribeMyRooms
+};
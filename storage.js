@@ -0,0 +1,35 @@
+import { createFirebaseBackend } from './firebaseBackend';
+import { createLocalBackend } from './localBackend';
+
+// --- Storage backends ---
+// Both backends expose the same surface:
+//   kind        'firebase' | 'local'
+//   db          Firestore instance, or null; features that need Firestore directly (rooms,
+//               roles, token dictionaries, E2EE keys) switch themselves off without it
+//   onAuth(onUser(uid), onError) -> unsubscribe
+//   messages    { subscribe(path, onChange(docs), onError, { limit }), loadOlder(path, beforeMessage, max),
+//                 add(path, data, id?) -> id, remove(path, ids), edit(path, id, content),
+//                 markDeleted(path, id), react(path, id, userId, emojis) }
+//               docs are { id, ...data, pending }, oldest first; pass add() an id so a retry
+//               cannot duplicate. Edits, tombstones and reactions: see messageActions.js
+//   reminders   { add, list, claim, cancel, subscribe }       (see reminders.js)
+//   clips       { save(path, clipId, clip), load(path, clipId) -> clip, remove(path, clipId) }
+//               (see voiceClips.js)
+//   presence    { update(path, userId, { name, online, typing }), subscribe(path, onChange(entries), onError),
+//                 remove(path, userIds) }                     (see presence.js)
+//   agent       { claim(path, claim, ttlMs) -> bool, release(path, requestId, clientId),
+//                 subscribe(path, onChange(state | null), onError) }   (see agentState.js)
+//   archives    { save, list, load, remove }                  (see archiveStore.js)
+// Message `timestamp`s are set by the backend and read back with toDate()/toMillis().
+
+// `storageBackend`: 'auto' picks Firebase when a config is present, the local backend otherwise.
+const createStorage = (config) => {
+    const choice = config.storageBackend || 'auto';
+    if (choice === 'local' || (choice === 'auto' && !config.firebaseConfig)) {
+        return createLocalBackend(config);
+    }
+    if (!config.firebaseConfig) throw new Error('Firebase configuration is missing.');
+    return createFirebaseBackend(config);
+};
+
+export { createStorage };
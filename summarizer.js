@@ -0,0 +1,170 @@
+import { parseDuration } from './commandRegistry';
+import { resolveUserRef } from './userRefs';
+
+// --- Chat summaries ---
+// parseSummaryOptions('2h @3fa2 last 50') -> { sinceMs, count, userId, label } or { error }.
+// selectMessages() applies those options to a room's decoded messages; summarizeExtractive()
+// builds a summary without a model: participants, key topics (frequent content words),
+// highlight sentences (scored by how many frequent words they carry) and action items
+// (sentences phrased as commitments or requests). Pure functions only.
+
+const STOPWORDS = new Set((
+    'a about above after again against all also am an and any are as at be because been before being below between '
+    + 'both but by can could did do does doing don done down during each even few for from further get got had has '
+    + 'have having he her here hers him his how i if in into is it its itself just know let like me more most my '
+    + 'no nor not now of off ok okay on once one only or other our ours out over own really same she should so some '
+    + 'such than that the their theirs them then there these they this those through to too under until up us very '
+    + 'was way we well were what when where which while who whom why will with would yeah yes you your yours'
+).split(' '));
+
+const ACTION_PATTERN = new RegExp([
+    String.raw`\b(todo|to-do|action item|follow[- ]up|deadline|due)\b`,
+    String.raw`\b(i|we|you|someone)('ll| will| need to| needs to| must| should| have to| has to)\b`,
+    String.raw`\b(need to|needs to|let's|lets|please|can you|could you)\b`,
+    String.raw`\bby (today|tonight|tomorrow|eod|end of (the )?(day|week)|monday|tuesday|wednesday|thursday|friday|saturday|sunday)\b`,
+].join('|'), 'i');
+
+const MIN_WORD_LENGTH = 3;
+
+const parseSummaryOptions = (input, knownUserIds = [], now = Date.now()) => {
+    const words = String(input || '').trim().split(/\s+/).filter(Boolean);
+    const options = { sinceMs: null, count: null, userId: null, label: [] };
+    for (let i = 0; i < words.length; i++) {
+        const word = words[i].toLowerCase();
+        if (word === 'last' && /^\d+$/.test(words[i + 1] || '')) {
+            options.count = parseInt(words[++i], 10);
+            options.label.push(`last ${options.count} messages`);
+        } else if (/^\d+$/.test(word) && options.count === null) {
+            options.count = parseInt(word, 10);
+            options.label.push(`last ${options.count} messages`);
+        } else if (parseDuration(word)) {
+            options.sinceMs = now - parseDuration(word);
+            options.label.push(`last ${word}`);
+        } else if (word.startsWith('@')) {
+            const ref = resolveUserRef(word, knownUserIds);
+            if (ref.error) return { error: ref.error };
+            options.userId = ref.userId;
+            options.label.push(`from ${ref.userId.substring(0, 8)}...`);
+        } else {
+            return { error: `Unknown summary option "${words[i]}"` };
+        }
+    }
+    if (options.count !== null && options.count < 1) return { error: 'last needs a positive count' };
+    return { ...options, label: options.label.join(', ') };
+};
+
+const messageTime = (msg) => msg.timestamp?.toMillis?.() ?? null;
+
+// Conversation messages only: no slash commands, token signals, decrypt failures or bot output.
+const selectMessages = (messages, { sinceMs = null, count = null, userId = null } = {}, botUserId) => {
+    let selected = messages.filter(m => (
+        m.text && !m.isSignal && !m.decryptFailed && m.userId !== botUserId && !m.text.startsWith('/')
+    ));
+    if (sinceMs !== null) selected = selected.filter(m => (messageTime(m) ?? Infinity) >= sinceMs);
+    if (userId) selected = selected.filter(m => m.userId === userId);
+    if (count !== null) selected = selected.slice(-count);
+    return selected;
+};
+
+const splitSentences = (text) => text
+    .split(/(?<=[.!?])\s+|\n+/)
+    .map(s => s.trim())
+    .filter(Boolean);
+
+const contentWords = (text) => (text.toLowerCase().match(/[a-z0-9][a-z0-9'-]*/g) || [])
+    .map(w => w.replace(/'s$/, ''))
+    .filter(w => w.length >= MIN_WORD_LENGTH && !STOPWORDS.has(w) && !/^\d+$/.test(w));
+
+const summarizeExtractive = (messages, {
+    labelFor = (id) => id,
+    maxHighlights = 5,
+    maxTopics = 6,
+    maxActions = 5,
+} = {}) => {
+    const participants = new Map();
+    const frequency = new Map();
+    const sentences = [];
+    messages.forEach((msg, order) => {
+        participants.set(msg.userId, (participants.get(msg.userId) || 0) + 1);
+        splitSentences(msg.text).forEach(text => {
+            const words = contentWords(text);
+            words.forEach(w => frequency.set(w, (frequency.get(w) || 0) + 1));
+            sentences.push({ text, words, userId: msg.userId, order });
+        });
+    });
+
+    const topics = [...frequency.entries()]
+        .filter(([, n]) => n > 1)
+        .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+        .slice(0, maxTopics)
+        .map(([word]) => word);
+
+    const actions = sentences
+        .filter(s => ACTION_PATTERN.test(s.text))
+        .slice(-maxActions);
+
+    // A sentence scores by how often its words recur elsewhere, damped by its length; words
+    // said only once add nothing. Action items are listed separately, not repeated here.
+    const seen = new Set(actions.map(s => s.text.toLowerCase()));
+    const scored = sentences
+        .map(s => {
+            const distinct = [...new Set(s.words)];
+            const score = distinct.reduce((sum, w) => sum + frequency.get(w) - 1, 0) / Math.sqrt(distinct.length || 1);
+            return { ...s, score };
+        })
+        .filter(s => s.score > 0);
+    const highlightCount = Math.min(maxHighlights, Math.ceil(sentences.length / 3));
+    const highlights = scored
+        .slice()
+        .sort((a, b) => b.score - a.score || b.order - a.order)
+        .filter(s => {
+            const key = s.text.toLowerCase();
+            if (seen.has(key)) return false;
+            seen.add(key);
+            return true;
+        })
+        .slice(0, highlightCount)
+        .sort((a, b) => a.order - b.order);
+
+    return {
+        messageCount: messages.length,
+        participants: [...participants.entries()]
+            .sort((a, b) => b[1] - a[1])
+            .map(([userId, count]) => ({ userId, label: labelFor(userId), count })),
+        topics,
+        highlights: highlights.map(s => ({ text: s.text, label: labelFor(s.userId) })),
+        actions: actions.map(s => ({ text: s.text, label: labelFor(s.userId) })),
+    };
+};
+
+const formatSummary = (summary, label) => {
+    const lines = [
+        `Agent Q: Summary of ${summary.messageCount} message${summary.messageCount === 1 ? '' : 's'}${label ? ` (${label})` : ''}:`,
+        `Participants: ${summary.participants.map(p => `${p.label} (${p.count})`).join(', ')}`,
+    ];
+    if (summary.topics.length) lines.push(`Key topics: ${summary.topics.join(', ')}`);
+    if (summary.highlights.length) {
+        lines.push('Highlights:', ...summary.highlights.map(h => `  - ${h.label}: ${h.text}`));
+    }
+    if (summary.actions.length) {
+        lines.push('Action items:', ...summary.actions.map(a => `  - [${a.label}] ${a.text}`));
+    }
+    return lines.join('\n');
+};
+
+// Transcript for a model prompt, newest lines kept when it is too long.
+const summaryTranscript = (messages, labelFor = (id) => id, maxChars = 24000) => {
+    const lines = messages.map(m => {
+        const time = messageTime(m);
+        return `${time ? `[${new Date(time).toTimeString().slice(0, 5)}] ` : ''}${labelFor(m.userId)}: ${m.text}`;
+    });
+    let total = 0;
+    let start = lines.length;
+    while (start > 0 && total + lines[start - 1].length + 1 <= maxChars) total += lines[--start].length + 1;
+    return lines.slice(start).join('\n');
+};
+
+export {
+    parseSummaryOptions, selectMessages, summarizeExtractive, formatSummary, summaryTranscript,
+    splitSentences, contentWords
+};
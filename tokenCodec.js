@@ -0,0 +1,88 @@
+// --- Token sentence codec ---
+// A message is encoded as a sequence mixing dictionary indices (numbers) and literal
+// strings, e.g. "Hello. Can we talk? Yes." -> [0, ' Can we talk? ', 5]. Phrases are matched
+// greedily (longest first) on word boundaries, and exactly as written, so decoding gives back
+// the text that was encoded ("YES." stays a literal). Pure functions only.
+
+// Stored size of one index; dictionaries are capped well below 2^16 phrases.
+const TOKEN_INDEX_BYTES = 2;
+const MAX_DICTIONARY_SIZE = 4096;
+
+const isWordChar = (ch) => ch !== undefined && /[\p{L}\p{N}_']/u.test(ch);
+
+const utf8Length = (str) => new TextEncoder().encode(str).length;
+
+const encodeTokens = (text, phrases) => {
+    const candidates = phrases
+        .map((phrase, index) => ({ index, phrase: String(phrase) }))
+        .filter(c => c.phrase.trim())
+        .sort((a, b) => b.phrase.length - a.phrase.length || a.index - b.index);
+    const tokens = [];
+    let literal = '';
+    let i = 0;
+    while (i < text.length) {
+        const atBoundary = !isWordChar(text[i - 1]) || !isWordChar(text[i]);
+        const match = atBoundary && candidates.find(({ phrase }) => {
+            if (!text.startsWith(phrase, i)) return false;
+            const end = i + phrase.length;
+            return !isWordChar(text[end]) || !isWordChar(text[end - 1]);
+        });
+        if (match) {
+            if (literal) tokens.push(literal);
+            literal = '';
+            tokens.push(match.index);
+            i += match.phrase.length;
+        } else {
+            literal += text[i];
+            i++;
+        }
+    }
+    if (literal) tokens.push(literal);
+    return tokens;
+};
+
+const decodeTokens = (tokens, phrases) => tokens.map(t => (
+    typeof t === 'number'
+        ? (phrases[t] !== undefined ? phrases[t] : `[TOKEN_ERROR: Unknown Index ${t}]`)
+        : String(t)
+)).join('');
+
+const encodedSize = (tokens) => tokens.reduce(
+    (size, t) => size + (typeof t === 'number' ? TOKEN_INDEX_BYTES : utf8Length(t)),
+    0
+);
+
+// Plain-text bytes per encoded byte; > 1 means the encoding saves space.
+const compressionRatio = (text, tokens) => {
+    const size = encodedSize(tokens);
+    return size ? utf8Length(text) / size : 1;
+};
+
+const hasTokens = (tokens) => tokens.some(t => typeof t === 'number');
+
+// Stored messages hold the sequence packed into one JSON string, which the security rules can
+// check (they cannot look inside a list); older messages hold the list itself. Unpacking gives
+// null for anything that is not a non-empty list of indices and strings.
+const packTokens = (tokens) => JSON.stringify(tokens);
+
+const unpackTokens = (stored) => {
+    let tokens = stored;
+    if (typeof stored === 'string') {
+        try {
+            tokens = JSON.parse(stored);
+        } catch {
+            return null;
+        }
+    }
+    const valid = Array.isArray(tokens) && tokens.length > 0
+        && tokens.every(t => (typeof t === 'number' ? Number.isInteger(t) && t >= 0 : typeof t === 'string'));
+    return valid ? tokens : null;
+};
+
+// A whole message that is exactly one phrase: a "token signal" the agent does not answer.
+const isTokenSignal = (tokens) => tokens.length === 1 && typeof tokens[0] === 'number';
+
+export {
+    encodeTokens, decodeTokens, encodedSize, compressionRatio, hasTokens, isTokenSignal, packTokens, unpackTokens,
+    TOKEN_INDEX_BYTES, MAX_DICTIONARY_SIZE
+};
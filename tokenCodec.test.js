@@ -0,0 +1,62 @@
+import { describe, expect, it } from 'vitest';
+import { encodeTokens, decodeTokens, isTokenSignal, packTokens, unpackTokens } from './tokenCodec';
+
+const phrases = ['Hello.', 'Yes.', 'No.', 'Can we talk?', 'Straße', 'İstanbul', 'Thank you'];
+const roundTrip = (text) => decodeTokens(encodeTokens(text, phrases), phrases);
+
+describe('encodeTokens', () => {
+    it('encodes phrases written as in the dictionary', () => {
+        expect(encodeTokens('Hello. Can we talk? Yes.', phrases)).toEqual([0, ' ', 3, ' ', 1]);
+        expect(isTokenSignal(encodeTokens('Yes.', phrases))).toBe(true);
+    });
+
+    it('leaves other casings as literal text', () => {
+        expect(encodeTokens('I said YES. to that', phrases)).toEqual(['I said YES. to that']);
+        expect(encodeTokens('NO. WAIT.', phrases)).toEqual(['NO. WAIT.']);
+        expect(isTokenSignal(encodeTokens('yes.', phrases))).toBe(false);
+    });
+
+    it('only matches on word boundaries', () => {
+        expect(encodeTokens('Thank youth', phrases)).toEqual(['Thank youth']);
+    });
+
+    it('round-trips any text', () => {
+        [
+            'I said YES. to that',
+            'NO. WAIT. No. Yes.',
+            'Hello. hello. HELLO.',
+            'İ said Yes. in İstanbul',
+            'İİİ Hello. Straße STRASSE straße',
+            'ǅemal said Can we talk? Thank you',
+            'Emoji 👍 Yes. 🎉 No.',
+            'Ω≈ç√ Thank you İ',
+            '',
+        ].forEach(text => expect(roundTrip(text), text).toBe(text));
+    });
+
+    it('keeps matches aligned after characters whose lowercase is longer', () => {
+        expect(encodeTokens('İ Yes.', phrases)).toEqual(['İ ', 1]);
+        expect(encodeTokens('İİ Straße', phrases)).toEqual(['İİ ', 4]);
+    });
+});
+
+describe('packTokens', () => {
+    it('round-trips through the stored form', () => {
+        const tokens = encodeTokens('Hello. "Quoted", \\ and\nnew line. Yes.', phrases);
+        expect(typeof packTokens(tokens)).toBe('string');
+        expect(unpackTokens(packTokens(tokens))).toEqual(tokens);
+    });
+
+    it('still reads the list older messages store', () => {
+        expect(unpackTokens([0, ' ', 1])).toEqual([0, ' ', 1]);
+    });
+
+    it('rejects anything but indices and strings', () => {
+        expect(unpackTokens('[]')).toBeNull();
+        expect(unpackTokens('[0, {"x": 1}]')).toBeNull();
+        expect(unpackTokens('[1.5]')).toBeNull();
+        expect(unpackTokens('[-1]')).toBeNull();
+        expect(unpackTokens('not json')).toBeNull();
+        expect(unpackTokens(undefined)).toBeNull();
+    });
+});
@@ -0,0 +1,77 @@
+import { doc, getDoc, onSnapshot, runTransaction, serverTimestamp } from 'firebase/firestore';
+import { MAX_DICTIONARY_SIZE } from './tokenCodec';
+
+// --- Versioned token dictionaries ---
+// artifacts/{appId}/public/data/tokenDictionaries/{dictId}                     { name, version, phrases, updatedBy, updatedAt }
+// artifacts/{appId}/public/data/tokenDictionaries/{dictId}/versions/{version}  { phrases }  (immutable)
+// Tokenized messages record { dictionary, dictionaryVersion }, so history always decodes
+// with the phrases it was written with. Until the built-in 'core' dictionary is first
+// edited, its version 1 is the `tokenDictionary` list from the app config.
+
+const CORE_DICTIONARY_ID = 'core';
+
+const dictionariesPath = (appId) => `artifacts/${appId}/public/data/tokenDictionaries`;
+
+const dictionaryId = (name) => name.trim().toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '').slice(0, 40);
+
+const builtinDictionary = (phrases) => ({ id: CORE_DICTIONARY_ID, name: CORE_DICTIONARY_ID, version: 1, phrases });
+
+// Immutable versions are cached for the lifetime of the page.
+const versionCache = new Map();
+
+const loadDictionaryVersion = (db, appId, id, version, corePhrases) => {
+    const cacheKey = `${appId}/${id}@${version}`;
+    if (!versionCache.has(cacheKey)) {
+        const pending = getDoc(doc(db, dictionariesPath(appId), id, 'versions', String(version)))
+            .then(snap => {
+                if (snap.exists()) return snap.data().phrases;
+                return id === CORE_DICTIONARY_ID && version === 1 ? corePhrases : null;
+            })
+            .catch((e) => {
+                versionCache.delete(cacheKey);
+                throw e;
+            });
+        versionCache.set(cacheKey, pending);
+    }
+    return versionCache.get(cacheKey);
+};
+
+// Live current version of a dictionary; a missing 'core' resolves to the config list.
+const subscribeDictionary = (db, appId, id, corePhrases, onChange, onError) => onSnapshot(
+    doc(db, dictionariesPath(appId), id),
+    (snap) => {
+        if (snap.exists()) {
+            const data = snap.data();
+            onChange({ id, name: data.name || id, version: data.version, phrases: data.phrases || [] });
+        } else {
+            onChange(id === CORE_DICTIONARY_ID ? builtinDictionary(corePhrases) : { id, name: id, version: 0, phrases: [] });
+        }
+    },
+    onError
+);
+
+// Applies `edit(phrases) -> phrases` as a new version. Returns the new dictionary.
+const updateDictionary = async (db, appId, id, userId, corePhrases, edit) => {
+    const ref = doc(db, dictionariesPath(appId), id);
+    return runTransaction(db, async (tx) => {
+        const snap = await tx.get(ref);
+        const current = snap.exists()
+            ? snap.data()
+            : id === CORE_DICTIONARY_ID ? builtinDictionary(corePhrases) : { name: id, version: 0, phrases: [] };
+        const phrases = edit([...current.phrases]);
+        if (phrases.length > MAX_DICTIONARY_SIZE) throw new Error(`Dictionaries are limited to ${MAX_DICTIONARY_SIZE} phrases`);
+        const version = current.version + 1;
+        // Keep the implicit core version 1 decodable by readers who never saw the config list
+        if (!snap.exists() && current.version > 0) {
+            tx.set(doc(ref, 'versions', String(current.version)), { phrases: current.phrases });
+        }
+        tx.set(doc(ref, 'versions', String(version)), { phrases });
+        tx.set(ref, { name: current.name || id, version, phrases, updatedBy: userId, updatedAt: serverTimestamp() });
+        return { id, name: current.name || id, version, phrases };
+    });
+};
+
+export {
+    CORE_DICTIONARY_ID, dictionaryId, builtinDictionary,
+    loadDictionaryVersion, subscribeDictionary, updateDictionary
+};
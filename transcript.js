@@ -0,0 +1,185 @@
+import { roomSlug } from './roomStore';
+import { CORE_DICTIONARY_ID } from './tokenStore';
+
+// --- Transcript export ---
+// buildTranscript(messages, options) -> { filename, mimeType, content, count, truncated } with a
+// room's messages as 'json', 'markdown' or 'text'. `truncated` (older messages were not loaded)
+// is noted in the header, and as `truncated` in JSON. Deleted messages are left out and voice messages
+// export their transcript. Token messages arrive decoded with the dictionary version they were written
+// with (tokenStore.js); signals are marked as such, and JSON keeps the token sequence too.
+// `redactUserIds` replaces each user id with user-1, user-2... (in order of appearance) in
+// senders and replies, and names those users "User 1", "User 2"...; the agent keeps its name.
+// In message text it replaces the ids of known users (senders, reply targets, call members)
+// and the prefixes the chat quotes them by: @mentions of 4+ characters and bare prefixes of 8+
+// ("3fa2b1c9..." in agent replies, "Call with 3fa2b1c9"). Ids of users the transcript doesn't
+// know stay as they are. Call rooms are then just "Call", as their ids and names carry user ids. Reactions are
+// exported as counts. Pure functions, apart from downloadTranscript.
+
+const EXPORT_FORMATS = {
+    json: { extension: 'json', mimeType: 'application/json', label: 'JSON' },
+    markdown: { extension: 'md', mimeType: 'text/markdown', label: 'Markdown' },
+    text: { extension: 'txt', mimeType: 'text/plain', label: 'plain text' },
+};
+const FORMAT_ALIASES = { md: 'markdown', txt: 'text' };
+
+// 'md', 'TXT', 'json'... -> a key of EXPORT_FORMATS, or null
+const exportFormat = (name) => {
+    const key = String(name || '').toLowerCase();
+    const format = FORMAT_ALIASES[key] || key;
+    return EXPORT_FORMATS[format] ? format : null;
+};
+
+const pad = (n) => String(n).padStart(2, '0');
+const localDate = (date) => `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+const localTime = (iso) => {
+    if (!iso) return 'pending';
+    const date = new Date(iso);
+    return `${localDate(date)} ${pad(date.getHours())}:${pad(date.getMinutes())}`;
+};
+
+const messageIso = (msg) => {
+    const ms = msg.timestamp?.toMillis?.();
+    return typeof ms === 'number' ? new Date(ms).toISOString() : null;
+};
+
+// A uid or uid prefix in text, as a whole word: optional "@", the reference, optional "..."
+const USER_REF = /(?<![\w-])(@?)([\w-]{4,})(\.\.\.|…)?/g;
+const MIN_MENTION_PREFIX = 4;
+const MIN_QUOTED_PREFIX = 8;
+
+const reactionCounts = (reactions) => {
+    const counts = {};
+    Object.values(reactions || {}).forEach(list => {
+        if (Array.isArray(list)) list.forEach(emoji => { counts[emoji] = (counts[emoji] || 0) + 1; });
+    });
+    return counts;
+};
+
+// -> [{ id, time, userId, sender, kind: 'text' | 'tokens' | 'signal' | 'voice', text, edited,
+//      replyTo, reactions, tokens, voice }]
+const transcriptEntries = (messages, { labelFor = (id) => id, botUserId = null, redactUserIds = false, userIds = [] } = {}) => {
+    const aliases = new Map();
+    const aliasOf = (id) => {
+        if (!aliases.has(id)) aliases.set(id, aliases.size + 1);
+        return aliases.get(id);
+    };
+    const redacts = (id) => redactUserIds && !!id && id !== botUserId;
+    const idFor = (id) => (redacts(id) ? `user-${aliasOf(id)}` : id || null);
+    const nameFor = (id) => (redacts(id) ? `User ${aliasOf(id)}` : labelFor(id));
+
+    const knownIds = [...new Set([...userIds, ...messages.flatMap(msg => [msg.userId, msg.replyTo?.userId])])].filter(redacts);
+    const textFor = (text) => (!redactUserIds ? text : text.replace(USER_REF, (match, at, ref) => {
+        if (ref.length < (at ? MIN_MENTION_PREFIX : MIN_QUOTED_PREFIX)) return match;
+        const lower = ref.toLowerCase();
+        const id = knownIds.find(uid => uid.toLowerCase().startsWith(lower));
+        return id ? `${at}user-${aliasOf(id)}` : match;
+    }));
+
+    return messages
+        .filter(msg => !msg.deleted && !msg.isQueued)
+        .map(msg => {
+            const tokens = Array.isArray(msg.tokens) ? msg.tokens : typeof msg.tokenIndex === 'number' ? [msg.tokenIndex] : null;
+            return {
+                id: msg.id,
+                time: messageIso(msg),
+                userId: idFor(msg.userId),
+                sender: nameFor(msg.userId),
+                kind: msg.voice ? 'voice' : msg.isSignal ? 'signal' : msg.isTokenized ? 'tokens' : 'text',
+                text: textFor(msg.text || ''),
+                edited: !!msg.editedAt,
+                replyTo: msg.replyTo ? { id: msg.replyTo.id, userId: idFor(msg.replyTo.userId) } : null,
+                reactions: reactionCounts(msg.reactions),
+                tokens: msg.isTokenized && tokens
+                    ? { dictionary: msg.dictionary || CORE_DICTIONARY_ID, version: msg.dictionaryVersion || 1, sequence: tokens }
+                    : null,
+                voice: msg.voice ? { durationMs: msg.voice.durationMs ?? null } : null,
+            };
+        });
+};
+
+const KIND_MARKERS = { signal: 'TOKEN SIGNAL', tokens: 'tokens', voice: 'voice' };
+
+const reactionLine = (reactions) => Object.entries(reactions).map(([emoji, count]) => `${emoji} ${count}`).join(' · ');
+
+const TRUNCATED_NOTE = 'newest only, older messages not included';
+
+const renderMarkdown = (entries, { room, exportedAt, redactUserIds, truncated }) => {
+    const byId = new Map(entries.map(e => [e.id, e]));
+    const lines = [
+        `# ${room.name} transcript`,
+        '',
+        `Exported ${localTime(exportedAt)} · ${entries.length} messages${truncated ? ` (${TRUNCATED_NOTE})` : ''}${redactUserIds ? ' · user ids redacted' : ''}`,
+    ];
+    entries.forEach(entry => {
+        const notes = [
+            KIND_MARKERS[entry.kind] && `\`${KIND_MARKERS[entry.kind]}\``,
+            entry.replyTo && `reply to ${byId.get(entry.replyTo.id)?.sender || 'an earlier message'}`,
+            entry.edited && '_edited_',
+        ].filter(Boolean);
+        lines.push('', `**${entry.sender}** · ${localTime(entry.time)}${notes.length ? ` · ${notes.join(' · ')}` : ''}`, '', entry.text);
+        if (Object.keys(entry.reactions).length) lines.push('', reactionLine(entry.reactions));
+    });
+    return `${lines.join('\n')}\n`;
+};
+
+const renderText = (entries, { room, exportedAt, redactUserIds, truncated }) => {
+    const lines = [
+        `${room.name} transcript, exported ${localTime(exportedAt)} (${entries.length} messages${truncated ? `, ${TRUNCATED_NOTE}` : ''}${redactUserIds ? ', user ids redacted' : ''})`,
+        '',
+    ];
+    entries.forEach(entry => {
+        const marker = KIND_MARKERS[entry.kind] ? ` [${KIND_MARKERS[entry.kind]}]` : '';
+        const [first, ...rest] = entry.text.split('\n');
+        lines.push(`[${localTime(entry.time)}] ${entry.sender}${marker}: ${first}${entry.edited ? ' (edited)' : ''}`);
+        // Continuation lines are indented so every message starts with its time
+        rest.forEach(line => lines.push(`    ${line}`));
+        if (Object.keys(entry.reactions).length) lines.push(`    ${reactionLine(entry.reactions)}`);
+    });
+    return `${lines.join('\n')}\n`;
+};
+
+const exportedRoom = (room, redactUserIds) => (
+    redactUserIds && room.kind === 'call' ? { id: 'call', name: 'Call' } : { id: room.id, name: room.name || room.id }
+);
+
+const buildTranscript = (messages, {
+    format = 'markdown',
+    room,
+    labelFor,
+    botUserId,
+    redactUserIds = false,
+    truncated = false,
+    now = new Date(),
+} = {}) => {
+    const key = exportFormat(format);
+    if (!key) throw new Error(`Unknown export format "${format}"`);
+    const entries = transcriptEntries(messages, { labelFor, botUserId, redactUserIds, userIds: room?.members || [] });
+    const exportedAt = now.toISOString();
+    const shownRoom = exportedRoom(room, redactUserIds);
+    const meta = { room: shownRoom, exportedAt, redactUserIds, truncated };
+    const content = key === 'json'
+        ? `${JSON.stringify({ room: shownRoom, exportedAt, redactedUserIds: redactUserIds, truncated, messages: entries }, null, 2)}\n`
+        : key === 'markdown' ? renderMarkdown(entries, meta) : renderText(entries, meta);
+    const { extension, mimeType } = EXPORT_FORMATS[key];
+    return {
+        filename: `qvoicetxt-${roomSlug(shownRoom.name) || 'room'}-${localDate(now)}.${extension}`,
+        mimeType,
+        content,
+        count: entries.length,
+        truncated,
+    };
+};
+
+// Saves the transcript through a temporary object URL
+const downloadTranscript = ({ filename, mimeType, content }) => {
+    const url = URL.createObjectURL(new Blob([content], { type: `${mimeType};charset=utf-8` }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+};
+
+export { buildTranscript, transcriptEntries, downloadTranscript, exportFormat, EXPORT_FORMATS };
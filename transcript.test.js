@@ -0,0 +1,64 @@
+import { describe, expect, it } from 'vitest';
+import { buildTranscript, transcriptEntries } from './transcript';
+
+const BOT = 'Agent Q Core ✨';
+const ALICE = '3fa2b1c9d8e7f6a5b4c3d2e1f0a9';
+const BOB = 'Zk81mQp2xYw7vLr4tNs6uHb3cJd0';
+const at = (ms) => ({ toMillis: () => ms });
+
+const messages = [
+    { id: 'm1', userId: ALICE, text: `hi @${BOB.slice(0, 4)} and @${BOB.slice(0, 4).toLowerCase()}`, timestamp: at(1) },
+    { id: 'm2', userId: BOT, text: `Agent Q: Muted ${BOB.substring(0, 8)}... for 1h.`, timestamp: at(2) },
+    { id: 'm3', userId: BOB, text: `Call with ${ALICE.substring(0, 8)} is open; my id is ${BOB}`, timestamp: at(3), replyTo: { id: 'm1', userId: ALICE } },
+    { id: 'm4', userId: ALICE, text: '@agent keep @abc, Zk81mQp and Zk81mQpX2', timestamp: at(4) },
+];
+
+describe('transcriptEntries with redactUserIds', () => {
+    const entries = transcriptEntries(messages, { botUserId: BOT, redactUserIds: true });
+
+    it('replaces senders and reply targets', () => {
+        expect(entries.map(e => e.userId)).toEqual(['user-1', BOT, 'user-2', 'user-1']);
+        expect(entries[2].replyTo).toEqual({ id: 'm1', userId: 'user-1' });
+    });
+
+    it('replaces mentions, quoted prefixes and whole ids in text', () => {
+        expect(entries[0].text).toBe('hi @user-2 and @user-2');
+        expect(entries[1].text).toBe('Agent Q: Muted user-2 for 1h.');
+        expect(entries[2].text).toBe('Call with user-1 is open; my id is user-2');
+    });
+
+    it('keeps short and unknown references', () => {
+        expect(entries[3].text).toBe('@agent keep @abc, Zk81mQp and Zk81mQpX2');
+    });
+
+    it('leaves no id prefix in any format', () => {
+        for (const format of ['json', 'markdown', 'text']) {
+            const { content } = buildTranscript(messages, { format, botUserId: BOT, redactUserIds: true, room: { id: 'r', name: 'Room' } });
+            expect(content).not.toContain(ALICE.substring(0, 8));
+            expect(content).not.toContain(BOB.substring(0, 8));
+        }
+    });
+});
+
+it('redacts call members who never posted', () => {
+    const carol = 'Cx9Lq3Wv7Tn2Rb5Mk8Hj4Gf6Dd1';
+    const [entry] = transcriptEntries([{ id: 'm1', userId: ALICE, text: `ping @${carol.slice(0, 6)}`, timestamp: at(1) }], {
+        redactUserIds: true,
+        userIds: [ALICE, carol],
+    });
+    expect(entry.text).toBe('ping @user-2');
+});
+
+it('leaves text alone without redactUserIds', () => {
+    expect(transcriptEntries(messages, { botUserId: BOT }).map(e => e.text)).toEqual(messages.map(m => m.text));
+});
+
+it('notes a truncated export in the header and JSON', () => {
+    const room = { id: 'r', name: 'Room' };
+    const options = (format, truncated) => ({ format, room, botUserId: BOT, truncated, now: new Date(2024, 0, 2) });
+    expect(buildTranscript(messages, options('markdown', true)).content).toMatch(/4 messages \(newest only, older messages not included\)/);
+    expect(buildTranscript(messages, options('text', true)).content.split('\n')[0]).toMatch(/4 messages, newest only, older messages not included\)/);
+    expect(JSON.parse(buildTranscript(messages, options('json', true)).content).truncated).toBe(true);
+    expect(buildTranscript(messages, options('markdown', false)).content).not.toMatch(/newest only/);
+    expect(buildTranscript(messages, options('text', true)).truncated).toBe(true);
+});
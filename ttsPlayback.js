@@ -0,0 +1,199 @@
+import { useState, useRef, useCallback, useEffect } from 'react';
+import { requestJson } from './httpClient';
+
+// --- Text-to-speech: Gemini TTS -> PCM -> WAV -> Web Audio ---
+
+const parseSampleRate = (mimeType, fallback = 24000) => {
+    const match = /rate=(\d+)/i.exec(mimeType || '');
+    return match ? parseInt(match[1], 10) : fallback;
+};
+
+const base64ToBytes = (base64) => {
+    const binary = atob(base64);
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i);
+    return bytes;
+};
+
+// Wraps raw little-endian PCM samples in a RIFF/WAVE header.
+const pcmToWav = (pcmBytes, sampleRate, channels = 1, bitsPerSample = 16) => {
+    const blockAlign = channels * bitsPerSample / 8;
+    const buffer = new ArrayBuffer(44 + pcmBytes.byteLength);
+    const view = new DataView(buffer);
+    const writeString = (offset, str) => {
+        for (let i = 0; i < str.length; i++) view.setUint8(offset + i, str.charCodeAt(i));
+    };
+    writeString(0, 'RIFF');
+    view.setUint32(4, 36 + pcmBytes.byteLength, true);
+    writeString(8, 'WAVE');
+    writeString(12, 'fmt ');
+    view.setUint32(16, 16, true);
+    view.setUint16(20, 1, true);
+    view.setUint16(22, channels, true);
+    view.setUint32(24, sampleRate, true);
+    view.setUint32(28, sampleRate * blockAlign, true);
+    view.setUint16(32, blockAlign, true);
+    view.setUint16(34, bitsPerSample, true);
+    writeString(36, 'data');
+    view.setUint32(40, pcmBytes.byteLength, true);
+    new Uint8Array(buffer, 44).set(pcmBytes);
+    return buffer;
+};
+
+const requestGeminiSpeech = async ({ apiKey, model, baseUrl, voiceName, text, timeoutMs = 30000, signal }) => {
+    const endpoint = `${baseUrl.replace(/\/$/, '')}/${model}:generateContent?key=${encodeURIComponent(apiKey)}`;
+    const data = await requestJson(endpoint, {
+        method: 'POST',
+        body: {
+            contents: [{ parts: [{ text }] }],
+            generationConfig: {
+                responseModalities: ['AUDIO'],
+                speechConfig: { voiceConfig: { prebuiltVoiceConfig: { voiceName } } },
+            },
+        },
+        timeoutMs,
+        retries: 1,
+        upstream: 'gemini-tts',
+        signal,
+    });
+    const inline = data?.candidates?.[0]?.content?.parts?.find(p => p.inlineData)?.inlineData;
+    if (!inline?.data) throw new Error('TTS response contained no audio');
+    return pcmToWav(base64ToBytes(inline.data), parseSampleRate(inline.mimeType));
+};
+
+const speakableText = (text) => (text || '').replace(/^Agent Q( Core)?:\s*/, '');
+
+// Audio is cached per message and text, so an edited message is spoken anew
+const cacheKey = (id, text) => `${id}\n${text}`;
+const cachedMessageId = (key) => key.slice(0, key.indexOf('\n'));
+
+// Decoded clips kept for replay; a minute of 24 kHz audio is ~6 MB once decoded
+const MAX_CACHED_CLIPS = 20;
+
+// Adds a clip as the most recently used (Map order) and evicts the oldest beyond `max`;
+// returns the evicted keys
+const cacheClip = (cache, key, audioBuffer, max = MAX_CACHED_CLIPS) => {
+    cache.delete(key);
+    cache.set(key, audioBuffer);
+    const evicted = [...cache.keys()].slice(0, Math.max(0, cache.size - max));
+    evicted.forEach(k => cache.delete(k));
+    return evicted;
+};
+
+// Per-message TTS state: `ttsState[id]` is 'loading' | 'playing' | 'ready' (cached, idle).
+// currentRef holds what is loading or playing: { id, key, controller | source | utterance }.
+// Only one message plays at a time; a newer play() or stop() aborts a pending fetch, and a
+// result that arrives for anything but the current request is dropped.
+const useTtsPlayback = ({ geminiApiKey, geminiTtsModel, geminiApiBaseUrl, geminiTtsVoice }, onError) => {
+    const [ttsState, setTtsState] = useState({});
+    const audioCtxRef = useRef(null);
+    const cacheRef = useRef(new Map());
+    const currentRef = useRef(null);
+
+    const setStateFor = useCallback((id, value) => {
+        setTtsState(prev => {
+            const next = { ...prev };
+            if (value) next[id] = value; else delete next[id];
+            return next;
+        });
+    }, []);
+
+    const stop = useCallback((id) => {
+        const current = currentRef.current;
+        if (!current || (id && current.id !== id)) return;
+        currentRef.current = null;
+        if (current.controller) {
+            current.controller.abort();
+        } else if (current.source) {
+            current.source.onended = null;
+            try { current.source.stop(); } catch (e) { /* already stopped */ }
+        } else if (typeof window !== 'undefined' && window.speechSynthesis) {
+            window.speechSynthesis.cancel();
+        }
+        setStateFor(current.id, cacheRef.current.has(current.key) ? 'ready' : null);
+    }, [setStateFor]);
+
+    const playBuffer = useCallback(async (id, key, audioBuffer) => {
+        if (!audioCtxRef.current) audioCtxRef.current = new (window.AudioContext || window.webkitAudioContext)();
+        const ctx = audioCtxRef.current;
+        if (ctx.state === 'suspended') await ctx.resume();
+        const source = ctx.createBufferSource();
+        source.buffer = audioBuffer;
+        source.connect(ctx.destination);
+        source.onended = () => {
+            if (currentRef.current?.source === source) currentRef.current = null;
+            setStateFor(id, 'ready');
+        };
+        currentRef.current = { id, key, source };
+        setStateFor(id, 'playing');
+        source.start();
+    }, [setStateFor]);
+
+    const speakWithBrowser = useCallback((id, text) => {
+        if (typeof window === 'undefined' || !window.speechSynthesis) {
+            onError?.("Agent Q: Voice playback is not supported in this browser.");
+            return;
+        }
+        const utterance = new SpeechSynthesisUtterance(text);
+        utterance.onend = utterance.onerror = () => {
+            if (currentRef.current?.utterance === utterance) currentRef.current = null;
+            setStateFor(id, null);
+        };
+        currentRef.current = { id, utterance };
+        setStateFor(id, 'playing');
+        window.speechSynthesis.speak(utterance);
+    }, [onError, setStateFor]);
+
+    const play = useCallback(async (msg) => {
+        const id = msg.id;
+        stop();
+        const text = speakableText(msg.text);
+        if (!text) return;
+        if (!geminiApiKey) {
+            speakWithBrowser(id, text);
+            return;
+        }
+        const key = cacheKey(id, text);
+        const pending = { id, key, controller: new AbortController() };
+        try {
+            let audioBuffer = cacheRef.current.get(key);
+            if (audioBuffer) {
+                cacheClip(cacheRef.current, key, audioBuffer);
+            } else {
+                currentRef.current = pending;
+                setStateFor(id, 'loading');
+                const wav = await requestGeminiSpeech({
+                    apiKey: geminiApiKey,
+                    model: geminiTtsModel,
+                    baseUrl: geminiApiBaseUrl,
+                    voiceName: geminiTtsVoice,
+                    text,
+                    signal: pending.controller.signal,
+                });
+                if (currentRef.current !== pending) return;
+                if (!audioCtxRef.current) audioCtxRef.current = new (window.AudioContext || window.webkitAudioContext)();
+                audioBuffer = await audioCtxRef.current.decodeAudioData(wav);
+                cacheClip(cacheRef.current, key, audioBuffer).forEach(k => setStateFor(cachedMessageId(k), null));
+                if (currentRef.current !== pending) return;
+            }
+            await playBuffer(id, key, audioBuffer);
+        } catch (e) {
+            // Stopped, or superseded by another play(); that call owns the state now
+            if (pending.controller.signal.aborted || (currentRef.current && currentRef.current !== pending)) return;
+            console.error('tts error:', e);
+            currentRef.current = null;
+            setStateFor(id, cacheRef.current.has(key) ? 'ready' : null);
+            onError?.(`Agent Q: Voice decoding failed. (${e.message})`);
+        }
+    }, [stop, geminiApiKey, geminiTtsModel, geminiApiBaseUrl, geminiTtsVoice, speakWithBrowser, playBuffer, setStateFor, onError]);
+
+    useEffect(() => () => {
+        stop();
+        audioCtxRef.current?.close?.();
+        audioCtxRef.current = null;
+    }, [stop]);
+
+    return { ttsState, play, stop };
+};
+
+export { useTtsPlayback, pcmToWav, parseSampleRate, base64ToBytes, requestGeminiSpeech, cacheClip, MAX_CACHED_CLIPS };
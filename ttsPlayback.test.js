@@ -0,0 +1,66 @@
+import { describe, expect, it } from 'vitest';
+import { pcmToWav, parseSampleRate, base64ToBytes, cacheClip, MAX_CACHED_CLIPS } from './ttsPlayback';
+
+const ascii = (view, offset, length) => String.fromCharCode(...new Uint8Array(view.buffer, offset, length));
+
+describe('pcmToWav', () => {
+    it('writes a RIFF/WAVE header for the samples', () => {
+        const pcm = new Uint8Array([1, 2, 3, 4, 5, 6]);
+        const wav = pcmToWav(pcm, 24000);
+        const view = new DataView(wav);
+        expect(wav.byteLength).toBe(44 + pcm.length);
+        expect(ascii(view, 0, 4)).toBe('RIFF');
+        expect(view.getUint32(4, true)).toBe(36 + pcm.length);
+        expect(ascii(view, 8, 8)).toBe('WAVEfmt ');
+        expect(view.getUint32(16, true)).toBe(16);
+        expect(view.getUint16(20, true)).toBe(1);
+        expect(view.getUint16(22, true)).toBe(1);
+        expect(view.getUint32(24, true)).toBe(24000);
+        expect(view.getUint32(28, true)).toBe(48000);
+        expect(view.getUint16(32, true)).toBe(2);
+        expect(view.getUint16(34, true)).toBe(16);
+        expect(ascii(view, 36, 4)).toBe('data');
+        expect(view.getUint32(40, true)).toBe(pcm.length);
+        expect([...new Uint8Array(wav, 44)]).toEqual([...pcm]);
+    });
+
+    it('derives the byte rate and block size from the format', () => {
+        const view = new DataView(pcmToWav(new Uint8Array(8), 44100, 2, 16));
+        expect(view.getUint16(22, true)).toBe(2);
+        expect(view.getUint32(28, true)).toBe(44100 * 4);
+        expect(view.getUint16(32, true)).toBe(4);
+    });
+});
+
+describe('parseSampleRate', () => {
+    it('reads the rate from the MIME type', () => {
+        expect(parseSampleRate('audio/L16;codec=pcm;rate=16000')).toBe(16000);
+        expect(parseSampleRate('audio/L16')).toBe(24000);
+        expect(parseSampleRate(undefined, 8000)).toBe(8000);
+    });
+});
+
+describe('base64ToBytes', () => {
+    it('decodes to bytes', () => {
+        expect([...base64ToBytes('AAH/gA==')]).toEqual([0, 1, 255, 128]);
+    });
+});
+
+describe('cacheClip', () => {
+    it('evicts the least recently used clips beyond the limit', () => {
+        const cache = new Map();
+        expect(cacheClip(cache, 'a', 1, 2)).toEqual([]);
+        expect(cacheClip(cache, 'b', 2, 2)).toEqual([]);
+        // Replaying 'a' makes 'b' the oldest
+        expect(cacheClip(cache, 'a', 1, 2)).toEqual([]);
+        expect(cacheClip(cache, 'c', 3, 2)).toEqual(['b']);
+        expect([...cache.keys()]).toEqual(['a', 'c']);
+    });
+
+    it('holds MAX_CACHED_CLIPS by default', () => {
+        const cache = new Map();
+        for (let i = 0; i <= MAX_CACHED_CLIPS; i++) cacheClip(cache, `m${i}`, i);
+        expect(cache.size).toBe(MAX_CACHED_CLIPS);
+        expect(cache.has('m0')).toBe(false);
+    });
+});
@@ -0,0 +1,18 @@
+// --- Resolving "<user>" command arguments to user ids ---
+// Users are referenced by full uid, or by a uid prefix (as shown in the chat) that
+// matches exactly one known user. A leading "@" is ignored.
+
+const resolveUserRef = (ref, knownUserIds = []) => {
+    const needle = String(ref || '').trim().replace(/^@/, '').replace(/\.\.\.$/, '');
+    if (!needle) return { error: 'Missing user' };
+    const known = [...new Set(knownUserIds.filter(Boolean))];
+    if (known.includes(needle)) return { userId: needle };
+    const matches = known.filter(id => id.toLowerCase().startsWith(needle.toLowerCase()));
+    if (matches.length === 1) return { userId: matches[0] };
+    if (matches.length > 1) return { error: `"${needle}" matches ${matches.length} users; use more characters` };
+    // Unknown but plausible Firebase uid: accept it as-is.
+    if (/^[A-Za-z0-9_-]{20,}$/.test(needle)) return { userId: needle };
+    return { error: `No known user matches "${needle}"` };
+};
+
+export { resolveUserRef };
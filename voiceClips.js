@@ -0,0 +1,176 @@
+import { useState, useRef, useCallback, useEffect } from 'react';
+import { base64ToBytes } from './ttsPlayback';
+import { encryptPayload, decryptPayload } from './e2ee';
+
+// --- Voice messages ---
+// The audio lives apart from the message, chunked into Firestore (documents max out at 1 MiB):
+// artifacts/{appId}/public/data/voiceClips/{clipId}              { ownerId, mimeType, durationMs, encrypted, chunkCount, createdAt }
+// artifacts/{appId}/public/data/voiceClips/{clipId}/chunks/{n}   { index, data }   (base64, CLIP_CHUNK_CHARS max)
+// The message carries { voice: { clipId, durationMs, mimeType, waveform }, transcript? }.
+// In call sessions the clip is an AES-GCM payload under the session key, like the message,
+// and is never sent out for transcription.
+
+const CLIP_CHUNK_CHARS = 256 * 1024;
+const WAVEFORM_BARS = 48;
+const WAVEFORM_LEVELS = 15;
+
+const clipsPath = (appId) => `artifacts/${appId}/public/data/voiceClips`;
+
+const chunkString = (str, size = CLIP_CHUNK_CHARS) => {
+    const chunks = [];
+    for (let i = 0; i < str.length; i += size) chunks.push(str.slice(i, i + size));
+    return chunks.length ? chunks : [''];
+};
+
+const blobToBase64 = (blob) => new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(String(reader.result).split(',')[1] || '');
+    reader.onerror = () => reject(reader.error);
+    reader.readAsDataURL(blob);
+});
+
+// Peak level per bar, 0..WAVEFORM_LEVELS, for the message's static waveform.
+const waveformFromSamples = (samples, bars = WAVEFORM_BARS) => {
+    const size = Math.max(1, Math.floor(samples.length / bars));
+    const peaks = Array.from({ length: bars }, (_, bar) => {
+        let peak = 0;
+        for (let i = bar * size; i < Math.min(samples.length, (bar + 1) * size); i++) {
+            peak = Math.max(peak, Math.abs(samples[i]));
+        }
+        return peak;
+    });
+    const loudest = Math.max(...peaks, 1e-6);
+    return peaks.map(p => Math.round((p / loudest) * WAVEFORM_LEVELS));
+};
+
+const computeWaveform = async (blob) => {
+    const AudioCtx = window.AudioContext || window.webkitAudioContext;
+    if (!AudioCtx) return [];
+    const context = new AudioCtx();
+    try {
+        const buffer = await context.decodeAudioData(await blob.arrayBuffer());
+        return waveformFromSamples(buffer.getChannelData(0));
+    } catch (e) {
+        console.error('waveform error:', e);
+        return [];
+    } finally {
+        context.close();
+    }
+};
+
+// Clip body as stored: base64 audio, or for call sessions the encrypted { audio } payload.
+const encodeClip = async (base64, { sessionKey, roomId, userId } = {}) => (
+    sessionKey ? JSON.stringify(await encryptPayload(sessionKey, { audio: base64 }, roomId, userId)) : base64
+);
+
+const decodeClip = async (clip, { sessionKey, roomId, userId } = {}) => {
+    const base64 = clip.encrypted
+        ? (await decryptPayload(sessionKey, JSON.parse(clip.data), roomId, userId)).audio
+        : clip.data;
+    return new Blob([base64ToBytes(base64)], { type: clip.mimeType });
+};
+
+const preferredMimeType = () => {
+    if (typeof MediaRecorder === 'undefined') return null;
+    return ['audio/webm;codecs=opus', 'audio/ogg;codecs=opus', 'audio/mp4', 'audio/webm']
+        .find(type => MediaRecorder.isTypeSupported?.(type)) || '';
+};
+
+// Microphone recording with a live level meter. `state` is 'idle' | 'recording'; stop()
+// resolves to { blob, durationMs, mimeType }, cancel() discards the take. At maxMs the
+// recording stops by itself and the take goes to onLimit.
+const useVoiceRecorder = ({ maxMs = 120000, onError, onLimit } = {}) => {
+    const [state, setState] = useState('idle');
+    const [elapsedMs, setElapsedMs] = useState(0);
+    const [levels, setLevels] = useState([]);
+    const sessionRef = useRef(null);
+    const onLimitRef = useRef(onLimit);
+    useEffect(() => { onLimitRef.current = onLimit; }, [onLimit]);
+
+    const teardown = useCallback(() => {
+        const session = sessionRef.current;
+        if (!session) return;
+        sessionRef.current = null;
+        clearInterval(session.timer);
+        clearInterval(session.meter);
+        session.stream.getTracks().forEach(track => track.stop());
+        session.context?.close();
+        setState('idle');
+        setElapsedMs(0);
+        setLevels([]);
+    }, []);
+
+    const finish = useCallback((keep) => {
+        const session = sessionRef.current;
+        if (!session || session.stopping) return Promise.resolve(null);
+        session.stopping = true;
+        return new Promise((resolve) => {
+            session.recorder.onstop = () => {
+                const durationMs = Date.now() - session.startedAt;
+                const mimeType = session.recorder.mimeType || session.chunks[0]?.type || 'audio/webm';
+                teardown();
+                resolve(keep ? { blob: new Blob(session.chunks, { type: mimeType }), durationMs, mimeType } : null);
+            };
+            session.recorder.stop();
+        });
+    }, [teardown]);
+
+    const start = useCallback(async () => {
+        if (sessionRef.current) return;
+        const mimeType = preferredMimeType();
+        if (mimeType === null || !navigator.mediaDevices?.getUserMedia) {
+            onError?.(new Error('Voice recording is not supported in this browser.'));
+            return;
+        }
+        let stream;
+        try {
+            stream = await navigator.mediaDevices.getUserMedia({ audio: true });
+        } catch (e) {
+            onError?.(new Error(`Microphone unavailable (${e.message}).`));
+            return;
+        }
+        const recorder = new MediaRecorder(stream, mimeType ? { mimeType } : undefined);
+        const session = { stream, recorder, chunks: [], startedAt: Date.now() };
+        recorder.ondataavailable = (event) => { if (event.data.size) session.chunks.push(event.data); };
+
+        // Live meter from an analyser on the same stream
+        const AudioCtx = window.AudioContext || window.webkitAudioContext;
+        if (AudioCtx) {
+            session.context = new AudioCtx();
+            const analyser = session.context.createAnalyser();
+            analyser.fftSize = 512;
+            session.context.createMediaStreamSource(stream).connect(analyser);
+            const samples = new Float32Array(analyser.fftSize);
+            session.meter = setInterval(() => {
+                analyser.getFloatTimeDomainData(samples);
+                const peak = samples.reduce((max, v) => Math.max(max, Math.abs(v)), 0);
+                setLevels(prev => [...prev.slice(-(WAVEFORM_BARS - 1)), Math.min(WAVEFORM_LEVELS, Math.round(peak * WAVEFORM_LEVELS * 2))]);
+            }, 100);
+        }
+        session.timer = setInterval(() => {
+            const elapsed = Date.now() - session.startedAt;
+            setElapsedMs(elapsed);
+            if (elapsed >= maxMs) finish(true).then(take => take && onLimitRef.current?.(take));
+        }, 200);
+        sessionRef.current = session;
+        recorder.start(1000);
+        setState('recording');
+    }, [maxMs, onError, finish]);
+
+    const stop = useCallback(() => finish(true), [finish]);
+    const cancel = useCallback(() => finish(false), [finish]);
+
+    useEffect(() => () => teardown(), [teardown]);
+
+    return { state, elapsedMs, levels, start, stop, cancel };
+};
+
+const formatClipTime = (ms) => {
+    const seconds = Math.max(0, Math.round(ms / 1000));
+    return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+};
+
+export {
+    clipsPath, chunkString, blobToBase64, waveformFromSamples, computeWaveform, encodeClip, decodeClip,
+    useVoiceRecorder, formatClipTime, CLIP_CHUNK_CHARS, WAVEFORM_LEVELS
+};